@@ -0,0 +1,237 @@
+const { DEFAULT_CONFIG } = require('../utils/config');
+const { createLogger } = require('../utils/logger');
+const { slugFromUrl } = require('../utils/lists');
+const { normalizeUrl } = require('./snapshots');
+const { CHALLENGE_LABELS, detectChallenge } = require('./challenges');
+
+// Marks the login form found by findLoginForm, so both backends can address it by selector
+const LOGIN_FORM = 'form[data-enr-login]';
+
+// Reads what tells a signed-in visitor from an anonymous one, and a full list from a preview:
+// sign-out / account links, the sign-in link, a login error message, a "this is a preview" notice
+// and whether a ranking table is present
+async function readAccessSignals(page) {
+  return page.evaluate(() => {
+    const text = element => element.textContent.replace(/\s+/g, ' ').trim().toLowerCase();
+    const href = element => element.getAttribute('href') || '';
+    const links = Array.from(document.querySelectorAll('a, button'));
+
+    const signOut = links.find(element => /^(sign|log) ?out$|^my account$/.test(text(element))
+      || /\/(logout|log-out|signout|sign-out)\b/i.test(href(element)));
+    const signIn = links.find(element => element.tagName === 'A'
+      && (/^(sign|log) ?in$/.test(text(element)) || /\/(user\/)?(login|log-in|signin|sign-in)\b/i.test(href(element))));
+
+    const body = document.body ? text(document.body) : '';
+    const previewPatterns = [
+      /this is a preview/,
+      /(subscribe|sign in|log in) to (see|view|access|unlock) the (full|complete|entire|rest of the) (list|rankings?)/,
+      /(full|complete|entire) (list|rankings?) (is )?(available )?(only )?(to|for) subscribers/
+    ];
+    const alert = document.querySelector('.error, .alert, .messages--error, [role="alert"]');
+    const tables = Array.from(document.querySelectorAll('table')).filter(table => table.id !== 'paginationTable');
+
+    return {
+      signedIn: Boolean(signOut),
+      signInUrl: signIn ? signIn.href : null,
+      loginError: alert ? alert.textContent.replace(/\s+/g, ' ').trim() : null,
+      previewNotice: previewPatterns.some(pattern => pattern.test(body)),
+      hasTable: tables.some(table => table.querySelector('tbody tr td') !== null)
+    };
+  });
+}
+
+// Finds the form with a password field on the current page and marks it (and its fields) for LOGIN_FORM
+// Returns { action, emailName, passwordName } or null when the page has no login form
+async function findLoginForm(page) {
+  return page.evaluate(() => {
+    const password = document.querySelector('form input[type="password"]');
+    if (!password) {
+      return null;
+    }
+
+    const form = password.closest('form');
+    const email = form.querySelector('input[type="email"]')
+      || Array.from(form.querySelectorAll('input[type="text"], input:not([type])'))
+        .find(input => /mail|user|login|name/i.test(`${input.name} ${input.id}`));
+    const submit = form.querySelector('button[type="submit"], input[type="submit"], button:not([type])');
+    if (!email) {
+      return null;
+    }
+
+    form.setAttribute('data-enr-login', '');
+    email.setAttribute('data-enr-login', 'email');
+    password.setAttribute('data-enr-login', 'password');
+    if (submit) submit.setAttribute('data-enr-login', 'submit');
+
+    return {
+      action: new URL(form.getAttribute('action') || location.href, location.href).href,
+      emailName: email.name,
+      passwordName: password.name
+    };
+  });
+}
+
+// Fills in and submits the login form: jsdom pages post it themselves, a browser types and clicks
+async function submitLoginForm(page, form, auth, config) {
+  if (page.submitForm) {
+    await page.submitForm(LOGIN_FORM, { [form.emailName]: auth.email, [form.passwordName]: auth.password });
+    return;
+  }
+
+  await page.type(`${LOGIN_FORM} [data-enr-login="email"]`, auth.email);
+  await page.type(`${LOGIN_FORM} [data-enr-login="password"]`, auth.password);
+  await Promise.all([
+    page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: config.timeouts.navigation }),
+    page.click(`${LOGIN_FORM} [data-enr-login="submit"]`)
+  ]);
+}
+
+// Builds the error for a sign-in that could not be completed (code LOGIN_FAILED)
+function loginError(message) {
+  const error = new Error(`${message}; remove the auth settings to crawl the public previews instead`);
+  error.code = 'LOGIN_FAILED';
+  return error;
+}
+
+// Makes sure the page's session is signed in to the subscriber account in config.auth
+// A session that is already signed in (saved cookies) is kept; without credentials the crawl stays anonymous
+// The page should show the home page; it ends on wherever the site lands after signing in
+// options.limiter spaces out the login requests; options.logger reports the outcome; options.source is the adapter
+// whose challenge rules explain a missing login form
+// Returns { signedIn, via } where via is "session" or "login"; throws LOGIN_FAILED when the sign-in fails
+async function ensureSignedIn(page, options = {}) {
+  const config = options.config || DEFAULT_CONFIG;
+  const { auth, timeouts } = config;
+  const logger = options.logger || createLogger();
+
+  const signals = await readAccessSignals(page);
+  if (signals.signedIn) {
+    logger.info('🔑 Signed in (saved session)');
+    return { signedIn: true, via: 'session' };
+  }
+
+  if (!auth.email || !auth.password) {
+    logger.info('👤 Not signed in: crawling the public previews (set ENR_AUTH_EMAIL and ENR_AUTH_PASSWORD for the full lists)');
+    return { signedIn: false, via: null };
+  }
+
+  const loginUrl = auth.loginUrl || signals.signInUrl;
+  if (!loginUrl) {
+    throw loginError('No sign-in link on the home page (set auth.loginUrl)');
+  }
+
+  logger.info(`🔑 Signing in as ${auth.email}...`);
+  if (options.limiter) {
+    await options.limiter.wait(loginUrl);
+  }
+  await page.goto(loginUrl, { waitUntil: 'domcontentloaded', timeout: timeouts.navigation });
+
+  const form = await findLoginForm(page);
+  if (!form) {
+    const challenge = await detectChallenge(page, options.source).catch(() => null);
+    const blocked = challenge && challenge.type !== 'login' ? ` (${CHALLENGE_LABELS[challenge.type]} in the way)` : '';
+    throw loginError(`No login form found at ${loginUrl}${blocked}`);
+  }
+
+  if (options.limiter) {
+    await options.limiter.wait(form.action);
+  }
+  await submitLoginForm(page, form, auth, config);
+
+  const after = await readAccessSignals(page);
+  if (!after.signedIn) {
+    throw loginError(`Signing in as ${auth.email} failed${after.loginError ? ` (${after.loginError})` : ''}`);
+  }
+
+  logger.info('✅ Signed in');
+  return { signedIn: true, via: 'login' };
+}
+
+// URL of the full list behind a preview ("...-Top-400-Contractors-1-preview" -> "...-Top-400-Contractors-1")
+// Returns null for URLs that are not previews
+function fullListUrl(url) {
+  const [base, query] = String(url).split('?');
+  if (!/-preview$/i.test(slugFromUrl(base))) {
+    return null;
+  }
+  return `${base.replace(/\/+$/, '').replace(/-preview$/i, '')}${query ? `?${query}` : ''}`;
+}
+
+// Opens a candidate full list; it counts when it answers without an error, challenge or paywall and has a table
+// Returns { available, reason }
+async function probeList(page, url, options) {
+  const { timeouts } = options.config || DEFAULT_CONFIG;
+  if (options.limiter) {
+    await options.limiter.wait(url);
+  }
+
+  try {
+    const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: timeouts.navigation });
+    const status = response ? response.status() : 200;
+    if (status >= 400) {
+      return { available: false, reason: `HTTP ${status}` };
+    }
+
+    const challenge = await detectChallenge(page, options.source);
+    if (challenge) {
+      return { available: false, reason: CHALLENGE_LABELS[challenge.type] };
+    }
+
+    const signals = await readAccessSignals(page);
+    return signals.hasTable
+      ? { available: true, reason: null }
+      : { available: false, reason: 'no ranking table' };
+  } catch (error) {
+    return { available: false, reason: error.message };
+  }
+}
+
+// Swaps preview links for the full lists a subscriber can open; the rest are left alone
+// options.config, options.limiter, options.logger and options.source as for ensureSignedIn
+// A full list the index page already links to replaces its preview without a request;
+// otherwise the full URL is tried once and used when it shows a ranking table
+// Swapped links keep the preview's address in previewHref
+async function findFullLists(page, links, options = {}) {
+  const logger = options.logger || createLogger();
+  logger.info('\n🔓 Looking for the full versions of the preview lists...');
+  const indexed = new Set(links.map(link => normalizeUrl(link.href)));
+  const resolved = [];
+  let previews = 0;
+  let found = 0;
+
+  for (const link of links) {
+    const fullUrl = fullListUrl(link.href);
+    if (!fullUrl) {
+      resolved.push(link);
+      continue;
+    }
+    previews++;
+
+    // The full list is crawled through its own link
+    if (indexed.has(normalizeUrl(fullUrl))) {
+      logger.info(`  ✅ ${slugFromUrl(fullUrl)} (linked from the index)`);
+      found++;
+      continue;
+    }
+
+    const probe = await probeList(page, fullUrl, options);
+    if (probe.available) {
+      logger.info(`  ✅ ${slugFromUrl(fullUrl)}`);
+      found++;
+      resolved.push({ ...link, href: fullUrl, previewHref: link.href });
+    } else {
+      logger.info(`  🔒 ${slugFromUrl(link.href)}: no full version (${probe.reason}), keeping the preview`);
+      resolved.push(link);
+    }
+  }
+
+  logger.info(`✅ ${found} of ${previews} preview list(s) have a full version`);
+  return resolved;
+}
+
+module.exports = {
+  readAccessSignals,
+  ensureSignedIn,
+  fullListUrl,
+  findFullLists
+};
@@ -0,0 +1,359 @@
+const fs = require('fs');
+const path = require('path');
+const { slugFromUrl, listYear } = require('../utils/lists');
+const { loadDataset } = require('./dataset');
+const { createResolver, buildFirmProfiles, loadOverrides } = require('./firms');
+const { assessCompleteness } = require('./quality');
+
+const DEFAULT_REPORTS_DIR = './enr-reports';
+
+// Rows shown in each ranking of the report (risers, fallers, states, cities, ...)
+const DEFAULT_TOP = 10;
+
+// Short description of a row for the report
+function describeFirm(row) {
+  return {
+    name: row['Company Name'],
+    location: row['Location'] || '',
+    rankCurrent: typeof row.rankCurrent === 'number' ? row.rankCurrent : null,
+    rankPrevious: typeof row.rankPrevious === 'number' ? row.rankPrevious : null
+  };
+}
+
+// Whether a list prints a prior-year rank column at all (without one nobody is "new")
+function hasPriorRanks(list) {
+  return (list.headers || []).some(column => column.key === 'rankPrevious');
+}
+
+// Counts items by key(item), dropping empty keys; returns [{ ...fields(item), count }], largest first
+// (ties alphabetically by key)
+function countBy(items, key, fields) {
+  const counts = new Map();
+  items.forEach(item => {
+    const value = key(item);
+    if (!value) return;
+    if (!counts.has(value)) {
+      counts.set(value, { key: value, entry: { ...fields(item), count: 0 } });
+    }
+    counts.get(value).entry.count++;
+  });
+  return Array.from(counts.values())
+    .sort((a, b) => b.entry.count - a.entry.count || a.key.localeCompare(b.key))
+    .map(({ entry }) => entry);
+}
+
+// Firm counts by state, city and country for a set of rows (one row per firm)
+function geography(rows) {
+  return {
+    states: countBy(rows, row => row.state, row => ({ state: row.state })),
+    cities: countBy(rows, row => row.city && `${row.city}|${row.state || row.country || ''}`, row => ({
+      city: row.city,
+      state: row.state || null,
+      country: row.country || null
+    })),
+    countries: countBy(rows, row => row.country, row => ({ country: row.country })),
+    unlocated: rows.filter(row => !row.state && !row.country).length
+  };
+}
+
+// Analyses one saved list: rank movers (prior rank vs. current rank), new entrants and where its firms are
+// Risers moved up the most places, fallers down the most; new entrants have no prior rank ("**" or blank)
+// options.top limits the risers and fallers (default 10); every new entrant is kept
+function analyzeList(list, options = {}) {
+  const top = options.top || DEFAULT_TOP;
+  const slug = slugFromUrl(list.url) || options.filename || '';
+  const rows = list.data || [];
+
+  const moves = rows
+    .filter(row => typeof row.rankCurrent === 'number' && typeof row.rankPrevious === 'number')
+    .map(row => ({ ...describeFirm(row), change: row.rankPrevious - row.rankCurrent }));
+
+  const newEntrants = hasPriorRanks(list)
+    ? rows
+      .filter(row => row['Company Name'] && typeof row.rankPrevious !== 'number')
+      .map(row => ({ ...describeFirm(row), marker: row.footnotes && row.footnotes.rankPrevious ? row.footnotes.rankPrevious.join(' ') : null }))
+      .sort((a, b) => (a.rankCurrent || Infinity) - (b.rankCurrent || Infinity))
+    : [];
+
+  const completeness = list.completeness || assessCompleteness(list);
+
+  return {
+    slug,
+    listName: list.listName,
+    year: (list.rankYears && list.rankYears.current) || listYear(slug),
+    rankYears: list.rankYears || null,
+    rowCount: rows.length,
+    completeness: { status: completeness.status, complete: completeness.complete, reason: completeness.reason },
+    hasPriorRanks: hasPriorRanks(list),
+    risers: moves.filter(move => move.change > 0).sort((a, b) => b.change - a.change || a.rankCurrent - b.rankCurrent).slice(0, top),
+    fallers: moves.filter(move => move.change < 0).sort((a, b) => a.change - b.change || a.rankCurrent - b.rankCurrent).slice(0, top),
+    unchanged: moves.filter(move => move.change === 0).length,
+    newEntrants,
+    geography: geography(rows)
+  };
+}
+
+// Builds the whole report over a loaded dataset ([{ filename, list }], see loadDataset)
+// Per list: analyzeList; across lists: the biggest moves on any list, every new entrant, distinct firms by
+// state / city / country (firms matched as in firms.json, with options.overrides) and the firms on several lists
+// options.top limits each ranking (default 10)
+function buildAnalytics(dataset, options = {}) {
+  const top = options.top || DEFAULT_TOP;
+  const overrides = options.overrides || { merge: [], split: [] };
+  const lists = dataset.map(({ filename, list }) => analyzeList(list, { top: Infinity, filename: filename.replace(/\.json$/, '') }));
+
+  // Every move across lists, tagged with its list; each list then keeps only its own top ones
+  const tagged = key => lists.flatMap(list => list[key].map(move => ({ ...move, list: list.slug, listName: list.listName })));
+  const risers = tagged('risers').sort((a, b) => b.change - a.change).slice(0, top);
+  const fallers = tagged('fallers').sort((a, b) => a.change - b.change).slice(0, top);
+  const newEntrants = tagged('newEntrants');
+  lists.forEach(list => {
+    list.risers = list.risers.slice(0, top);
+    list.fallers = list.fallers.slice(0, top);
+  });
+
+  // One row per firm across lists, so a firm on five lists counts once for its state
+  const resolve = createResolver(overrides, dataset);
+  const firms = new Map();
+  dataset.forEach(({ list }) => (list.data || []).forEach(row => {
+    if (!row['Company Name']) return;
+    const id = resolve(row['Company Name'], row['Location'] || '');
+    if (!firms.has(id) || (!firms.get(id).state && row.state)) {
+      firms.set(id, row);
+    }
+  }));
+
+  const profiles = buildFirmProfiles(dataset, { overrides });
+  const multiListFirms = profiles
+    .filter(profile => profile.listCount > 1)
+    .map(profile => ({
+      id: profile.id,
+      name: profile.name,
+      location: profile.location,
+      listCount: profile.listCount,
+      lists: profile.appearances.map(appearance => ({
+        list: appearance.file.replace(/\.json$/, ''),
+        listName: appearance.listName,
+        rankCurrent: appearance.rankCurrent
+      }))
+    }));
+
+  return {
+    generatedAt: new Date().toISOString(),
+    top,
+    totals: {
+      lists: lists.length,
+      rows: lists.reduce((sum, list) => sum + list.rowCount, 0),
+      firms: firms.size,
+      multiListFirms: multiListFirms.length,
+      newEntrants: newEntrants.length,
+      incompleteLists: lists.filter(list => !list.completeness.complete).length
+    },
+    acrossLists: {
+      risers,
+      fallers,
+      newEntrants,
+      geography: geography(Array.from(firms.values())),
+      multiListFirms
+    },
+    lists
+  };
+}
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Horizontal bar chart as inline SVG; items are [{ label, value }], negative values are drawn to the left
+function barChart(items, options = {}) {
+  if (items.length === 0) {
+    return '<p class="empty">Nothing to chart</p>';
+  }
+  const width = 640;
+  const labelWidth = 220;
+  const barHeight = 20;
+  const max = Math.max(...items.map(item => Math.abs(item.value)), 1);
+  const diverging = items.some(item => item.value < 0);
+  const origin = diverging ? labelWidth + (width - labelWidth) / 2 : labelWidth;
+  const scale = (diverging ? (width - labelWidth) / 2 - 40 : width - labelWidth - 50) / max;
+
+  const bars = items.map((item, i) => {
+    const y = i * (barHeight + 6);
+    const length = Math.abs(item.value) * scale;
+    const x = item.value < 0 ? origin - length : origin;
+    const color = item.value < 0 ? '#c0392b' : options.color || '#2e86c1';
+    const valueX = item.value < 0 ? x - 4 : x + length + 4;
+    return `<g>
+      <text x="${labelWidth - 8}" y="${y + 14}" text-anchor="end">${escapeHtml(item.label)}</text>
+      <rect x="${x.toFixed(1)}" y="${y}" width="${Math.max(length, 1).toFixed(1)}" height="${barHeight}" fill="${color}"><title>${escapeHtml(item.label)}: ${item.value}</title></rect>
+      <text x="${valueX.toFixed(1)}" y="${y + 14}" text-anchor="${item.value < 0 ? 'end' : 'start'}">${item.value > 0 && diverging ? '+' : ''}${item.value}</text>
+    </g>`;
+  }).join('\n');
+
+  const height = items.length * (barHeight + 6);
+  return `<svg class="chart" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="${escapeHtml(options.title || 'chart')}">
+    ${bars}
+  </svg>`;
+}
+
+// HTML table; columns are [[heading, item => cell text]]
+function htmlTable(items, columns) {
+  if (items.length === 0) {
+    return '<p class="empty">None</p>';
+  }
+  const head = columns.map(([heading]) => `<th>${escapeHtml(heading)}</th>`).join('');
+  const body = items.map(item => `<tr>${columns.map(([, cell]) => `<td>${escapeHtml(cell(item))}</td>`).join('')}</tr>`).join('\n');
+  return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+const rank = value => (value == null ? '—' : `#${value}`);
+const firmLabel = firm => (firm.location ? `${firm.name}, ${firm.location}` : firm.name);
+const cityLabel = city => [city.city, city.state || city.country].filter(Boolean).join(', ');
+
+// Movers as one diverging chart: risers up, fallers down
+function moversChart(risers, fallers, withList) {
+  const label = move => (withList ? `${move.name} (${move.listName})` : move.name);
+  return barChart([
+    ...risers.map(move => ({ label: label(move), value: move.change })),
+    ...fallers.map(move => ({ label: label(move), value: move.change }))
+  ], { title: 'Rank changes' });
+}
+
+function moversTable(moves, withList) {
+  return htmlTable(moves, [
+    ['Firm', firmLabel],
+    ...(withList ? [['List', move => move.listName]] : []),
+    ['Rank', move => rank(move.rankCurrent)],
+    ['Prior rank', move => rank(move.rankPrevious)],
+    ['Change', move => `${move.change > 0 ? '+' : ''}${move.change}`]
+  ]);
+}
+
+function geographySection(geo, top, noun) {
+  return `<div class="columns">
+    <div><h4>${noun} by state</h4>
+      ${barChart(geo.states.slice(0, top).map(entry => ({ label: entry.state, value: entry.count })), { title: `${noun} by state` })}
+      ${htmlTable(geo.states.slice(0, top), [['State', entry => entry.state], [noun, entry => entry.count]])}
+    </div>
+    <div><h4>${noun} by city</h4>
+      ${htmlTable(geo.cities.slice(0, top), [['City', cityLabel], [noun, entry => entry.count]])}
+      <h4>${noun} by country</h4>
+      ${htmlTable(geo.countries.slice(0, top), [['Country', entry => entry.country], [noun, entry => entry.count]])}
+    </div>
+  </div>`;
+}
+
+// Renders the report as one self-contained HTML page (inline CSS and SVG charts, no scripts or external files)
+function renderAnalyticsHtml(report) {
+  const { totals, acrossLists, top } = report;
+
+  const listSections = report.lists.map(list => `<details id="${escapeHtml(list.slug)}">
+  <summary>${escapeHtml(list.listName)} <span class="muted">${list.rowCount} rows, ${escapeHtml(list.completeness.reason)}</span></summary>
+  ${list.completeness.complete ? '' : `<p class="note">Not the whole ranking (${escapeHtml(list.completeness.status)}): movers, entrants and counts only cover the rows crawled.</p>`}
+  <h4>Risers and fallers</h4>
+  ${list.hasPriorRanks ? moversChart(list.risers, list.fallers, false) + moversTable([...list.risers, ...list.fallers], false) : '<p class="empty">This list has no prior-year rank column</p>'}
+  <h4>New entrants (${list.newEntrants.length})</h4>
+  ${htmlTable(list.newEntrants, [['Rank', firm => rank(firm.rankCurrent)], ['Firm', firmLabel], ['Prior rank', firm => firm.marker || '—']])}
+  ${geographySection(list.geography, top, 'Firms')}
+</details>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>ENR toplists report</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Roboto, Arial, sans-serif; margin: 2rem auto; max-width: 1100px; color: #222; padding: 0 1rem; }
+  h1 { margin-bottom: 0.2rem; }
+  h2 { border-bottom: 2px solid #2e86c1; padding-bottom: 0.3rem; margin-top: 2.5rem; }
+  table { border-collapse: collapse; margin: 0.5rem 0 1rem; font-size: 0.9rem; }
+  th, td { border: 1px solid #ddd; padding: 0.3rem 0.6rem; text-align: left; }
+  th { background: #f3f6f9; }
+  .muted, .empty { color: #777; }
+  .note { background: #fff8e1; border-left: 4px solid #f1c40f; padding: 0.4rem 0.8rem; }
+  .totals { display: flex; flex-wrap: wrap; gap: 1rem; margin: 1rem 0; }
+  .totals div { background: #f3f6f9; padding: 0.6rem 1rem; border-radius: 4px; }
+  .totals strong { display: block; font-size: 1.4rem; }
+  .columns { display: flex; flex-wrap: wrap; gap: 2rem; }
+  .chart { max-width: 100%; height: auto; font-size: 12px; }
+  details { border: 1px solid #ddd; border-radius: 4px; padding: 0.5rem 1rem; margin: 0.5rem 0; }
+  summary { cursor: pointer; font-weight: 600; }
+</style>
+</head>
+<body>
+<h1>ENR toplists report</h1>
+<p class="muted">Generated ${escapeHtml(report.generatedAt)}</p>
+<div class="totals">
+  <div><strong>${totals.lists}</strong>lists</div>
+  <div><strong>${totals.rows}</strong>rows</div>
+  <div><strong>${totals.firms}</strong>distinct firms</div>
+  <div><strong>${totals.multiListFirms}</strong>firms on several lists</div>
+  <div><strong>${totals.newEntrants}</strong>new entrants</div>
+  <div><strong>${totals.incompleteLists}</strong>incomplete lists</div>
+</div>
+
+<h2>Across all lists</h2>
+<h3>Biggest risers and fallers</h3>
+${moversChart(acrossLists.risers, acrossLists.fallers, true)}
+${moversTable([...acrossLists.risers, ...acrossLists.fallers], true)}
+
+<h3>New entrants (${acrossLists.newEntrants.length})</h3>
+${htmlTable(acrossLists.newEntrants, [['List', firm => firm.listName], ['Rank', firm => rank(firm.rankCurrent)], ['Firm', firmLabel]])}
+
+<h3>Where the firms are</h3>
+<p class="muted">Each firm counts once, however many lists it is on.</p>
+${geographySection(acrossLists.geography, top, 'Firms')}
+
+<h3>Firms on several lists (${acrossLists.multiListFirms.length})</h3>
+${barChart(acrossLists.multiListFirms.slice(0, top).map(firm => ({ label: firm.name, value: firm.listCount })), { title: 'Lists per firm', color: '#27ae60' })}
+${htmlTable(acrossLists.multiListFirms, [
+    ['Firm', firmLabel],
+    ['Lists', firm => firm.listCount],
+    ['Ranks', firm => firm.lists.map(entry => `${entry.listName} ${rank(entry.rankCurrent)}`).join('; ')]
+  ])}
+
+<h2>By list</h2>
+${htmlTable(report.lists, [
+    ['List', list => list.listName],
+    ['Rows', list => list.rowCount],
+    ['Completeness', list => list.completeness.status],
+    ['Risers', list => list.risers.length],
+    ['Fallers', list => list.fallers.length],
+    ['New entrants', list => list.newEntrants.length]
+  ])}
+${listSections}
+</body>
+</html>
+`;
+}
+
+// Builds the report for a crawled output folder and writes analytics.json and analytics.html to options.reportsDir
+// options.top limits each ranking; options.overridesPath holds the firm merge/split rules (see firms.js)
+// Returns { report, jsonPath, htmlPath }
+function writeAnalyticsReport(outputDir = './enr-data', options = {}) {
+  const report = buildAnalytics(loadDataset(outputDir), {
+    top: options.top,
+    overrides: loadOverrides(options.overridesPath)
+  });
+
+  const reportsDir = options.reportsDir || DEFAULT_REPORTS_DIR;
+  fs.mkdirSync(reportsDir, { recursive: true });
+  const jsonPath = path.join(reportsDir, 'analytics.json');
+  const htmlPath = path.join(reportsDir, 'analytics.html');
+  fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+  fs.writeFileSync(htmlPath, renderAnalyticsHtml(report));
+
+  return { report, jsonPath, htmlPath };
+}
+
+module.exports = {
+  DEFAULT_REPORTS_DIR,
+  analyzeList,
+  buildAnalytics,
+  renderAnalyticsHtml,
+  writeAnalyticsReport
+};
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+const { listKey } = require('../utils/lists');
+const { migrateListFile } = require('./migrate');
+
+const DEFAULT_ARCHIVE_DIR = './enr-archive';
+const CURRENT = 'current';
+
+// Formats the archive folder name for a crawl date ("2025-12-15")
+function archiveDate(date = new Date()) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+// Copies a finished crawl (every list file plus summary.json) into enr-archive/<YYYY-MM-DD>/
+// A second crawl on the same day replaces that day's snapshot; returns the archive folder
+function archiveCrawl(outputDir = './enr-data', archiveDir = DEFAULT_ARCHIVE_DIR, date = new Date()) {
+  const target = path.join(archiveDir, archiveDate(date));
+
+  if (fs.existsSync(target)) {
+    fs.rmSync(target, { recursive: true, force: true });
+  }
+  fs.mkdirSync(target, { recursive: true });
+
+  fs.readdirSync(outputDir)
+    .filter(file => file.endsWith('.json') && !file.startsWith('.'))
+    .forEach(file => {
+      fs.copyFileSync(path.join(outputDir, file), path.join(target, file));
+    });
+
+  return target;
+}
+
+// Lists the archived crawl dates, oldest first
+function listArchives(archiveDir = DEFAULT_ARCHIVE_DIR) {
+  if (!fs.existsSync(archiveDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(archiveDir)
+    .filter(name => /^\d{4}-\d{2}-\d{2}$/.test(name))
+    .filter(name => fs.statSync(path.join(archiveDir, name)).isDirectory())
+    .sort();
+}
+
+// Resolves a crawl reference to its folder: a date in the archive, or "current" for the live output
+function crawlDir(crawl, options = {}) {
+  if (crawl === CURRENT) {
+    return options.outputDir || './enr-data';
+  }
+  return path.join(options.archiveDir || DEFAULT_ARCHIVE_DIR, crawl);
+}
+
+// Finds the saved file of a list in one crawl, matching on the year-agnostic list key
+// Returns { crawl, file, list } or null when that crawl does not have the list
+// Archives from before schema versioning are upgraded in memory, so old crawls still compare with new ones
+function loadCrawledList(crawl, list, options = {}) {
+  const dir = crawlDir(crawl, options);
+  if (!fs.existsSync(dir)) {
+    return null;
+  }
+
+  const wanted = listKey(list);
+  const file = fs.readdirSync(dir)
+    .filter(name => name.endsWith('.json') && name !== 'summary.json' && !name.startsWith('.'))
+    .find(name => listKey(name) === wanted);
+
+  if (!file) {
+    return null;
+  }
+
+  return {
+    crawl,
+    file: path.join(dir, file),
+    list: migrateListFile(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')), file)
+  };
+}
+
+// Picks the two crawls to compare for a list
+// Defaults: "to" is the latest archive holding the list, "from" the archive before it that holds it
+function resolveCrawlPair(list, options = {}) {
+  const holding = listArchives(options.archiveDir).filter(date => loadCrawledList(date, list, options));
+
+  const to = options.to || holding[holding.length - 1];
+  if (!to) {
+    throw new Error(`No archived crawl contains list: ${list}`);
+  }
+
+  const from = options.from || holding.filter(date => to === CURRENT || date < to).pop();
+  if (!from || from === to) {
+    throw new Error(`Need two crawls of ${list} to compare (found: ${holding.join(', ') || 'none'})`);
+  }
+
+  return { from, to };
+}
+
+module.exports = {
+  DEFAULT_ARCHIVE_DIR,
+  CURRENT,
+  archiveDate,
+  archiveCrawl,
+  listArchives,
+  loadCrawledList,
+  resolveCrawlPair
+};
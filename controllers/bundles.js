@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+
+// Browser console lines kept per page for the bundles
+const CONSOLE_LIMIT = 200;
+
+// Debug bundles for one run, under <debugDir>/<run timestamp>/ (created on the first write)
+// writeBundle(page, name, info) saves <runDir>/<name>/ with page.html, screenshot.png (browser pages),
+// headers.json (info.tables), console.log (the browser console and info.log lines) and info.json (the rest of info)
+// writeReport(fileName, data) saves a JSON report next to the bundles; written lists the bundle folders
+function createDebugBundles(debugDir, options = {}) {
+  const runDir = path.join(debugDir, new Date().toISOString().replace(/[:.]/g, '-'));
+  const consoleLines = new WeakMap();
+  const written = [];
+
+  return {
+    runDir,
+    written,
+
+    // Starts keeping the browser console of a page (pages without events, like the http fetcher's, have none)
+    watchConsole(page) {
+      if (typeof page.on !== 'function' || consoleLines.has(page)) {
+        return;
+      }
+      const lines = [];
+      const keep = line => {
+        lines.push(`${new Date().toISOString()} ${line}`);
+        if (lines.length > CONSOLE_LIMIT) lines.shift();
+      };
+      consoleLines.set(page, lines);
+      page.on('console', message => keep(`[browser ${message.type()}] ${message.text()}`));
+      page.on('pageerror', error => keep(`[browser pageerror] ${error.message}`));
+    },
+
+    async writeBundle(page, name, info = {}) {
+      const dir = path.join(runDir, name);
+      fs.mkdirSync(dir, { recursive: true });
+      const { tables = [], log = [], ...rest } = info;
+
+      try {
+        fs.writeFileSync(path.join(dir, 'page.html'), await page.content());
+      } catch (error) {
+        rest.htmlError = error.message;
+      }
+      try {
+        await page.screenshot({ path: path.join(dir, 'screenshot.png'), fullPage: true });
+      } catch (error) {
+        rest.screenshotError = error.message;
+      }
+
+      const browserLines = consoleLines.get(page) || [];
+      const crawlerLines = log.map(([level, message]) => `[${level}] ${String(message).replace(/^\s+/, '')}`);
+      fs.writeFileSync(path.join(dir, 'headers.json'), JSON.stringify(tables, null, 2));
+      fs.writeFileSync(path.join(dir, 'console.log'), [...browserLines, ...crawlerLines].join('\n') + '\n');
+      fs.writeFileSync(path.join(dir, 'info.json'), JSON.stringify({ savedAt: new Date().toISOString(), ...rest }, null, 2));
+
+      written.push(dir);
+      if (options.logger) {
+        options.logger.warn(`     🧰 Debug bundle saved: ${dir}`);
+      }
+      return dir;
+    },
+
+    writeReport(fileName, data) {
+      fs.mkdirSync(runDir, { recursive: true });
+      const reportPath = path.join(runDir, fileName);
+      fs.writeFileSync(reportPath, JSON.stringify(data, null, 2));
+      return reportPath;
+    }
+  };
+}
+
+module.exports = {
+  createDebugBundles
+};
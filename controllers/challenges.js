@@ -0,0 +1,247 @@
+const { DEFAULT_CONFIG } = require('../utils/config');
+const { createLogger } = require('../utils/logger');
+
+// Pages that stand between the crawler and a ranking table, with the wording used in logs and errors
+const CHALLENGE_LABELS = {
+  'rate-limit': 'rate limit',
+  cloudflare: 'Cloudflare challenge',
+  login: 'login wall',
+  paywall: 'paywall'
+};
+
+// Text and title patterns for each kind of page; login walls and paywalls only count when
+// the page has no ranking table (list pages carry a sign-in link and subscribe banners too)
+const RATE_LIMIT_PATTERNS = [/too many requests/, /you are being rate limited/, /rate limit exceeded/, /error 1015/];
+const CLOUDFLARE_TITLE_PATTERNS = [/just a moment/, /attention required/, /security check/];
+const CLOUDFLARE_PATTERNS = [
+  /verify you are human/,
+  /checking your browser/,
+  /checking if the site connection is secure/,
+  /enable javascript and cookies to continue/
+];
+const LOGIN_PATTERNS = [/(sign|log) ?in to (continue|view|access|read)/, /please (sign|log) ?in/, /login required/];
+const PAYWALL_PATTERNS = [
+  /subscribe (now )?to (continue|read|view|access)/,
+  /(available|exclusive) (only )?to subscribers/,
+  /subscribers only/,
+  /already a subscriber\?/
+];
+
+// What the detector assumes of a page when no source adapter is given: every table may hold the ranking
+const PLAIN_SOURCE = {
+  tables: { selector: 'table', ignore: null },
+  challenges: { rules: [] }
+};
+
+// Reads what the detector needs from the current document: title, visible text (scripts and styles
+// removed), a few telltale elements and whether a ranking table is present
+// source (see controllers/sources.js) says which tables can hold a ranking and adds the selectors of its own rules
+async function readChallengeSignals(page, source = PLAIN_SOURCE) {
+  const ruleSelectors = source.challenges.rules.map(rule => rule.selector);
+
+  return page.evaluate((tableRules, selectors) => {
+    const body = document.body;
+    let text = '';
+    if (body) {
+      const clone = body.cloneNode(true);
+      clone.querySelectorAll('script, style, noscript, template').forEach(element => element.remove());
+      text = clone.textContent.replace(/\s+/g, ' ').trim().slice(0, 5000);
+    }
+
+    const has = selector => document.querySelector(selector) !== null;
+    const tables = Array.from(document.querySelectorAll(tableRules.selector)).filter(
+      table => !tableRules.ignore || !table.matches(tableRules.ignore)
+    );
+
+    return {
+      title: document.title || '',
+      text,
+      challengeForm: has('#challenge-form, #challenge-body, #cf-challenge-running, .cf-turnstile'),
+      captcha: has('[name="cf_captcha_kind"], [name="cf-turnstile-response"]'),
+      rayId: has('.ray_id, .ray-id, [data-translate="ray_id"]'),
+      password: has('input[type="password"]'),
+      paywall: has('#paywall, .paywall, [class*="paywall"], .tp-modal, .piano-offer'),
+      hasTable: tables.some(table => table.querySelector('tbody tr td') !== null),
+      ruleMatches: selectors.map(selector => Boolean(selector) && has(selector))
+    };
+  }, source.tables, ruleSelectors);
+}
+
+// The first of a source's own challenge rules that the page matches, as { type, reason }
+// A rule matches when its title, text and selector (whichever it sets) all do; withoutTable rules
+// only count on pages without a ranking table
+function matchSourceRules(signals, rules) {
+  const title = String(signals.title || '');
+  const text = String(signals.text || '');
+  const test = (pattern, value) => {
+    const found = value.match(new RegExp(pattern.source, pattern.flags));
+    return found ? found[0] : null;
+  };
+
+  for (const [i, rule] of rules.entries()) {
+    if (rule.withoutTable && signals.hasTable) continue;
+
+    const titleMatch = rule.title ? test(rule.title, title) : true;
+    const textMatch = rule.text ? test(rule.text, text) : true;
+    const selectorMatch = rule.selector ? (signals.ruleMatches || [])[i] : true;
+    if (titleMatch && textMatch && selectorMatch) {
+      const reason = rule.reason
+        || (rule.text ? textMatch : rule.title ? titleMatch : `${rule.selector} on the page`);
+      return { type: rule.type, reason };
+    }
+  }
+  return null;
+}
+
+// Decides which kind of challenge (if any) a page shows from its signals
+// rules are a source adapter's own (see matchSourceRules), checked before the built-in ones
+// Returns { type, reason } or null when the page looks like normal content
+function classifyChallenge(signals, rules = []) {
+  const sourceMatch = matchSourceRules(signals, rules);
+  if (sourceMatch) {
+    return sourceMatch;
+  }
+
+  const title = String(signals.title || '').toLowerCase();
+  const text = String(signals.text || '').toLowerCase();
+  const match = (patterns, value) => {
+    const found = patterns.find(pattern => pattern.test(value));
+    return found ? value.match(found)[0] : null;
+  };
+
+  const rateLimited = match(RATE_LIMIT_PATTERNS, title) || match(RATE_LIMIT_PATTERNS, text) || (/\b429\b/.test(title) && '429');
+  if (rateLimited) {
+    return { type: 'rate-limit', reason: rateLimited };
+  }
+
+  const cloudflare = match(CLOUDFLARE_TITLE_PATTERNS, title) || match(CLOUDFLARE_PATTERNS, text)
+    || (signals.challengeForm && 'challenge form')
+    || (signals.captcha && 'captcha')
+    || (signals.rayId && !signals.hasTable && 'Cloudflare ray ID');
+  if (cloudflare) {
+    return { type: 'cloudflare', reason: cloudflare };
+  }
+
+  if (signals.hasTable) {
+    return null;
+  }
+
+  const login = match(LOGIN_PATTERNS, text) || (signals.password && 'password field');
+  if (login) {
+    return { type: 'login', reason: login };
+  }
+
+  const paywall = match(PAYWALL_PATTERNS, text) || (signals.paywall && 'paywall element');
+  if (paywall) {
+    return { type: 'paywall', reason: paywall };
+  }
+
+  return null;
+}
+
+// Checks the current page for a Cloudflare challenge, login wall, paywall or rate-limit page
+// source is the adapter of the site being crawled (its table rules and challenge rules)
+// Returns { type, reason } or null
+async function detectChallenge(page, source = PLAIN_SOURCE) {
+  return classifyChallenge(await readChallengeSignals(page, source), source.challenges.rules);
+}
+
+// Builds the error for a page that stayed behind a challenge (code CHALLENGE, challengeType set)
+function challengeError(challenge, url) {
+  const error = new Error(`Failed to pass ${CHALLENGE_LABELS[challenge.type]} at ${url} (${challenge.reason})`);
+  error.code = 'CHALLENGE';
+  error.challengeType = challenge.type;
+  return error;
+}
+
+// Looks for a challenge on the current page and, when a person can act on it, pauses until it is gone
+// A notification (options.notifier) tells someone to solve it; the wait ends after timeouts.challenge ms
+// Rate-limit pages are never waited on (the caller backs off and retries), and neither are challenges
+// on pages nobody can click through (snapshots, the plain-HTTP backend, a headless browser): those are only
+// reported, with no fallback to a visible browser
+// options.onSolved(challenge) runs once a person has cleared it (the crawler saves the session then)
+// options.logger receives the progress messages (default: the console); options.source is the site's adapter
+// Returns { passed, challenge } where challenge is what was detected (null for a normal page)
+async function waitForChallenge(page, options = {}) {
+  const { timeouts, delays } = options.config || DEFAULT_CONFIG;
+  const notifier = options.notifier || null;
+  const logger = options.logger || createLogger();
+  logger.debug('Checking for challenge pages...');
+
+  let challenge;
+  try {
+    await page.waitForSelector('body', { timeout: timeouts.selector }).catch(() => {});
+    challenge = await detectChallenge(page, options.source);
+  } catch (error) {
+    logger.error(`Error checking for challenge pages: ${error.message}`);
+    return { passed: false, challenge: { type: 'cloudflare', reason: `detector failed: ${error.message}` } };
+  }
+
+  if (!challenge) {
+    logger.debug('✅ No challenge detected');
+    return { passed: true, challenge: null };
+  }
+
+  const label = CHALLENGE_LABELS[challenge.type];
+  if (challenge.type === 'rate-limit') {
+    logger.warn(`🚦 The site is rate limiting us (${challenge.reason})`);
+    return { passed: false, challenge };
+  }
+
+  if (page.interactive === false) {
+    logger.warn(page.offline
+      ? `⚠️  Snapshot contains a ${label} page`
+      : `⚠️  ${label} received (${challenge.reason}); nobody can solve it here, re-run with the puppeteer backend and --headless false`);
+    return { passed: false, challenge };
+  }
+
+  const waitLabel = timeouts.challenge > 0 ? `up to ${Math.round(timeouts.challenge / 1000)}s` : 'as long as it takes';
+  logger.warn(`🔒 ${label} detected! (${challenge.reason})`);
+  logger.warn(`⏳ Please complete it in the browser window; waiting ${waitLabel}...`);
+  logger.warn('   (The script will automatically continue once it is gone)');
+
+  if (notifier) {
+    await notifier.notify({
+      event: 'challenge',
+      type: challenge.type,
+      reason: challenge.reason,
+      url: page.url(),
+      timeoutMs: timeouts.challenge,
+      message: `${options.source ? options.source.label : 'ENR'} crawler paused: ${label} on ${page.url()}. Solve it in the browser window within ${waitLabel}.`
+    });
+  }
+
+  // timeouts.challenge = 0 waits until the challenge is solved, however long that takes
+  const started = Date.now();
+  let polls = 0;
+  while (timeouts.challenge === 0 || Date.now() - started < timeouts.challenge) {
+    await new Promise(resolve => setTimeout(resolve, delays.challengePoll));
+
+    // A navigation mid-check (the challenge redirecting) means it is still in progress
+    const still = await detectChallenge(page, options.source).catch(() => challenge);
+    if (!still) {
+      logger.info('✅ Challenge completed! Continuing...');
+      await new Promise(resolve => setTimeout(resolve, delays.challengePoll));
+      if (options.onSolved) {
+        await options.onSolved(challenge);
+      }
+      return { passed: true, challenge };
+    }
+
+    polls++;
+    if (polls % 5 === 0) {
+      logger.info(`⏳ Still waiting... (${Math.round((Date.now() - started) / 1000)}s elapsed)`);
+    }
+  }
+
+  logger.warn(`⚠️  Timeout waiting for the ${label} to be solved`);
+  return { passed: false, challenge };
+}
+
+module.exports = {
+  CHALLENGE_LABELS,
+  classifyChallenge,
+  detectChallenge,
+  challengeError,
+  waitForChallenge
+};
@@ -1,93 +1,96 @@
-const puppeteer = require('puppeteer-core');
 const fs = require('fs');
+const path = require('path');
+const { mergeColumns } = require('../utils/columns');
+const { slugFromUrl, resolveListMetadata } = require('../utils/lists');
+const { tableToRows } = require('../utils/tables');
+const { DEFAULT_CONFIG } = require('../utils/config');
+const { createLogger, teeLogger } = require('../utils/logger');
+const { writeJsonAtomic } = require('../utils/files');
+const { normalizeUrl, saveSnapshot, loadManifest, createSnapshotPage } = require('./snapshots');
+const { journalPath, openJournal } = require('./journal');
+const { archiveCrawl } = require('./archive');
+const { createFetcher, createBrowserFetcher, createPageFetcher } = require('./fetchers');
+const { validateResult, printQualityReport } = require('./quality');
+const { createCrawlLimiter, withRetry, failureReason, runPool } = require('./scheduler');
+const { waitForChallenge, challengeError } = require('./challenges');
+const { createNotifier } = require('./notifiers');
+const { checkSession } = require('./sessions');
+const { resolveSource, siteFor } = require('./sources');
+const { createLayoutRecorder, loadLayout, saveLayout, expectedPageRows, compareLayouts } = require('./layout');
+const { createDebugBundles } = require('./bundles');
+const { loadFirmCache, saveFirmCache, enrichFirms } = require('./enrich');
+const { writeFirmProfiles } = require('./firms');
+const { loadDataset } = require('./dataset');
+const {
+  SCHEMA_VERSION,
+  CRAWLER_VERSION,
+  fileSchemaVersion,
+  listFileName,
+  contentHash,
+  listFileData,
+  summaryEntry,
+  summaryFileData,
+  assertValidOutput
+} = require('./output');
 
-// Detects if Cloudflare security challenge is present on the page
-// Waits up to 2 minutes for user to manually complete the challenge before continuing
-async function waitForCloudflareChallenge(page) {
-  console.log('Checking for Cloudflare challenge...');
-  
-  try {
-    await page.waitForSelector('body', { timeout: 5000 }).catch(() => {});
-    
-    const isChallenge = await page.evaluate(() => {
-      if (!document.body) return false;
-      
-      const title = document.title ? document.title.toLowerCase() : '';
-      const bodyText = document.body.innerText ? document.body.innerText.toLowerCase() : '';
-      
-      return title.includes('just a moment') || 
-             title.includes('verify') ||
-             bodyText.includes('verify you are human') ||
-             bodyText.includes('checking your browser') ||
-             document.querySelector('#challenge-form') !== null ||
-             document.querySelector('.ray_id') !== null ||
-             document.querySelector('[name="cf_captcha_kind"]') !== null;
-    });
-    
-    if (isChallenge) {
-      console.log('🔒 Cloudflare challenge detected!');
-      console.log('⏳ Please complete the verification in the browser window...');
-      console.log('   (The script will automatically continue once verification is complete)');
-      
-      let attempts = 0;
-      const maxAttempts = 60;
-      
-      while (attempts < maxAttempts) {
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        
-        const stillOnChallenge = await page.evaluate(() => {
-          if (!document.body) return true;
-          
-          const title = document.title ? document.title.toLowerCase() : '';
-          const bodyText = document.body.innerText ? document.body.innerText.toLowerCase() : '';
-          
-          return title.includes('just a moment') || 
-                 title.includes('verify') ||
-                 bodyText.includes('verify you are human') ||
-                 bodyText.includes('checking your browser');
-        }).catch(() => true);
-        
-        if (!stillOnChallenge) {
-          console.log('✅ Challenge completed! Continuing...');
-          await new Promise(resolve => setTimeout(resolve, 2000));
-          return true;
-        }
-        
-        attempts++;
-        if (attempts % 5 === 0) {
-          console.log(`⏳ Still waiting... (${attempts * 2}s elapsed)`);
-        }
-      }
-      
-      console.log('⚠️  Timeout waiting for challenge completion');
-      return false;
-    }
-    
-    console.log('✅ No Cloudflare challenge detected');
-    return true;
-  } catch (error) {
-    console.error('Error checking for Cloudflare challenge:', error);
-    return false;
+// Folder in the output directory where a run's changed list files wait until its summary.json is saved
+const STAGING_DIR = '.staging';
+
+// The logger a crawl step writes to: options.logger, or the console at config.log.level
+function crawlLogger(options = {}) {
+  return options.logger || createLogger({ level: (options.config || DEFAULT_CONFIG).log.level });
+}
+
+// The source adapter a crawl step works with: options.source, or the one config.source names (see controllers/sources.js)
+function crawlSource(options = {}) {
+  return resolveSource(options, options.config || DEFAULT_CONFIG);
+}
+
+// Emits a crawl event on options.events (an EventEmitter); "error" events are skipped when nobody
+// listens, because an EventEmitter throws an unheard "error"
+function emitEvent(options, name, payload) {
+  const { events } = options;
+  if (!events || (name === 'error' && events.listenerCount('error') === 0)) {
+    return;
   }
+  events.emit(name, payload);
 }
 
-// Searches for pagination table on the page and extracts all pagination links
+// Sleeps between navigations to be nice to the server
+// Offline pages (saved snapshots) never need to wait
+function pause(page, ms) {
+  if (page.offline) {
+    return Promise.resolve();
+  }
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Searches for the source's pagination block on the page and extracts all pagination links
 // Returns array of links to additional pages (e.g., 101-200, 201-300, etc.)
-async function getPaginationLinks(page) {
-  console.log('  🔍 Checking for pagination...');
+// Links back to the current page ("First", "1-100") and repeated links are dropped so no page is crawled twice
+// options.source is the site's adapter (its pagination selector and link pattern)
+async function getPaginationLinks(page, options = {}) {
+  const logger = crawlLogger(options);
+  const { pagination } = crawlSource(options);
+  logger.debug('  🔍 Checking for pagination...');
+  
+  if (!pagination.selector) {
+    return [];
+  }
   
-  const paginationLinks = await page.evaluate(() => {
-    const paginationTable = document.querySelector('table#paginationTable');
+  const rawLinks = await page.evaluate(rules => {
+    const paginationTable = document.querySelector(rules.selector);
     
     if (!paginationTable) {
       return [];
     }
     
+    const hrefPattern = rules.hrefPattern ? new RegExp(rules.hrefPattern.source, rules.hrefPattern.flags) : null;
     const links = [];
     const anchors = paginationTable.querySelectorAll('a[href]');
     
     anchors.forEach(a => {
-      if (a.href && a.href.includes('toplists')) {
+      if (a.href && (!hrefPattern || hrefPattern.test(a.href))) {
         links.push({
           href: a.href,
           text: a.textContent.trim()
@@ -96,166 +99,157 @@ async function getPaginationLinks(page) {
     });
     
     return links;
+  }, pagination);
+  
+  const seen = new Set([normalizeUrl(page.url())]);
+  const paginationLinks = rawLinks.filter(link => {
+    const href = normalizeUrl(link.href);
+    if (seen.has(href)) {
+      return false;
+    }
+    seen.add(href);
+    return true;
   });
   
   if (paginationLinks.length > 0) {
-    console.log(`  ✅ Found ${paginationLinks.length} pagination pages`);
+    logger.info(`  ✅ Found ${paginationLinks.length} pagination pages`);
   } else {
-    console.log('  ℹ️  No pagination found');
+    logger.debug('  ℹ️  No pagination found');
   }
   
   return paginationLinks;
 }
 
-// Extracts ranking data from all tables on the page, parsing company names and locations from FIRM column
-// Returns structured data with only RANK 2025, RANK 2024, Company Name, and Location fields
-async function extractTableData(page, url) {
-  console.log(`    📊 Extracting table data...`);
+// Extracts ranking data from all tables on the page, keeping every column of each table
+// Returns typed rows, the column definitions ({ key, label, type }) and the detected rank years
+// options.listUrl is the list's main URL, used to read the year from its slug on pagination pages
+// options.layout records the header labels of every table on the page, ranking or not (see controllers/layout.js)
+// options.source is the site's adapter: which tables to read and how their headers map to columns
+async function extractTableData(page, url, options = {}) {
+  const { timeouts } = options.config || DEFAULT_CONFIG;
+  const source = crawlSource(options);
+  const listUrl = options.listUrl || url;
+  const schema = options.schema || source.columns.schemaForList(listUrl);
+  const logger = crawlLogger(options);
+  
+  logger.debug('    📊 Extracting table data...');
   
   try {
     // Wait for any table to be present
-    await page.waitForSelector('table', { timeout: 10000 }).catch(() => {
-      console.log('    ⚠️  No tables found on this page');
+    await page.waitForSelector(source.tables.selector, { timeout: timeouts.selector }).catch(() => {
+      logger.warn('    ⚠️  No tables found on this page');
       return null;
     });
     
-    // Extract data from ALL tables on the page
-    const allTablesData = await page.evaluate(() => {
-      // Get all tables on the page, but skip pagination table
-      const tables = Array.from(document.querySelectorAll('table')).filter(
-        table => table.id !== 'paginationTable'
+    // Read raw header labels and cell texts from ALL tables on the page
+    const rawTables = await page.evaluate(tableRules => {
+      // Get all tables on the page, but skip the ones the source ignores (pagination, layout tables)
+      const tables = Array.from(document.querySelectorAll(tableRules.selector)).filter(
+        table => !tableRules.ignore || !table.matches(tableRules.ignore)
       );
       
-      const tablesResults = [];
-      
-      tables.forEach((table, tableIndex) => {
-        const rows = [];
-        const headers = [];
-        
-        // Get headers with better extraction
-        const headerCells = table.querySelectorAll('thead th');
-        headerCells.forEach(th => {
-          let headerText = th.textContent.trim();
-          
-          // Try to get from data-label attribute if text is malformed
-          const dataLabel = th.getAttribute('data-label');
-          if (dataLabel && dataLabel.trim()) {
-            headerText = dataLabel.trim();
-          }
-          
-          headers.push(headerText);
+      // Reads a cell's text with superscript footnote markers split out, and the absolute URL of its first
+      // web link (a firm's detail page in the FIRM column)
+      const readCell = cell => {
+        const clone = cell.cloneNode(true);
+        const notes = [];
+        clone.querySelectorAll('sup').forEach(sup => {
+          const note = sup.textContent.trim();
+          if (note) notes.push(note);
+          sup.remove();
         });
-        
-        // Skip if no headers found
-        if (headers.length === 0) {
-          return;
+        const link = Array.from(cell.querySelectorAll('a[href]')).find(a => /^https?:/.test(a.href));
+        return {
+          text: clone.textContent.replace(/\s+/g, ' ').trim(),
+          notes,
+          href: link ? link.href.replace(/#.*$/, '') : null
+        };
+      };
+      
+      // Prefer the data-label attribute when the visible header text is malformed
+      const readHeader = th => {
+        const dataLabel = th.getAttribute('data-label');
+        if (dataLabel && dataLabel.trim()) {
+          return dataLabel.trim();
         }
-        
-        // Find the indices of the columns we need with very flexible matching
-        let rank2025Index = -1;
-        let rank2024Index = -1;
-        let firmIndex = -1;
-        
-        headers.forEach((h, idx) => {
-          const normalized = h.toUpperCase().replace(/\s+/g, '');
-          
-          // Match any variation of RANK 2025
-          // Handles: "RANK 2025", "Rank 2025", "RANK RANK 2025", "RANK2025"
-          if (normalized.includes('2025') && normalized.includes('RANK')) {
-            rank2025Index = idx;
-          }
-          // Match any variation of RANK 2024/2023
-          // Handles: "RANK 2024", "Rank 2024", "RANK RANK 2024", "RANK2024", "RANK 2023"
-          else if ((normalized.includes('2024') || normalized.includes('2023')) && 
-                   normalized.includes('RANK')) {
-            if (rank2024Index === -1) { // Take first match only
-              rank2024Index = idx;
+        return readCell(th).text;
+      };
+      
+      return tables.map((table, tableIndex) => {
+        // Lay multi-row headers out on a grid so grouped headers ("RANK" over "2025" / "2024")
+        // produce one combined label per data column
+        const grid = [];
+        table.querySelectorAll('thead tr').forEach((tr, r) => {
+          grid[r] = grid[r] || [];
+          let c = 0;
+          Array.from(tr.children).forEach(th => {
+            while (grid[r][c] !== undefined) c++;
+            
+            const label = readHeader(th);
+            const colspan = parseInt(th.getAttribute('colspan'), 10) || 1;
+            const rowspan = parseInt(th.getAttribute('rowspan'), 10) || 1;
+            
+            for (let dr = 0; dr < rowspan; dr++) {
+              grid[r + dr] = grid[r + dr] || [];
+              for (let dc = 0; dc < colspan; dc++) {
+                grid[r + dr][c + dc] = label;
+              }
             }
-          }
-          // Match any variation of FIRM
-          // Handles: "FIRM", "Firm", "FIRMS", "Firms"
-           if (normalized === 'FIRM' || normalized === 'FIRMS') {
-            firmIndex = idx;
-          }
+            c += colspan;
+          });
         });
         
-        // Skip table if it doesn't have the required columns
-        if (firmIndex === -1) {
-          return;
+        const width = grid.reduce((max, row) => Math.max(max, row.length), 0);
+        const headers = [];
+        for (let c = 0; c < width; c++) {
+          const parts = [];
+          grid.forEach(row => {
+            const label = row[c];
+            if (label && parts[parts.length - 1] !== label) {
+              parts.push(label);
+            }
+          });
+          headers.push(parts.join(' '));
         }
         
-        // Get data rows
-        const dataRows = table.querySelectorAll('tbody tr');
-        dataRows.forEach(tr => {
-          const cells = tr.querySelectorAll('td');
-          
-          if (cells.length === 0) {
-            return; // Skip empty rows
-          }
-          
-          // Get the FIRM cell content
-          const firmCell = cells[firmIndex];
-          if (!firmCell) {
-            return;
-          }
-          
-          const firmText = firmCell.textContent.trim();
-          
-          // Parse company name and location from FIRM column
-          // Format: "Company Name, Location, State" or "Company Name, City, State"
-          let companyName = '';
-          let location = '';
-          
-          if (firmText.includes(',')) {
-            const parts = firmText.split(',').map(p => p.trim());
-            companyName = parts[0]; // Everything before first comma
-            
-            // Location is everything after first comma
-            if (parts.length > 1) {
-              location = parts.slice(1).join(', ');
-            }
-          } else {
-            // No comma found, treat entire text as company name
-            companyName = firmText;
-            location = '';
-          }
-          
-          // Build row data with only the columns we want
-          const rowData = {
-            'Company Name': companyName,
-            'Location': location
-          };
-          
-          // Add RANK 2025 if it exists
-          if (rank2025Index !== -1 && cells[rank2025Index]) {
-            rowData['RANK 2025'] = cells[rank2025Index].textContent.trim();
-          }
-          
-          // Add RANK 2024 if it exists
-          if (rank2024Index !== -1 && cells[rank2024Index]) {
-            rowData['RANK 2024'] = cells[rank2024Index].textContent.trim();
-          }
-          
-          rows.push(rowData);
+        const rows = [];
+        table.querySelectorAll('tbody tr').forEach(tr => {
+          rows.push(Array.from(tr.querySelectorAll('td')).map(readCell));
         });
         
-        // Only add table if it has data
-        if (rows.length > 0) {
-          tablesResults.push({
-            tableIndex: tableIndex,
-            headers: ['RANK 2025', 'RANK 2024', 'Company Name', 'Location'],
-            data: rows,
-            rowCount: rows.length
-          });
-        }
+        return { tableIndex, headers, rows };
       });
+    }, source.tables);
+    
+    // Keep only ranking tables (those with a FIRM column) that produced rows
+    const allTablesData = [];
+    const seenTables = [];
+    rawTables.forEach(table => {
+      if (table.headers.length === 0) {
+        seenTables.push({ headers: [], rows: table.rows.length, ranking: false });
+        return;
+      }
       
-      return tablesResults;
+      const rankYears = source.columns.detectRankYears(table.headers, listUrl);
+      const parsed = tableToRows(table, schema, rankYears, source);
+      seenTables.push({ headers: table.headers, rows: table.rows.length, ranking: Boolean(parsed && parsed.rows.length > 0) });
+      if (parsed && parsed.rows.length > 0) {
+        allTablesData.push({
+          tableIndex: table.tableIndex,
+          rankYears: parsed.rankYears,
+          headers: parsed.columns,
+          data: parsed.rows,
+          rowCount: parsed.rows.length
+        });
+      }
     });
+    if (options.layout) {
+      options.layout.recordTables(url, seenTables);
+    }
     
-    if (allTablesData && allTablesData.length > 0) {
+    if (allTablesData.length > 0) {
       const totalRows = allTablesData.reduce((sum, table) => sum + table.rowCount, 0);
-      console.log(`    ✅ Extracted ${totalRows} rows from ${allTablesData.length} table(s)`);
+      logger.info(`    ✅ Extracted ${totalRows} rows from ${allTablesData.length} table(s)`);
       
       // Combine all table data
       const combinedData = [];
@@ -264,148 +258,422 @@ async function extractTableData(page, url) {
       });
       
       return {
-        headers: ['RANK 2025', 'RANK 2024', 'Company Name', 'Location'],
+        headers: mergeColumns(...allTablesData.map(tableData => tableData.headers)),
         data: combinedData,
+        rankYears: allTablesData[0].rankYears,
         tablesFound: allTablesData.length
       };
     } else {
-      console.log('    ⚠️  No valid data tables found');
+      logger.warn('    ⚠️  No valid data tables found');
       return null;
     }
     
   } catch (error) {
-    console.error(`    Error extracting table data: ${error.message}`);
+    logger.error(`    Error extracting table data: ${error.message}`);
     return null;
   }
 }
 
+// Reads the list title and publication date printed on a list page
+async function readPageMetadata(page) {
+  return page.evaluate(() => {
+    const heading = document.querySelector('h1');
+    const published = document.querySelector('meta[property="article:published_time"], meta[name="pubdate"], meta[name="date"]');
+    const time = document.querySelector('time[datetime]');
+    
+    return {
+      heading: heading ? heading.textContent.trim() : null,
+      documentTitle: document.title || null,
+      published: published ? published.getAttribute('content') : time ? time.getAttribute('datetime') : null
+    };
+  });
+}
+
+// Runs waitForChallenge with the crawl's notifier and logger, emitting a "challenge" event
+// ({ url, type, reason, passed }) when the page was behind one
+async function checkForChallenge(page, url, options) {
+  const check = await waitForChallenge(page, {
+    config: options.config,
+    notifier: options.notifier,
+    onSolved: options.onChallengeSolved,
+    logger: options.logger,
+    source: options.source
+  });
+  if (check.challenge) {
+    emitEvent(options, 'challenge', { url, type: check.challenge.type, reason: check.challenge.reason, passed: check.passed });
+  }
+  return check;
+}
+
+// Navigates to a list or pagination page, waiting for the host's rate limit first
+// kind labels the snapshot ("list" or "pagination"); every challenge met on the way is emitted as a "challenge" event
+// Throws a CHALLENGE error when the page stays behind a challenge, login wall, paywall or rate-limit page
+async function openListPage(page, pageUrl, kind, options) {
+  const config = options.config || DEFAULT_CONFIG;
+  const { timeouts, delays } = config;
+  
+  if (options.limiter && !page.offline) {
+    await options.limiter.wait(pageUrl);
+  }
+  
+  await page.goto(pageUrl, { 
+    waitUntil: 'domcontentloaded',
+    timeout: timeouts.navigation
+  });
+  
+  const check = await checkForChallenge(page, pageUrl, options);
+  if (!check.passed) {
+    throw challengeError(check.challenge, pageUrl);
+  }
+  
+  // Wait a bit for dynamic content to load
+  await pause(page, delays.pageLoad);
+  
+  // Keeps the raw HTML for parsing offline later
+  if (options.snapshotDir) {
+    saveSnapshot(options.snapshotDir, pageUrl, await page.content(), kind);
+  }
+}
+
+// Like extractTableData, but a page without ranking rows throws an EMPTY_TABLE error so it can be retried
+async function extractListTable(page, pageUrl, options) {
+  const pageData = await extractTableData(page, pageUrl, options);
+  if (!pageData) {
+    const error = new Error(`No ranking table found on ${pageUrl}`);
+    error.code = 'EMPTY_TABLE';
+    throw error;
+  }
+  return pageData;
+}
+
+// Retry policy for one page: config.crawl retries with exponential backoff
+// Saved snapshots never change, so offline pages get a single attempt
+function pageRetryOptions(page, config, logger) {
+  const { crawl } = config;
+  const retries = page.offline ? 0 : crawl.retries;
+  
+  return {
+    retries,
+    baseDelay: crawl.retryDelay,
+    maxDelay: crawl.retryMaxDelay,
+    onRetry: (error, retry, delay) => {
+      logger.warn(`     🔁 ${failureReason(error)}: ${error.message}; retry ${retry}/${retries} in ${delay}ms`);
+    }
+  };
+}
+
+// Adds a page that failed after every retry to options.failures (the end-of-run failure report)
+// and emits it as an "error" event
+function recordFailure(options, failure, error) {
+  const entry = {
+    ...failure,
+    reason: failureReason(error),
+    challengeType: error.challengeType,
+    attempts: error.attempts || 1,
+    message: error.message
+  };
+  if (options.failures) {
+    options.failures.push(entry);
+  }
+  emitEvent(options, 'error', { ...entry, error });
+}
+
 // Visits a toplist page, detects pagination, and crawls all paginated pages to collect complete dataset
-// Returns combined data from main page and all pagination pages with metadata (list name, URL, row count)
-async function crawlToplistPage(page, url, listName) {
-  console.log(`\n🔍 Crawling: ${listName}`);
-  console.log(`📍 URL: ${url}`);
+// Returns the combined rows with their metadata and provenance; options are explained below where each is read
+async function crawlToplistPage(page, url, listName, options = {}) {
+  // Timeouts, delays, retry policy and the short-page threshold (defaults from utils/config.js)
+  const config = options.config || DEFAULT_CONFIG;
+  const { delays, diagnostics } = config;
+  // layout records every page's tables and row counts (see controllers/layout.js); bundles writes the debug bundles
+  const { layout, bundles } = options;
+  const source = crawlSource(options);
   
-  try {
-    // Navigate to main page
-    await page.goto(url, { 
-      waitUntil: 'domcontentloaded',
-      timeout: 60000
+  // The list's log goes into its debug bundles too
+  const logLines = [];
+  const logger = bundles
+    ? teeLogger(crawlLogger(options), (level, message) => logLines.push([level, message]))
+    : crawlLogger(options);
+  logger.info(`\n🔍 Crawling: ${listName}`);
+  logger.info(`📍 URL: ${url}`);
+  
+  // Pagination pages share the schema of the list they belong to
+  const schema = source.columns.schemaForList(url);
+  // Records each finished page and skips the pages it already holds (resumed runs)
+  const journal = options.journal || null;
+  const retryOptions = pageRetryOptions(page, config, logger);
+  const stepOptions = { ...options, config, logger, source };
+  const pageDone = (pageUrl, number, pageData, resumed) => emitEvent(options, 'page:done', {
+    listName, listUrl: url, url: pageUrl, page: number, rows: pageData.data.length, resumed
+  });
+  
+  // Collect all data (from main page + paginated pages)
+  const allData = [];
+  let allHeaders = [];
+  let rankYears = null;
+  let pageMeta = {};
+  let paginationLinks = [];
+  const failedPages = [];
+  const sourcePages = [];
+  // options.fetchedAt(pageUrl) replaces "now" as a page's fetch time (snapshots know when they were saved)
+  const fetchedAt = pageUrl => (options.fetchedAt ? options.fetchedAt(pageUrl) || null : new Date().toISOString());
+  // The last run's layout, for how many rows each page should yield (see expectedPageRows)
+  const previousList = options.previousLayout && options.previousLayout.lists[slugFromUrl(url)];
+  
+  // Records a page in the layout and saves a debug bundle when it failed (error) or came back short
+  const checkPage = async (pageUrl, number, rows, error = null) => {
+    if (layout) {
+      layout.recordPage(url, { page: number, url: pageUrl, rows });
+    }
+    const expected = expectedPageRows(number, {
+      paginationLinks, previous: previousList, listUrl: url, preview: pageMeta.previewNotice
     });
+    const short = expected !== null && rows < expected * diagnostics.minRowRatio;
+    if (short && !error) {
+      logger.warn(`     ⚠️  Page ${number} yielded ${rows} rows, expected about ${expected}`);
+    }
+    if (!bundles || (!short && !error)) {
+      return;
+    }
+    await bundles.writeBundle(page, `${slugFromUrl(url)}/page-${number}`, {
+      reason: error ? failureReason(error) : 'short',
+      listName,
+      listUrl: url,
+      url: pageUrl,
+      page: number,
+      rows,
+      expected,
+      error: error ? error.message : undefined,
+      tables: layout ? layout.tablesFor(pageUrl) : [],
+      log: logLines
+    }).catch(bundleError => logger.warn(`     Could not save a debug bundle: ${bundleError.message}`));
+  };
+  const recordList = rowCount => {
+    if (layout) {
+      layout.recordList(url, rowCount);
+    }
+  };
+  
+  const addPageData = pageData => {
+    if (pageData && pageData.data) {
+      allData.push(...pageData.data);
+      allHeaders = mergeColumns(allHeaders, pageData.headers);
+      rankYears = rankYears || pageData.rankYears;
+    }
+  };
+  
+  try {
+    const savedMainPage = journal && journal.getPage(url);
     
-    // Check for Cloudflare challenge
-    await waitForCloudflareChallenge(page);
-    
-    // Wait a bit for dynamic content to load
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
-    // Check for pagination
-    const paginationLinks = await getPaginationLinks(page);
-    
-    // Collect all data (from main page + paginated pages)
-    const allData = [];
-    
-    // Extract data from the current page (first page or non-paginated page)
-    console.log('  📄 Processing page 1...');
-    const mainPageData = await extractTableData(page, url);
-    if (mainPageData && mainPageData.data) {
-      allData.push(...mainPageData.data);
+    if (savedMainPage) {
+      logger.info('  ⏭️  Page 1 already in checkpoint journal, skipping');
+      paginationLinks = savedMainPage.paginationLinks || [];
+      pageMeta = savedMainPage.pageMeta || {};
+      addPageData(savedMainPage);
+      sourcePages.push({ page: 1, url, fetchedAt: savedMainPage.fetchedAt || savedMainPage.recordedAt || null, resumed: true });
+      pageDone(url, 1, savedMainPage, true);
+      if (layout) {
+        layout.recordPage(url, { page: 1, url, rows: savedMainPage.data.length });
+      }
+    } else {
+      const mainPage = await withRetry(async () => {
+        await openListPage(page, url, 'list', stepOptions);
+        const pageFetchedAt = fetchedAt(url);
+        
+        const meta = await readPageMetadata(page);
+        meta.previewNotice = source.access ? (await source.access.readSignals(page)).previewNotice : false;
+        
+        // Check for pagination
+        const links = await getPaginationLinks(page, { logger, source });
+        
+        // Extract data from the current page (first page or non-paginated page)
+        logger.info('  📄 Processing page 1...');
+        const pageData = await extractListTable(page, url, { schema, listUrl: url, config, logger, layout, source });
+        return { pageData, links, meta, fetchedAt: pageFetchedAt };
+      }, retryOptions);
+      
+      paginationLinks = mainPage.links;
+      pageMeta = mainPage.meta;
+      addPageData(mainPage.pageData);
+      sourcePages.push({ page: 1, url, fetchedAt: mainPage.fetchedAt });
+      pageDone(url, 1, mainPage.pageData, false);
+      await checkPage(url, 1, mainPage.pageData.data.length);
+      
+      if (journal) {
+        journal.recordPage(url, url, { ...mainPage.pageData, paginationLinks, pageMeta, fetchedAt: mainPage.fetchedAt });
+      }
     }
     
     // If pagination exists, crawl all paginated pages
     if (paginationLinks.length > 0) {
       for (let i = 0; i < paginationLinks.length; i++) {
         const paginationLink = paginationLinks[i];
-        console.log(`  📄 Processing page ${i + 2} (${paginationLink.text})...`);
-        console.log(`     URL: ${paginationLink.href}`);
+        
+        const savedPage = journal && journal.getPage(paginationLink.href);
+        if (savedPage) {
+          logger.info(`  ⏭️  Page ${i + 2} (${paginationLink.text}) already in checkpoint journal, skipping`);
+          addPageData(savedPage);
+          sourcePages.push({ page: i + 2, url: paginationLink.href, fetchedAt: savedPage.fetchedAt || savedPage.recordedAt || null, resumed: true });
+          pageDone(paginationLink.href, i + 2, savedPage, true);
+          if (layout) {
+            layout.recordPage(url, { page: i + 2, url: paginationLink.href, rows: savedPage.data.length });
+          }
+          continue;
+        }
+        
+        logger.info(`  📄 Processing page ${i + 2} (${paginationLink.text})...`);
+        logger.debug(`     URL: ${paginationLink.href}`);
         
         try {
-          await page.goto(paginationLink.href, { 
-            waitUntil: 'domcontentloaded',
-            timeout: 60000
-          });
+          const pageData = await withRetry(async () => {
+            await openListPage(page, paginationLink.href, 'pagination', stepOptions);
+            const pageFetchedAt = fetchedAt(paginationLink.href);
+            const extracted = await extractListTable(page, paginationLink.href, { schema, listUrl: url, config, logger, layout, source });
+            return { ...extracted, fetchedAt: pageFetchedAt };
+          }, retryOptions);
+          addPageData(pageData);
+          sourcePages.push({ page: i + 2, url: paginationLink.href, fetchedAt: pageData.fetchedAt });
+          pageDone(paginationLink.href, i + 2, pageData, false);
+          await checkPage(paginationLink.href, i + 2, pageData.data.length);
           
-          await waitForCloudflareChallenge(page);
-          await new Promise(resolve => setTimeout(resolve, 2000));
-          
-          const pageData = await extractTableData(page, paginationLink.href);
-          if (pageData && pageData.data) {
-            allData.push(...pageData.data);
+          if (journal) {
+            journal.recordPage(url, paginationLink.href, pageData);
           }
           
-          // Be nice to the server between paginated pages
-          await new Promise(resolve => setTimeout(resolve, 1500));
+          // Optional extra pause between paginated pages (the rate limiter already spaces requests)
+          await pause(page, delays.betweenPages);
           
         } catch (error) {
-          console.error(`     ❌ Error crawling pagination page: ${error.message}`);
+          logger.error(`     ❌ Giving up on pagination page: ${error.message}`);
+          failedPages.push(paginationLink.href);
+          recordFailure(options, { listName, listUrl: url, url: paginationLink.href, page: i + 2 }, error);
+          await checkPage(paginationLink.href, i + 2, 0, error);
         }
       }
     }
     
+    recordList(allData.length);
     if (allData.length > 0) {
-      console.log(`  ✅ Total rows collected: ${allData.length}`);
+      logger.info(`  ✅ Total rows collected: ${allData.length}`);
       
-      return {
-        listName: listName,
+      // listName and options.cardDate come from the list's card on the toplists index
+      const metadata = resolveListMetadata({
+        url,
+        cardTitle: listName,
+        cardDate: options.cardDate,
+        ...pageMeta,
+        rankYears
+      });
+      
+      // The provenance lists every page the rows came from, and options.backend is the fetcher's name
+      const result = {
+        listName: metadata.title,
         url: url,
-        headers: ['RANK 2025', 'RANK 2024', 'Company Name', 'Location'],
+        source: source.name,
+        metadata: metadata,
+        schema: schema.name,
+        rankYears: rankYears,
+        headers: allHeaders,
         data: allData,
         rowCount: allData.length,
-        paginatedPages: paginationLinks.length > 0 ? paginationLinks.length + 1 : 1
+        paginatedPages: paginationLinks.length > 0 ? paginationLinks.length + 1 : 1,
+        previewNotice: Boolean(pageMeta.previewNotice),
+        provenance: {
+          crawlerVersion: CRAWLER_VERSION,
+          backend: options.backend || null,
+          pages: sourcePages
+        }
       };
+      if (failedPages.length > 0) {
+        result.failedPages = failedPages;
+      }
+      // The preview this full list was found through (subscriber crawls)
+      if (options.previewUrl) {
+        result.previewUrl = options.previewUrl;
+      }
+      return result;
     }
     
     return null;
     
   } catch (error) {
-    console.error(`  ❌ Error crawling ${url}: ${error.message}`);
+    logger.error(`  ❌ Error crawling ${url}: ${error.message}`);
+    recordFailure(options, { listName, listUrl: url, url, page: 1 }, error);
+    await checkPage(url, 1, 0, error);
+    recordList(0);
     return null;
   }
 }
 
-// Extracts all toplist links from the main /toplists page using multiple selector strategies
+// Extracts all toplist links from the index page using the source's selector strategies (options.source)
 // Returns deduplicated array of links with href and text for each individual toplist
-async function getToplistLinks(page) {
-  console.log('\n📋 Getting toplist links...');
+// options.layout (see controllers/layout.js) records which selector found them ("fallback" for the catch-all scan)
+async function getToplistLinks(page, options = {}) {
+  const logger = crawlLogger(options);
+  const { discovery } = crawlSource(options);
+  logger.info('\n📋 Getting toplist links...');
   
-  const links = await page.evaluate(() => {
+  const { links, strategy } = await page.evaluate(rules => {
     const linkArray = [];
+    let strategy = null;
+    const pattern = value => value && new RegExp(value.source, value.flags);
+    const hrefPattern = pattern(rules.hrefPattern);
+    const excludePattern = pattern(rules.excludePattern);
+    const isListLink = a => Boolean(a.href) && hrefPattern.test(a.href);
     
-    // Try various selectors
-    const selectors = [
-      'div.linkArrow a',
-      '.linkArrow a',
-      'a[href*="toplists"]',
-      'a[href*="rankings"]',
-      'a.link-arrow',
-      '.link-arrow a',
-      'div[class*="arrow"] a'
-    ];
-    
-    for (const selector of selectors) {
+    // The card around a link holds the list title and publication date; the link itself only says "View Rankings"
+    // A card is the nearest ancestor with a heading that links to no other list
+    const cardInfo = a => {
+      let element = a.parentElement;
+      for (let depth = 0; element && depth < 5; depth++, element = element.parentElement) {
+        const heading = element.querySelector(rules.cardHeadingSelector);
+        if (!heading) continue;
+        
+        const hrefs = new Set(Array.from(element.querySelectorAll('a[href]')).filter(isListLink).map(link => link.href));
+        if (hrefs.size > 1) break;
+        
+        const date = element.querySelector(rules.cardDateSelector);
+        return {
+          title: heading.textContent.trim(),
+          date: date ? (date.getAttribute('datetime') || date.textContent.trim()) : null
+        };
+      }
+      return { title: null, date: null };
+    };
+    
+    // Try the source's selectors in order
+    for (const selector of rules.linkSelectors) {
       const elements = document.querySelectorAll(selector);
       if (elements.length > 0) {
         elements.forEach(a => {
-          if (a.href && a.href.includes('toplists')) {
+          if (isListLink(a)) {
             linkArray.push({
               href: a.href,
-              text: a.textContent.trim()
+              text: a.textContent.trim(),
+              ...cardInfo(a)
             });
           }
         });
-        if (linkArray.length > 0) break;
+        if (linkArray.length > 0) {
+          strategy = selector;
+          break;
+        }
       }
     }
     
-    // Fallback: get all links containing 'toplists'
-    if (linkArray.length === 0) {
+    // Fallback: get all links that look like list links
+    if (linkArray.length === 0 && rules.fallback) {
       document.querySelectorAll('a').forEach(a => {
-        if (a.href && a.href.includes('toplists') && !a.href.endsWith('/toplists')) {
+        if (isListLink(a) && !(excludePattern && excludePattern.test(a.href))) {
           linkArray.push({
             href: a.href,
-            text: a.textContent.trim()
+            text: a.textContent.trim(),
+            ...cardInfo(a)
           });
         }
       });
+      if (linkArray.length > 0) {
+        strategy = 'fallback';
+      }
     }
     
     // Remove duplicates
@@ -419,206 +687,667 @@ async function getToplistLinks(page) {
       }
     });
     
-    return uniqueLinks;
-  });
+    return { links: uniqueLinks, strategy };
+  }, discovery);
   
-  console.log(`✅ Found ${links.length} toplist links`);
+  logger.info(`✅ Found ${links.length} toplist links${strategy ? ` (selector: ${strategy})` : ''}`);
+  if (strategy === 'fallback') {
+    logger.warn('⚠️  No toplist selector matched; the links came from the catch-all scan of every link');
+  }
+  if (options.layout) {
+    options.layout.recordIndex({ url: page.url(), strategy, linkCount: links.length });
+  }
   return links;
 }
 
-// Main orchestration function that launches browser, navigates through all toplists, and extracts complete datasets
-// Saves results to JSON file and returns array of all toplist data with rankings and company information
-async function crawlENRToplists() {
-  const browser = await puppeteer.launch({
-    headless: false,
-    executablePath: '/usr/bin/chromium-browser',
-    userDataDir: './chrome-profile',
-    args: [
-      '--no-sandbox', 
-      '--disable-setuid-sandbox',
-      '--disable-blink-features=AutomationControlled'
-    ]
-  });
+// Creates the output directory if it doesn't exist
+function ensureOutputDir(outputDir, logger) {
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+    logger.info(`📁 Created directory: ${outputDir}`);
+  }
+}
+
+// Reads an output file that is already on disk; null when there is none or it doesn't parse
+function readSavedFile(filepath) {
+  try {
+    return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Writes one toplist to its own JSON file in the output directory (options.logger reports it)
+// The file is checked against schemas/list.schema.json first; an INVALID_OUTPUT error means nothing was written
+// A file whose contentHash already matches is left alone, keeping the crawlDate of when that data was first seen
+// With options.stagingDir a changed file is written there instead, for saveSummary to move into place
+// Returns the path of the file in outputDir
+function saveListFile(result, outputDir = './enr-data', options = {}) {
+  const logger = crawlLogger(options);
+  ensureOutputDir(outputDir, logger);
+  
+  const fileData = listFileData(result);
+  
+  const filepath = `${outputDir}/${listFileName(result)}.json`;
+  assertValidOutput('list', fileData, filepath);
+  
+  const saved = readSavedFile(filepath);
+  if (saved && saved.contentHash === fileData.contentHash) {
+    logger.info(`⏭️  Unchanged: ${filepath} (${result.rowCount} rows, crawled ${saved.crawlDate})`);
+    return filepath;
+  }
+  
+  if (options.stagingDir) {
+    fs.mkdirSync(options.stagingDir, { recursive: true });
+    writeJsonAtomic(path.join(options.stagingDir, path.basename(filepath)), fileData);
+    logger.info(`📝 Staged: ${filepath} (${result.rowCount} rows)`);
+    return filepath;
+  }
   
-  const page = await browser.newPage();
+  writeJsonAtomic(filepath, fileData);
+  logger.info(`✅ Saved: ${filepath} (${result.rowCount} rows)`);
   
-  await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+  return filepath;
+}
+
+// Moves the list files saveListFile staged in stagingDir into outputDir and removes the folder
+function commitStagedFiles(stagingDir, outputDir, logger) {
+  if (!fs.existsSync(stagingDir)) {
+    return;
+  }
   
-  await page.evaluateOnNewDocument(() => {
-    Object.defineProperty(navigator, 'webdriver', {
-      get: () => false,
+  fs.readdirSync(stagingDir).filter(file => file.endsWith('.json')).forEach(file => {
+    fs.renameSync(path.join(stagingDir, file), path.join(outputDir, file));
+    logger.info(`✅ Saved: ${outputDir}/${file}`);
+  });
+  fs.rmSync(stagingDir, { recursive: true, force: true });
+}
+
+// Writes summary.json (the index of all list files) into the output directory
+// With options.merge, entries for lists not in allResults are kept from the existing summary
+// options.failures (pages that failed permanently) is saved alongside the file index
+// Like saveListFile, throws INVALID_OUTPUT instead of writing a summary that breaks schemas/summary.schema.json,
+// and leaves summary.json alone when only its crawlDate would change
+// options.stagingDir holds list files staged by saveListFile; they are moved in once the summary has been checked,
+// right before it is written, so summary.json changes last (readers compare its contentHashes, see loadDataset)
+// Returns the summary as it now is on disk
+function saveSummary(allResults, outputDir = './enr-data', options = {}) {
+  const logger = crawlLogger(options);
+  ensureOutputDir(outputDir, logger);
+  
+  const summaryPath = `${outputDir}/summary.json`;
+  let files = allResults.map(summaryEntry);
+  
+  if (options.merge && fs.existsSync(summaryPath)) {
+    const existing = readSavedFile(summaryPath) || {};
+    if (fileSchemaVersion(existing) < SCHEMA_VERSION) {
+      logger.warn(`⚠️  ${summaryPath} is schema version ${fileSchemaVersion(existing)}; lists this run doesn't rewrite keep their old format until you run "node index.js migrate --data ${outputDir}"`);
+    }
+    const updated = new Map(files.map(entry => [entry.filename, entry]));
+    
+    // Replace updated lists in place and append any new ones
+    files = (existing.files || []).map(entry => updated.get(entry.filename) || entry);
+    updated.forEach((entry, filename) => {
+      if (!files.some(f => f.filename === filename)) {
+        files.push(entry);
+      }
     });
+  }
+  
+  const summaryData = summaryFileData(files, { failures: options.failures });
+  assertValidOutput('summary', summaryData, summaryPath);
+  
+  if (options.stagingDir) {
+    commitStagedFiles(options.stagingDir, outputDir, logger);
+  }
+  
+  const saved = readSavedFile(summaryPath);
+  if (saved && contentHash(saved) === contentHash(summaryData)) {
+    logger.info(`⏭️  Unchanged: ${summaryPath} (index file)`);
+    return saved;
+  }
+  
+  writeJsonAtomic(summaryPath, summaryData);
+  logger.info(`✅ Saved: ${summaryPath} (index file)`);
+  
+  return summaryData;
+}
+
+// Writes one JSON file per toplist plus summary.json into the output directory
+// Returns the summary object that was written
+function saveResults(allResults, outputDir = './enr-data', options = {}) {
+  printSavingBanner(crawlLogger(options));
+  
+  allResults.forEach(result => saveListFile(result, outputDir, options));
+  
+  return saveSummary(allResults, outputDir, options);
+}
+
+// Output sink that writes each list's JSON file and summary.json into outputDir, the crawler's default
+// Changed list files are staged in <outputDir>/.staging/ and only moved in with the summary, so a run that stops
+// early leaves the previous one in place; what an earlier run left staged is dropped (its journal re-saves it)
+// options.archiveDir also copies the finished run into a dated archive folder; options.logger reports the writes
+// A sink has writeList(result), writeSummary(results, { merge, failures }) and an optional finish()
+function createFileSink(outputDir, options = {}) {
+  const logger = crawlLogger(options);
+  const stagingDir = path.join(outputDir, STAGING_DIR);
+  fs.rmSync(stagingDir, { recursive: true, force: true });
+  
+  return {
+    outputDir,
+    
+    writeList(result) {
+      saveListFile(result, outputDir, { logger, stagingDir });
+    },
+    
+    writeSummary(results, summaryOptions = {}) {
+      printSavingBanner(logger);
+      saveSummary(results, outputDir, { ...summaryOptions, logger, stagingDir });
+    },
+    
+    // Keep a dated copy of the whole dataset so later runs don't overwrite history
+    finish() {
+      if (options.archiveDir) {
+        logger.info(`🗄️  Archived crawl to: ${archiveCrawl(outputDir, options.archiveDir)}`);
+      }
+    }
+  };
+}
+
+function printSavingBanner(logger) {
+  logger.info('\n' + '='.repeat(70));
+  logger.info('💾 SAVING RESULTS...');
+  logger.info('='.repeat(70));
+}
+
+// Prints per-list row counts at the end of a run
+function printSummary(allResults, logger = createLogger()) {
+  logger.info('📊 CRAWL SUMMARY');
+  logger.info(`Total lists crawled: ${allResults.length}`);
+  logger.info(`Total rows extracted: ${allResults.reduce((sum, r) => sum + r.rowCount, 0)}`);
+  logger.info('\nResults by list:');
+  allResults.forEach((result, i) => {
+    const paginationInfo = result.paginatedPages > 1 
+      ? ` (${result.paginatedPages} pages)` 
+      : '';
+    const qualityInfo = result.quality && result.quality.status !== 'ok'
+      ? ` [quality: ${result.quality.status}]`
+      : '';
+    const completenessInfo = result.completeness && !result.completeness.complete
+      ? ` [${result.completeness.status}: ${result.completeness.reason}]`
+      : '';
+    logger.info(`  ${i + 1}. ${result.listName}: ${result.rowCount} rows${paginationInfo}${qualityInfo}${completenessInfo}`);
   });
+  logger.info('='.repeat(70));
+}
+
+// Prints the pages that failed after every retry, or nothing when the crawl was clean
+function printFailureReport(failures = [], logger = createLogger()) {
+  if (failures.length === 0) {
+    return;
+  }
   
-  const cookiesPath = './enr-cookies.json';
-  if (fs.existsSync(cookiesPath)) {
-    const cookies = JSON.parse(fs.readFileSync(cookiesPath, 'utf8'));
-    await page.setCookie(...cookies);
+  logger.warn(`\n⚠️  ${failures.length} page(s) failed permanently:`);
+  failures.forEach(failure => {
+    const reason = failure.challengeType ? `${failure.reason}: ${failure.challengeType}` : failure.reason;
+    logger.warn(`  - ${failure.listName}, page ${failure.page} (${reason} after ${failure.attempts} attempt(s)): ${failure.url}`);
+    logger.warn(`    ${failure.message}`);
+  });
+  logger.warn('Recrawl an affected list with --only <slug>');
+}
+
+// Keeps only the toplists whose slugs match only (--only, or an array of slugs; case-insensitive);
+// with a source that has subscriber access, a preview also matches the slug of its full version,
+// which subscriber crawls switch to
+// Throws when a requested list is not among the discovered links
+function selectToplistLinks(toplistLinks, only, source = resolveSource()) {
+  if (!only) {
+    return toplistLinks;
   }
   
-  try {
-    // Step 1: Load homepage
-    console.log('🌐 Step 1: Loading homepage...');
-    await page.goto('https://www.enr.com/', { 
-      waitUntil: 'domcontentloaded',
-      timeout: 90000
-    });
+  const fullUrl = href => (source.access ? source.access.fullListUrl(href) : null);
+  const slugs = link => [link.href, fullUrl(link.href)].filter(Boolean).map(url => slugFromUrl(url).toLowerCase());
+  const wanted = [].concat(only).map(slug => String(slug).toLowerCase());
+  const missing = wanted.filter(slug => !toplistLinks.some(link => slugs(link).includes(slug)));
+  
+  if (missing.length > 0) {
+    throw new Error(`Toplist not found: ${missing.join(', ')}`);
+  }
+  
+  return toplistLinks.filter(link => slugs(link).some(slug => wanted.includes(slug)));
+}
+
+// Crawls the toplists, one per tab when given several pages, runs the quality and completeness checks, then hands
+// each list to options.sink (see createFileSink) and journals it; results keep the order of toplistLinks
+// Lists the journal already holds are reused instead of being crawled again, and handed to the sink again
+// (a run that stopped before its summary was saved never got them into the output folder)
+// The other options are passed on to crawlToplistPage; options.events also gets "list:start" and "list:done" per list
+async function crawlLists(pages, toplistLinks, options = {}) {
+  const { journal, sink, snapshotDir, limiter, notifier, onChallengeSolved, failures, events, backend, fetchedAt } = options;
+  const { layout, previousLayout, bundles } = options;
+  const source = crawlSource(options);
+  const config = options.config || DEFAULT_CONFIG;
+  const logger = crawlLogger(options);
+  const tabs = Array.isArray(pages) ? pages : [pages];
+  
+  const results = await runPool(toplistLinks, tabs, async (link, page, i) => {
+    const listName = link.title || link.text;
+    logger.info(`\n[${'='.repeat(60)}]`);
+    logger.info(`[${i + 1}/${toplistLinks.length}]`);
+    emitEvent(options, 'list:start', { slug: slugFromUrl(link.href), url: link.href, listName, index: i, total: toplistLinks.length });
     
-    await page.waitForSelector('body', { timeout: 10000 });
-    await new Promise(resolve => setTimeout(resolve, 2000));
+    const savedResult = journal && journal.getList(link.href);
+    if (savedResult) {
+      logger.info(`⏭️  ${savedResult.listName} already in checkpoint journal, skipping`);
+      if (sink) {
+        await sink.writeList(savedResult);
+      }
+      emitEvent(options, 'list:done', savedResult);
+      return savedResult;
+    }
     
-    const challengePassed = await waitForCloudflareChallenge(page);
+    const crawled = await crawlToplistPage(page, link.href, listName, {
+      snapshotDir, journal, config, limiter, notifier, onChallengeSolved, failures, logger, events,
+      layout, previousLayout, bundles, source, backend, fetchedAt, cardDate: link.date, previewUrl: link.previewHref
+    });
     
-    if (!challengePassed) {
-      throw new Error('Failed to pass Cloudflare challenge');
+    // Dedupe and check the list before it is saved or journaled
+    const result = crawled && validateResult(crawled);
+    if (result) {
+      printQualityReport(result.quality, logger);
+
+      if (sink) {
+        await sink.writeList(result);
+      }
+      if (journal) {
+        journal.recordList(result);
+      }
+      emitEvent(options, 'list:done', result);
     }
     
-    await new Promise(resolve => setTimeout(resolve, 3000));
+    // Optional extra pause between lists on this tab (the rate limiter already spaces requests)
+    await pause(page, config.delays.betweenLists);
     
-    // Step 2: Navigate to toplists
-    console.log('\n🌐 Step 2: Navigating to toplists page...');
-    await page.goto('https://www.enr.com/toplists', { 
-      waitUntil: 'networkidle2',
-      timeout: 60000
+    return result;
+  });
+  
+  return results.filter(Boolean);
+}
+
+// Loads the source's home page, signs in when the source has subscriber access and there is an account to use
+// (see ensureSignedIn) and opens the toplists index, waiting for a person to solve any challenge on the way
+// options.config, options.limiter, options.notifier, options.onChallengeSolved, options.logger, options.events
+// and options.source as for crawlToplistPage; config.site overrides the source's URLs
+// Throws a CHALLENGE error when either page stays behind a challenge
+// Returns the account state ({ signedIn, via })
+async function openToplistsIndex(page, options = {}) {
+  const config = options.config || DEFAULT_CONFIG;
+  const { timeouts, delays } = config;
+  const { limiter, onChallengeSolved } = options;
+  const logger = crawlLogger(options);
+  const source = crawlSource(options);
+  const site = siteFor(source, config);
+  const stepOptions = { ...options, config, logger, source };
+  
+  // Step 1: Load homepage
+  logger.info('🌐 Step 1: Loading homepage...');
+  if (limiter) await limiter.wait(site.homeUrl);
+  await page.goto(site.homeUrl, { 
+    waitUntil: 'domcontentloaded',
+    timeout: timeouts.homepage
+  });
+  
+  await page.waitForSelector('body', { timeout: timeouts.selector });
+  await pause(page, delays.afterHomepage);
+  
+  const homepageCheck = await checkForChallenge(page, site.homeUrl, stepOptions);
+  
+  if (!homepageCheck.passed) {
+    throw challengeError(homepageCheck.challenge, site.homeUrl);
+  }
+  
+  await pause(page, delays.afterChallenge);
+  
+  // Subscribers (config.auth or a signed-in session) get the full lists instead of the previews
+  const account = source.access
+    ? await source.access.signIn(page, { config, limiter, logger, source })
+    : { signedIn: false, via: null };
+  if (account.via === 'login' && onChallengeSolved) {
+    await onChallengeSolved();
+  }
+  
+  // Step 2: Navigate to toplists
+  logger.info('\n🌐 Step 2: Navigating to toplists page...');
+  if (limiter) await limiter.wait(site.toplistsUrl);
+  await page.goto(site.toplistsUrl, { 
+    waitUntil: 'networkidle2',
+    timeout: timeouts.navigation
+  });
+  
+  const toplistsCheck = await checkForChallenge(page, site.toplistsUrl, stepOptions);
+  if (!toplistsCheck.passed) {
+    throw challengeError(toplistsCheck.challenge, site.toplistsUrl);
+  }
+  await pause(page, delays.afterChallenge);
+  
+  return account;
+}
+
+// Compares what this run saw of the site's markup with the previous run (see compareLayouts), warns about every
+// difference, saves them as layout-drift.json next to the run's debug bundles and emits a "layout:drift" event
+// ({ drift, previousCrawlDate }); returns the differences
+function reportLayoutDrift(previous, current, options) {
+  const logger = crawlLogger(options);
+  const { diagnostics } = options.config || DEFAULT_CONFIG;
+  const drift = compareLayouts(previous, current, { minRowRatio: diagnostics.minRowRatio });
+  if (drift.length === 0) {
+    return drift;
+  }
+  
+  logger.warn(`\n🧭 The site's layout changed since the last run (${previous.crawlDate}):`);
+  drift.forEach(entry => logger.warn(`  - [${entry.severity}] ${entry.message}`));
+  if (options.bundles) {
+    const reportPath = options.bundles.writeReport('layout-drift.json', {
+      crawlDate: current.crawlDate,
+      previousCrawlDate: previous.crawlDate,
+      drift
     });
+    logger.warn(`Drift report saved: ${reportPath}`);
+  }
+  emitEvent(options, 'layout:drift', { drift, previousCrawlDate: previous.crawlDate });
+  return drift;
+}
+
+// Visits the firm detail pages the lists link to on the crawl's tabs (see enrichFirms), keeping what they say in the
+// output folder's firm page cache, then rebuilds firms.json from every list in the folder with those details
+// options as for crawlToplistPage, plus options.refresh to fetch cached pages again
+// Returns the enrichment report ({ links, fetched, cached, failures })
+async function enrichFirmPages(pages, lists, outputDir, options = {}) {
+  const config = options.config || DEFAULT_CONFIG;
+  const logger = crawlLogger(options);
+  const cache = loadFirmCache(outputDir);
+  
+  logger.info('\n🏢 Visiting firm detail pages...');
+  let report;
+  try {
+    report = await enrichFirms(pages, lists, {
+      cache,
+      source: crawlSource(options),
+      logger,
+      refresh: options.refresh,
+      maxAge: config.enrich.maxAge,
+      open: (page, url) => openListPage(page, url, 'firm', options),
+      retry: page => pageRetryOptions(page, config, logger)
+    });
+  } finally {
+    // Pages visited before a failure are kept for the next run
+    saveFirmCache(outputDir, cache);
+  }
+  
+  writeFirmProfiles(outputDir, { overridesPath: config.paths.overridesPath, logger });
+  return report;
+}
+
+// The fetcher a crawl uses: options.fetcher, a wrapper around the caller's options.page or options.browser
+// (see createPageFetcher and createBrowserFetcher), or the configured backend, whose session notes go to logger
+function resolveFetcher(options = {}, config = DEFAULT_CONFIG, logger = crawlLogger(options)) {
+  if (options.fetcher) return options.fetcher;
+  if (options.page) return createPageFetcher(options.page);
+  if (options.browser) return createBrowserFetcher(options.browser);
+  return createFetcher(config.fetcher.backend, config, { logger });
+}
+
+// Main orchestration function that opens the site, navigates through all toplists, and extracts complete datasets
+// Options are listed in the README (Using It as a Library) and explained below where each is read
+async function crawlENRToplists(options = {}) {
+  // Fetcher backend, crawl policy, browser, paths, source, site URLs, timeouts and delays (see utils/config.js)
+  const config = options.config || DEFAULT_CONFIG;
+  const { timeouts, crawl } = config;
+  const outputDir = options.outputDir || config.paths.outputDir;
+  // Also keeps the raw HTML of the toplists index and of every list/pagination page
+  const snapshotDir = options.snapshotDir || null;
+  const logger = crawlLogger(options);
+  const { events } = options;
+  const source = crawlSource(options);
+  
+  // A custom sink replaces the output folder; runs saved there are also copied into a dated archive folder
+  const sink = options.sink || createFileSink(outputDir, {
+    logger,
+    archiveDir: options.archive === false ? null : options.archiveDir || config.paths.archiveDir
+  });
+  // options.resume continues from the checkpoint journal, which a custom sink only keeps for resuming
+  const journal = options.sink && !options.resume
+    ? null
+    : openJournal(journalPath(outputDir, options.only), { resume: options.resume });
+  if (journal && journal.resumed) {
+    logger.info(`♻️  Resuming from checkpoint journal: ${journal.path}`);
+  }
+  
+  // Layout drift is tracked in the output folder; debug bundles need somewhere to go (options.debugDir with a custom sink)
+  const layout = createLayoutRecorder();
+  const previousLayout = options.sink ? null : loadLayout(outputDir);
+  const debugDir = options.debugDir || (options.sink ? null : config.paths.debugDir);
+  const bundles = config.diagnostics.bundles && debugDir ? createDebugBundles(debugDir, { logger }) : null;
+  
+  const fetcher = resolveFetcher(options, config, logger);
+  logger.info(`🧭 Source: ${source.label}, fetcher: ${fetcher.name}`);
+  const page = await fetcher.open();
+  if (bundles) {
+    bundles.watchConsole(page);
+  }
+  
+  // Keep the cookies of every solved challenge (and of a sign-in) right away, so a later failure doesn't lose them
+  const onChallengeSolved = async () => {
+    if (fetcher.saveSession) {
+      await fetcher.saveSession();
+      logger.info('🍪 Session saved');
+    }
+  };
+  
+  const limiter = createCrawlLimiter(config, { logger });
+  const failures = [];
+  
+  // One alert per kind of challenge while a person has time to solve it, however many tabs hit it;
+  // options.onChallenge(event) is called like the config.notify channels
+  const notifier = createNotifier(config.notify, {
+    hooks: options.onChallenge ? [options.onChallenge] : [],
+    quietPeriod: timeouts.challenge || Infinity,
+    logger
+  });
+  const stepOptions = { config, limiter, notifier, onChallengeSolved, logger, events, source, backend: fetcher.name };
+  
+  try {
+    if (fetcher.session) {
+      checkSession(fetcher.session, { interactive: page.interactive !== false, logger });
+    }
+    const account = await openToplistsIndex(page, stepOptions);
     
-    await waitForCloudflareChallenge(page);
-    await new Promise(resolve => setTimeout(resolve, 3000));
+    if (snapshotDir) {
+      saveSnapshot(snapshotDir, page.url(), await page.content(), 'toplists');
+      logger.info(`📸 Saving page snapshots to: ${snapshotDir}`);
+    }
     
     // Step 3: Get all toplist links
-    const toplistLinks = await getToplistLinks(page);
+    const toplistLinks = await getToplistLinks(page, { logger, layout, source });
     
     if (toplistLinks.length === 0) {
-      console.log('⚠️  No toplist links found!');
-      
-      // Save debug info
-      await page.screenshot({ path: 'debug-no-links.png', fullPage: true });
-      const html = await page.content();
-      fs.writeFileSync('debug-no-links.html', html);
-      
-      console.log('Debug files saved: debug-no-links.png and debug-no-links.html');
+      logger.warn('⚠️  No toplist links found!');
+      if (bundles) {
+        await bundles.writeBundle(page, 'toplists-index', { reason: 'no-links', url: page.url() });
+      }
     }
     
-    // Step 4: Crawl each toplist page (including pagination)
-    console.log(`\n🚀 Step 3: Crawling ${toplistLinks.length} toplist pages...`);
-    const allResults = [];
-    
-    for (let i = 0; i < toplistLinks.length; i++) {
-      const link = toplistLinks[i];
-      console.log(`\n[${'='.repeat(60)}]`);
-      console.log(`[${i + 1}/${toplistLinks.length}]`);
-      
-      const result = await crawlToplistPage(page, link.href, link.text);
-      
-      if (result) {
-        allResults.push(result);
+    // Step 4: Crawl each toplist page (including pagination); each list is saved as it completes
+    // options.only recrawls one list slug (or an array of them); a signed-in crawl swaps previews for the full lists
+    let selectedLinks = selectToplistLinks(toplistLinks, options.only, source);
+    if (account.signedIn && source.access) {
+      selectedLinks = await source.access.findFullLists(page, selectedLinks, { config, limiter, logger, source });
+    }
+    // Lists are crawled on config.crawl.concurrency tabs behind one per-host rate limiter
+    const pages = [page];
+    while (pages.length < Math.min(crawl.concurrency, selectedLinks.length, fetcher.maxPages || Infinity)) {
+      const tab = await fetcher.newPage();
+      if (bundles) {
+        bundles.watchConsole(tab);
       }
-      
-      // Be nice to the server between different toplists
-      await new Promise(resolve => setTimeout(resolve, 2000));
+      pages.push(tab);
     }
+    logger.info(`\n🚀 Step 3: Crawling ${selectedLinks.length} toplist pages on ${pages.length} tab(s)...`);
+    const allResults = await crawlLists(pages, selectedLinks, {
+      ...stepOptions, journal, sink, snapshotDir, failures, layout, previousLayout, bundles
+    });
     
-    // Step 5: Save results
-    console.log('\n' + '='.repeat(70));
-    console.log('💾 SAVING RESULTS...');
-    console.log('='.repeat(70));
+    // Step 5: Save the summary (--only merges into the existing one so other lists are untouched)
+    await sink.writeSummary(allResults, { merge: Boolean(options.only), failures });
+    if (journal) {
+      journal.finish();
+    }
     
-    // Create output directory if it doesn't exist
-    const outputDir = './enr-data';
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir);
-      console.log(`📁 Created directory: ${outputDir}`);
+    // Step 6: Visit the firm pages the lists link to, so the archived run holds the enriched firms.json
+    // (options.enrich or config.enrich.enabled; runs saved to the output folder only)
+    if ((options.enrich || config.enrich.enabled) && !options.sink) {
+      await enrichFirmPages(pages, allResults, outputDir, { ...stepOptions, snapshotDir, refresh: options.refreshFirms });
+    }
+    if (sink.finish) {
+      await sink.finish();
     }
     
-    // Save each toplist as a separate JSON file
-    allResults.forEach((result, index) => {
-      // Extract filename from URL or use listName
-      let filename = '';
-      
-      // Try to get filename from URL (e.g., "2025-Top-500-Design-Firms")
-      const urlParts = result.url.split('/');
-      const lastPart = urlParts[urlParts.length - 1];
-      
-      if (lastPart && lastPart !== 'toplists') {
-        filename = lastPart;
-      } else {
-        // Fallback: use listName and sanitize it
-        filename = result.listName
-          .replace(/[^a-z0-9]/gi, '-')
-          .replace(/-+/g, '-')
-          .replace(/^-|-$/g, '');
-      }
-      
-      // Create individual file data
-      const fileData = {
-        crawlDate: new Date().toISOString(),
-        listName: result.listName,
-        url: result.url,
-        totalRows: result.rowCount,
-        paginatedPages: result.paginatedPages,
-        headers: result.headers,
-        data: result.data
-      };
-      
-      const filepath = `${outputDir}/${filename}.json`;
-      fs.writeFileSync(filepath, JSON.stringify(fileData, null, 2));
-      console.log(`✅ Saved: ${filepath} (${result.rowCount} rows)`);
-    });
+    // Summary
+    printSummary(allResults, logger);
+    printFailureReport(failures, logger);
     
-    // Also save a summary file
-    const summaryData = {
-      crawlDate: new Date().toISOString(),
-      totalLists: allResults.length,
-      totalRows: allResults.reduce((sum, r) => sum + r.rowCount, 0),
-      files: allResults.map(r => {
-        const urlParts = r.url.split('/');
-        const filename = urlParts[urlParts.length - 1] || r.listName.replace(/[^a-z0-9]/gi, '-');
-        return {
-          filename: `${filename}.json`,
-          listName: r.listName,
-          url: r.url,
-          rowCount: r.rowCount,
-          paginatedPages: r.paginatedPages
-        };
-      })
-    };
+    // Compare the markup with the last run and keep this run's for the next one
+    const currentLayout = layout.snapshot();
+    reportLayoutDrift(previousLayout, currentLayout, { config, logger, events, bundles });
+    if (!options.sink) {
+      saveLayout(outputDir, currentLayout, previousLayout);
+    }
+    if (bundles && bundles.written.length > 0) {
+      logger.warn(`🧰 ${bundles.written.length} debug bundle(s) saved in ${bundles.runDir}`);
+    }
     
-    fs.writeFileSync(`${outputDir}/summary.json`, JSON.stringify(summaryData, null, 2));
-    console.log(`✅ Saved: ${outputDir}/summary.json (index file)`);
+    // Keeps the cookies for the next run
+    await fetcher.close({ saveSession: true });
     
-    // Save cookies
-    const cookies = await page.cookies();
-    fs.writeFileSync(cookiesPath, JSON.stringify(cookies, null, 2));
+    return allResults;
     
-    // Summary
+  } catch (error) {
+    logger.error(`❌ Error: ${error.stack || error.message}`);
+    emitEvent(options, 'error', { error, message: error.message, url: page.url(), fatal: true });
+    if (journal) {
+      logger.info(`Progress is kept in ${journal.path}; re-run with --resume to continue`);
+    }
+    if (bundles) {
+      try {
+        await bundles.writeBundle(page, 'error', { reason: 'fatal', url: page.url(), error: error.stack || error.message });
+      } catch (bundleError) {
+        logger.info(`Could not save a debug bundle: ${bundleError.message}`);
+      }
+    }
+    // Cookies picked up before the failure are still good for the next run
+    await fetcher.close({ saveSession: true });
+    throw error;
+  }
+}
 
-    console.log('📊 CRAWL SUMMARY');
-    console.log(`Total lists crawled: ${allResults.length}`);
-    console.log(`Total rows extracted: ${allResults.reduce((sum, r) => sum + r.rowCount, 0)}`);
-    console.log('\nResults by list:');
-    allResults.forEach((result, i) => {
-      const paginationInfo = result.paginatedPages > 1 
-        ? ` (${result.paginatedPages} pages)` 
-        : '';
-      console.log(`  ${i + 1}. ${result.listName}: ${result.rowCount} rows${paginationInfo}`);
+// Visits the firm pages linked from the lists already in the output folder and rebuilds firms.json (node index.js enrich)
+// options.config, options.outputDir, options.logger, options.source and options.fetcher, options.browser or
+// options.page as for crawlENRToplists; options.refresh fetches the cached pages again
+// Returns the enrichment report ({ links, fetched, cached, failures })
+async function enrichOutputDir(options = {}) {
+  const config = options.config || DEFAULT_CONFIG;
+  const outputDir = options.outputDir || config.paths.outputDir;
+  const logger = crawlLogger(options);
+  const source = crawlSource(options);
+  const lists = loadDataset(outputDir).map(({ list }) => list);
+  
+  const fetcher = resolveFetcher(options, config, logger);
+  const page = await fetcher.open();
+  
+  const onChallengeSolved = async () => {
+    if (fetcher.saveSession) {
+      await fetcher.saveSession();
+      logger.info('🍪 Session saved');
+    }
+  };
+  const notifier = createNotifier(config.notify, { quietPeriod: config.timeouts.challenge || Infinity, logger });
+  
+  try {
+    if (fetcher.session) {
+      checkSession(fetcher.session, { interactive: page.interactive !== false, logger });
+    }
+    return await enrichFirmPages(page, lists, outputDir, {
+      config, logger, source, notifier, onChallengeSolved,
+      limiter: createCrawlLimiter(config, { logger }),
+      backend: fetcher.name,
+      refresh: options.refresh
     });
-    console.log('='.repeat(70));
+  } finally {
+    await fetcher.close({ saveSession: true });
+  }
+}
+
+// Re-runs link discovery and table extraction against a saved snapshot directory, with no network
+// Writes the same output files as a live crawl (unless options.save is false, or to options.sink) and returns the results
+// options.logger, options.events and options.source as for crawlENRToplists (the source the snapshots came from)
+async function parseSnapshots(snapshotDir, options = {}) {
+  const config = options.config || DEFAULT_CONFIG;
+  const outputDir = options.outputDir || config.paths.outputDir;
+  const logger = crawlLogger(options);
+  const source = crawlSource(options);
+  const sink = options.save === false ? null : options.sink || createFileSink(outputDir, { logger });
+  
+  const manifest = loadManifest(snapshotDir);
+  if (!manifest.toplistsUrl) {
+    throw new Error(`No toplists index page found in snapshot directory: ${snapshotDir}`);
+  }
+  
+  logger.info(`📂 Parsing snapshots from: ${snapshotDir}`);
+  
+  const page = createSnapshotPage(snapshotDir);
+  
+  try {
+    await page.goto(manifest.toplistsUrl);
     
-    await browser.close();
+    // A subscriber run saved the full versions of the previews the index links to
+    const links = await getToplistLinks(page, { logger, source });
+    const toplistLinks = selectToplistLinks(links, options.only, source).map(link => {
+      const fullUrl = source.access && source.access.fullListUrl(link.href);
+      return fullUrl && manifest.pages[normalizeUrl(fullUrl)] ? { ...link, href: fullUrl, previewHref: link.href } : link;
+    });
     
-    return allResults;
+    // The pages were fetched when they were snapshotted, not now
+    const allResults = await crawlLists(page, toplistLinks, {
+      config, sink, logger, source, events: options.events,
+      backend: 'snapshot',
+      fetchedAt: url => (manifest.pages[normalizeUrl(url)] || {}).savedAt
+    });
     
-  } catch (error) {
-    console.error('❌ Error:', error);
-    try {
-      await page.screenshot({ path: 'error-screenshot.png', fullPage: true });
-      console.log('Error screenshot saved');
-    } catch (screenshotError) {
-      console.log('Could not save error screenshot');
-    }
-    await browser.close();
-    throw error;
+    if (sink) {
+      await sink.writeSummary(allResults, { merge: Boolean(options.only) });
+    }
+    printSummary(allResults, logger);
+    
+    return allResults;
+  } finally {
+    await page.close();
   }
 }
 
-module.exports = { crawlENRToplists };
\ No newline at end of file
+module.exports = {
+  STAGING_DIR,
+  crawlENRToplists,
+  parseSnapshots,
+  enrichOutputDir,
+  openToplistsIndex,
+  resolveFetcher,
+  createFileSink,
+  selectToplistLinks,
+  crawlToplistPage,
+  getToplistLinks,
+  getPaginationLinks,
+  extractTableData,
+  saveListFile,
+  saveSummary,
+  saveResults
+};
@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+const { migrateListFile } = require('./migrate');
+
+// Reads summary.json from an output folder
+// Throws when the folder has not been crawled yet
+function loadSummary(outputDir = './enr-data') {
+  const summaryPath = path.join(outputDir, 'summary.json');
+  if (!fs.existsSync(summaryPath)) {
+    const error = new Error(`No summary.json in ${outputDir} (run a crawl first)`);
+    error.code = 'NO_DATA';
+    throw error;
+  }
+  return JSON.parse(fs.readFileSync(summaryPath, 'utf8'));
+}
+
+// Loads every list file named in summary.json
+// Returns [{ filename, entry, list }] in summary order; files missing on disk are skipped
+// Lists saved in an older schema version are upgraded in memory (see controllers/migrate.js)
+// Throws an INCOMPLETE_SAVE error when a list file's contentHash differs from its summary entry: a run died while
+// moving its files in (see createFileSink in controllers/crawler.js), so the folder holds parts of two runs
+function loadDataset(outputDir = './enr-data') {
+  const summary = loadSummary(outputDir);
+
+  const files = (summary.files || [])
+    .filter(entry => fs.existsSync(path.join(outputDir, entry.filename)))
+    .map(entry => ({ entry, data: JSON.parse(fs.readFileSync(path.join(outputDir, entry.filename), 'utf8')) }));
+
+  const mismatched = files.filter(({ entry, data }) => entry.contentHash && data.contentHash && entry.contentHash !== data.contentHash);
+  if (mismatched.length > 0) {
+    const error = new Error(`${mismatched.map(({ entry }) => entry.filename).join(', ')} in ${outputDir} ` +
+      'do not match summary.json (a crawl stopped while saving); re-run it with --resume to finish the save');
+    error.code = 'INCOMPLETE_SAVE';
+    error.files = mismatched.map(({ entry }) => entry.filename);
+    throw error;
+  }
+
+  return files.map(({ entry, data }) => ({
+    filename: entry.filename,
+    entry,
+    list: migrateListFile(data, entry.filename)
+  }));
+}
+
+module.exports = {
+  loadSummary,
+  loadDataset
+};
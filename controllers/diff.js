@@ -0,0 +1,255 @@
+const fs = require('fs');
+const path = require('path');
+const { createResolver, loadOverrides } = require('./firms');
+const { listKey } = require('../utils/lists');
+const { DEFAULT_ARCHIVE_DIR, loadCrawledList, resolveCrawlPair } = require('./archive');
+const { assessCompleteness } = require('./quality');
+
+// Short description of a row for the report
+function describeRow(row) {
+  return {
+    name: row['Company Name'],
+    location: row['Location'] || '',
+    rank: row.rankCurrent != null ? row.rankCurrent : null
+  };
+}
+
+// Indexes rows by firm ID (normalized name plus manual overrides); later duplicates are ignored
+function indexRows(rows, resolve) {
+  const index = new Map();
+  rows.forEach(row => {
+    const key = row['Company Name'] ? resolve(row['Company Name'], row['Location']) : null;
+    if (key && !index.has(key)) {
+      index.set(key, row);
+    }
+  });
+  return index;
+}
+
+// Last rank a list shows (its row count when rows carry no ranks)
+function lastRank(list) {
+  const ranks = (list.data || []).map(row => row.rankCurrent).filter(rank => typeof rank === 'number');
+  return ranks.length > 0 ? Math.max(...ranks) : (list.data || []).length;
+}
+
+// Compares two crawls of the same list (two editions, or two crawls of one edition)
+// Reports entered/left firms, rank moves, renames, relocations and prior-rank disagreements
+// When either crawl is a preview or otherwise incomplete, entries and exits are only reported down to the
+// last rank both crawls show: a firm missing from a 5-row preview hasn't left the list
+// options.overrides are the firm merge/split rules used to match firms across the two crawls; firms are matched
+// by name otherwise, not split by location, so a firm that moved shows up as a relocation
+function diffLists(oldList, newList, options = {}) {
+  const resolve = createResolver(options.overrides);
+  const oldYear = oldList.rankYears && oldList.rankYears.current;
+  const newYears = newList.rankYears || {};
+
+  // Year over year when the new edition's prior rank column refers to the old edition's year
+  const yearOverYear = Boolean(oldYear && newYears.previous && newYears.previous === oldYear);
+
+  const oldIndex = indexRows(oldList.data || [], resolve);
+  const newIndex = indexRows(newList.data || [], resolve);
+
+  const oldCompleteness = assessCompleteness(oldList);
+  const newCompleteness = assessCompleteness(newList);
+  const coveredRank = oldCompleteness.complete && newCompleteness.complete
+    ? null
+    : Math.min(oldCompleteness.complete ? Infinity : lastRank(oldList), newCompleteness.complete ? Infinity : lastRank(newList));
+  const covered = row => coveredRank === null || row.rankCurrent == null || row.rankCurrent <= coveredRank;
+
+  const diff = {
+    list: listKey(newList.url || oldList.url),
+    mode: yearOverYear ? 'year-over-year' : 'recrawl',
+    from: {
+      crawlDate: oldList.crawlDate,
+      url: oldList.url,
+      rankYears: oldList.rankYears || null,
+      rows: (oldList.data || []).length,
+      completeness: oldCompleteness.status
+    },
+    to: {
+      crawlDate: newList.crawlDate,
+      url: newList.url,
+      rankYears: newList.rankYears || null,
+      rows: (newList.data || []).length,
+      completeness: newCompleteness.status
+    },
+    coveredRank,
+    entered: [],
+    left: [],
+    moved: [],
+    renamed: [],
+    relocated: [],
+    priorRankMismatches: []
+  };
+
+  const unmatchedOld = new Map(oldIndex);
+  const unmatchedNew = [];
+
+  newIndex.forEach((newRow, key) => {
+    const oldRow = oldIndex.get(key);
+    if (!oldRow) {
+      unmatchedNew.push(newRow);
+      return;
+    }
+    unmatchedOld.delete(key);
+
+    const name = newRow['Company Name'];
+
+    if (oldRow.rankCurrent != null && newRow.rankCurrent != null && oldRow.rankCurrent !== newRow.rankCurrent) {
+      diff.moved.push({
+        name,
+        from: oldRow.rankCurrent,
+        to: newRow.rankCurrent,
+        change: oldRow.rankCurrent - newRow.rankCurrent
+      });
+    }
+
+    if ((oldRow['Location'] || '') !== (newRow['Location'] || '')) {
+      diff.relocated.push({ name, from: oldRow['Location'] || '', to: newRow['Location'] || '' });
+    }
+
+    if (oldRow['Company Name'] !== name) {
+      diff.renamed.push({ from: oldRow['Company Name'], to: name, rank: newRow.rankCurrent, matchedBy: 'name' });
+    }
+
+    // The site's own prior rank should equal the rank we archived for last year's edition
+    // (a "**" prior rank is null, so a firm we archived as ranked but the site calls new is flagged too)
+    if (yearOverYear && newRow.rankPrevious !== undefined) {
+      const archivedRank = oldRow.rankCurrent != null ? oldRow.rankCurrent : null;
+      const reportedPriorRank = newRow.rankPrevious != null ? newRow.rankPrevious : null;
+      if (archivedRank !== reportedPriorRank) {
+        diff.priorRankMismatches.push({ name, archivedRank, reportedPriorRank });
+      }
+    }
+  });
+
+  // A firm that didn't match by name but sits where an unmatched old firm was is a rename
+  const oldByRank = new Map();
+  unmatchedOld.forEach((row, key) => {
+    if (row.rankCurrent != null) oldByRank.set(row.rankCurrent, key);
+  });
+
+  unmatchedNew.forEach(newRow => {
+    const anchorRank = yearOverYear ? newRow.rankPrevious : newRow.rankCurrent;
+    const oldKey = anchorRank != null ? oldByRank.get(anchorRank) : undefined;
+
+    if (oldKey !== undefined && unmatchedOld.has(oldKey)) {
+      const oldRow = unmatchedOld.get(oldKey);
+      unmatchedOld.delete(oldKey);
+      oldByRank.delete(anchorRank);
+
+      diff.renamed.push({ from: oldRow['Company Name'], to: newRow['Company Name'], rank: newRow.rankCurrent, matchedBy: 'rank' });
+
+      if ((oldRow['Location'] || '') !== (newRow['Location'] || '')) {
+        diff.relocated.push({ name: newRow['Company Name'], from: oldRow['Location'] || '', to: newRow['Location'] || '' });
+      }
+      if (oldRow.rankCurrent !== newRow.rankCurrent && newRow.rankCurrent != null) {
+        diff.moved.push({
+          name: newRow['Company Name'],
+          from: oldRow.rankCurrent,
+          to: newRow.rankCurrent,
+          change: oldRow.rankCurrent - newRow.rankCurrent
+        });
+      }
+      return;
+    }
+
+    if (covered(newRow)) {
+      diff.entered.push(describeRow(newRow));
+    }
+  });
+
+  unmatchedOld.forEach(row => {
+    if (covered(row)) {
+      diff.left.push(describeRow(row));
+    }
+  });
+
+  diff.moved.sort((a, b) => Math.abs(b.change) - Math.abs(a.change) || a.to - b.to);
+  diff.entered.sort((a, b) => (a.rank || Infinity) - (b.rank || Infinity));
+  diff.left.sort((a, b) => (a.rank || Infinity) - (b.rank || Infinity));
+
+  diff.counts = {
+    entered: diff.entered.length,
+    left: diff.left.length,
+    moved: diff.moved.length,
+    renamed: diff.renamed.length,
+    relocated: diff.relocated.length,
+    priorRankMismatches: diff.priorRankMismatches.length
+  };
+
+  return diff;
+}
+
+// Renders a diff as a readable plain-text report
+function formatDiffReport(diff) {
+  const lines = [];
+  const rank = value => (value == null ? '—' : `#${value}`);
+
+  lines.push(`ENR toplist diff: ${diff.list} (${diff.mode})`);
+  lines.push(`From: ${diff.from.crawl || diff.from.crawlDate} ${diff.from.url || ''} (${diff.from.rows} rows)`);
+  lines.push(`To:   ${diff.to.crawl || diff.to.crawlDate} ${diff.to.url || ''} (${diff.to.rows} rows)`);
+  if (diff.coveredRank !== null && diff.coveredRank !== undefined) {
+    lines.push(`Note: incomplete list (from: ${diff.from.completeness}, to: ${diff.to.completeness}); entries and exits only cover ranks 1-${diff.coveredRank}`);
+  }
+  lines.push('');
+
+  const section = (title, items, render) => {
+    lines.push(`${title} (${items.length})`);
+    if (items.length === 0) {
+      lines.push('  none');
+    }
+    items.forEach(item => lines.push(`  ${render(item)}`));
+    lines.push('');
+  };
+
+  section('Entered the list', diff.entered, f => `${rank(f.rank)} ${f.name}${f.location ? `, ${f.location}` : ''}`);
+  section('Left the list', diff.left, f => `${rank(f.rank)} ${f.name}${f.location ? `, ${f.location}` : ''}`);
+  section('Rank moves', diff.moved, m => `${m.name}: ${rank(m.from)} -> ${rank(m.to)} (${m.change > 0 ? '+' : ''}${m.change})`);
+  section('Name changes', diff.renamed, r => `${r.from} -> ${r.to} (${rank(r.rank)}, matched by ${r.matchedBy})`);
+  section('Location changes', diff.relocated, r => `${r.name}: ${r.from || '—'} -> ${r.to || '—'}`);
+
+  if (diff.mode === 'year-over-year') {
+    section('Prior rank disagreements (site vs. archive)', diff.priorRankMismatches,
+      m => `${m.name}: site says ${rank(m.reportedPriorRank)}, archive has ${rank(m.archivedRank)}`);
+  }
+
+  return lines.join('\n');
+}
+
+// Diffs two crawls of a list and writes <key>_<from>_<to>.json and .txt under enr-archive/diffs/
+// options.from / options.to are archive dates or "current"; both default to the two latest archives
+function diffCrawls(list, options = {}) {
+  const { from, to } = resolveCrawlPair(list, options);
+
+  const oldCrawl = loadCrawledList(from, list, options);
+  const newCrawl = loadCrawledList(to, list, options);
+  if (!oldCrawl || !newCrawl) {
+    throw new Error(`List ${list} is missing from crawl ${!oldCrawl ? from : to}`);
+  }
+
+  const diff = diffLists(oldCrawl.list, newCrawl.list, {
+    overrides: loadOverrides(options.overridesPath)
+  });
+  diff.from.crawl = from;
+  diff.to.crawl = to;
+
+  const report = formatDiffReport(diff);
+
+  const diffsDir = options.diffsDir || path.join(options.archiveDir || DEFAULT_ARCHIVE_DIR, 'diffs');
+  fs.mkdirSync(diffsDir, { recursive: true });
+
+  const baseName = `${diff.list}_${from}_${to}`;
+  const jsonPath = path.join(diffsDir, `${baseName}.json`);
+  const textPath = path.join(diffsDir, `${baseName}.txt`);
+  fs.writeFileSync(jsonPath, JSON.stringify(diff, null, 2));
+  fs.writeFileSync(textPath, report + '\n');
+
+  return { diff, report, jsonPath, textPath };
+}
+
+module.exports = {
+  diffLists,
+  formatDiffReport,
+  diffCrawls
+};
@@ -0,0 +1,231 @@
+const fs = require('fs');
+const path = require('path');
+const { parseNumber } = require('../utils/values');
+const { FIRM_URL_FIELD } = require('../utils/tables');
+const { DEFAULT_CONFIG } = require('../utils/config');
+const { createLogger } = require('../utils/logger');
+const { writeJsonAtomic } = require('../utils/files');
+const { withRetry, failureReason, runPool } = require('./scheduler');
+const { resolveSource } = require('./sources');
+
+// Where the firm detail pages already visited are kept: <outputDir>/.firm-pages.json
+const FIRM_CACHE_FILE = '.firm-pages.json';
+
+// The profile fields read from a firm's detail page
+const PROFILE_FIELDS = ['website', 'parentCompany', 'firmType', 'revenueHistory', 'specialties'];
+
+// Reads the firm page cache kept in outputDir: { pages: { url: { fetchedAt, profile } } }, empty when there is none
+function loadFirmCache(outputDir) {
+  const cachePath = path.join(outputDir, FIRM_CACHE_FILE);
+  if (!fs.existsSync(cachePath)) {
+    return { pages: {} };
+  }
+  const cache = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+  return { pages: cache.pages || {} };
+}
+
+function saveFirmCache(outputDir, cache) {
+  fs.mkdirSync(outputDir, { recursive: true });
+  writeJsonAtomic(path.join(outputDir, FIRM_CACHE_FILE), { updatedAt: new Date().toISOString(), pages: cache.pages });
+}
+
+// A serialized pattern ({ source, flags }, see controllers/sources.js) as a RegExp; null stays null
+function toPattern(pattern) {
+  return pattern ? new RegExp(pattern.source, pattern.flags) : null;
+}
+
+// The firm detail pages the lists link to (crawl results or list files, read from their firmUrl column), each once
+// Only links matching the source's firmPages.linkPattern count
+// Returns [{ url, firms }] in the order the lists first link them, firms being the names the rows give the firm
+function firmPageLinks(lists, source = resolveSource()) {
+  const linkPattern = toPattern(source.firmPages.linkPattern);
+  const links = new Map();
+
+  lists.forEach(list => {
+    (list.data || []).forEach(row => {
+      const url = row[FIRM_URL_FIELD];
+      if (!url || (linkPattern && !linkPattern.test(url))) return;
+
+      if (!links.has(url)) {
+        links.set(url, { url, firms: [] });
+      }
+      const { firms } = links.get(url);
+      if (row['Company Name'] && !firms.includes(row['Company Name'])) {
+        firms.push(row['Company Name']);
+      }
+    });
+  });
+
+  return Array.from(links.values());
+}
+
+// Reads the labelled fields of a firm page (dt/dd pairs, th/td rows and "Label: value" lines), its heading and
+// the rows of its revenue-by-year table, as raw text for profileFromPage
+// Runs in the page
+function readFirmPage(rules) {
+  const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+  const label = text => clean(text).replace(/:$/, '').trim();
+  const readValue = element => {
+    const link = Array.from(element.querySelectorAll('a[href]')).find(a => /^https?:/.test(a.href));
+    return {
+      text: clean(element.textContent),
+      href: link ? link.href : null,
+      items: Array.from(element.querySelectorAll('li')).map(li => clean(li.textContent)).filter(Boolean)
+    };
+  };
+
+  const fields = [];
+  document.querySelectorAll('dt').forEach(dt => {
+    const dd = dt.nextElementSibling;
+    if (dd && dd.tagName === 'DD') fields.push({ label: label(dt.textContent), ...readValue(dd) });
+  });
+  document.querySelectorAll('tr').forEach(tr => {
+    const th = tr.querySelector('th');
+    const cells = tr.querySelectorAll('td');
+    if (th && cells.length === 1) fields.push({ label: label(th.textContent), ...readValue(cells[0]) });
+  });
+  // "Parent Company: Acme Holdings", the label in a leading <strong>, <b> or <label>
+  document.querySelectorAll('p, li').forEach(element => {
+    const lead = element.firstElementChild;
+    if (!lead || !['STRONG', 'B', 'LABEL'].includes(lead.tagName) || !/:$/.test(clean(lead.textContent))) return;
+    const rest = element.cloneNode(true);
+    rest.removeChild(rest.firstElementChild);
+    fields.push({ label: label(lead.textContent), ...readValue(rest) });
+  });
+
+  // The revenue table: a year column next to one whose header (or the table's caption) matches the revenue label
+  const revenuePattern = new RegExp(rules.labels.revenue.source, rules.labels.revenue.flags);
+  const revenue = [];
+  document.querySelectorAll('table').forEach(table => {
+    const headerRow = Array.from(table.querySelectorAll('tr')).find(tr => tr.querySelectorAll('th').length > 1);
+    if (!headerRow) return;
+    const headers = Array.from(headerRow.querySelectorAll('th')).map(th => clean(th.textContent));
+    const caption = table.querySelector('caption');
+    const yearIndex = headers.findIndex(header => /year|^fy/i.test(header));
+    let revenueIndex = headers.findIndex((header, i) => i !== yearIndex && revenuePattern.test(header));
+    if (revenueIndex === -1 && caption && revenuePattern.test(caption.textContent) && headers.length === 2) {
+      revenueIndex = yearIndex === 0 ? 1 : 0;
+    }
+    if (yearIndex === -1 || revenueIndex === -1) return;
+
+    table.querySelectorAll('tr').forEach(tr => {
+      const cells = Array.from(tr.querySelectorAll('td, th')).map(cell => clean(cell.textContent));
+      if (tr !== headerRow && cells[yearIndex] && cells[revenueIndex] !== undefined) {
+        revenue.push({ year: cells[yearIndex], revenue: cells[revenueIndex] });
+      }
+    });
+  });
+
+  const heading = document.querySelector('h1');
+  return { heading: heading ? clean(heading.textContent) : null, fields, revenue };
+}
+
+// Turns what readFirmPage found into a profile: { name, website, parentCompany, firmType, revenueHistory, specialties }
+// revenueHistory is [{ year, revenue }] (revenue in the units the page prints, usually $ millions), newest year first
+// labels are the source's firmPages.labels; fields the page doesn't have are null (specialties [])
+function profileFromPage(raw, labels) {
+  const field = name => {
+    const pattern = toPattern(labels[name]);
+    return pattern ? raw.fields.find(entry => pattern.test(entry.label)) : undefined;
+  };
+  const text = name => {
+    const entry = field(name);
+    return entry && entry.text ? entry.text : null;
+  };
+
+  const website = field('website');
+  const specialties = field('specialties');
+  const revenueHistory = [];
+  raw.revenue.forEach(entry => {
+    const year = (entry.year.match(/\b(19|20)\d{2}\b/) || [])[0];
+    const revenue = parseNumber(entry.revenue);
+    if (year && revenue !== null && !revenueHistory.some(known => known.year === Number(year))) {
+      revenueHistory.push({ year: Number(year), revenue });
+    }
+  });
+
+  return {
+    name: raw.heading,
+    website: website ? website.href || website.text || null : null,
+    parentCompany: text('parentCompany'),
+    firmType: text('firmType'),
+    revenueHistory: revenueHistory.sort((a, b) => b.year - a.year),
+    specialties: specialties
+      ? (specialties.items.length > 0 ? specialties.items : specialties.text.split(/\s*[;,]\s*/).filter(Boolean))
+      : []
+  };
+}
+
+// Reads the profile of the firm page open in page; options.source is the site's adapter
+// Throws an EMPTY_PROFILE error when the page has none of the profile fields (a missing page, a changed layout)
+async function readFirmProfile(page, url, options = {}) {
+  const source = options.source || resolveSource();
+  const profile = profileFromPage(await page.evaluate(readFirmPage, source.firmPages), source.firmPages.labels);
+
+  const found = PROFILE_FIELDS.filter(key => (Array.isArray(profile[key]) ? profile[key].length > 0 : profile[key]));
+  if (found.length === 0) {
+    const error = new Error(`No firm profile fields found on ${url}`);
+    error.code = 'EMPTY_PROFILE';
+    throw error;
+  }
+  return profile;
+}
+
+// Visits the detail page of every firm the lists link to, each page once however many lists and rows link it,
+// sharing the pages (browser tabs) like the list crawl does
+// options.cache (see loadFirmCache) is updated in place: pages fetched less than options.maxAge ms ago
+// (config.enrich.maxAge; 0 = never stale) are not fetched again, and options.refresh fetches every page
+// options.open(page, url) navigates (the crawler passes its rate-limited, challenge-aware openListPage, and the
+// default is a plain goto); options.retry(page) gives the retry policy for a page (see withRetry)
+// options.source and options.logger as for the crawl
+// Returns { links, fetched, cached, failures: [{ url, firms, reason, attempts, message }] }
+async function enrichFirms(pages, lists, options = {}) {
+  const logger = options.logger || createLogger();
+  const source = options.source || resolveSource();
+  const cache = options.cache || { pages: {} };
+  const maxAge = options.maxAge === undefined ? DEFAULT_CONFIG.enrich.maxAge : options.maxAge;
+  const open = options.open || ((page, url) => page.goto(url, { waitUntil: 'domcontentloaded' }));
+  const tabs = Array.isArray(pages) ? pages : [pages];
+
+  const now = Date.now();
+  const fresh = entry => Boolean(entry && entry.profile) && !options.refresh &&
+    (!maxAge || now - Date.parse(entry.fetchedAt) < maxAge);
+
+  const links = firmPageLinks(lists, source);
+  const due = links.filter(link => !fresh(cache.pages[link.url]));
+  logger.info(`🏢 ${links.length} firm page(s) linked: ${links.length - due.length} cached, ${due.length} to visit`);
+
+  const failures = [];
+  let fetched = 0;
+  await runPool(due, tabs, async (link, page, i) => {
+    logger.info(`  [${i + 1}/${due.length}] ${link.firms[0] || link.url}`);
+    try {
+      const profile = await withRetry(async () => {
+        await open(page, link.url);
+        return readFirmProfile(page, link.url, { source });
+      }, options.retry ? options.retry(page) : {});
+
+      cache.pages[link.url] = { fetchedAt: new Date().toISOString(), profile };
+      fetched++;
+    } catch (error) {
+      failures.push({ url: link.url, firms: link.firms, reason: failureReason(error), attempts: error.attempts, message: error.message });
+      logger.warn(`  ⚠️  ${link.url}: ${error.message}`);
+    }
+  });
+
+  if (failures.length > 0) {
+    logger.warn(`⚠️  ${failures.length} firm page(s) failed; they are tried again on the next run`);
+  }
+  return { links: links.length, fetched, cached: links.length - due.length, failures };
+}
+
+module.exports = {
+  FIRM_CACHE_FILE,
+  PROFILE_FIELDS,
+  loadFirmCache,
+  saveFirmCache,
+  firmPageLinks,
+  profileFromPage,
+  readFirmProfile,
+  enrichFirms
+};
@@ -0,0 +1,364 @@
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const initSqlJs = require('sql.js');
+const { loadSummary, loadDataset } = require('./dataset');
+const { buildFirmProfiles, createResolver, loadOverrides } = require('./firms');
+const { listKey, listYear, slugFromUrl } = require('../utils/lists');
+const { assessCompleteness } = require('./quality');
+const { createLogger } = require('../utils/logger');
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'ndjson', 'sqlite'];
+const DEFAULT_EXPORT_DIR = './enr-export';
+
+// Parses a --format value ("csv,xlsx", "all") into a list of export formats
+// Throws on unknown formats
+function parseFormats(value) {
+  if (!value || value === true || value === 'all') {
+    return EXPORT_FORMATS.slice();
+  }
+
+  const formats = String(value).split(',').map(f => f.trim().toLowerCase()).filter(Boolean);
+  const unknown = formats.filter(f => !EXPORT_FORMATS.includes(f));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown export format: ${unknown.join(', ')} (expected ${EXPORT_FORMATS.join(', ')})`);
+  }
+  return Array.from(new Set(formats));
+}
+
+// Slug of a list file ("2025-Top-400-Contractors-1-preview.json" -> "2025-Top-400-Contractors-1-preview")
+function listSlug(filename, list) {
+  return slugFromUrl(list.url) || filename.replace(/\.json$/, '');
+}
+
+// Columns of a list in table order: { key, label }
+// Handles both typed headers ({ key, label, type }) and the older plain-string headers,
+// and appends any row key the headers don't mention
+function listColumns(list) {
+  const columns = (list.headers || []).map(header =>
+    typeof header === 'string' ? { key: header, label: header } : { key: header.key, label: header.label }
+  );
+
+  const known = new Set(columns.map(c => c.key));
+  (list.data || []).forEach(row => {
+    Object.keys(row).forEach(key => {
+      if (key !== 'footnotes' && !known.has(key)) {
+        known.add(key);
+        columns.push({ key, label: key });
+      }
+    });
+  });
+
+  return columns;
+}
+
+// Flattens a row's footnote map into one cell ("firm: 1; rankPrevious: **")
+function footnoteText(footnotes) {
+  if (!footnotes) return '';
+  return Object.entries(footnotes).map(([key, notes]) => `${key}: ${notes.join(' ')}`).join('; ');
+}
+
+// Quotes a value for CSV when it contains a delimiter, quote or line break
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Renders one list as CSV with a header row of column keys
+// A footnotes column is added when any row carries footnotes
+function listToCsv(list) {
+  const columns = listColumns(list);
+  const rows = list.data || [];
+  const withFootnotes = rows.some(row => row.footnotes);
+
+  const header = columns.map(c => c.key);
+  if (withFootnotes) header.push('footnotes');
+
+  const lines = [header.map(csvValue).join(',')];
+  rows.forEach(row => {
+    const cells = columns.map(c => row[c.key]);
+    if (withFootnotes) cells.push(footnoteText(row.footnotes));
+    lines.push(cells.map(csvValue).join(','));
+  });
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Writes one <slug>.csv per list into exportDir/csv
+// Returns the written paths
+function exportCsv(dataset, exportDir) {
+  const csvDir = path.join(exportDir, 'csv');
+  fs.mkdirSync(csvDir, { recursive: true });
+
+  return dataset.map(({ filename, list }) => {
+    const filepath = path.join(csvDir, `${listSlug(filename, list)}.csv`);
+    fs.writeFileSync(filepath, listToCsv(list));
+    return filepath;
+  });
+}
+
+// Writes every row of every list to rankings.ndjson, one JSON object per line
+// Each line carries the list it came from ({ list, listName, year, ...row })
+function exportNdjson(dataset, exportDir) {
+  fs.mkdirSync(exportDir, { recursive: true });
+
+  const lines = [];
+  dataset.forEach(({ filename, list }) => {
+    const slug = listSlug(filename, list);
+    const year = (list.rankYears && list.rankYears.current) || listYear(slug);
+    (list.data || []).forEach(row => {
+      lines.push(JSON.stringify({ list: slug, listName: list.listName, year, ...row }));
+    });
+  });
+
+  const filepath = path.join(exportDir, 'rankings.ndjson');
+  fs.writeFileSync(filepath, lines.length > 0 ? lines.join('\n') + '\n' : '');
+  return filepath;
+}
+
+// Excel sheet name for a list: at most 31 characters, no []:*?/\ and unique within the workbook
+function sheetName(slug, used) {
+  const base = slug.replace(/[[\]:*?/\\]/g, '-').slice(0, 31);
+  let name = base;
+  for (let i = 2; used.has(name.toLowerCase()); i++) {
+    const suffix = `-${i}`;
+    name = base.slice(0, 31 - suffix.length) + suffix;
+  }
+  used.add(name.toLowerCase());
+  return name;
+}
+
+// Writes enr-toplists.xlsx: a Summary sheet built from summary.json plus one sheet per list
+async function exportXlsx(dataset, summary, exportDir) {
+  fs.mkdirSync(exportDir, { recursive: true });
+
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+  const used = new Set(['summary']);
+
+  const summarySheet = workbook.addWorksheet('Summary');
+  summarySheet.columns = [
+    { header: 'Sheet', key: 'sheet', width: 32 },
+    { header: 'File', key: 'filename', width: 48 },
+    { header: 'List Name', key: 'listName', width: 40 },
+    { header: 'Category', key: 'category', width: 20 },
+    { header: 'Year', key: 'year', width: 8 },
+    { header: 'Size', key: 'declaredSize', width: 8 },
+    { header: 'Access', key: 'access', width: 10 },
+    { header: 'Published', key: 'publishedAt', width: 12 },
+    { header: 'URL', key: 'url', width: 60 },
+    { header: 'Rows', key: 'rowCount', width: 8 },
+    { header: 'Completeness', key: 'completeness', width: 14 },
+    { header: 'Pages', key: 'paginatedPages', width: 8 },
+    { header: 'Rank Year', key: 'rankYear', width: 10 },
+    { header: 'Prior Rank Year', key: 'priorRankYear', width: 15 }
+  ];
+
+  const sheets = new Map();
+  dataset.forEach(({ filename, list }) => sheets.set(filename, sheetName(listSlug(filename, list), used)));
+
+  (summary.files || []).forEach(entry => {
+    const metadata = entry.metadata || {};
+    summarySheet.addRow({
+      sheet: sheets.get(entry.filename) || '',
+      filename: entry.filename,
+      listName: entry.listName,
+      category: metadata.category,
+      year: metadata.year,
+      declaredSize: metadata.declaredSize,
+      access: metadata.access,
+      publishedAt: metadata.publishedAt,
+      url: entry.url,
+      rowCount: entry.rowCount,
+      completeness: (entry.completeness || assessCompleteness(entry)).status,
+      paginatedPages: entry.paginatedPages,
+      rankYear: entry.rankYears ? entry.rankYears.current : null,
+      priorRankYear: entry.rankYears ? entry.rankYears.previous : null
+    });
+  });
+  summarySheet.addRow({});
+  summarySheet.addRow({ sheet: 'Crawl date', filename: summary.crawlDate });
+  summarySheet.addRow({ sheet: 'Total rows', filename: summary.totalRows });
+  summarySheet.getRow(1).font = { bold: true };
+
+  dataset.forEach(({ filename, list }) => {
+    const sheet = workbook.addWorksheet(sheets.get(filename));
+    const columns = listColumns(list);
+    const withFootnotes = (list.data || []).some(row => row.footnotes);
+
+    const sheetColumns = columns.map(c => ({ header: c.key, key: c.key, width: Math.min(Math.max(c.key.length + 2, 10), 40) }));
+    if (withFootnotes) {
+      sheetColumns.push({ header: 'footnotes', key: 'footnotes', width: 20 });
+    }
+    sheet.columns = sheetColumns;
+
+    (list.data || []).forEach(row => {
+      const values = {};
+      columns.forEach(c => {
+        values[c.key] = row[c.key] === undefined ? null : row[c.key];
+      });
+      if (withFootnotes) values.footnotes = footnoteText(row.footnotes);
+      sheet.addRow(values);
+    });
+
+    sheet.getRow(1).font = { bold: true };
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+  });
+
+  const filepath = path.join(exportDir, 'enr-toplists.xlsx');
+  await workbook.xlsx.writeFile(filepath);
+  return filepath;
+}
+
+// Writes enr-toplists.sqlite with normalized tables:
+// lists (one row per toplist), firms (cross-list firm IDs) and rankings (one row per firm per list)
+// Every column of a ranking row is kept as JSON in rankings.data
+async function exportSqlite(dataset, exportDir, options = {}) {
+  fs.mkdirSync(exportDir, { recursive: true });
+
+  const overrides = options.overrides || { merge: [], split: [] };
+  const resolve = createResolver(overrides, dataset);
+  const profiles = buildFirmProfiles(dataset, { overrides });
+
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+
+  db.run(`
+    CREATE TABLE lists (
+      id INTEGER PRIMARY KEY,
+      slug TEXT NOT NULL UNIQUE,
+      list_key TEXT NOT NULL,
+      filename TEXT NOT NULL,
+      list_name TEXT,
+      url TEXT,
+      category TEXT,
+      year INTEGER,
+      declared_size INTEGER,
+      access TEXT,
+      published_at TEXT,
+      rank_year_current INTEGER,
+      rank_year_previous INTEGER,
+      crawl_date TEXT,
+      row_count INTEGER,
+      completeness TEXT
+    );
+    CREATE TABLE firms (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      location TEXT,
+      aliases TEXT,
+      list_count INTEGER
+    );
+    CREATE TABLE rankings (
+      list_id INTEGER NOT NULL REFERENCES lists(id),
+      firm_id TEXT NOT NULL REFERENCES firms(id),
+      rank_current INTEGER,
+      rank_previous INTEGER,
+      company_name TEXT,
+      location TEXT,
+      city TEXT,
+      state TEXT,
+      country TEXT,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX rankings_list ON rankings(list_id);
+    CREATE INDEX rankings_firm ON rankings(firm_id);
+  `);
+
+  const insertFirm = db.prepare('INSERT INTO firms VALUES (?, ?, ?, ?, ?)');
+  profiles.forEach(profile => {
+    insertFirm.run([profile.id, profile.name, profile.location || null, JSON.stringify(profile.aliases), profile.listCount]);
+  });
+  insertFirm.free();
+
+  const insertList = db.prepare('INSERT INTO lists VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)');
+  const insertRanking = db.prepare('INSERT INTO rankings VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)');
+  const nullable = value => (value === undefined ? null : value);
+  const rank = value => (typeof value === 'number' ? value : null);
+
+  dataset.forEach(({ filename, list }, index) => {
+    const listId = index + 1;
+    const slug = listSlug(filename, list);
+    const rankYears = list.rankYears || {};
+    const metadata = list.metadata || {};
+
+    insertList.run([
+      listId, slug, listKey(slug), filename, nullable(list.listName), nullable(list.url),
+      nullable(metadata.category), nullable(metadata.year || rankYears.current || listYear(slug)),
+      nullable(metadata.declaredSize), nullable(metadata.access), nullable(metadata.publishedAt),
+      nullable(rankYears.current), nullable(rankYears.previous),
+      nullable(list.crawlDate), (list.data || []).length, (list.completeness || assessCompleteness(list)).status
+    ]);
+
+    (list.data || []).forEach(row => {
+      if (!row['Company Name']) return;
+      insertRanking.run([
+        listId,
+        resolve(row['Company Name'], row['Location'] || ''),
+        rank(row.rankCurrent),
+        rank(row.rankPrevious),
+        row['Company Name'],
+        nullable(row['Location']),
+        nullable(row.city),
+        nullable(row.state),
+        nullable(row.country),
+        JSON.stringify(row)
+      ]);
+    });
+  });
+  insertList.free();
+  insertRanking.free();
+
+  const filepath = path.join(exportDir, 'enr-toplists.sqlite');
+  fs.writeFileSync(filepath, Buffer.from(db.export()));
+  db.close();
+  return filepath;
+}
+
+// Exports an already crawled output folder (summary.json + list files) without recrawling
+// options.formats (default: all), options.exportDir (default ./enr-export), options.overridesPath,
+// options.logger (progress lines)
+// Returns { [format]: path or paths }
+async function exportDataset(outputDir = './enr-data', options = {}) {
+  const formats = options.formats || EXPORT_FORMATS;
+  const exportDir = options.exportDir || DEFAULT_EXPORT_DIR;
+  const logger = options.logger || createLogger();
+
+  const summary = loadSummary(outputDir);
+  const dataset = loadDataset(outputDir);
+  const written = {};
+
+  logger.info(`📦 Exporting ${dataset.length} lists from ${outputDir} to ${exportDir} (${formats.join(', ')})`);
+
+  for (const format of formats) {
+    if (format === 'csv') {
+      written.csv = exportCsv(dataset, exportDir);
+      logger.info(`✅ CSV: ${written.csv.length} files in ${path.join(exportDir, 'csv')}`);
+    } else if (format === 'ndjson') {
+      written.ndjson = exportNdjson(dataset, exportDir);
+      logger.info(`✅ NDJSON: ${written.ndjson}`);
+    } else if (format === 'xlsx') {
+      written.xlsx = await exportXlsx(dataset, summary, exportDir);
+      logger.info(`✅ XLSX: ${written.xlsx}`);
+    } else if (format === 'sqlite') {
+      written.sqlite = await exportSqlite(dataset, exportDir, { overrides: loadOverrides(options.overridesPath) });
+      logger.info(`✅ SQLite: ${written.sqlite}`);
+    }
+  }
+
+  return written;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  DEFAULT_EXPORT_DIR,
+  parseFormats,
+  listColumns,
+  listToCsv,
+  exportCsv,
+  exportNdjson,
+  exportXlsx,
+  exportSqlite,
+  exportDataset
+};
@@ -0,0 +1,310 @@
+const puppeteer = require('puppeteer-core');
+const { createDomPage } = require('../utils/dom-page');
+const { DEFAULT_CONFIG } = require('../utils/config');
+const { openSession } = require('./sessions');
+
+// A fetcher hands the crawler the page object every step works on (goto, evaluate, waitForSelector,
+// content, url, title, cookies) and cleans up after the crawl:
+//   { name, session, open() -> page, newPage() -> another tab sharing the session,
+//     saveSession() -> writes the current cookies, close({ saveSession }) }
+// The session (controllers/sessions.js) supplies the saved cookies and where to write them back
+const FETCHER_BACKENDS = ['puppeteer', 'http'];
+
+// Redirects the http backend follows for one request before giving up and returning the redirect
+const MAX_REDIRECTS = 10;
+
+// Chromium driven by Puppeteer; runs page scripts and lets a person solve Cloudflare challenges
+// options.session replaces the config's session profile; options.logger is passed on to it
+function createPuppeteerFetcher(config = DEFAULT_CONFIG, options = {}) {
+  const { browser: browserConfig } = config;
+  const session = options.session || openSession(config, { logger: options.logger });
+  let browser = null;
+  let page = null;
+
+  // Tabs share the browser's cookies, so only the user agent and webdriver flag need setting per tab
+  // Nobody can click through a challenge in a headless browser, so its tabs are marked non-interactive
+  const setupPage = async () => {
+    const tab = await browser.newPage();
+    tab.interactive = !browserConfig.headless;
+    await tab.setUserAgent(browserConfig.userAgent);
+
+    await tab.evaluateOnNewDocument(() => {
+      Object.defineProperty(navigator, 'webdriver', {
+        get: () => false,
+      });
+    });
+
+    return tab;
+  };
+
+  // Every cookie in the browser, not only those of the current page
+  const saveSession = async () => {
+    if (browser) {
+      session.save(await browser.cookies());
+    }
+  };
+
+  return {
+    name: 'puppeteer',
+    session,
+
+    async open() {
+      browser = await puppeteer.launch({
+        headless: browserConfig.headless,
+        executablePath: browserConfig.executablePath,
+        userDataDir: session.userDataDir,
+        args: browserConfig.args
+      });
+
+      // A cookie file that can't be read must not leave the browser running
+      try {
+        page = await setupPage();
+
+        const cookies = session.load();
+        if (cookies.length > 0) {
+          await page.setCookie(...cookies);
+        }
+      } catch (error) {
+        await browser.close();
+        browser = null;
+        page = null;
+        throw error;
+      }
+
+      return page;
+    },
+
+    async newPage() {
+      return setupPage();
+    },
+
+    saveSession,
+
+    // closeOptions.saveSession writes the browser's cookies back for the next run
+    async close(closeOptions = {}) {
+      if (!browser) return;
+
+      if (closeOptions.saveSession) {
+        await saveSession();
+      }
+
+      await browser.close();
+      browser = null;
+      page = null;
+    }
+  };
+}
+
+// Parses one Set-Cookie header into the Puppeteer cookie shape
+function parseSetCookie(header, url) {
+  const [pair, ...attributes] = header.split(';').map(part => part.trim());
+  const separator = pair.indexOf('=');
+  if (separator <= 0) return null;
+
+  const cookie = {
+    name: pair.slice(0, separator),
+    value: pair.slice(separator + 1),
+    domain: new URL(url).hostname,
+    path: '/'
+  };
+
+  // Expiry in seconds since the epoch like Puppeteer's; Max-Age wins over Expires
+  let maxAge = null;
+  attributes.forEach(attribute => {
+    const separatorAt = attribute.indexOf('=');
+    const key = separatorAt === -1 ? attribute : attribute.slice(0, separatorAt);
+    const value = separatorAt === -1 ? '' : attribute.slice(separatorAt + 1);
+    if (/^domain$/i.test(key) && value) cookie.domain = value;
+    if (/^path$/i.test(key) && value) cookie.path = value;
+    if (/^expires$/i.test(key) && !Number.isNaN(Date.parse(value))) cookie.expires = Date.parse(value) / 1000;
+    if (/^max-age$/i.test(key) && /^-?\d+$/.test(value)) maxAge = Number(value);
+  });
+  if (maxAge !== null) {
+    cookie.expires = Date.now() / 1000 + maxAge;
+  }
+
+  return cookie;
+}
+
+// Simple cookie jar keyed by domain, path and name
+function createCookieJar(initial = []) {
+  const cookies = new Map();
+  const keyOf = cookie => `${cookie.domain}|${cookie.path || '/'}|${cookie.name}`;
+  const add = cookie => cookies.set(keyOf(cookie), cookie);
+  initial.forEach(add);
+
+  return {
+    add,
+
+    all() {
+      return Array.from(cookies.values());
+    },
+
+    // Cookie header for a request URL
+    header(url) {
+      const { hostname, pathname } = new URL(url);
+      return Array.from(cookies.values())
+        .filter(cookie => {
+          const domain = String(cookie.domain || '').replace(/^\./, '');
+          return (hostname === domain || hostname.endsWith(`.${domain}`)) && pathname.startsWith(cookie.path || '/');
+        })
+        .map(cookie => `${cookie.name}=${cookie.value}`)
+        .join('; ');
+    }
+  };
+}
+
+// Plain HTTP requests parsed with jsdom; no browser needed, but page scripts never run,
+// so a Cloudflare challenge can't be passed (it is reported as a failed challenge)
+// options.fetch replaces the global fetch (used by tests); options.session replaces the config's session profile;
+// options.logger is passed on to it
+function createHttpFetcher(config = DEFAULT_CONFIG, options = {}) {
+  const fetchPage = options.fetch || fetch;
+  const { browser: browserConfig, timeouts } = config;
+  const session = options.session || openSession(config, { logger: options.logger });
+  let jar = null;
+  let pages = [];
+
+  // Redirects are followed here rather than by fetch, so cookies set along the way (a login's
+  // session cookie is usually set on its redirect) reach the jar; request carries a form submission
+  const loadHtml = async (url, request = {}) => {
+    let target = url;
+    let current = request;
+
+    for (let redirects = 0; ; redirects++) {
+      const cookie = jar.header(target);
+      const response = await fetchPage(target, {
+        method: current.method || 'GET',
+        body: current.body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeouts.navigation),
+        headers: {
+          'User-Agent': browserConfig.userAgent,
+          Accept: 'text/html,application/xhtml+xml',
+          ...current.headers,
+          ...(cookie ? { Cookie: cookie } : {})
+        }
+      });
+
+      const setCookies = response.headers.getSetCookie ? response.headers.getSetCookie() : [];
+      setCookies.forEach(header => {
+        const parsed = parseSetCookie(header, response.url || target);
+        if (parsed) jar.add(parsed);
+      });
+
+      const location = response.headers.get('location');
+      if (response.status >= 300 && response.status < 400 && location && redirects < MAX_REDIRECTS) {
+        target = new URL(location, target).href;
+        // Like browsers, only 307 and 308 repeat a POST; other redirects become a GET
+        if (response.status !== 307 && response.status !== 308) {
+          current = {};
+        }
+        continue;
+      }
+
+      return { html: await response.text(), url: response.url || target, status: response.status };
+    }
+  };
+
+  // Every page shares the cookie jar
+  const newPage = async () => {
+    const page = createDomPage(loadHtml, {
+      offline: false,
+      cookies: () => jar.all(),
+      setCookie: (...cookies) => cookies.forEach(jar.add)
+    });
+    pages.push(page);
+    return page;
+  };
+
+  const saveSession = async () => {
+    if (jar) {
+      session.save(jar.all());
+    }
+  };
+
+  return {
+    name: 'http',
+    session,
+
+    async open() {
+      jar = createCookieJar(session.load());
+      return newPage();
+    },
+
+    newPage,
+    saveSession,
+
+    async close(closeOptions = {}) {
+      if (pages.length === 0) return;
+
+      if (closeOptions.saveSession) {
+        await saveSession();
+      }
+
+      await Promise.all(pages.map(page => page.close()));
+      pages = [];
+    }
+  };
+}
+
+// Fetcher around a Puppeteer browser the caller launched (a service embedding the crawler)
+// Tabs are opened in it and closed again afterwards; the browser, its cookies and its lifetime stay with the caller
+function createBrowserFetcher(browser) {
+  let pages = [];
+
+  const newPage = async () => {
+    const page = await browser.newPage();
+    pages.push(page);
+    return page;
+  };
+
+  return {
+    name: 'browser',
+    session: null,
+    open: newPage,
+    newPage,
+
+    async close() {
+      await Promise.all(pages.map(page => page.close().catch(() => {})));
+      pages = [];
+    }
+  };
+}
+
+// Fetcher around a single page the caller already holds; lists are crawled one after another on it
+// (maxPages) and the page is left open
+function createPageFetcher(page) {
+  return {
+    name: 'page',
+    session: null,
+    maxPages: 1,
+
+    async open() {
+      return page;
+    },
+
+    async newPage() {
+      throw new Error('A page fetcher has a single page; crawl with one tab (crawl.concurrency = 1)');
+    },
+
+    async close() {}
+  };
+}
+
+// Builds the fetcher for a backend name ("puppeteer" or "http")
+function createFetcher(backend = 'puppeteer', config = DEFAULT_CONFIG, options = {}) {
+  if (backend === 'puppeteer') return createPuppeteerFetcher(config, options);
+  if (backend === 'http') return createHttpFetcher(config, options);
+  throw new Error(`Unknown fetcher backend: ${backend} (expected ${FETCHER_BACKENDS.join(' or ')})`);
+}
+
+module.exports = {
+  FETCHER_BACKENDS,
+  createFetcher,
+  createPuppeteerFetcher,
+  createHttpFetcher,
+  createBrowserFetcher,
+  createPageFetcher,
+  createCookieJar
+};
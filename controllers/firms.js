@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { normalizeFirmName, normalizeLocation } = require('../utils/names');
+const { listKey, listYear, slugFromUrl } = require('../utils/lists');
+const { FIRM_URL_FIELD } = require('../utils/tables');
+const { parseLocation } = require('../utils/location');
+const { createLogger } = require('../utils/logger');
+const { writeJsonAtomic } = require('../utils/files');
+const { loadDataset } = require('./dataset');
+const { loadFirmCache } = require('./enrich');
+
+const DEFAULT_OVERRIDES_PATH = './firm-overrides.json';
+
+// Stable firm ID derived from the canonical (normalized) name, e.g. "firm-3f2a9c0d1e"
+function firmId(canonicalName) {
+  return `firm-${crypto.createHash('sha1').update(canonicalName).digest('hex').slice(0, 10)}`;
+}
+
+// Reads the manual override file
+// Format: { "merge": [{ "id"?, "names": [...] }], "split": [{ "id", "name", "location" }] }
+function loadOverrides(overridesPath = DEFAULT_OVERRIDES_PATH) {
+  if (!overridesPath || !fs.existsSync(overridesPath)) {
+    return { merge: [], split: [] };
+  }
+
+  const overrides = JSON.parse(fs.readFileSync(overridesPath, 'utf8'));
+  return {
+    merge: overrides.merge || [],
+    split: overrides.split || []
+  };
+}
+
+// The split rules of the overrides, matched against a row's normalized name and location
+function splitRules(overrides) {
+  const rules = overrides.split.map(rule => ({
+    id: rule.id,
+    name: normalizeFirmName(rule.name),
+    location: normalizeLocation(rule.location)
+  }));
+  return (canonical, place) => rules.find(rule => rule.name === canonical && (!rule.location || rule.location === place));
+}
+
+// The region a location is in: "United States/MO", "Canada/QC", or the country alone ("Denmark"); null when unknown
+function regionOf(location) {
+  const { state, country } = parseLocation(location);
+  return country ? [country, state].filter(Boolean).join('/') : null;
+}
+
+// Finds the firm names whose rows (lists as [{ list }]) are in more than one state or country: two firms sharing
+// a name, or one firm listed at its US office and at its head office. Names in a merge rule, and rows a split
+// rule claims, are left out, since a person already decided those
+// A location whose state (or region) isn't recognized goes to the name's most common region in that country
+// (or overall)
+// Returns Map(normalized name -> Map(normalized location -> region))
+function locationSplits(lists, overrides = { merge: [], split: [] }) {
+  const merged = new Set(overrides.merge.flatMap(rule => (rule.names || []).map(normalizeFirmName)));
+  const matchSplit = splitRules(overrides);
+  const locations = new Map();
+
+  lists.forEach(({ list }) => (list.data || []).forEach(row => {
+    const canonical = normalizeFirmName(row['Company Name']);
+    const place = normalizeLocation(row['Location']);
+    if (!canonical || merged.has(canonical) || matchSplit(canonical, place)) return;
+
+    if (!locations.has(canonical)) locations.set(canonical, []);
+    locations.get(canonical).push({ place, region: regionOf(row['Location']) });
+  }));
+
+  const splits = new Map();
+  locations.forEach((rows, canonical) => {
+    const regions = rows.map(row => row.region).filter(Boolean);
+    const states = new Set(regions.filter(region => region.includes('/')));
+    const countries = new Set(regions.map(region => region.split('/')[0]));
+    if (states.size < 2 && countries.size < 2) return;
+
+    const places = new Map();
+    rows.forEach(({ place, region }) => {
+      const country = region ? region.split('/')[0] : null;
+      const candidates = regions.filter(known => !country || known.split('/')[0] === country);
+      const inState = candidates.filter(known => known.includes('/'));
+      const assigned = region && region.includes('/') ? region : mostCommon(inState.length > 0 ? inState : candidates);
+      places.set(place, assigned || region || mostCommon(regions));
+    });
+    splits.set(canonical, places);
+  });
+  return splits;
+}
+
+// Builds the function that assigns a firm ID to a (name, location) pair
+// Splits win over merges, merges win over the default name-based clustering
+// Given the lists the IDs are for ([{ list }]), a name found in more than one state or country gets one ID per
+// region (see locationSplits) unless a merge rule names it; without them, every name is one firm
+function createResolver(overrides = { merge: [], split: [] }, lists = []) {
+  const mergedIds = new Map();
+  overrides.merge.forEach(rule => {
+    const names = (rule.names || []).map(normalizeFirmName).filter(Boolean);
+    if (names.length === 0) return;
+
+    const id = rule.id || firmId(names[0]);
+    names.forEach(name => mergedIds.set(name, id));
+  });
+
+  const matchSplit = splitRules(overrides);
+  const splitsByLocation = locationSplits(lists, overrides);
+
+  return (name, location) => {
+    const canonical = normalizeFirmName(name);
+    const place = normalizeLocation(location);
+
+    const split = matchSplit(canonical, place);
+    if (split) {
+      return split.id;
+    }
+    if (mergedIds.has(canonical)) {
+      return mergedIds.get(canonical);
+    }
+
+    const region = splitsByLocation.has(canonical) && splitsByLocation.get(canonical).get(place);
+    return firmId(region ? `${canonical}|${region}` : canonical);
+  };
+}
+
+// Picks the value seen most often (ties go to the one seen first)
+function mostCommon(values) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+
+  let best = null;
+  counts.forEach((count, value) => {
+    if (best === null || count > counts.get(best)) {
+      best = value;
+    }
+  });
+  return best;
+}
+
+// Clusters the rows of every list into canonical firms with stable IDs
+// Returns one profile per firm listing every list and rank it appears in; detailUrl is the firm page its rows
+// link to most, and details what that page says (options.firmPages, the pages of the firm page cache, see
+// controllers/enrich.js), null until the page has been visited
+// A name found in more than one state or country is one firm per region (see locationSplits); those profiles
+// have splitByLocation set, and a merge rule naming the firm joins them again
+function buildFirmProfiles(lists, options = {}) {
+  const firmPages = options.firmPages || {};
+  const overrides = options.overrides || { merge: [], split: [] };
+  const resolve = createResolver(overrides, lists);
+  const splitNames = locationSplits(lists, overrides);
+  const clusters = new Map();
+
+  lists.forEach(({ filename, list }) => {
+    const slug = slugFromUrl(list.url) || filename.replace(/\.json$/, '');
+    const year = (list.rankYears && list.rankYears.current) || listYear(slug);
+
+    (list.data || []).forEach(row => {
+      const name = row['Company Name'];
+      if (!name) return;
+
+      const location = row['Location'] || '';
+      const id = resolve(name, location);
+
+      if (!clusters.has(id)) {
+        clusters.set(id, { id, names: [], locations: [], detailUrls: [], appearances: [] });
+      }
+
+      const cluster = clusters.get(id);
+      cluster.names.push(name);
+      if (location) cluster.locations.push(location);
+      if (row[FIRM_URL_FIELD]) cluster.detailUrls.push(row[FIRM_URL_FIELD]);
+      cluster.appearances.push({
+        list: listKey(slug),
+        file: filename,
+        listName: list.listName,
+        year,
+        rankCurrent: row.rankCurrent != null ? row.rankCurrent : null,
+        rankPrevious: row.rankPrevious != null ? row.rankPrevious : null,
+        name,
+        location
+      });
+    });
+  });
+
+  const profiles = Array.from(clusters.values()).map(cluster => {
+    const detailUrl = mostCommon(cluster.detailUrls);
+    const page = detailUrl && firmPages[detailUrl];
+    return {
+      id: cluster.id,
+      name: mostCommon(cluster.names),
+      aliases: Array.from(new Set(cluster.names)),
+      location: mostCommon(cluster.locations) || '',
+      locations: Array.from(new Set(cluster.locations)),
+      splitByLocation: cluster.names.some(name => splitNames.has(normalizeFirmName(name))),
+      listCount: new Set(cluster.appearances.map(a => a.file)).size,
+      detailUrl,
+      details: page && page.profile ? { ...page.profile, fetchedAt: page.fetchedAt } : null,
+      appearances: cluster.appearances
+    };
+  });
+
+  // Firms on the most lists first, then alphabetically
+  profiles.sort((a, b) => b.listCount - a.listCount || a.name.localeCompare(b.name));
+  return profiles;
+}
+
+// Builds firm profiles for a crawled output folder, with the details of the firm pages cached there, and writes
+// them to firms.json (options.logger reports it)
+// Returns the written document
+function writeFirmProfiles(outputDir = './enr-data', options = {}) {
+  const logger = options.logger || createLogger();
+  const overrides = loadOverrides(options.overridesPath || DEFAULT_OVERRIDES_PATH);
+  const profiles = buildFirmProfiles(loadDataset(outputDir), { overrides, firmPages: loadFirmCache(outputDir).pages });
+
+  const document = {
+    generatedAt: new Date().toISOString(),
+    totalFirms: profiles.length,
+    multiListFirms: profiles.filter(p => p.listCount > 1).length,
+    enrichedFirms: profiles.filter(p => p.details).length,
+    splitByLocation: profiles.filter(p => p.splitByLocation).length,
+    firms: profiles
+  };
+
+  const filepath = path.join(outputDir, 'firms.json');
+  writeJsonAtomic(filepath, document);
+  logger.info(`✅ Saved: ${filepath} (${profiles.length} firms, ${document.multiListFirms} on more than one list, ${document.enrichedFirms} with firm page details)`);
+  if (document.splitByLocation > 0) {
+    logger.warn(`⚠️  ${document.splitByLocation} firm(s) share a name with a firm in another state or country and ` +
+      'were kept apart; add a merge rule to firm-overrides.json for any that are one firm');
+  }
+
+  return document;
+}
+
+module.exports = {
+  DEFAULT_OVERRIDES_PATH,
+  firmId,
+  loadOverrides,
+  locationSplits,
+  createResolver,
+  buildFirmProfiles,
+  writeFirmProfiles
+};
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+
+// Keeps track of crawls started through the API so their status can be polled
+// Only one crawl runs at a time because they all share the browser profile and output folder
+function createJobRegistry(runCrawl) {
+  const jobs = new Map();
+  let running = null;
+
+  const snapshot = job => ({
+    id: job.id,
+    status: job.status,
+    options: job.options,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    lists: job.lists,
+    error: job.error
+  });
+
+  return {
+    // Starts a crawl in the background and returns its job right away
+    // Throws (with code CRAWL_RUNNING) when another crawl is still in progress
+    start(options = {}) {
+      if (running) {
+        const error = new Error(`A crawl is already running (job ${running.id})`);
+        error.code = 'CRAWL_RUNNING';
+        error.status = 409;
+        throw error;
+      }
+
+      const job = {
+        id: crypto.randomUUID(),
+        status: 'running',
+        options,
+        createdAt: new Date().toISOString(),
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        lists: null,
+        error: null
+      };
+      jobs.set(job.id, job);
+      running = job;
+
+      Promise.resolve()
+        .then(() => runCrawl(options))
+        .then(results => {
+          job.status = 'done';
+          job.lists = (results || []).map(r => ({ listName: r.listName, url: r.url, rowCount: r.rowCount }));
+        })
+        .catch(error => {
+          job.status = 'failed';
+          job.error = error.message;
+        })
+        .finally(() => {
+          job.finishedAt = new Date().toISOString();
+          running = null;
+        });
+
+      return snapshot(job);
+    },
+
+    get(id) {
+      const job = jobs.get(id);
+      return job ? snapshot(job) : null;
+    },
+
+    list() {
+      return Array.from(jobs.values()).map(snapshot);
+    }
+  };
+}
+
+module.exports = { createJobRegistry };
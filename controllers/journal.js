@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Builds the journal path for a run; --only runs get their own journal so they never clobber a full run's
+// Several lists share one journal named after a hash of their slugs
+function journalPath(outputDir, only) {
+  const lists = [].concat(only || []);
+  let suffix = '';
+  if (lists.length === 1) {
+    suffix = `-${String(lists[0]).replace(/[^a-z0-9-]/gi, '-')}`;
+  } else if (lists.length > 1) {
+    suffix = `-lists-${crypto.createHash('sha1').update(lists.map(String).sort().join('\n')).digest('hex').slice(0, 10)}`;
+  }
+  return path.join(outputDir, `.crawl-journal${suffix}.ndjson`);
+}
+
+// Reads journal entries (one JSON object per line)
+// A torn last line from a crash mid-write is ignored
+function readJournal(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  const entries = [];
+  fs.readFileSync(filePath, 'utf8').split('\n').forEach(line => {
+    if (!line.trim()) return;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      // Partial line, skip it
+    }
+  });
+  return entries;
+}
+
+// Opens the checkpoint journal that records each completed page and list as soon as it finishes
+// With options.resume the existing journal is replayed; otherwise it starts empty
+function openJournal(filePath, options = {}) {
+  const pages = new Map();
+  const lists = new Map();
+
+  if (options.resume) {
+    readJournal(filePath).forEach(entry => {
+      if (entry.type === 'page') {
+        pages.set(entry.pageUrl, entry);
+      } else if (entry.type === 'list') {
+        lists.set(entry.result.url, entry.result);
+      }
+    });
+  } else if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+
+  const dir = path.dirname(filePath);
+  const append = entry => {
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.appendFileSync(filePath, JSON.stringify({ ...entry, recordedAt: new Date().toISOString() }) + '\n');
+  };
+
+  return {
+    path: filePath,
+    resumed: Boolean(options.resume) && (pages.size > 0 || lists.size > 0),
+
+    getPage(pageUrl) {
+      return pages.get(pageUrl) || null;
+    },
+
+    getList(listUrl) {
+      return lists.get(listUrl) || null;
+    },
+
+    // pageData is what extractTableData returned, plus paginationLinks for a list's first page
+    recordPage(listUrl, pageUrl, pageData) {
+      const entry = { type: 'page', listUrl, pageUrl, ...pageData };
+      pages.set(pageUrl, entry);
+      append(entry);
+    },
+
+    recordList(result) {
+      lists.set(result.url, result);
+      append({ type: 'list', result });
+    },
+
+    // Removes the journal once the run has been fully saved
+    finish() {
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    }
+  };
+}
+
+module.exports = {
+  journalPath,
+  readJournal,
+  openJournal
+};
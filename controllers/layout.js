@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+const { slugFromUrl, listSize } = require('../utils/lists');
+
+// Where the last run's layout is kept: <outputDir>/.layout.json
+const LAYOUT_FILE = '.layout.json';
+
+// Collects what the crawl saw of the site's markup: which selector strategy found the toplist links, and
+// the header sets of every table on every list page (ranking tables and the ones skipped because they yielded no rankings)
+// snapshot() returns { crawlDate, index: { url, strategy, linkCount }, lists: { slug: { url, rowCount, pages } } }
+// where pages are [{ page, url, rows, tables: [{ headers, rows, ranking }] }]
+function createLayoutRecorder() {
+  let index = null;
+  const lists = {};
+  const tablesByPage = new Map();
+
+  const listEntry = listUrl => {
+    const slug = slugFromUrl(listUrl);
+    lists[slug] = lists[slug] || { url: listUrl, rowCount: 0, pages: [] };
+    return lists[slug];
+  };
+
+  return {
+    recordIndex(entry) {
+      index = { url: entry.url, strategy: entry.strategy, linkCount: entry.linkCount };
+    },
+
+    // The tables read from one page, before the page is known to belong to a list
+    recordTables(pageUrl, tables) {
+      tablesByPage.set(pageUrl, tables);
+    },
+
+    tablesFor(pageUrl) {
+      return tablesByPage.get(pageUrl) || [];
+    },
+
+    // One page of a list ({ page, url, rows }); a failed page has rows 0
+    recordPage(listUrl, entry) {
+      const pages = listEntry(listUrl).pages.filter(existing => existing.page !== entry.page);
+      pages.push({ ...entry, tables: tablesByPage.get(entry.url) || [] });
+      listEntry(listUrl).pages = pages.sort((a, b) => a.page - b.page);
+    },
+
+    recordList(listUrl, rowCount) {
+      listEntry(listUrl).rowCount = rowCount;
+    },
+
+    snapshot() {
+      return { crawlDate: new Date().toISOString(), index, lists };
+    }
+  };
+}
+
+// Reads the layout saved by the last run in outputDir; null when there is none
+function loadLayout(outputDir) {
+  const layoutPath = path.join(outputDir, LAYOUT_FILE);
+  return fs.existsSync(layoutPath) ? JSON.parse(fs.readFileSync(layoutPath, 'utf8')) : null;
+}
+
+// Saves a run's layout; lists the run didn't visit (--only runs) keep their previous entries, and so do lists
+// that yielded nothing, so the next run is still compared with the last one that worked
+function saveLayout(outputDir, layout, previous = null) {
+  const lists = { ...(previous && previous.lists) };
+  Object.entries(layout.lists).forEach(([slug, list]) => {
+    if (list.rowCount > 0 || !lists[slug]) {
+      lists[slug] = list;
+    }
+  });
+  const merged = {
+    crawlDate: layout.crawlDate,
+    index: layout.index && layout.index.linkCount > 0 ? layout.index : (previous && previous.index) || layout.index,
+    lists
+  };
+  fs.mkdirSync(outputDir, { recursive: true });
+  fs.writeFileSync(path.join(outputDir, LAYOUT_FILE), JSON.stringify(merged, null, 2));
+  return merged;
+}
+
+// Distinct header sets of a list's tables, as "label | label | ..." strings (ranking or skipped tables)
+function headerSets(list, ranking) {
+  const sets = new Set();
+  list.pages.forEach(page => page.tables
+    .filter(table => table.ranking === ranking && table.headers.length > 0)
+    .forEach(table => sets.add(table.headers.join(' | '))));
+  return Array.from(sets);
+}
+
+// Rows a page should yield: the size of its pagination range ("101-200" -> 100), page 1 up to where the
+// next range starts, the same page in the previous run, or the size in the title for a single-page list
+// options: { paginationLinks, previous (the list in the previous layout), listUrl, preview }
+// Returns null when nothing says how many rows to expect
+function expectedPageRows(pageNumber, options = {}) {
+  const ranges = (options.paginationLinks || [])
+    .map(link => String(link.text).match(/(\d+)\s*-\s*(\d+)/))
+    .map(match => (match ? [Number(match[1]), Number(match[2])] : null));
+
+  if (pageNumber > 1 && ranges[pageNumber - 2]) {
+    const [from, to] = ranges[pageNumber - 2];
+    return to - from + 1;
+  }
+  if (pageNumber === 1) {
+    const starts = ranges.filter(Boolean).map(([from]) => from);
+    if (starts.length > 0) {
+      return Math.min(...starts) - 1;
+    }
+  }
+
+  const previousPage = options.previous && options.previous.pages.find(page => page.page === pageNumber);
+  if (previousPage && previousPage.rows > 0) {
+    return previousPage.rows;
+  }
+  if (pageNumber === 1 && ranges.length === 0 && !options.preview) {
+    return listSize(slugFromUrl(options.listUrl || ''));
+  }
+  return null;
+}
+
+// Compares a run's layout with the previous run's and lists what drifted:
+// - "index-strategy": the toplist links were found by a different selector (or only by the fallback)
+// - "index-links": far fewer toplist links than before
+// - "headers": a list's ranking tables have different columns
+// - "unmatched-tables": a list has tables that yielded no rankings (no FIRM column) that it didn't have before
+// - "rows": a list yielded far fewer rows than before
+// "Far fewer" is below options.minRowRatio (default 0.5) of the previous count
+// Returns [{ type, severity ("warning" or "error"), slug, message, from, to }]
+function compareLayouts(previous, current, options = {}) {
+  const minRowRatio = options.minRowRatio === undefined ? 0.5 : options.minRowRatio;
+  const drift = [];
+  if (!previous || !current) {
+    return drift;
+  }
+
+  const before = previous.index;
+  const after = current.index;
+  if (before && after) {
+    if (before.strategy !== after.strategy) {
+      drift.push({
+        type: 'index-strategy',
+        severity: !after.strategy || after.strategy === 'fallback' ? 'error' : 'warning',
+        message: `Toplist links were found by "${after.strategy || 'nothing'}" instead of "${before.strategy}"`,
+        from: before.strategy,
+        to: after.strategy
+      });
+    }
+    if (after.linkCount < before.linkCount * minRowRatio) {
+      drift.push({
+        type: 'index-links',
+        severity: 'error',
+        message: `${after.linkCount} toplist links instead of ${before.linkCount}`,
+        from: before.linkCount,
+        to: after.linkCount
+      });
+    }
+  }
+
+  Object.entries(current.lists).forEach(([slug, list]) => {
+    const old = previous.lists[slug];
+    if (!old) {
+      return;
+    }
+
+    const oldHeaders = headerSets(old, true);
+    const newHeaders = headerSets(list, true);
+    if (oldHeaders.length > 0 && newHeaders.length > 0) {
+      const oldLabels = new Set(oldHeaders.flatMap(set => set.split(' | ')));
+      const newLabels = new Set(newHeaders.flatMap(set => set.split(' | ')));
+      const added = Array.from(newLabels).filter(label => !oldLabels.has(label));
+      const removed = Array.from(oldLabels).filter(label => !newLabels.has(label));
+      if (added.length > 0 || removed.length > 0) {
+        drift.push({
+          type: 'headers',
+          severity: 'warning',
+          slug,
+          message: `${slug}: columns changed (${[...added.map(label => `+${label}`), ...removed.map(label => `-${label}`)].join(', ')})`,
+          from: oldHeaders,
+          to: newHeaders
+        });
+      }
+    }
+
+    const oldSkipped = new Set(headerSets(old, false));
+    const newSkipped = headerSets(list, false).filter(set => !oldSkipped.has(set));
+    if (newSkipped.length > 0) {
+      drift.push({
+        type: 'unmatched-tables',
+        severity: 'warning',
+        slug,
+        message: `${slug}: ${newSkipped.length} new table layout(s) that yielded no rankings: ${newSkipped.join(' / ')}`,
+        from: Array.from(oldSkipped),
+        to: newSkipped
+      });
+    }
+
+    if (old.rowCount > 0 && list.rowCount < old.rowCount * minRowRatio) {
+      drift.push({
+        type: 'rows',
+        severity: 'error',
+        slug,
+        message: `${slug}: ${list.rowCount} rows instead of ${old.rowCount}`,
+        from: old.rowCount,
+        to: list.rowCount
+      });
+    }
+  });
+
+  return drift;
+}
+
+module.exports = {
+  LAYOUT_FILE,
+  createLayoutRecorder,
+  loadLayout,
+  saveLayout,
+  expectedPageRows,
+  compareLayouts
+};
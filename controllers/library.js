@@ -0,0 +1,94 @@
+const { EventEmitter } = require('events');
+const { DEFAULT_CONFIG } = require('../utils/config');
+const { createLogger } = require('../utils/logger');
+const { slugFromUrl } = require('../utils/lists');
+const { createCrawlLimiter } = require('./scheduler');
+const { createNotifier } = require('./notifiers');
+const { crawlENRToplists, openToplistsIndex, getToplistLinks, resolveFetcher } = require('./crawler');
+const { resolveSource } = require('./sources');
+
+// Output sink that keeps the crawl in memory instead of writing files (see createFileSink in crawler.js):
+// lists collects every list as it completes, summary holds the last run's totals and failed pages
+function createMemorySink() {
+  const sink = {
+    lists: [],
+    summary: null,
+
+    writeList(result) {
+      sink.lists.push(result);
+    },
+
+    writeSummary(results, options = {}) {
+      sink.summary = {
+        crawlDate: new Date().toISOString(),
+        totalLists: results.length,
+        totalRows: results.reduce((sum, result) => sum + result.rowCount, 0),
+        failures: options.failures || []
+      };
+    }
+  };
+  return sink;
+}
+
+// Opens the site (signing in when config.auth or the saved session allows) and reads the toplists index,
+// without crawling any list
+// Takes the same options as crawlAll (config, source, fetcher / browser / page, logger, events)
+// Returns [{ slug, url, title, date }]
+async function discoverLists(options = {}) {
+  const config = options.config || DEFAULT_CONFIG;
+  const logger = options.logger || createLogger({ level: config.log.level });
+  const source = resolveSource(options, config);
+  const fetcher = resolveFetcher(options, config, logger);
+
+  const page = await fetcher.open();
+  try {
+    await openToplistsIndex(page, {
+      config,
+      logger,
+      source,
+      events: options.events,
+      limiter: createCrawlLimiter(config, { logger }),
+      notifier: createNotifier(config.notify, { quietPeriod: config.timeouts.challenge || Infinity, logger })
+    });
+    const links = await getToplistLinks(page, { logger, source });
+    return links.map(link => ({ slug: slugFromUrl(link.href), url: link.href, title: link.title || link.text, date: link.date || null }));
+  } finally {
+    await fetcher.close({ saveSession: true });
+  }
+}
+
+// Crawls one list by its slug (a preview slug, or the full list's for subscribers)
+// Returns the list's result, or null when it could not be crawled (the "error" events say why)
+async function crawlList(slug, options = {}) {
+  const [result] = await crawlENRToplists({ ...options, only: slug });
+  return result || null;
+}
+
+// Crawls every toplist; returns the results, one per list that was crawled
+// options as for crawlENRToplists: config, source, outputDir or sink, fetcher / browser / page, logger, events,
+// resume, snapshotDir, archive, debugDir
+async function crawlAll(options = {}) {
+  return crawlENRToplists(options);
+}
+
+// A crawler bound to one set of options, for services embedding it
+// Returns an EventEmitter with discoverLists(), crawlList(slug) and crawlAll(); it emits "list:start",
+// "page:done", "list:done", "challenge", "layout:drift" and "error" while they run
+function createCrawler(options = {}) {
+  const crawler = new EventEmitter();
+  const bound = () => ({ ...options, events: crawler });
+
+  crawler.discoverLists = () => discoverLists(bound());
+  crawler.crawlList = slug => crawlList(slug, bound());
+  crawler.crawlAll = () => crawlAll(bound());
+
+  return crawler;
+}
+
+module.exports = {
+  createMemorySink,
+  discoverLists,
+  crawlList,
+  crawlAll,
+  createCrawler
+};
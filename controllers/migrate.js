@@ -0,0 +1,227 @@
+const fs = require('fs');
+const path = require('path');
+const { resolveListMetadata } = require('../utils/lists');
+const { tableToRows } = require('../utils/tables');
+const { createLogger } = require('../utils/logger');
+const { writeJsonAtomic } = require('../utils/files');
+const { validateResult } = require('./quality');
+const { getSource } = require('./sources');
+const {
+  SCHEMA_VERSION,
+  fileSchemaVersion,
+  listFileName,
+  listFileProblems,
+  summaryProblems,
+  listFileData,
+  summaryEntry,
+  summaryFileData,
+  assertValidOutput
+} = require('./output');
+
+const BACKUP_DIR = '.pre-migration';
+
+// Refuses files written by a newer version of the crawler, which this one cannot read safely
+function checkVersion(data, name) {
+  const version = fileSchemaVersion(data);
+  if (version > SCHEMA_VERSION) {
+    const error = new Error(`${name} is schema version ${version}, newer than this crawler's ${SCHEMA_VERSION}; update the crawler`);
+    error.code = 'SCHEMA_TOO_NEW';
+    throw error;
+  }
+  return version;
+}
+
+// The first crawler wrote headers as plain strings and rows keyed by header text ("RANK 2024", "Company Name",
+// "Location"), with the current rank under whatever year the page printed
+// Rebuilds the raw table from the columns that hold data and runs it through today's parsing and checks, so
+// the rows come out as a crawl would write them now (rankCurrent / rankPrevious, typed values, parsed locations)
+function legacyListResult(data) {
+  const enr = getSource('enr');
+  const filled = data.headers.filter(header =>
+    data.data.some(row => row[header] !== undefined && row[header] !== null && row[header] !== ''));
+  const labels = filled.filter(header => header !== 'Location').map(header => (header === 'Company Name' ? 'FIRM' : header));
+
+  const cell = text => (text === undefined || text === null || text === '' ? null : { text: String(text), notes: [] });
+  const rows = data.data.map(row => labels.map(label => (label === 'FIRM'
+    ? cell([row['Company Name'], row['Location']].filter(Boolean).join(', '))
+    : cell(row[label]))));
+
+  const rankYears = enr.columns.detectRankYears(labels, data.url);
+  const schema = enr.columns.schemaForList(data.url);
+  const table = tableToRows({ headers: labels, rows }, schema, rankYears, enr);
+  if (!table) {
+    const error = new Error(`Cannot migrate ${data.url}: its rows have no "Company Name"`);
+    error.code = 'BAD_LEGACY_FILE';
+    throw error;
+  }
+
+  const metadata = resolveListMetadata({ url: data.url, cardTitle: data.listName, rankYears });
+  return validateResult({
+    listName: metadata.title,
+    url: data.url,
+    source: enr.name,
+    metadata,
+    schema: schema.name,
+    rankYears,
+    headers: table.columns,
+    data: table.rows,
+    rowCount: table.rows.length,
+    paginatedPages: data.paginatedPages || 1
+  });
+}
+
+// Upgrades one list file's contents to the current schema version; current files come back unchanged
+// Typed files (version 0 after the typed schema, and version 1) gain their source, header-ordered rows and a
+// contentHash; there is no provenance to give them, as nothing recorded which pages they came from
+function migrateListFile(data, name = data.url) {
+  const version = checkVersion(data, name);
+  if (version === SCHEMA_VERSION) {
+    return data;
+  }
+
+  const legacy = (data.headers || []).some(header => typeof header === 'string');
+  const result = legacy
+    ? legacyListResult(data)
+    : { ...data, source: data.source || 'enr', headers: data.headers || [], rowCount: data.data.length };
+  return listFileData(result, data.crawlDate);
+}
+
+// Upgrades summary.json's contents, rebuilding each entry from its migrated list
+// lists maps the summary's filenames to the migrated list files; entries without one are kept as they are
+function migrateSummary(summary, lists = new Map()) {
+  checkVersion(summary, 'summary.json');
+
+  const files = (summary.files || []).map(entry => {
+    const list = lists.get(entry.filename);
+    return list ? summaryEntry({ ...list, rowCount: list.totalRows }) : entry;
+  });
+  return summaryFileData(files, { crawlDate: summary.crawlDate, failures: summary.failures });
+}
+
+// Reads a JSON file, naming it in the error when it doesn't parse
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read ${filePath}: ${error.message}`);
+  }
+}
+
+// The list files of an output folder as [{ file, data }], by name
+// Other JSON kept there (firms.json, dotfiles such as .layout.json) is skipped: a list file has a url and data rows
+function readListFiles(dir) {
+  return fs.readdirSync(dir)
+    .filter(name => name.endsWith('.json') && name !== 'summary.json' && !name.startsWith('.'))
+    .sort()
+    .map(file => ({ file, data: readJson(path.join(dir, file)) }))
+    .filter(({ data }) => data && typeof data.url === 'string' && Array.isArray(data.data));
+}
+
+// Checks the files of an output folder as they are on disk, without upgrading them
+// Returns [{ file, version, problems }] for each file that is outdated (version below SCHEMA_VERSION, the
+// problems then being empty) or breaks the schema
+function checkDataDir(dir = './enr-data') {
+  const summaryPath = path.join(dir, 'summary.json');
+  const files = readListFiles(dir);
+  if (fs.existsSync(summaryPath)) {
+    files.push({ file: 'summary.json', data: readJson(summaryPath) });
+  }
+
+  return files
+    .map(({ file, data }) => {
+      const version = fileSchemaVersion(data);
+      if (version !== SCHEMA_VERSION) {
+        return { file, version, problems: [] };
+      }
+      return { file, version, problems: file === 'summary.json' ? summaryProblems(data) : listFileProblems(data) };
+    })
+    .filter(check => check.version !== SCHEMA_VERSION || check.problems.length > 0);
+}
+
+// Upgrades every list file and summary.json in an output folder to the current schema version
+// The originals are copied to <dir>/.pre-migration/<timestamp>/ first; a list whose file name changes
+// (names used to fall back to the sanitized list title) is written under its new name and the old file removed
+// options: dryRun (report only, write nothing), logger
+// Returns { dir, backupDir, migrated: [{ from, to, version, rows }], current, summary }
+function migrateDataDir(dir = './enr-data', options = {}) {
+  const logger = options.logger || createLogger();
+  if (!fs.existsSync(dir)) {
+    const error = new Error(`No output folder at ${dir}`);
+    error.code = 'NO_DATA';
+    throw error;
+  }
+
+  const summaryPath = path.join(dir, 'summary.json');
+  const summary = fs.existsSync(summaryPath) ? readJson(summaryPath) : null;
+  const migrated = [];
+  const lists = new Map();
+  let current = 0;
+  readListFiles(dir).forEach(({ file: name, data }) => {
+    const version = checkVersion(data, name);
+    if (version === SCHEMA_VERSION) {
+      current++;
+      return;
+    }
+
+    const upgraded = migrateListFile(data, name);
+    const to = `${listFileName(upgraded)}.json`;
+    assertValidOutput('list', upgraded, path.join(dir, to));
+    lists.set(name, upgraded);
+    migrated.push({ from: name, to, version, rows: upgraded.totalRows, data: upgraded });
+  });
+
+  const summaryOutdated = summary && (fileSchemaVersion(summary) < SCHEMA_VERSION || migrated.length > 0);
+  const newSummary = summaryOutdated ? migrateSummary(summary, lists) : null;
+  if (newSummary) {
+    assertValidOutput('summary', newSummary, summaryPath);
+  }
+
+  const report = {
+    dir,
+    backupDir: null,
+    migrated: migrated.map(({ data, ...entry }) => entry),
+    current,
+    summary: Boolean(newSummary)
+  };
+  if (migrated.length === 0 && !report.summary) {
+    logger.info(`✅ ${dir} is already at schema version ${SCHEMA_VERSION} (${current} list file(s))`);
+    return report;
+  }
+
+  migrated.forEach(entry => {
+    const renamed = entry.to !== entry.from ? ` -> ${entry.to}` : '';
+    logger.info(`🔧 ${entry.from}${renamed}: version ${entry.version} -> ${SCHEMA_VERSION} (${entry.rows} rows)`);
+  });
+  if (options.dryRun) {
+    logger.info(`🔎 Dry run: ${migrated.length} list file(s)${report.summary ? ' and summary.json' : ''} would be migrated`);
+    return report;
+  }
+
+  report.backupDir = path.join(dir, BACKUP_DIR, new Date().toISOString().replace(/[:.]/g, '-'));
+  fs.mkdirSync(report.backupDir, { recursive: true });
+  migrated.map(entry => entry.from).concat(report.summary ? ['summary.json'] : []).forEach(name => {
+    fs.copyFileSync(path.join(dir, name), path.join(report.backupDir, name));
+  });
+
+  migrated.forEach(entry => {
+    writeJsonAtomic(path.join(dir, entry.to), entry.data);
+    if (entry.to !== entry.from) {
+      fs.rmSync(path.join(dir, entry.from));
+    }
+  });
+  if (report.summary) {
+    writeJsonAtomic(summaryPath, newSummary);
+  }
+
+  logger.info(`✅ Migrated ${migrated.length} list file(s)${report.summary ? ' and summary.json' : ''} to schema version ${SCHEMA_VERSION}`);
+  logger.info(`🗄️  Originals kept in: ${report.backupDir}`);
+  return report;
+}
+
+module.exports = {
+  BACKUP_DIR,
+  migrateListFile,
+  migrateSummary,
+  checkDataDir,
+  migrateDataDir
+};
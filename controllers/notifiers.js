@@ -0,0 +1,136 @@
+const { execFile, exec } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../utils/logger');
+const { sendMail } = require('../utils/smtp');
+
+// Posts the event as JSON to a webhook (Slack-style "text" included for chat integrations)
+async function sendWebhook(url, event, options = {}) {
+  const fetchPage = options.fetch || fetch;
+  const response = await fetchPage(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ text: event.message, ...event }),
+    signal: AbortSignal.timeout(10000)
+  });
+  if (!response.ok) {
+    throw new Error(`webhook answered ${response.status}`);
+  }
+}
+
+// Shows a desktop notification with notify-send (Linux) or osascript (macOS)
+function sendDesktop(event) {
+  return new Promise((resolve, reject) => {
+    const title = 'ENR crawler';
+    const done = error => (error ? reject(error) : resolve());
+
+    if (process.platform === 'darwin') {
+      const script = `display notification ${JSON.stringify(event.message)} with title ${JSON.stringify(title)}`;
+      execFile('osascript', ['-e', script], done);
+    } else {
+      execFile('notify-send', [title, event.message], done);
+    }
+  });
+}
+
+// Runs a shell command with the event in ENR_EVENT, ENR_MESSAGE, ENR_URL and ENR_EVENT_JSON
+function runCommand(command, event) {
+  return new Promise((resolve, reject) => {
+    exec(command, {
+      timeout: 30000,
+      env: {
+        ...process.env,
+        ENR_EVENT: event.event,
+        ENR_MESSAGE: event.message,
+        ENR_URL: event.url || '',
+        ENR_EVENT_JSON: JSON.stringify(event)
+      }
+    }, error => (error ? reject(error) : resolve()));
+  });
+}
+
+// Emails the event through settings.smtpHost; event.report (a longer text) is the body when present
+function sendEmail(event, settings) {
+  return sendMail({
+    host: settings.smtpHost,
+    port: settings.smtpPort,
+    secure: settings.smtpSecure,
+    user: settings.smtpUser,
+    password: settings.smtpPassword,
+    from: settings.emailFrom,
+    to: settings.emailTo,
+    subject: event.subject || `ENR crawler: ${event.message}`,
+    text: event.report ? `${event.message}\n\n${event.report}` : event.message
+  });
+}
+
+// Appends the event as one JSON line to a local file
+function appendToFile(filePath, event) {
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  fs.appendFileSync(filePath, `${JSON.stringify(event)}\n`);
+}
+
+// Built-in channels, keyed by name: enabled(settings) says whether the notify settings turn the channel on,
+// send(event, settings, options) delivers one event
+const NOTIFY_CHANNELS = {
+  webhook: {
+    enabled: settings => Boolean(settings.webhookUrl),
+    send: (event, settings, options) => sendWebhook(settings.webhookUrl, event, options)
+  },
+  desktop: {
+    enabled: settings => Boolean(settings.desktop),
+    send: event => sendDesktop(event)
+  },
+  command: {
+    enabled: settings => Boolean(settings.command),
+    send: (event, settings) => runCommand(settings.command, event)
+  },
+  email: {
+    enabled: settings => Boolean(settings.smtpHost && settings.emailTo && settings.emailTo.length > 0),
+    send: sendEmail
+  },
+  file: {
+    enabled: settings => Boolean(settings.file),
+    send: (event, settings) => appendToFile(settings.file, event)
+  }
+};
+
+// Sends events to every channel the settings (the notify section of the config) turn on: webhook,
+// desktop, command, email (SMTP) and file; options.channels adds or replaces channels of the same shape,
+// and options.hooks are functions called with every event
+// The same event type for the same subject is sent once per options.quietPeriod ms, so several tabs
+// hitting one challenge raise a single alert; failed channels are logged (to options.logger) and never throw
+function createNotifier(settings = {}, options = {}) {
+  const logger = options.logger || createLogger();
+  const hooks = options.hooks || [];
+  const quietPeriod = options.quietPeriod || 0;
+  const lastSent = new Map();
+
+  const channels = Object.entries({ ...NOTIFY_CHANNELS, ...options.channels })
+    .filter(([, channel]) => channel.enabled(settings))
+    .map(([name, channel]) => [name, event => channel.send(event, settings, options)]);
+  hooks.forEach((hook, i) => channels.push([`hook ${i + 1}`, async event => hook(event)]));
+
+  return {
+    // Resolves once every channel has been tried; returns false when the event was suppressed
+    async notify(event) {
+      const key = `${event.event}|${event.type || ''}`;
+      const now = Date.now();
+      if (quietPeriod && lastSent.has(key) && now - lastSent.get(key) < quietPeriod) {
+        return false;
+      }
+      lastSent.set(key, now);
+
+      const full = { at: new Date(now).toISOString(), ...event };
+      await Promise.all(channels.map(([name, send]) => Promise.resolve()
+        .then(() => send(full))
+        .catch(error => logger.warn(`⚠️  Notification via ${name} failed: ${error.message}`))));
+      return true;
+    }
+  };
+}
+
+module.exports = {
+  NOTIFY_CHANNELS,
+  createNotifier
+};
@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const { slugFromUrl } = require('../utils/lists');
+const { validateSchema } = require('../utils/json-schema');
+const LIST_SCHEMA = require('../schemas/list.schema.json');
+const SUMMARY_SCHEMA = require('../schemas/summary.schema.json');
+
+// Version of the output folder's file format, stamped into every list file and summary.json
+// Raise it (and add a step to controllers/migrate.js) whenever schemas/*.schema.json change shape
+const SCHEMA_VERSION = LIST_SCHEMA.properties.schemaVersion.const;
+
+// Version of the crawler, recorded in the provenance of every list file it writes
+const CRAWLER_VERSION = require('../package.json').version;
+
+// The format version of a list file or summary; files from before versioning are version 0
+function fileSchemaVersion(data) {
+  return data && Number.isInteger(data.schemaVersion) ? data.schemaVersion : 0;
+}
+
+// Builds the output file name for a list from its URL (e.g. "2025-Top-500-Design-Firms")
+// Falls back to a sanitized list name when the URL has no usable slug
+function listFileName(result) {
+  const slug = slugFromUrl(result.url);
+  if (slug) {
+    return slug;
+  }
+
+  return result.listName
+    .replace(/[^a-z0-9]/gi, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+// A row with its keys in the order of headers, then any others, then footnotes
+function orderRowKeys(row, headers) {
+  const ordered = {};
+  headers.forEach(({ key }) => {
+    if (key in row) ordered[key] = row[key];
+  });
+  Object.keys(row).forEach(key => {
+    if (!(key in ordered) && key !== 'footnotes') ordered[key] = row[key];
+  });
+  if (row.footnotes) {
+    ordered.footnotes = row.footnotes;
+  }
+  return ordered;
+}
+
+// Hash of what a list file or summary says, leaving out when and how it was crawled (crawlDate, provenance and
+// the time of the quality check), so two crawls that found the same data hash the same
+// Returns "sha256:<hex>"
+function contentHash(fileData) {
+  const { crawlDate, contentHash: saved, provenance, ...content } = fileData;
+  if (content.quality) {
+    content.quality = { ...content.quality, checkedAt: undefined };
+  }
+  return `sha256:${crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex')}`;
+}
+
+// The contents of a list file for a crawled list (a crawlToplistPage result after the quality checks)
+// crawlDate defaults to now; migrations pass the original one
+function listFileData(result, crawlDate = new Date().toISOString()) {
+  const fileData = {
+    schemaVersion: SCHEMA_VERSION,
+    crawlDate,
+    contentHash: null,
+    listName: result.listName,
+    url: result.url,
+    source: result.source,
+    previewUrl: result.previewUrl,
+    metadata: result.metadata,
+    totalRows: result.rowCount,
+    paginatedPages: result.paginatedPages,
+    failedPages: result.failedPages,
+    completeness: result.completeness,
+    schema: result.schema,
+    rankYears: result.rankYears,
+    headers: result.headers,
+    quality: result.quality,
+    provenance: result.provenance,
+    data: result.data.map(row => orderRowKeys(row, result.headers))
+  };
+  fileData.contentHash = contentHash(fileData);
+  return fileData;
+}
+
+// Builds the summary.json entry describing one saved list (a crawl result, or a list file given its rowCount)
+function summaryEntry(result) {
+  return {
+    filename: `${listFileName(result)}.json`,
+    contentHash: result.contentHash || (result.data && result.headers ? listFileData(result).contentHash : undefined),
+    listName: result.listName,
+    url: result.url,
+    source: result.source,
+    previewUrl: result.previewUrl,
+    metadata: result.metadata,
+    rowCount: result.rowCount,
+    paginatedPages: result.paginatedPages,
+    failedPages: result.failedPages,
+    completeness: result.completeness,
+    rankYears: result.rankYears,
+    quality: result.quality ? {
+      status: result.quality.status,
+      ...result.quality.counts,
+      removed: result.quality.removed
+    } : undefined
+  };
+}
+
+// The contents of summary.json for a list of summary entries; options.failures are the pages that failed
+function summaryFileData(files, options = {}) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    crawlDate: options.crawlDate || new Date().toISOString(),
+    totalLists: files.length,
+    totalRows: files.reduce((sum, f) => sum + f.rowCount, 0),
+    files,
+    failures: options.failures && options.failures.length > 0 ? options.failures : undefined
+  };
+}
+
+// Problems with a list file: schemas/list.schema.json, then what a schema can't say (the row count matches
+// the rows, header keys are unique, and every row only uses header keys, in header order)
+// Returns [{ path, message }], empty for a valid file
+function listFileProblems(data) {
+  const problems = validateSchema(LIST_SCHEMA, data);
+  if (problems.length > 0) {
+    return problems;
+  }
+
+  if (data.totalRows !== data.data.length) {
+    problems.push({ path: '/totalRows', message: `is ${data.totalRows} but there are ${data.data.length} rows` });
+  }
+  const keys = data.headers.map(header => header.key);
+  keys.filter((key, i) => keys.indexOf(key) !== i).forEach(key => {
+    problems.push({ path: '/headers', message: `repeat the key "${key}"` });
+  });
+
+  data.data.forEach((row, i) => {
+    const rowKeys = Object.keys(row).filter(key => key !== 'footnotes' && row[key] !== undefined);
+    const unknown = rowKeys.filter(key => !keys.includes(key));
+    if (unknown.length > 0) {
+      problems.push({ path: `/data/${i}`, message: `has keys missing from headers: ${unknown.join(', ')}` });
+    } else if (rowKeys.some((key, j) => j > 0 && keys.indexOf(key) < keys.indexOf(rowKeys[j - 1]))) {
+      problems.push({ path: `/data/${i}`, message: 'has its keys out of header order' });
+    }
+  });
+
+  return problems;
+}
+
+// Problems with summary.json: schemas/summary.schema.json, then the totals and unique file names
+// Returns [{ path, message }], empty for a valid file
+function summaryProblems(data) {
+  const problems = validateSchema(SUMMARY_SCHEMA, data);
+  if (problems.length > 0) {
+    return problems;
+  }
+
+  if (data.totalLists !== data.files.length) {
+    problems.push({ path: '/totalLists', message: `is ${data.totalLists} but ${data.files.length} files are listed` });
+  }
+  const rows = data.files.reduce((sum, entry) => sum + entry.rowCount, 0);
+  if (data.totalRows !== rows) {
+    problems.push({ path: '/totalRows', message: `is ${data.totalRows} but the files hold ${rows} rows` });
+  }
+  const names = data.files.map(entry => entry.filename);
+  names.filter((name, i) => names.indexOf(name) !== i).forEach(name => {
+    problems.push({ path: '/files', message: `list ${name} twice` });
+  });
+
+  return problems;
+}
+
+// Throws an INVALID_OUTPUT error (problems attached) when data is not a valid "list" file or "summary"
+// filePath names the file in the message
+function assertValidOutput(kind, data, filePath) {
+  const problems = kind === 'summary' ? summaryProblems(data) : listFileProblems(data);
+  if (problems.length === 0) {
+    return;
+  }
+
+  const shown = problems.slice(0, 5).map(problem => `${problem.path} ${problem.message}`).join('; ');
+  const more = problems.length > 5 ? ` (and ${problems.length - 5} more)` : '';
+  const error = new Error(`Refusing to write ${filePath}, it does not match schema version ${SCHEMA_VERSION}: ${shown}${more}`);
+  error.code = 'INVALID_OUTPUT';
+  error.problems = problems;
+  throw error;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  CRAWLER_VERSION,
+  LIST_SCHEMA,
+  SUMMARY_SCHEMA,
+  fileSchemaVersion,
+  listFileName,
+  orderRowKeys,
+  contentHash,
+  listFileData,
+  summaryEntry,
+  summaryFileData,
+  listFileProblems,
+  summaryProblems,
+  assertValidOutput
+};
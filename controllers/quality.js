@@ -0,0 +1,237 @@
+const { normalizeFirmName, normalizeLocation } = require('../utils/names');
+const { listSize } = require('../utils/lists');
+const { createLogger } = require('../utils/logger');
+
+// Issue severities, worst first; a list's status is the worst severity among its issues
+const SEVERITIES = ['error', 'warning', 'info'];
+
+// Size printed in the list title or slug ("2025-Top-500-Design-Firms-Preview" -> 500)
+// Returns null when there is none
+function declaredListSize(...sources) {
+  for (const source of sources) {
+    const size = listSize(source);
+    if (size) {
+      return size;
+    }
+  }
+  return null;
+}
+
+// Preview lists only show the first rows of the ranking, so a short row count is expected
+function isPreviewList(result) {
+  return result.metadata ? result.metadata.access === 'preview' : /preview/i.test(String(result.url || ''));
+}
+
+// A row with no firm name and no other values (spacer and ad rows inside the table)
+// locationConfidence is derived from the FIRM cell, so an empty cell still sets it ("none")
+function isEmptyRow(row) {
+  return Object.entries(row).every(([key, value]) =>
+    key === 'footnotes' || key === 'locationConfidence' || value === null || value === undefined || value === ''
+  );
+}
+
+// Same firm at the same place, whatever the spelling of its suffixes
+function firmKey(row) {
+  return `${normalizeFirmName(row['Company Name'])}|${normalizeLocation(row['Location'] || '')}`;
+}
+
+// Checks one list's rows and removes the rows that are safe to drop
+// Safe means exact repeats of an earlier row (overlapping pagination pages) and fully empty rows;
+// anything else is only reported
+// Returns { data, report } where report is the list's quality report
+function checkList(rows, options = {}) {
+  const issues = [];
+  const addIssue = (type, severity, message, details = {}) => issues.push({ type, severity, message, ...details });
+
+  // Safe dedupe: identical rows and empty rows
+  const seenRows = new Set();
+  let duplicateRows = 0;
+  let emptyRows = 0;
+  const data = [];
+
+  rows.forEach(row => {
+    if (isEmptyRow(row)) {
+      emptyRows++;
+      return;
+    }
+
+    const serialized = JSON.stringify(row);
+    if (seenRows.has(serialized)) {
+      duplicateRows++;
+      return;
+    }
+    seenRows.add(serialized);
+    data.push(row);
+  });
+
+  if (duplicateRows > 0) {
+    addIssue('duplicate-rows', 'warning', `Removed ${duplicateRows} exact duplicate row(s)`, { count: duplicateRows });
+  }
+  if (emptyRows > 0) {
+    addIssue('empty-rows', 'info', `Removed ${emptyRows} empty row(s)`, { count: emptyRows });
+  }
+
+  // Rows are reported by 1-based position in the (deduped) list
+  const positions = new Map();
+  data.forEach((row, index) => {
+    if (!row['Company Name']) {
+      addIssue('empty-name', 'error', `Row ${index + 1} has no company name`, { rows: [index + 1] });
+      return;
+    }
+
+    const key = firmKey(row);
+    if (!positions.has(key)) positions.set(key, []);
+    positions.get(key).push(index + 1);
+  });
+
+  positions.forEach(rowNumbers => {
+    if (rowNumbers.length > 1) {
+      const name = data[rowNumbers[0] - 1]['Company Name'];
+      addIssue('duplicate-firm', 'error', `${name} appears ${rowNumbers.length} times (rows ${rowNumbers.join(', ')})`, { rows: rowNumbers });
+    }
+  });
+
+  // Ranks: table order must not go backwards, ties are noted, and skipped ranks are gaps
+  // (competition ranking: two firms tied at 10 are followed by 12)
+  const ranked = data
+    .map((row, index) => ({ rank: row.rankCurrent, row: index + 1 }))
+    .filter(r => typeof r.rank === 'number');
+
+  const tieCounts = new Map();
+  ranked.forEach(r => tieCounts.set(r.rank, (tieCounts.get(r.rank) || 0) + 1));
+
+  let expected = 1;
+  let previous = null;
+  ranked.forEach(({ rank, row }) => {
+    if (previous !== null && rank < previous) {
+      addIssue('non-monotonic-rank', 'error', `Rank ${rank} at row ${row} comes after rank ${previous}`, { rows: [row], ranks: [previous, rank] });
+    } else if (rank !== previous) {
+      if (rank > expected) {
+        const missing = rank - 1 === expected ? `${expected}` : `${expected}-${rank - 1}`;
+        addIssue('rank-gap', 'warning', `Rank(s) ${missing} missing before row ${row}`, { rows: [row], ranks: [expected, rank - 1] });
+      }
+      expected = rank + tieCounts.get(rank);
+    }
+    previous = previous === null ? rank : Math.max(previous, rank);
+  });
+
+  tieCounts.forEach((count, rank) => {
+    if (count > 1) {
+      addIssue('tied-rank', 'info', `${count} firms share rank ${rank}`, { ranks: [rank], count });
+    }
+  });
+
+  // Row count against the size in the title ("Top 500")
+  const declaredSize = options.declaredSize || null;
+  if (declaredSize) {
+    if (data.length > declaredSize) {
+      addIssue('row-count', 'error', `${data.length} rows for a Top ${declaredSize} list`, { expected: declaredSize, actual: data.length });
+    } else if (data.length < declaredSize) {
+      const severity = options.preview ? 'info' : 'warning';
+      const note = options.preview ? ' (preview list)' : '';
+      addIssue('row-count', severity, `${data.length} of ${declaredSize} rows${note}`, { expected: declaredSize, actual: data.length });
+    }
+  }
+
+  const counts = { error: 0, warning: 0, info: 0 };
+  issues.forEach(issue => counts[issue.severity]++);
+  const status = counts.error > 0 ? 'error' : counts.warning > 0 ? 'warning' : 'ok';
+
+  return {
+    data,
+    report: {
+      status,
+      checkedAt: new Date().toISOString(),
+      declaredSize,
+      originalRowCount: rows.length,
+      rowCount: data.length,
+      removed: { duplicateRows, emptyRows },
+      counts,
+      issues: issues.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity))
+    }
+  };
+}
+
+// How much of the ranking a list holds, so a preview's first rows are never taken for the whole list
+// status: "complete" (rows reach the size in the title), "preview" (a teaser: the slug or the page says so),
+// "partial" (pages failed, or rows are missing from a full list) or "unknown" (no size to check against)
+// Works on crawl results and on saved list files (totalRows); previewNotice is the page's own
+// "this is a preview" notice, kept in the saved completeness so re-checks see it too
+function assessCompleteness(result) {
+  const data = result.data || [];
+  const previewNotice = Boolean(result.previewNotice || (result.completeness && result.completeness.previewNotice));
+  const rowCount = result.rowCount != null ? result.rowCount : result.totalRows != null ? result.totalRows : data.length;
+  const declaredSize = (result.metadata && result.metadata.declaredSize) || declaredListSize(result.listName, result.url);
+  const failedPages = (result.failedPages || []).length;
+
+  // Tied firms share a rank, so the last rank reached counts as much as the row count
+  const lastRank = data.reduce((max, row) => (typeof row.rankCurrent === 'number' ? Math.max(max, row.rankCurrent) : max), 0);
+  const covered = Math.max(rowCount, lastRank);
+
+  let status;
+  let reason;
+  if (failedPages > 0) {
+    status = 'partial';
+    reason = `${failedPages} page(s) failed`;
+  } else if (declaredSize && covered >= declaredSize) {
+    status = 'complete';
+    reason = `${rowCount} rows for a Top ${declaredSize} list`;
+  } else if (previewNotice || isPreviewList(result)) {
+    status = 'preview';
+    reason = declaredSize ? `preview: ${rowCount} of ${declaredSize} rows` : `preview: ${rowCount} rows`;
+  } else if (declaredSize) {
+    status = 'partial';
+    reason = `${rowCount} of ${declaredSize} rows`;
+  } else {
+    status = 'unknown';
+    reason = 'no list size to check against';
+  }
+
+  return { status, complete: status === 'complete', rowCount, declaredSize, reason, previewNotice };
+}
+
+// Runs the quality checks on a crawled list (the crawlToplistPage result)
+// Returns a copy with deduped data, an updated rowCount, the report under `quality`
+// and the list's completeness (see assessCompleteness)
+function validateResult(result) {
+  const { data, report } = checkList(result.data || [], {
+    declaredSize: (result.metadata && result.metadata.declaredSize) || declaredListSize(result.listName, result.url),
+    preview: isPreviewList(result) || Boolean(result.previewNotice)
+  });
+
+  const checked = { ...result, data, rowCount: data.length, quality: report };
+  return { ...checked, completeness: assessCompleteness(checked) };
+}
+
+// Prints the outcome of the checks for one list
+function printQualityReport(report, logger = createLogger()) {
+  if (report.removed.duplicateRows > 0 || report.removed.emptyRows > 0) {
+    logger.info(`  🧹 Removed ${report.removed.duplicateRows} duplicate and ${report.removed.emptyRows} empty rows (${report.originalRowCount} -> ${report.rowCount})`);
+  }
+
+  if (report.status === 'ok') {
+    logger.info('  ✅ Quality checks passed');
+    return;
+  }
+
+  const icon = report.status === 'error' ? '❌' : '⚠️ ';
+  logger.warn(`  ${icon} Quality: ${report.counts.error} error(s), ${report.counts.warning} warning(s)`);
+  report.issues
+    .filter(issue => issue.severity !== 'info')
+    .slice(0, 10)
+    .forEach(issue => logger.warn(`     - [${issue.severity}] ${issue.message}`));
+}
+
+// Lists whose quality report has errors (used by --strict)
+function qualityFailures(results) {
+  return results.filter(result => result.quality && result.quality.status === 'error');
+}
+
+module.exports = {
+  declaredListSize,
+  assessCompleteness,
+  checkList,
+  validateResult,
+  printQualityReport,
+  qualityFailures
+};
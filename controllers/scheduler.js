@@ -0,0 +1,196 @@
+const { createLogger } = require('../utils/logger');
+
+// Resolves after ms milliseconds
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Reads the Crawl-delay (in seconds) that applies to a user agent from a robots.txt body
+// A group naming the user agent wins over the "*" group; returns null when no delay is set
+function parseCrawlDelay(robotsTxt, userAgent = '') {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  String(robotsTxt || '').split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], delay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+
+    lastWasAgent = false;
+    if (field === 'crawl-delay' && current) {
+      const delay = Number(value);
+      if (Number.isFinite(delay) && delay >= 0) {
+        current.delay = delay;
+      }
+    }
+  });
+
+  const agent = userAgent.toLowerCase();
+  const named = groups.find(group => group.agents.some(name => name !== '*' && agent.includes(name)));
+  const fallback = groups.find(group => group.agents.includes('*'));
+  const group = named || fallback;
+
+  return group ? group.delay : null;
+}
+
+// Downloads <origin>/robots.txt and returns its Crawl-delay in seconds
+// A missing, blocked or unreachable robots.txt means no delay (null)
+async function loadCrawlDelay(origin, options = {}) {
+  const fetchPage = options.fetch || fetch;
+
+  try {
+    const response = await fetchPage(new URL('/robots.txt', origin).href, {
+      signal: AbortSignal.timeout(options.timeout || 10000),
+      headers: options.userAgent ? { 'User-Agent': options.userAgent } : {}
+    });
+    if (!response.ok) {
+      return null;
+    }
+    return parseCrawlDelay(await response.text(), options.userAgent);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Spaces out requests to each host by at least options.interval ms, shared by every tab
+// options.loadRobots(origin) may resolve to a Crawl-delay in seconds, which raises that host's interval
+// wait(url) resolves when the request may be sent; options.logger reports robots.txt delays
+function createRateLimiter(options = {}) {
+  const interval = options.interval || 0;
+  const logger = options.logger || createLogger();
+  const hosts = new Map();
+
+  const hostInterval = async origin => {
+    if (!options.loadRobots) {
+      return interval;
+    }
+    const crawlDelay = await options.loadRobots(origin);
+    if (crawlDelay) {
+      logger.info(`🤖 robots.txt for ${origin} asks for a ${crawlDelay}s crawl delay`);
+    }
+    return Math.max(interval, (crawlDelay || 0) * 1000);
+  };
+
+  return {
+    async wait(url) {
+      const { origin } = new URL(url);
+      if (!hosts.has(origin)) {
+        hosts.set(origin, { next: 0, interval: hostInterval(origin) });
+      }
+
+      const host = hosts.get(origin);
+      const gap = await host.interval;
+
+      // Reserve the next slot before sleeping so concurrent callers queue up behind it
+      const now = Date.now();
+      const at = Math.max(now, host.next);
+      host.next = at + gap;
+
+      if (at > now) {
+        await sleep(at - now);
+      }
+    }
+  };
+}
+
+// The rate limiter a crawl uses: config.crawl.requestInterval per host, raised to the robots.txt
+// Crawl-delay when config.crawl.respectRobots is on; options.logger as for createRateLimiter
+function createCrawlLimiter(config, options = {}) {
+  const { crawl, browser, timeouts } = config;
+  return createRateLimiter({
+    logger: options.logger,
+    interval: crawl.requestInterval,
+    loadRobots: crawl.respectRobots
+      ? origin => loadCrawlDelay(origin, { userAgent: browser.userAgent, timeout: timeouts.navigation })
+      : null
+  });
+}
+
+// Delay before retry number attempt + 1: baseDelay, 2x, 4x, ... capped at maxDelay
+function backoffDelay(attempt, baseDelay, maxDelay = Infinity) {
+  return Math.min(maxDelay, baseDelay * 2 ** attempt);
+}
+
+// Navigation timeouts (Puppeteer's and fetch's TimeoutError), empty tables and rate-limit pages are worth
+// another try; other challenges (Cloudflare, login walls, paywalls) won't go away by asking again
+function isRetryable(error) {
+  return Boolean(error) && (
+    error.name === 'TimeoutError' ||
+    error.code === 'EMPTY_TABLE' ||
+    (error.code === 'CHALLENGE' && error.challengeType === 'rate-limit')
+  );
+}
+
+// Short failure label for reports: "timeout", "empty-table", "challenge" or "error"
+function failureReason(error) {
+  if (error && error.name === 'TimeoutError') return 'timeout';
+  if (error && error.code === 'EMPTY_TABLE') return 'empty-table';
+  if (error && error.code === 'CHALLENGE') return 'challenge';
+  return 'error';
+}
+
+// Runs fn(attempt) until it succeeds, retrying retryable errors with exponential backoff
+// options: retries, baseDelay, maxDelay, shouldRetry(error), onRetry(error, retry, delay)
+// The error finally thrown carries the number of attempts made (error.attempts)
+async function withRetry(fn, options = {}) {
+  const retries = options.retries || 0;
+  const shouldRetry = options.shouldRetry || isRetryable;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      error.attempts = attempt + 1;
+      if (attempt >= retries || !shouldRetry(error)) {
+        throw error;
+      }
+
+      const delay = backoffDelay(attempt, options.baseDelay || 0, options.maxDelay);
+      if (options.onRetry) {
+        options.onRetry(error, attempt + 1, delay);
+      }
+      await sleep(delay);
+    }
+  }
+}
+
+// Hands items to workers (e.g. browser tabs) as each one frees up
+// Returns handler(item, worker, index) results in the order of items
+async function runPool(items, workers, handler) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  await Promise.all(workers.map(async worker => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await handler(items[index], worker, index);
+    }
+  }));
+
+  return results;
+}
+
+module.exports = {
+  parseCrawlDelay,
+  loadCrawlDelay,
+  createRateLimiter,
+  createCrawlLimiter,
+  backoffDelay,
+  isRetryable,
+  failureReason,
+  withRetry,
+  runPool
+};
@@ -0,0 +1,175 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../utils/logger');
+const { writeJsonAtomic } = require('../utils/files');
+
+// Where cookies used to live (in the project folder); imported once into the default profile
+const LEGACY_COOKIES_PATH = './enr-cookies.json';
+const DEFAULT_PROFILE = 'default';
+
+// Cloudflare's clearance cookie; without a valid one the first request gets a challenge
+const CLEARANCE_COOKIE = 'cf_clearance';
+
+// Cookies expiring sooner than this are reported as "expiring"
+const EXPIRY_WARNING_MS = 24 * 60 * 60 * 1000;
+
+// Profile names become folder names
+function checkProfileName(profile) {
+  if (!/^[a-z0-9][a-z0-9_-]*$/i.test(profile)) {
+    throw new Error(`Invalid session profile name: "${profile}" (use letters, digits, - and _)`);
+  }
+  return profile;
+}
+
+// Expiry of a cookie in ms since the epoch, or null for a session cookie (Puppeteer uses expires = -1)
+function cookieExpiry(cookie) {
+  const expires = Number(cookie.expires);
+  return cookie.session || !Number.isFinite(expires) || expires <= 0 ? null : expires * 1000;
+}
+
+// Summarizes a cookie list: how many are valid, expired or session-only, and the state of cf_clearance
+// clearance.state is "missing", "expired", "expiring" (within a day), "valid" or "session"
+function cookieStatus(cookies, now = Date.now()) {
+  const status = { total: cookies.length, valid: 0, expired: 0, sessionOnly: 0, clearance: { state: 'missing', expiresAt: null } };
+
+  cookies.forEach(cookie => {
+    const expiry = cookieExpiry(cookie);
+    if (expiry === null) {
+      status.sessionOnly++;
+    } else if (expiry <= now) {
+      status.expired++;
+    } else {
+      status.valid++;
+    }
+
+    if (cookie.name === CLEARANCE_COOKIE) {
+      let state = 'session';
+      if (expiry !== null) {
+        state = expiry <= now ? 'expired' : expiry - now < EXPIRY_WARNING_MS ? 'expiring' : 'valid';
+      }
+      status.clearance = { state, expiresAt: expiry === null ? null : new Date(expiry).toISOString() };
+    }
+  });
+
+  return status;
+}
+
+// Reads a cookie file (Puppeteer's cookie format); a missing file means no cookies
+function readCookieFile(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return [];
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Lists the profile folders under the session directory
+function listProfiles(sessionDir) {
+  if (!fs.existsSync(sessionDir)) {
+    return [];
+  }
+  return fs.readdirSync(sessionDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort();
+}
+
+// Opens a named session profile: its cookie file and Chromium profile live in <paths.sessionDir>/<profile>/,
+// outside the data folder, unless paths.cookiesPath / browser.userDataDir point somewhere explicitly
+// options.profile overrides config.session.profile; options.logger gets the note when old cookies are imported
+// Returns { profile, dir, cookiesPath, userDataDir, load(), save(cookies), status() }
+function openSession(config, options = {}) {
+  const logger = options.logger || createLogger();
+  const profile = checkProfileName(options.profile || config.session.profile || DEFAULT_PROFILE);
+  const dir = path.join(config.paths.sessionDir, profile);
+  const cookiesPath = config.paths.cookiesPath || path.join(dir, 'cookies.json');
+  const userDataDir = config.browser.userDataDir || path.join(dir, 'chrome-profile');
+
+  // Cookies saved by older versions sat next to the code; they are brought into the default profile once
+  const legacyPath = options.legacyCookiesPath || LEGACY_COOKIES_PATH;
+  const legacyImportPending = () => profile === DEFAULT_PROFILE && !config.paths.cookiesPath &&
+    !fs.existsSync(cookiesPath) && fs.existsSync(legacyPath);
+
+  const importLegacyCookies = () => {
+    if (!legacyImportPending()) {
+      return;
+    }
+    fs.mkdirSync(dir, { recursive: true });
+    fs.copyFileSync(legacyPath, cookiesPath);
+    fs.chmodSync(cookiesPath, 0o600);
+    logger.info(`🍪 Imported ${legacyPath} into session profile "${profile}" (${cookiesPath}); the old file can be deleted`);
+  };
+
+  return {
+    profile,
+    dir,
+    cookiesPath,
+    userDataDir,
+
+    // Saved cookies minus the expired ones
+    load() {
+      importLegacyCookies();
+      const now = Date.now();
+      return readCookieFile(cookiesPath).filter(cookie => {
+        const expiry = cookieExpiry(cookie);
+        return expiry === null || expiry > now;
+      });
+    },
+
+    // Writes the cookies (owner-only) atomically, so a crash never leaves half a file
+    save(cookies) {
+      fs.mkdirSync(path.dirname(cookiesPath), { recursive: true });
+      writeJsonAtomic(cookiesPath, cookies, { mode: 0o600 });
+    },
+
+    // Cookie counts, cf_clearance state, when the cookies were last saved and any legacy file still to import
+    status() {
+      const exists = fs.existsSync(cookiesPath);
+      return {
+        profile,
+        cookiesPath,
+        userDataDir,
+        savedAt: exists ? fs.statSync(cookiesPath).mtime.toISOString() : null,
+        pendingImport: legacyImportPending() ? legacyPath : null,
+        ...cookieStatus(readCookieFile(cookiesPath))
+      };
+    }
+  };
+}
+
+// Describes the cf_clearance state for logs
+function describeClearance(clearance) {
+  switch (clearance.state) {
+    case 'valid': return `cf_clearance valid until ${clearance.expiresAt}`;
+    case 'expiring': return `cf_clearance expires soon (${clearance.expiresAt})`;
+    case 'expired': return `cf_clearance expired at ${clearance.expiresAt}`;
+    case 'session': return 'cf_clearance is a session cookie (gone when the browser closes)';
+    default: return 'no cf_clearance cookie';
+  }
+}
+
+// Logs the session state before a run (to options.logger), warning when a Cloudflare challenge is likely
+// Returns the status
+function checkSession(session, options = {}) {
+  const logger = options.logger || createLogger();
+  const status = session.status();
+  logger.info(`🍪 Session "${status.profile}": ${status.valid + status.sessionOnly} usable cookie(s)` +
+    `${status.expired ? `, ${status.expired} expired (dropped)` : ''}; ${describeClearance(status.clearance)}`);
+
+  if (status.clearance.state === 'missing' || status.clearance.state === 'expired') {
+    logger.warn(options.interactive === false
+      ? '⚠️  Expect a Cloudflare challenge, which this run cannot solve; refresh the session with a visible browser first'
+      : '⚠️  Expect a Cloudflare challenge; the browser will wait for you to solve it');
+  }
+
+  return status;
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  CLEARANCE_COOKIE,
+  cookieStatus,
+  describeClearance,
+  listProfiles,
+  openSession,
+  checkSession
+};
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+const { createDomPage } = require('../utils/dom-page');
+
+const MANIFEST_FILE = 'manifest.json';
+
+// Normalizes a URL so lookups ignore fragments and trailing slashes
+function normalizeUrl(url) {
+  return String(url).split('#')[0].replace(/\/+$/, '');
+}
+
+// Builds a filesystem-safe file name for a page URL ("/toplists/2025-Top-500?page=2" -> "toplists_2025-Top-500_page-2.html")
+function snapshotFileName(url) {
+  let pathname = String(url);
+  try {
+    const parsed = new URL(url);
+    pathname = `${parsed.pathname}${parsed.search}`;
+  } catch (error) {
+    // Not an absolute URL, use it as-is
+  }
+
+  const name = pathname
+    .replace(/[^a-z0-9]+/gi, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 150);
+
+  return `${name || 'index'}.html`;
+}
+
+// Reads the snapshot manifest (URL -> file) from a snapshot directory
+// Returns an empty manifest when the directory has none yet
+function loadManifest(snapshotDir) {
+  const manifestPath = path.join(snapshotDir, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) {
+    return { createdAt: null, toplistsUrl: null, pages: {} };
+  }
+  return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+}
+
+// Writes the raw HTML of a page into the snapshot directory and records it in the manifest
+// kind is 'toplists' for the index page, 'list' for a toplist page and 'pagination' for extra pages
+function saveSnapshot(snapshotDir, url, html, kind = 'list') {
+  if (!fs.existsSync(snapshotDir)) {
+    fs.mkdirSync(snapshotDir, { recursive: true });
+  }
+
+  const manifest = loadManifest(snapshotDir);
+  manifest.createdAt = manifest.createdAt || new Date().toISOString();
+
+  const key = normalizeUrl(url);
+  const file = snapshotFileName(url);
+
+  fs.writeFileSync(path.join(snapshotDir, file), html);
+
+  manifest.pages[key] = {
+    url,
+    file,
+    kind,
+    savedAt: new Date().toISOString()
+  };
+
+  if (kind === 'toplists') {
+    manifest.toplistsUrl = url;
+  }
+
+  fs.writeFileSync(path.join(snapshotDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+  return path.join(snapshotDir, file);
+}
+
+// Creates an offline page that serves saved snapshots instead of hitting the network
+// goto() on a URL that was never snapshotted fails the same way a navigation error would
+function createSnapshotPage(snapshotDir) {
+  const manifest = loadManifest(snapshotDir);
+
+  return createDomPage(async url => {
+    const entry = manifest.pages[normalizeUrl(url)];
+    if (!entry) {
+      throw new Error(`No snapshot saved for ${url}`);
+    }
+
+    return {
+      url: entry.url,
+      html: fs.readFileSync(path.join(snapshotDir, entry.file), 'utf8')
+    };
+  });
+}
+
+module.exports = {
+  normalizeUrl,
+  snapshotFileName,
+  loadManifest,
+  saveSnapshot,
+  createSnapshotPage
+};
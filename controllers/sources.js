@@ -0,0 +1,231 @@
+const path = require('path');
+const { DEFAULT_CONFIG } = require('../utils/config');
+const { schemaForList, detectRankYears, resolveColumns } = require('../utils/columns');
+
+// What a source adapter may leave out (the README's Source Adapters section describes every setting)
+const SOURCE_DEFAULTS = {
+  discovery: {
+    linkSelectors: [],
+    hrefPattern: null,
+    excludePattern: null,
+    cardHeadingSelector: 'h1, h2, h3, h4, .headline, .title',
+    cardDateSelector: 'time, .date, [class*="date"]',
+    fallback: true
+  },
+  pagination: {
+    selector: null,
+    hrefPattern: null
+  },
+  tables: {
+    selector: 'table',
+    ignore: null
+  },
+  challenges: {
+    rules: []
+  },
+  // Firm detail pages linked from the FIRM column (see controllers/enrich.js): linkPattern picks the links that
+  // lead to one (null: every link), labels match the field labels printed on the page
+  firmPages: {
+    linkPattern: null,
+    labels: {
+      website: /^(web ?site|url|home ?page)$/i,
+      parentCompany: /^(parent|parent (company|firm|organization)|owned by)$/i,
+      firmType: /^((firm|company|business) type|type of (firm|company)|type)$/i,
+      specialties: /^(specialt(y|ies)|markets?( served)?|services|expertise)$/i,
+      // The heading or column of the revenue-by-year table
+      revenue: /revenue/i
+    }
+  },
+  access: null
+};
+
+const CHALLENGE_TYPES = ['rate-limit', 'cloudflare', 'login', 'paywall'];
+
+// Adapters known by name: the built-in ones plus any added with registerSource
+const registry = new Map();
+// Adapters that went through defineSource, so passing one around never checks it again
+const defined = new WeakSet();
+
+// A pattern as page.evaluate can carry it ({ source, flags }); strings are regular expression sources
+function serializePattern(pattern, name) {
+  if (pattern === null || pattern === undefined || pattern === '') {
+    return null;
+  }
+  if (pattern instanceof RegExp) {
+    return { source: pattern.source, flags: pattern.flags };
+  }
+  if (typeof pattern === 'string') {
+    return { source: pattern, flags: 'i' };
+  }
+  if (typeof pattern.source === 'string') {
+    return { source: pattern.source, flags: pattern.flags || '' };
+  }
+  throw sourceError(`${name} must be a RegExp or a string`);
+}
+
+function sourceError(message) {
+  const error = new Error(message);
+  error.code = 'BAD_SOURCE';
+  return error;
+}
+
+// Checks an adapter and fills in the defaults; throws a BAD_SOURCE error naming the first problem
+// Returns the adapter as the engine uses it (patterns serialized, every section present)
+function defineSource(spec) {
+  if (!spec || typeof spec !== 'object') {
+    throw sourceError('A source adapter must be an object');
+  }
+  if (defined.has(spec)) {
+    return spec;
+  }
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(spec.name || '')) {
+    throw sourceError(`Source name must be lowercase letters, digits and dashes, got ${JSON.stringify(spec.name)}`);
+  }
+  const name = spec.name;
+  const site = spec.site || {};
+  ['homeUrl', 'toplistsUrl'].forEach(key => {
+    if (site[key] && !/^https?:\/\//.test(site[key])) {
+      throw sourceError(`${name}: site.${key} must be an http(s) URL, got ${JSON.stringify(site[key])}`);
+    }
+  });
+
+  const discovery = { ...SOURCE_DEFAULTS.discovery, ...spec.discovery };
+  if (!discovery.hrefPattern) {
+    throw sourceError(`${name}: discovery.hrefPattern is required (what a list link's URL contains)`);
+  }
+  const pagination = { ...SOURCE_DEFAULTS.pagination, ...spec.pagination };
+  const tables = { ...SOURCE_DEFAULTS.tables, ...spec.tables };
+
+  const columns = { schemaForList, detectRankYears, resolveColumns, ...spec.columns };
+  ['schemaForList', 'detectRankYears', 'resolveColumns'].forEach(key => {
+    if (typeof columns[key] !== 'function') {
+      throw sourceError(`${name}: columns.${key} must be a function`);
+    }
+  });
+
+  const rules = ((spec.challenges && spec.challenges.rules) || []).map((rule, i) => {
+    if (!CHALLENGE_TYPES.includes(rule.type)) {
+      throw sourceError(`${name}: challenges.rules[${i}].type must be one of ${CHALLENGE_TYPES.join(', ')}`);
+    }
+    if (!rule.title && !rule.text && !rule.selector) {
+      throw sourceError(`${name}: challenges.rules[${i}] needs a title, text or selector to match`);
+    }
+    return {
+      type: rule.type,
+      title: serializePattern(rule.title, `${name}: challenges.rules[${i}].title`),
+      text: serializePattern(rule.text, `${name}: challenges.rules[${i}].text`),
+      selector: rule.selector || null,
+      withoutTable: Boolean(rule.withoutTable),
+      reason: rule.reason || null
+    };
+  });
+
+  const firmPages = { ...SOURCE_DEFAULTS.firmPages, ...spec.firmPages };
+  const labels = { ...SOURCE_DEFAULTS.firmPages.labels, ...(spec.firmPages && spec.firmPages.labels) };
+
+  const access = spec.access || null;
+  if (access) {
+    ['signIn', 'readSignals', 'findFullLists', 'fullListUrl'].forEach(key => {
+      if (typeof access[key] !== 'function') {
+        throw sourceError(`${name}: access.${key} must be a function`);
+      }
+    });
+  }
+
+  const source = {
+    name,
+    label: spec.label || name,
+    site: { homeUrl: site.homeUrl || '', toplistsUrl: site.toplistsUrl || '' },
+    discovery: {
+      ...discovery,
+      hrefPattern: serializePattern(discovery.hrefPattern, `${name}: discovery.hrefPattern`),
+      excludePattern: serializePattern(discovery.excludePattern, `${name}: discovery.excludePattern`)
+    },
+    pagination: {
+      ...pagination,
+      hrefPattern: serializePattern(pagination.hrefPattern || discovery.hrefPattern, `${name}: pagination.hrefPattern`)
+    },
+    tables,
+    columns,
+    challenges: { rules },
+    firmPages: {
+      linkPattern: serializePattern(firmPages.linkPattern, `${name}: firmPages.linkPattern`),
+      labels: Object.fromEntries(Object.entries(labels).map(([field, pattern]) =>
+        [field, serializePattern(pattern, `${name}: firmPages.labels.${field}`)]))
+    },
+    access
+  };
+  defined.add(source);
+  return source;
+}
+
+// Adds an adapter (a spec or one from defineSource) to the registry, replacing one with the same name
+function registerSource(spec) {
+  const source = defineSource(spec);
+  registry.set(source.name, source);
+  return source;
+}
+
+// Returns the registered adapter called name; throws UNKNOWN_SOURCE for names nobody registered
+function getSource(name) {
+  if (!registry.has(name)) {
+    const error = new Error(`Unknown source: ${name} (known: ${listSources().join(', ')})`);
+    error.code = 'UNKNOWN_SOURCE';
+    throw error;
+  }
+  return registry.get(name);
+}
+
+// Names of the registered adapters
+function listSources() {
+  return Array.from(registry.keys());
+}
+
+// Loads an adapter from a JavaScript file exporting its spec (config.source.module), relative to the cwd
+function loadSourceModule(modulePath) {
+  return registerSource(require(path.resolve(modulePath)));
+}
+
+// The adapter a crawl uses: options.source (an adapter, a spec or a registered name), the module in
+// config.source.module, or the registered adapter named config.source.name (default "enr")
+function resolveSource(options = {}, config = DEFAULT_CONFIG) {
+  if (options.source && typeof options.source === 'object') {
+    return defineSource(options.source);
+  }
+  if (options.source) {
+    return getSource(options.source);
+  }
+  const settings = config.source || DEFAULT_CONFIG.source;
+  if (settings.module) {
+    return loadSourceModule(settings.module);
+  }
+  return getSource(settings.name);
+}
+
+// The home and index URLs to crawl: config.site where set (a mirror, the mock server), else the adapter's
+// Throws when neither says where the index is
+function siteFor(source, config = DEFAULT_CONFIG) {
+  const configured = config.site || {};
+  const site = {
+    homeUrl: configured.homeUrl || source.site.homeUrl,
+    toplistsUrl: configured.toplistsUrl || source.site.toplistsUrl
+  };
+  if (!site.toplistsUrl) {
+    throw sourceError(`${source.name}: no index URL (set site.toplistsUrl in the adapter or the config)`);
+  }
+  return { homeUrl: site.homeUrl || site.toplistsUrl, toplistsUrl: site.toplistsUrl };
+}
+
+// The built-in adapters
+registerSource(require('../sources/enr'));
+
+module.exports = {
+  CHALLENGE_TYPES,
+  defineSource,
+  registerSource,
+  getSource,
+  listSources,
+  loadSourceModule,
+  resolveSource,
+  siteFor
+};
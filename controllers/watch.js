@@ -0,0 +1,298 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_CONFIG } = require('../utils/config');
+const { createLogger } = require('../utils/logger');
+const { slugFromUrl } = require('../utils/lists');
+const { writeJsonAtomic } = require('../utils/files');
+const { createFetcher } = require('./fetchers');
+const { createCrawlLimiter } = require('./scheduler');
+const { waitForChallenge, challengeError } = require('./challenges');
+const { createNotifier } = require('./notifiers');
+const { resolveSource, siteFor } = require('./sources');
+const { crawlENRToplists, openToplistsIndex, getToplistLinks } = require('./crawler');
+
+const WATCH_STATE_FILE = '.watch-state.json';
+
+// Where watch mode remembers the lists it has seen: <outputDir>/.watch-state.json
+function watchStatePath(outputDir) {
+  return path.join(outputDir, WATCH_STATE_FILE);
+}
+
+// Reads the watch state ({ checkedAt, lists: { url: entry } }); null before the first check
+function loadWatchState(outputDir) {
+  const statePath = watchStatePath(outputDir);
+  return fs.existsSync(statePath) ? JSON.parse(fs.readFileSync(statePath, 'utf8')) : null;
+}
+
+function saveWatchState(outputDir, state) {
+  fs.mkdirSync(outputDir, { recursive: true });
+  writeJsonAtomic(watchStatePath(outputDir), state);
+}
+
+// Hash of what a list page shows: the ranking table text and the pagination labels ("1-100", "101-200"),
+// so new rows, edits and extra pages all change it while ads and timestamps around the table don't
+// source says which tables and which pagination block the site uses (see controllers/sources.js)
+async function fingerprintPage(page, source) {
+  const content = await page.evaluate((tableRules, paginationSelector) => {
+    const clean = element => element.textContent.replace(/\s+/g, ' ').trim();
+    const tables = Array.from(document.querySelectorAll(tableRules.selector)).filter(
+      table => !tableRules.ignore || !table.matches(tableRules.ignore)
+    );
+    const pagination = paginationSelector && document.querySelector(paginationSelector);
+    return JSON.stringify([tables.map(clean), pagination ? clean(pagination) : '']);
+  }, source.tables, source.pagination.selector);
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+}
+
+// Reads the toplists index and the first page of every list it links to
+// Returns [{ url, slug, title, date, hash }]; a list whose page could not be read has error set and no hash
+async function scanToplists(options = {}) {
+  const config = options.config || DEFAULT_CONFIG;
+  const logger = options.logger || createLogger({ level: config.log.level });
+  const limiter = createCrawlLimiter(config, { logger });
+  const fetcher = options.fetcher || createFetcher(config.fetcher.backend, config, { logger });
+  const notifier = options.notifier || null;
+  const source = resolveSource(options, config);
+
+  const page = await fetcher.open();
+  try {
+    await openToplistsIndex(page, { config, limiter, notifier, logger, source });
+    const links = await getToplistLinks(page, { logger, source });
+
+    const lists = [];
+    for (const link of links) {
+      const entry = { url: link.href, slug: slugFromUrl(link.href), title: link.title || link.text, date: link.date || null };
+      try {
+        await limiter.wait(link.href);
+        await page.goto(link.href, { waitUntil: 'domcontentloaded', timeout: config.timeouts.navigation });
+        const check = await waitForChallenge(page, { config, notifier, logger, source });
+        if (!check.passed) {
+          throw challengeError(check.challenge, link.href);
+        }
+        entry.hash = await fingerprintPage(page, source);
+      } catch (error) {
+        logger.warn(`  ⚠️  Could not check ${entry.slug}: ${error.message}`);
+        entry.error = error.message;
+      }
+      lists.push(entry);
+    }
+    return lists;
+  } finally {
+    await fetcher.close({ saveSession: true });
+  }
+}
+
+// Compares a scan with the lists remembered from earlier checks
+// A list is changed when its page hash or the date on its index card differs; lists that could not be
+// read this time are neither changed nor removed
+// Returns { added, changed, removed, unchecked } (changed entries carry previous and reasons)
+function compareToplists(known, scanned) {
+  const changes = { added: [], changed: [], removed: [], unchecked: [] };
+  const seen = new Set();
+
+  scanned.forEach(list => {
+    seen.add(list.url);
+    const previous = known[list.url];
+    if (list.error) {
+      changes.unchecked.push(list);
+    } else if (!previous) {
+      changes.added.push(list);
+    } else {
+      const reasons = [];
+      if (previous.hash && previous.hash !== list.hash) reasons.push('content');
+      if ((previous.date || null) !== (list.date || null)) reasons.push('date');
+      if (reasons.length > 0) {
+        changes.changed.push({ ...list, previous, reasons });
+      }
+    }
+  });
+
+  Object.entries(known).forEach(([url, entry]) => {
+    if (!seen.has(url)) {
+      changes.removed.push({ url, ...entry });
+    }
+  });
+
+  return changes;
+}
+
+// One-line summary and a longer report of the changes, for logs and alerts
+function describeChanges(changes, crawled = [], label = 'ENR') {
+  const counts = `${changes.added.length} new, ${changes.changed.length} updated, ${changes.removed.length} removed`;
+  const lines = [];
+  const crawledNote = list => (crawled.includes(list.url) ? '' : ' (not crawled)');
+
+  changes.added.forEach(list => lines.push(`+ New: ${list.title || list.slug}${list.date ? ` (${list.date})` : ''}${crawledNote(list)}\n  ${list.url}`));
+  changes.changed.forEach(list => {
+    const what = list.reasons.map(reason => (reason === 'date' ? `date ${list.previous.date || '—'} -> ${list.date || '—'}` : 'table changed'));
+    lines.push(`~ Updated: ${list.title || list.slug} (${what.join(', ')})${crawledNote(list)}\n  ${list.url}`);
+  });
+  changes.removed.forEach(list => lines.push(`- Removed from the index: ${list.title || list.slug}\n  ${list.url}`));
+  if (changes.unchecked.length > 0) {
+    lines.push(`! Could not be checked: ${changes.unchecked.map(list => list.slug).join(', ')}`);
+  }
+
+  return {
+    message: `${label} toplists changed: ${counts}${crawled.length > 0 ? `, ${crawled.length} crawled` : ''}`,
+    report: lines.join('\n')
+  };
+}
+
+// Runs one watch check: scans the index and list pages, crawls the new and changed lists into the output
+// folder, updates the state and sends a toplists-changed event to the config.notify channels
+// The first check only records what exists (a baseline) and alerts nobody
+// options.crawl = false only reports; options.fetcher / options.crawlFetcher replace the fetchers of the
+// scan and of the crawl; options.notifier replaces the configured notifier; options.archive, options.logger
+// and options.source as for crawls
+// Returns { baseline, changes, crawled (URLs), results }
+async function runWatchCheck(options = {}) {
+  const config = options.config || DEFAULT_CONFIG;
+  const outputDir = options.outputDir || config.paths.outputDir;
+  const logger = options.logger || createLogger({ level: config.log.level });
+  const notifier = options.notifier || createNotifier(config.notify, { logger });
+  const source = resolveSource(options, config);
+  const now = new Date().toISOString();
+
+  logger.info(`\n👀 Checking ${source.label} toplists for changes (${now})...`);
+  const state = loadWatchState(outputDir);
+  const scanned = await scanToplists({ config, fetcher: options.fetcher, notifier, logger, source });
+
+  const remember = (list, previous = {}) => ({
+    slug: list.slug,
+    title: list.title,
+    date: list.date,
+    hash: list.hash,
+    firstSeen: previous.firstSeen || now,
+    lastChanged: previous.hash ? now : previous.lastChanged || now,
+    lastCrawled: previous.lastCrawled || null
+  });
+
+  if (!state) {
+    const lists = {};
+    scanned.filter(list => !list.error).forEach(list => { lists[list.url] = remember(list); });
+    saveWatchState(outputDir, { checkedAt: now, lists });
+    logger.info(`📌 Baseline recorded: ${Object.keys(lists).length} toplists; later checks report what changes`);
+    return { baseline: true, changes: compareToplists(lists, scanned), crawled: [], results: [] };
+  }
+
+  const changes = compareToplists(state.lists, scanned);
+  const toCrawl = [...changes.added, ...changes.changed];
+  if (toCrawl.length === 0 && changes.removed.length === 0) {
+    state.checkedAt = now;
+    saveWatchState(outputDir, state);
+    logger.info(`✅ No changes (${scanned.length} toplists checked)`);
+    return { baseline: false, changes, crawled: [], results: [] };
+  }
+
+  // Only the new and changed lists are crawled; the rest of the output folder is left as it is
+  let results = [];
+  if (toCrawl.length > 0 && options.crawl !== false) {
+    logger.info(`\n🔄 Crawling ${toCrawl.length} new or changed toplist(s)...`);
+    try {
+      results = await crawlENRToplists({
+        config,
+        outputDir,
+        fetcher: options.crawlFetcher,
+        only: toCrawl.map(list => list.slug),
+        archive: options.archive,
+        logger,
+        source
+      });
+    } catch (error) {
+      logger.error(`❌ Crawl of the changed lists failed: ${error.message}`);
+    }
+  }
+
+  // A list counts as crawled once it was saved (subscriber crawls save it under the full list's URL)
+  const crawledUrls = new Set(results.flatMap(result => [result.url, result.previewUrl]).filter(Boolean));
+  const crawled = toCrawl.filter(list => crawledUrls.has(list.url)).map(list => list.url);
+
+  // Lists that were not crawled keep their old entry (or stay unknown), so the next check picks them up again
+  const lists = { ...state.lists };
+  changes.removed.forEach(list => { delete lists[list.url]; });
+  toCrawl.forEach(list => {
+    if (crawled.includes(list.url) || options.crawl === false) {
+      lists[list.url] = remember(list, lists[list.url]);
+      if (crawled.includes(list.url)) lists[list.url].lastCrawled = now;
+    }
+  });
+  saveWatchState(outputDir, { checkedAt: now, lists });
+
+  const { message, report } = describeChanges(changes, crawled, source.label);
+  logger.info(`\n🔔 ${message}\n${report}`);
+  await notifier.notify({
+    event: 'toplists-changed',
+    message,
+    report,
+    url: siteFor(source, config).toplistsUrl,
+    added: changes.added.map(list => list.url),
+    changed: changes.changed.map(list => ({ url: list.url, reasons: list.reasons })),
+    removed: changes.removed.map(list => list.url),
+    crawled
+  });
+
+  return { baseline: false, changes, crawled, results };
+}
+
+// Resolves after ms, or early when the signal aborts
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    }
+  });
+}
+
+// Watch mode: runs a check every config.watch.interval ms (options.interval overrides) until options.signal
+// aborts; options.once runs a single check (for cron and other schedulers)
+// A failed check is logged and reported as a watch-failed event, and the next one runs as planned
+async function watchToplists(options = {}) {
+  const config = options.config || DEFAULT_CONFIG;
+  const interval = options.interval || config.watch.interval;
+  const logger = options.logger || createLogger({ level: config.log.level });
+  const notifier = options.notifier || createNotifier(config.notify, { logger });
+  const source = resolveSource(options, config);
+
+  if (!options.once) {
+    logger.info(`👀 Watching ${source.label} toplists every ${Math.round(interval / 60000)} min (Ctrl+C to stop)`);
+  }
+
+  for (;;) {
+    try {
+      await runWatchCheck({ ...options, config, notifier, logger, source });
+    } catch (error) {
+      logger.error(`❌ Watch check failed: ${error.message}`);
+      await notifier.notify({
+        event: 'watch-failed',
+        message: `${source.label} watch check failed: ${error.message}`,
+        url: siteFor(source, config).toplistsUrl
+      });
+      if (options.once) {
+        throw error;
+      }
+    }
+
+    if (options.once || (options.signal && options.signal.aborted)) {
+      return;
+    }
+    logger.info(`⏰ Next check at ${new Date(Date.now() + interval).toISOString()}`);
+    await sleep(interval, options.signal);
+    if (options.signal && options.signal.aborted) {
+      return;
+    }
+  }
+}
+
+module.exports = {
+  watchStatePath,
+  loadWatchState,
+  compareToplists,
+  describeChanges,
+  runWatchCheck,
+  watchToplists
+};
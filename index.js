@@ -1,22 +1,478 @@
-const { crawlENRToplists } = require('./controllers/crawler');
+#!/usr/bin/env node
+const path = require('path');
+const { crawlENRToplists, parseSnapshots, enrichOutputDir, createFileSink } = require('./controllers/crawler');
+const { diffCrawls } = require('./controllers/diff');
+const { writeFirmProfiles } = require('./controllers/firms');
+const { writeAnalyticsReport } = require('./controllers/analytics');
+const { exportDataset, parseFormats } = require('./controllers/export');
+const { validateResult, printQualityReport, qualityFailures, assessCompleteness } = require('./controllers/quality');
+const { loadSummary, loadDataset } = require('./controllers/dataset');
+const { checkDataDir, migrateDataDir } = require('./controllers/migrate');
+const { SCHEMA_VERSION } = require('./controllers/output');
+const { openSession, listProfiles, describeClearance } = require('./controllers/sessions');
+const { watchToplists } = require('./controllers/watch');
+const { createCrawler, discoverLists, crawlList, crawlAll, createMemorySink } = require('./controllers/library');
+const { defineSource, registerSource, listSources } = require('./controllers/sources');
+const { createLogger } = require('./utils/logger');
+const { loadConfig } = require('./utils/config');
+const { startServer } = require('./server');
+const { startMockEnrServer } = require('./mock/enr-server');
+
+// Command-line shortcuts for the most common config settings
+const CONFIG_FLAGS = {
+  'output-dir': 'paths.outputDir',
+  'archive-dir': 'paths.archiveDir',
+  cookies: 'paths.cookiesPath',
+  'chromium-path': 'browser.executablePath',
+  'profile-dir': 'browser.userDataDir',
+  profile: 'session.profile',
+  'user-agent': 'browser.userAgent',
+  headless: 'browser.headless',
+  backend: 'fetcher.backend',
+  source: 'source.name',
+  'source-module': 'source.module',
+  'challenge-timeout': 'timeouts.challenge',
+  'log-level': 'log.level',
+  'notify-webhook': 'notify.webhookUrl',
+  'notify-file': 'notify.file',
+  'notify-email': 'notify.emailTo'
+};
+
+const USAGE = `Usage: node index.js [command] [options]
+
+Commands:
+  crawl                  Crawl the toplists (ENR by default) into the output folder (default command)
+                         --only <slug>  --resume  --snapshot [dir]  --from-snapshots <dir>
+                         --export <formats>  --strict  --enrich (then visit the firm pages, see enrich)
+  list                   List the toplists in the output folder
+  export                 Export the output folder: --format csv,xlsx,ndjson,sqlite  --data <dir>  --out <dir>
+  validate               Check the output folder against the file schema and re-run the data-quality checks
+                         (--strict to fail on errors)
+  migrate                Upgrade an output folder's files to the current schema version: --data <dir>  --dry-run
+  diff <list-slug>       Compare two crawls of a list: --from YYYY-MM-DD  --to YYYY-MM-DD|current
+  firms                  Build cross-list firm profiles: --overrides <file>
+  enrich                 Visit the firm detail pages the saved lists link to (each once, cached in the output
+                         folder) and add website, parent company, firm type, revenue history and specialties
+                         to firms.json: --refresh (fetch cached pages again)
+  report                 Analytics report (risers and fallers, new entrants, firms by state and city, firms on
+                         several lists) as HTML and JSON: --data <dir>  --out <dir>  --top <n> (default 10)
+  serve                  Serve the output folder over HTTP: --port <port>
+  watch                  Check the toplists periodically and crawl only new or changed lists, with alerts:
+                         --interval <minutes> (default 360)  --once (a single check, e.g. from cron)
+  session status         Show the saved session profiles: cookie expiry, cf_clearance (--profile <name> for one)
+  mock-server            Run a local mock of enr.com: --port <port> (default 4000)  --challenge never|once|always
+                         --account <email:password> (a subscriber)  --preview-rows <n> (cut previews short)
+                         --firm-pages (link the firms to profile pages)
+  help                   Show this message
+
+Configuration (later wins): defaults, enr.config.json (or --config <file> / ENR_CONFIG),
+ENR_<SECTION>_<KEY> environment variables, then the command line:
+  --set <section.key=value>   Any setting, e.g. --set delays.betweenPages=500 (repeatable)
+  --profile <name>            Session profile (cookies + Chromium profile), e.g. "subscriber"
+  --output-dir <dir>  --archive-dir <dir>  --cookies <file>
+  --chromium-path <path>  --profile-dir <dir>  --user-agent <ua>  --headless [true|false]
+  --backend puppeteer|http    How pages are fetched (http needs no browser but can't pass Cloudflare)
+  --source <name>             The site to crawl, a built-in source adapter (default enr)
+  --source-module <file>      A source adapter of your own (see "Source Adapters" in the README)
+  --log-level <level>         silent, error, warn, info (default) or debug
+  --challenge-timeout <ms>    How long to wait for someone to solve a challenge (0 = no limit)
+  --notify-webhook <url>      POST an alert there when the crawl pauses for a challenge or watch finds changes
+  --notify-file <file>        Append every alert to this file as a JSON line
+  --notify-email <addresses>  Email alerts (comma-separated; needs notify.smtpHost, see the README)`;
+
+// Reads a "--name value" or "--name=value" option from the command line
+// Returns true for a bare flag, and undefined when the option is absent
+function getOption(argv, name) {
+  const flag = `--${name}`;
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === flag) {
+      const next = argv[i + 1];
+      return next && !next.startsWith('--') ? next : true;
+    }
+    if (argv[i].startsWith(`${flag}=`)) {
+      return argv[i].slice(flag.length + 1);
+    }
+  }
+  return undefined;
+}
+
+// Reads every value of a repeatable option ("--set a=1 --set b=2")
+function getOptions(argv, name) {
+  const flag = `--${name}`;
+  const values = [];
+  argv.forEach((arg, i) => {
+    if (arg === flag && argv[i + 1] && !argv[i + 1].startsWith('--')) {
+      values.push(argv[i + 1]);
+    } else if (arg.startsWith(`${flag}=`)) {
+      values.push(arg.slice(flag.length + 1));
+    }
+  });
+  return values;
+}
+
+// Reads an option that needs a value, throwing when it was given as a bare flag
+function getValue(argv, name, hint) {
+  const value = getOption(argv, name);
+  if (value === true) {
+    throw new Error(`--${name} needs a value${hint ? `, e.g. --${name} ${hint}` : ''}`);
+  }
+  return value;
+}
+
+// Builds the effective config from the config file, environment and command-line overrides
+function configFromArgs(argv) {
+  const overrides = {};
+
+  Object.entries(CONFIG_FLAGS).forEach(([flag, setting]) => {
+    const value = getOption(argv, flag);
+    if (value === true && setting !== 'browser.headless') {
+      throw new Error(`--${flag} needs a value`);
+    }
+    if (value !== undefined) {
+      overrides[setting] = value === true ? 'true' : value;
+    }
+  });
+
+  getOptions(argv, 'set').forEach(assignment => {
+    const separator = assignment.indexOf('=');
+    if (separator === -1) {
+      throw new Error(`--set expects section.key=value, got "${assignment}"`);
+    }
+    overrides[assignment.slice(0, separator)] = assignment.slice(separator + 1);
+  });
+
+  return loadConfig({ configPath: getValue(argv, 'config', 'enr.config.json'), overrides });
+}
+
+// --strict: fail the run when any list's quality report has errors (duplicates, bad ranks, ...)
+function enforceStrict(argv, results) {
+  if (!getOption(argv, 'strict')) {
+    return;
+  }
+
+  const failures = qualityFailures(results);
+  if (failures.length > 0) {
+    failures.forEach(result => console.error(`❌ ${result.listName} (${result.url}): ${result.quality.counts.error} quality error(s)`));
+    throw new Error(`${failures.length} list(s) failed the quality checks (--strict)`);
+  }
+}
+
+// Crawls ENR (or re-parses saved snapshots): node index.js [crawl] [--only <slug>] [--resume] ...
+async function runCrawl(argv, config) {
+  const outputDir = config.paths.outputDir;
+
+  // --only <slug> limits the run to one list and merges it into the existing output set
+  const only = getValue(argv, 'only', '2025-Top-400-Contractors-1-preview');
+
+  // --export <formats> writes the exports once the crawl (or snapshot parse) has saved the output folder
+  const exportOption = getOption(argv, 'export');
+  const exportFormats = exportOption ? parseFormats(exportOption) : null;
+  const runExports = () => exportFormats && exportDataset(outputDir, {
+    formats: exportFormats,
+    exportDir: config.paths.exportDir,
+    overridesPath: config.paths.overridesPath,
+    logger: createLogger({ level: config.log.level })
+  });
+
+  const fromSnapshots = getValue(argv, 'from-snapshots', './enr-snapshots/<run>');
+  if (fromSnapshots) {
+    console.log('Parsing saved ENR snapshots (offline)...');
+    const results = await parseSnapshots(fromSnapshots, { only, config });
+    enforceStrict(argv, results);
+    await runExports();
+    return;
+  }
+
+  // --snapshot saves raw HTML of every page; defaults to a timestamped folder under enr-snapshots/
+  const snapshot = getOption(argv, 'snapshot');
+  const snapshotDir = snapshot === true
+    ? path.join(config.paths.snapshotRoot, new Date().toISOString().replace(/[:.]/g, '-'))
+    : snapshot;
+
+  console.log('Starting ENR toplists crawler...');
+  const results = await crawlENRToplists({
+    config,
+    snapshotDir,
+    only,
+    resume: Boolean(getOption(argv, 'resume')),
+    enrich: Boolean(getOption(argv, 'enrich'))
+  });
+
+  await runExports();
+  enforceStrict(argv, results);
+}
+
+// Prints the toplists in the output folder: node index.js list
+function runList(argv, config) {
+  const summary = loadSummary(config.paths.outputDir);
+  const files = summary.files || [];
+
+  console.log(`📋 ${files.length} toplists in ${config.paths.outputDir} (crawled ${summary.crawlDate})\n`);
+  files.forEach((entry, index) => {
+    const metadata = entry.metadata || {};
+    const completeness = entry.completeness || assessCompleteness(entry);
+    const details = [
+      `${entry.rowCount} rows`,
+      metadata.category,
+      completeness.complete ? 'complete' : completeness.reason,
+      entry.quality ? `quality: ${entry.quality.status}` : null
+    ].filter(Boolean).join(', ');
+
+    console.log(`${String(index + 1).padStart(3)}. ${entry.listName} (${details})`);
+    console.log(`     ${entry.filename.replace(/\.json$/, '')}`);
+  });
+}
+
+// Exports an existing output folder: node index.js export [--format csv,xlsx,ndjson,sqlite] [--data <dir>] [--out <dir>]
+async function runExport(argv, config) {
+  await exportDataset(getValue(argv, 'data', './enr-data') || config.paths.outputDir, {
+    formats: parseFormats(getOption(argv, 'format')),
+    exportDir: getValue(argv, 'out', './enr-export') || config.paths.exportDir,
+    overridesPath: config.paths.overridesPath,
+    logger: createLogger({ level: config.log.level })
+  });
+}
+
+// Re-runs the data-quality checks on the saved lists: node index.js validate [--strict]
+function runValidate(argv, config) {
+  const schemaChecks = checkDataDir(config.paths.outputDir);
+  schemaChecks.forEach(({ file, version, problems }) => {
+    if (version < SCHEMA_VERSION) {
+      console.log(`📦 ${file}: schema version ${version}, checked as upgraded in memory (run "node index.js migrate" to rewrite it)`);
+      return;
+    }
+    console.log(`❌ ${file}: ${problems.length} schema problem(s)`);
+    problems.slice(0, 10).forEach(problem => console.log(`     - ${problem.path} ${problem.message}`));
+  });
+
+  const results = loadDataset(config.paths.outputDir).map(({ filename, list }) => {
+    console.log(`\n🔎 ${list.listName} (${filename})`);
+    const result = validateResult({ ...list, rowCount: list.totalRows });
+    printQualityReport(result.quality);
+    if (!result.completeness.complete) {
+      console.log(`  📉 Not the whole ranking (${result.completeness.status}): ${result.completeness.reason}`);
+    }
+    return result;
+  });
+
+  const failures = qualityFailures(results);
+  const invalid = schemaChecks.filter(check => check.problems.length > 0);
+  console.log(`\n${results.length} lists checked, ${failures.length} with errors, ${invalid.length} file(s) breaking schema version ${SCHEMA_VERSION}`);
+  if (invalid.length > 0 && getOption(argv, 'strict')) {
+    throw new Error(`${invalid.length} file(s) do not match the output schema (--strict)`);
+  }
+  enforceStrict(argv, results);
+}
+
+// Upgrades the output folder to the current schema version: node index.js migrate [--data <dir>] [--dry-run]
+// The originals are kept under <dir>/.pre-migration/
+function runMigrate(argv, config) {
+  migrateDataDir(getValue(argv, 'data', './enr-data') || config.paths.outputDir, {
+    dryRun: Boolean(getOption(argv, 'dry-run'))
+  });
+}
+
+// Compares two crawls of one list: node index.js diff <list> [--from <date>] [--to <date|current>]
+function runDiff(argv, config) {
+  const list = argv[1];
+  if (!list || list.startsWith('--')) {
+    throw new Error('Usage: node index.js diff <list-slug> [--from YYYY-MM-DD] [--to YYYY-MM-DD|current]');
+  }
+
+  const { report, jsonPath, textPath } = diffCrawls(list, {
+    from: getValue(argv, 'from', 'YYYY-MM-DD'),
+    to: getValue(argv, 'to', 'current'),
+    outputDir: config.paths.outputDir,
+    archiveDir: config.paths.archiveDir,
+    overridesPath: config.paths.overridesPath
+  });
+
+  console.log(report);
+  console.log(`Saved: ${jsonPath}`);
+  console.log(`Saved: ${textPath}`);
+}
+
+// Builds cross-list firm profiles: node index.js firms [--overrides firm-overrides.json]
+function runFirms(argv, config) {
+  writeFirmProfiles(config.paths.outputDir, {
+    overridesPath: getValue(argv, 'overrides', 'firm-overrides.json') || config.paths.overridesPath
+  });
+}
+
+// Adds the firm detail pages' profiles to firms.json: node index.js enrich [--refresh]
+async function runEnrich(argv, config) {
+  const report = await enrichOutputDir({ config, refresh: Boolean(getOption(argv, 'refresh')) });
+  console.log(`🏢 ${report.links} firm page(s): ${report.fetched} fetched, ${report.cached} from the cache, ${report.failures.length} failed`);
+}
+
+// Writes the analytics report: node index.js report [--data <dir>] [--out <dir>] [--top <n>]
+function runReport(argv, config) {
+  const top = getValue(argv, 'top', '10');
+  if (top !== undefined && !(Number.isInteger(Number(top)) && Number(top) > 0)) {
+    throw new Error(`--top expects a positive whole number, got "${top}"`);
+  }
+
+  const { report, jsonPath, htmlPath } = writeAnalyticsReport(getValue(argv, 'data', './enr-data') || config.paths.outputDir, {
+    reportsDir: getValue(argv, 'out', './enr-reports') || config.paths.reportsDir,
+    top: top ? Number(top) : undefined,
+    overridesPath: config.paths.overridesPath
+  });
+
+  const { totals } = report;
+  console.log(`📈 ${totals.lists} lists, ${totals.firms} firms: ${totals.newEntrants} new entrants, ${totals.multiListFirms} firms on several lists`);
+  if (totals.incompleteLists > 0) {
+    console.log(`   ${totals.incompleteLists} list(s) are previews or partial; their numbers only cover the rows crawled`);
+  }
+  console.log(`✅ Saved: ${htmlPath}`);
+  console.log(`✅ Saved: ${jsonPath}`);
+}
+
+// Serves the output folder over HTTP: node index.js serve [--port 3000]
+async function runServe(argv, config) {
+  const port = getValue(argv, 'port', '3000');
+  await startServer({
+    port: Number(port) || undefined,
+    outputDir: config.paths.outputDir,
+    overridesPath: config.paths.overridesPath,
+    config
+  });
+}
+
+// Prints the state of the session profiles: node index.js session status [--profile <name>]
+function runSession(argv, config) {
+  const action = argv[1] && !argv[1].startsWith('--') ? argv[1] : 'status';
+  if (action !== 'status') {
+    throw new Error(`Unknown session action: ${action} (expected: status)`);
+  }
+
+  const sessionDir = config.paths.sessionDir;
+  const active = config.session.profile;
+  const profiles = getOption(argv, 'profile')
+    ? [active]
+    : Array.from(new Set([...listProfiles(sessionDir), active])).sort();
+
+  console.log(`🍪 Session profiles in ${sessionDir}\n`);
+  profiles.forEach(profile => {
+    const status = openSession(config, { profile }).status();
+    console.log(`${profile === active ? '*' : ' '} ${profile}${profile === active ? ' (active)' : ''}`);
+    if (status.pendingImport) {
+      console.log(`    ${status.pendingImport} will be imported into ${status.cookiesPath} on the next run`);
+    } else if (!status.savedAt) {
+      console.log(`    no cookies saved yet (${status.cookiesPath})`);
+    } else {
+      console.log(`    cookies: ${status.cookiesPath} (saved ${status.savedAt})`);
+      console.log(`    ${status.total} cookie(s): ${status.valid} valid, ${status.sessionOnly} session-only, ${status.expired} expired`);
+      console.log(`    ${describeClearance(status.clearance)}`);
+    }
+    console.log(`    chromium profile: ${status.userDataDir}`);
+  });
+}
+
+// Watches the toplists for new and changed lists: node index.js watch [--interval <minutes>] [--once]
+// Ctrl+C stops it between checks
+async function runWatch(argv, config) {
+  const minutes = getValue(argv, 'interval', '60');
+  if (minutes !== undefined && !(Number(minutes) > 0)) {
+    throw new Error(`--interval expects minutes, got "${minutes}"`);
+  }
+
+  const controller = new AbortController();
+  const stop = () => {
+    console.log('\n🛑 Stopping after this check...');
+    controller.abort();
+  };
+  process.once('SIGINT', stop);
+
+  try {
+    await watchToplists({
+      config,
+      once: Boolean(getOption(argv, 'once')),
+      interval: minutes ? Number(minutes) * 60 * 1000 : undefined,
+      signal: controller.signal
+    });
+  } finally {
+    process.removeListener('SIGINT', stop);
+  }
+}
+
+// Runs the local mock of enr.com for offline crawls: node index.js mock-server [--port 4000] [--challenge once]
+// [--account email:password] [--preview-rows 5] [--firm-pages]
+// Point the crawler at it with --set site.homeUrl=http://localhost:4000/ --set site.toplistsUrl=http://localhost:4000/toplists
+async function runMockServer(argv) {
+  const account = getValue(argv, 'account', 'team@example.com:secret');
+  const separator = account ? account.indexOf(':') : -1;
+  if (account && separator <= 0) {
+    throw new Error(`--account expects email:password, got "${account}"`);
+  }
+
+  const { url } = await startMockEnrServer({
+    port: Number(getValue(argv, 'port', '4000') || 4000),
+    challenge: getValue(argv, 'challenge', 'once'),
+    accounts: account ? { [account.slice(0, separator)]: account.slice(separator + 1) } : {},
+    previewRows: Number(getValue(argv, 'preview-rows', '5')) || 0,
+    firmPages: Boolean(getOption(argv, 'firm-pages'))
+  });
+  console.log(`   Crawl it with: node index.js --backend http --set site.homeUrl=${url}/ --set site.toplistsUrl=${url}/toplists`);
+}
+
+const COMMANDS = {
+  crawl: runCrawl,
+  list: runList,
+  export: runExport,
+  validate: runValidate,
+  migrate: runMigrate,
+  diff: runDiff,
+  firms: runFirms,
+  enrich: runEnrich,
+  report: runReport,
+  serve: runServe,
+  session: runSession,
+  watch: runWatch,
+  'mock-server': runMockServer
+};
 
 async function main() {
+  const argv = process.argv.slice(2);
+
+  // Without a command (or with only options) the crawler runs, as it always has
+  const command = argv[0] && !argv[0].startsWith('--') ? argv[0] : 'crawl';
+
+  if (command === 'help' || getOption(argv, 'help')) {
+    console.log(USAGE);
+    return;
+  }
+
   try {
-    console.log('Starting ENR toplists crawler...');
-    const links = await crawlENRToplists();
+    if (!COMMANDS[command]) {
+      throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+    }
 
-    console.log(`Total links found: ${links.length}`);
-    console.log('\nLinks:');
-    links.forEach((link, index) => {
-      console.log(`${index + 1}. ${link}`);
-    });
-    
+    const config = configFromArgs(argv);
+    await COMMANDS[command](argv, config);
   } catch (error) {
-    console.error('Failed to crawl:', error.message);
+    console.error(`Failed to ${command}:`, error.message);
     process.exit(1);
   }
 }
 
 if (require.main === module) {
   main();
-}
\ No newline at end of file
+}
+
+// The library API for services embedding the crawler (see "Using It as a Library" in the README)
+module.exports = {
+  createCrawler,
+  discoverLists,
+  crawlList,
+  crawlAll,
+  createFileSink,
+  createMemorySink,
+  defineSource,
+  registerSource,
+  listSources,
+  createLogger,
+  loadConfig,
+  getOption,
+  getOptions,
+  configFromArgs
+};
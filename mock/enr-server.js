@@ -0,0 +1,416 @@
+const express = require('express');
+
+// Lists served by the mock, shaped like the real ENR preview lists
+const DEFAULT_LISTS = [
+  {
+    slug: '2025-Top-500-Design-Firms-Preview',
+    title: '2025 Top 500 Design Firms',
+    date: 'June 10, 2025',
+    rows: 120,
+    year: 2025
+  },
+  {
+    slug: '2025-Top-400-Contractors-1-preview',
+    title: '2025 Top 400 Contractors',
+    date: 'May 19, 2025',
+    rows: 60,
+    year: 2025
+  },
+  {
+    slug: '2024-Top-150-Global-Design-Firms-Preview',
+    title: '2024 Top 150 Global Design Firms',
+    date: 'July 22, 2024',
+    rows: 30,
+    year: 2024,
+    global: true
+  }
+];
+
+const CHALLENGE_MODES = ['never', 'once', 'always'];
+
+const NAME_WORDS = ['Atlas', 'Beacon', 'Cedar', 'Summit', 'Harbor', 'Granite', 'Meridian', 'Pioneer', 'Keystone', 'Frontier', 'Northstar', 'Riverside'];
+const NAME_KINDS = ['Engineering', 'Builders', 'Group', 'Partners', 'Associates', 'Construction', 'Consultants', 'Design', 'Infrastructure', 'Technologies', 'Services', 'Holdings'];
+const US_LOCATIONS = ['Dallas, Texas', 'New York, N.Y.', 'Omaha, Neb.', 'Pasadena, Calif.', 'Seattle, Wash.', 'Chicago, Ill.', 'Atlanta, Ga.', 'Denver, Colo.'];
+const WORLD_LOCATIONS = ['Beijing, China', 'Paris, France', 'Montreal, Quebec, Canada', 'London, U.K.', 'Dallas, Texas, U.S.A.', 'Madrid, Spain'];
+
+const FIRM_TYPES = ['Engineer', 'Architect-Engineer', 'Contractor', 'Design-Builder', 'Construction Manager'];
+const SPECIALTIES = ['Transportation', 'Water', 'Buildings', 'Power', 'Industrial', 'Environmental'];
+
+const escapeHtml = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const money = value => value.toLocaleString('en-US', { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+
+// Deterministic rows for a list: the same options always produce the same table
+function listRows(list) {
+  const locations = list.global ? WORLD_LOCATIONS : US_LOCATIONS;
+
+  return Array.from({ length: list.rows }, (_, i) => {
+    const rank = i + 1;
+    const name = `${NAME_WORDS[i % NAME_WORDS.length]} ${NAME_KINDS[Math.floor(i / NAME_WORDS.length) % NAME_KINDS.length]} Inc.`;
+    return {
+      rank,
+      name,
+      // Every ninth firm is new to the list ("**")
+      previous: rank % 9 === 0 ? '**' : String(((rank * 7) % list.rows) + 1),
+      firm: `${name}, ${locations[i % locations.length]}`,
+      total: money((list.rows - i) * 13.7 + 5),
+      intl: rank % 5 === 0 ? '—' : String((rank * 13) % 100)
+    };
+  });
+}
+
+// Address of a firm's profile page: "Atlas Engineering Inc." -> /firms/atlas-engineering-inc
+function firmPath(name) {
+  return `/firms/${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}`;
+}
+
+// What a firm's profile page says, derived from its name so every list links the same page
+function firmDetails(name) {
+  const seed = Array.from(name).reduce((sum, char) => sum + char.charCodeAt(0), 0);
+  return {
+    website: `https://www.${firmPath(name).slice('/firms/'.length)}.example.com/`,
+    // Every third firm belongs to a group
+    parent: seed % 3 === 0 ? `${NAME_WORDS[seed % NAME_WORDS.length]} Holdings Ltd.` : null,
+    type: FIRM_TYPES[seed % FIRM_TYPES.length],
+    revenue: [2024, 2023, 2022].map((year, i) => ({ year, total: money((seed % 900) + 100 - i * 25.5) })),
+    specialties: SPECIALTIES.filter((_, i) => (seed + i) % 3 === 0)
+  };
+}
+
+// A firm's profile page: labelled fields in a definition list and a revenue table
+function firmPage(name) {
+  const details = firmDetails(name);
+  const parent = details.parent ? `\n    <dt>Parent Company</dt><dd>${escapeHtml(details.parent)}</dd>` : '';
+  const specialties = details.specialties.map(item => `<li>${item}</li>`).join('');
+  const revenue = details.revenue.map(entry => `      <tr><td>${entry.year}</td><td>$${entry.total}</td></tr>`).join('\n');
+
+  return page(`${name} | ENR Firm Profile`, `  <h1>${escapeHtml(name)}</h1>
+  <dl class="firm-profile">
+    <dt>Website</dt><dd><a href="${details.website}">${details.website}</a></dd>${parent}
+    <dt>Firm Type</dt><dd>${details.type}</dd>
+    <dt>Specialties</dt><dd><ul>${specialties}</ul></dd>
+  </dl>
+  <table class="firm-revenue">
+    <caption>Revenue history</caption>
+    <thead><tr><th>Year</th><th>Total Revenue ($ Mil.)</th></tr></thead>
+    <tbody>
+${revenue}
+    </tbody>
+  </table>`);
+}
+
+// Wraps a body in a minimal HTML document; head holds extra <head> markup
+function page(title, body, head) {
+  return `<!DOCTYPE html>
+<html>
+<head><title>${escapeHtml(title)}</title>${head || ''}</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+// Cloudflare-style interstitial; its script sets cf_clearance and reloads, which only a real browser does
+function challengePage() {
+  return page('Just a moment...', `  <div id="challenge-body">
+    <h1>Checking your browser before accessing enr.com</h1>
+    <p>Verify you are human by completing the action below.</p>
+    <form id="challenge-form" action="#" method="POST"><input type="hidden" name="cf_captcha_kind" value="h"></form>
+    <div class="ray_id">Ray ID: <code>mock</code></div>
+  </div>
+  <script>
+    setTimeout(function () {
+      document.cookie = 'cf_clearance=mock-clearance; path=/';
+      location.reload();
+    }, 500);
+  </script>`);
+}
+
+// Pages the crawler must recognize instead of parsing: login wall, paywall and rate-limit page
+const GATE_PAGES = {
+  cloudflare: { status: 403, html: () => challengePage() },
+  login: {
+    status: 200,
+    html: () => page('Sign In | ENR', `  <h1>Please sign in to continue</h1>
+  <form class="login" action="/login" method="POST">
+    <input type="email" name="email"><input type="password" name="password"><button>Sign In</button>
+  </form>`)
+  },
+  paywall: {
+    status: 200,
+    html: () => page('ENR Subscription', `  <div class="paywall">
+    <h2>Subscribe now to continue reading</h2>
+    <p>Already a subscriber? <a href="/login">Sign in</a></p>
+  </div>`)
+  },
+  'rate-limit': {
+    status: 429,
+    html: () => page('429 Too Many Requests', '  <h1>Too Many Requests</h1>\n  <p>Please slow down.</p>')
+  }
+};
+
+// Site header: a sign-in link, or account and sign-out links for a signed-in subscriber
+function siteNav(signedIn) {
+  return signedIn
+    ? '  <nav class="user-nav"><a href="/account">My Account</a> <a href="/logout">Sign Out</a></nav>\n'
+    : '  <nav class="user-nav"><a href="/login">Sign In</a></nav>\n';
+}
+
+// The subscriber login form; message is shown above it after a failed attempt
+function loginPage(message) {
+  const error = message ? `  <div class="error" role="alert">${escapeHtml(message)}</div>\n` : '';
+  return page('Sign In | ENR', `${error}  <h1>Sign in to your ENR account</h1>
+  <form class="login" action="/login" method="POST">
+    <input type="hidden" name="form_token" value="mock-token">
+    <input type="email" name="email"><input type="password" name="password"><button type="submit">Sign In</button>
+  </form>`);
+}
+
+// Slug of the full list behind a preview slug ("2025-Top-400-Contractors-1-preview" -> "2025-Top-400-Contractors-1")
+function fullSlug(slug) {
+  return slug.replace(/-preview$/i, '');
+}
+
+// The /toplists index: one card per list, with the headline, date and "View Rankings" links
+function toplistsIndex(lists) {
+  const cards = lists.map(list => `    <div class="toplist-card">
+      <h2 class="headline"><a href="/toplists/${list.slug}">${escapeHtml(list.title)}</a></h2>
+      <div class="date">${escapeHtml(list.date)}</div>
+      <div class="linkArrow"><a href="/toplists/${list.slug}">View Rankings</a></div>
+    </div>`).join('\n');
+
+  return page('ENR Top Lists | Engineering News-Record', `  <div class="toplists">
+${cards}
+  </div>
+  <footer><a href="/toplists">All Toplists</a></footer>`);
+}
+
+// One page of a list; page 1 links to the bare slug like the real site, and a "Next" link repeats a page link
+// view: { slug (the address served), rows (shown rows), notice (preview teaser), nav (site header),
+// firmLinks (link each FIRM cell to the firm's profile page) }
+function listPage(list, pageNumber, pageSize, view) {
+  const rows = view.rows;
+  const pageCount = Math.max(1, Math.ceil(rows.length / pageSize));
+  const pageRows = rows.slice((pageNumber - 1) * pageSize, pageNumber * pageSize);
+  const year = list.year;
+
+  const header = list.global
+    ? `      <tr>
+        <th data-label="RANK ${year}">RANK<br>${year}</th>
+        <th data-label="RANK ${year - 1}">RANK<br>${year - 1}</th>
+        <th>FIRM</th>
+        <th>${year - 1} TOTAL REVENUE ($ MIL)</th>
+        <th>% INT'L</th>
+      </tr>`
+    : `      <tr>
+        <th colspan="2">RANK</th>
+        <th rowspan="2">FIRM</th>
+        <th colspan="2">${year - 1} REVENUE $ MIL.</th>
+      </tr>
+      <tr>
+        <th>${year}</th>
+        <th>${year - 1}</th>
+        <th>TOTAL</th>
+        <th>INT'L</th>
+      </tr>`;
+
+  const body = pageRows.map(row => `      <tr>
+        <td>${row.rank}</td><td>${row.previous}</td><td>${view.firmLinks ? `<a href="${firmPath(row.name)}">${escapeHtml(row.firm)}</a>` : escapeHtml(row.firm)}</td>
+        <td>$${row.total}</td><td>${row.intl}</td>
+      </tr>`).join('\n');
+
+  const pageHref = n => (n === 1 ? `/toplists/${view.slug}` : `/toplists/${view.slug}?page=${n}`);
+  const pageLabel = n => `${(n - 1) * pageSize + 1}-${Math.min(n * pageSize, rows.length)}`;
+  let pagination = '';
+  if (pageCount > 1) {
+    const cells = [];
+    for (let n = 1; n <= pageCount; n++) {
+      cells.push(n === pageNumber
+        ? `<td><span class="current">${pageLabel(n)}</span></td>`
+        : `<td><a href="${pageHref(n)}">${pageLabel(n)}</a></td>`);
+    }
+    if (pageNumber < pageCount) {
+      cells.push(`<td><a href="${pageHref(pageNumber + 1)}">Next</a></td>`);
+    }
+    pagination = `
+  <table id="paginationTable">
+    <tr>
+      ${cells.join('\n      ')}
+    </tr>
+  </table>`;
+  }
+
+  const notice = view.notice
+    ? '\n  <div class="preview-notice">This is a preview. Subscribe to see the full list.</div>'
+    : '';
+
+  return page(`${list.title} | ENR`, `${view.nav}  <h1>${escapeHtml(list.title)}</h1>${notice}
+  <table class="rankings">
+    <thead>
+${header}
+    </thead>
+    <tbody>
+${body}
+    </tbody>
+  </table>${pagination}`, `<meta property="article:published_time" content="${new Date(`${list.date} UTC`).toISOString()}">`);
+}
+
+// Builds a local stand-in for enr.com: home page, /toplists index, paginated list pages
+// and (optionally) a Cloudflare interstitial
+// options.lists replaces DEFAULT_LISTS; options.pageSize is the rows per list page (default 50)
+// options.challenge: "never" (default), "once" (until the browser holds cf_clearance) or "always"
+// options.crawlDelay (seconds) adds a Crawl-delay to /robots.txt
+// options.faults maps a path (e.g. "/toplists/<slug>?page=2") to how many requests for it fail with a 503
+// options.gates maps a path to a page served instead of it: "cloudflare", "login", "paywall" or "rate-limit"
+// options.accounts ({ email: password }) are the subscribers who can sign in at /login; only they can open
+// a list's full version (its slug without "-Preview"), which has every row, while anonymous visitors get a paywall
+// options.previewRows cuts the preview lists down to their first rows, with a "this is a preview" notice
+// options.firmPages links every FIRM cell to the firm's profile page (/firms/<name>), with its website, parent
+// company, firm type, specialties and revenue history
+// Every request is logged in app.locals.requests ({ method, url, at })
+function createMockEnrServer(options = {}) {
+  const lists = options.lists || DEFAULT_LISTS;
+  const pageSize = options.pageSize || 50;
+  const challenge = options.challenge || 'never';
+  if (!CHALLENGE_MODES.includes(challenge)) {
+    throw new Error(`Unknown challenge mode: ${challenge} (expected ${CHALLENGE_MODES.join(', ')})`);
+  }
+
+  const faults = { ...options.faults };
+  const accounts = options.accounts || {};
+  const sessions = new Set();
+
+  const app = express();
+  app.locals.requests = [];
+
+  app.use((req, res, next) => {
+    app.locals.requests.push({ method: req.method, url: req.originalUrl, at: Date.now() });
+    next();
+  });
+
+  app.get('/robots.txt', (req, res) => {
+    const delay = options.crawlDelay ? `Crawl-delay: ${options.crawlDelay}\n` : '';
+    res.type('text').send(`User-agent: *\n${delay}Allow: /\n`);
+  });
+
+  app.use((req, res, next) => {
+    const gate = options.gates && GATE_PAGES[options.gates[req.originalUrl]];
+    if (gate) {
+      res.status(gate.status).type('html').send(gate.html());
+      return;
+    }
+
+    if (faults[req.originalUrl] > 0) {
+      faults[req.originalUrl]--;
+      res.status(503).type('html').send(page('Service Unavailable', '  <h1>Service temporarily unavailable</h1>'));
+      return;
+    }
+
+    const cleared = /(?:^|;\s*)cf_clearance=/.test(req.headers.cookie || '');
+    if (challenge === 'always' || (challenge === 'once' && !cleared)) {
+      res.status(403).type('html').send(challengePage());
+      return;
+    }
+    next();
+  });
+
+  const signedIn = req => {
+    const match = (req.headers.cookie || '').match(/(?:^|;\s*)enr_session=([^;]+)/);
+    return Boolean(match && sessions.has(match[1]));
+  };
+
+  app.get('/', (req, res) => {
+    res.type('html').send(page('ENR: Engineering News-Record', `${siteNav(signedIn(req))}  <h1>ENR</h1>\n  <a href="/toplists">Top Lists</a>`));
+  });
+
+  app.get('/login', (req, res) => {
+    res.type('html').send(loginPage());
+  });
+
+  app.post('/login', express.urlencoded({ extended: false }), (req, res) => {
+    const { email, password } = req.body || {};
+    if (!email || !Object.prototype.hasOwnProperty.call(accounts, email) || accounts[email] !== password) {
+      res.type('html').send(loginPage('Invalid email or password.'));
+      return;
+    }
+
+    const token = `session-${sessions.size + 1}`;
+    sessions.add(token);
+    res.cookie('enr_session', token, { path: '/', httpOnly: true, maxAge: 30 * 24 * 60 * 60 * 1000 });
+    res.redirect('/');
+  });
+
+  app.get('/logout', (req, res) => {
+    res.clearCookie('enr_session', { path: '/' });
+    res.redirect('/');
+  });
+
+  app.get('/toplists', (req, res) => {
+    res.type('html').send(toplistsIndex(lists));
+  });
+
+  app.get('/toplists/:slug', (req, res) => {
+    const slug = req.params.slug.toLowerCase();
+    const list = lists.find(l => l.slug.toLowerCase() === slug || fullSlug(l.slug).toLowerCase() === slug);
+    const full = Boolean(list) && list.slug.toLowerCase() !== slug;
+
+    if (full && !signedIn(req)) {
+      res.type('html').send(GATE_PAGES.paywall.html());
+      return;
+    }
+
+    // Preview slugs are cut short when options.previewRows is set; the full version has every row
+    const preview = !full && /-preview$/i.test(list ? list.slug : '') && options.previewRows > 0;
+    const rows = list ? listRows(list).slice(0, preview ? options.previewRows : undefined) : [];
+    const pageCount = Math.max(1, Math.ceil(rows.length / pageSize));
+    const pageNumber = req.query.page ? Number(req.query.page) : 1;
+
+    if (!list || !Number.isInteger(pageNumber) || pageNumber < 1 || pageNumber > pageCount) {
+      res.status(404).type('html').send(page('Page not found | ENR', '  <h1>Page not found</h1>'));
+      return;
+    }
+    res.type('html').send(listPage(list, pageNumber, pageSize, {
+      slug: full ? fullSlug(list.slug) : list.slug,
+      rows,
+      notice: preview,
+      nav: siteNav(signedIn(req)),
+      firmLinks: Boolean(options.firmPages)
+    }));
+  });
+
+  app.get('/firms/:slug', (req, res) => {
+    const names = new Set(lists.flatMap(list => listRows(list).map(row => row.name)));
+    const name = options.firmPages && Array.from(names).find(known => firmPath(known) === `/firms/${req.params.slug}`);
+    if (!name) {
+      res.status(404).type('html').send(page('Page not found | ENR', '  <h1>Page not found</h1>'));
+      return;
+    }
+    res.type('html').send(firmPage(name));
+  });
+
+  return app;
+}
+
+// Starts the mock on a port (0 picks a free one); resolves to { server, app, url }
+function startMockEnrServer(options = {}) {
+  const app = createMockEnrServer(options);
+  const port = options.port === undefined ? 4000 : options.port;
+
+  return new Promise(resolve => {
+    const server = app.listen(port, () => {
+      const url = `http://localhost:${server.address().port}`;
+      console.log(`🧪 Mock ENR server listening on ${url} (challenge: ${options.challenge || 'never'})`);
+      resolve({ server, app, url });
+    });
+  });
+}
+
+module.exports = {
+  CHALLENGE_MODES,
+  GATE_PAGES,
+  DEFAULT_LISTS,
+  listRows,
+  firmPath,
+  firmDetails,
+  createMockEnrServer,
+  startMockEnrServer
+};
@@ -0,0 +1,205 @@
+const express = require('express');
+const { loadSummary, loadDataset } = require('../controllers/dataset');
+const { buildFirmProfiles, loadOverrides } = require('../controllers/firms');
+const { loadFirmCache } = require('../controllers/enrich');
+const { normalizeFirmName } = require('../utils/names');
+const { toStateCode } = require('../utils/location');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Builds an error the JSON error handler turns into { error: { code, message } }
+function httpError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+// Slug used in API paths for a list file ("2025-Top-400-Contractors-1-preview.json" -> without .json)
+function fileSlug(filename) {
+  return filename.replace(/\.json$/, '');
+}
+
+// Parses an optional numeric query parameter, rejecting anything that isn't a number
+function numberParam(query, name, { min = -Infinity, integer = false } = {}) {
+  const raw = query[name];
+  if (raw === undefined || raw === '') {
+    return undefined;
+  }
+
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < min || (integer && !Number.isInteger(value))) {
+    throw httpError(400, 'INVALID_PARAMETER', `Query parameter "${name}" must be a number${min > -Infinity ? ` >= ${min}` : ''}`);
+  }
+  return value;
+}
+
+// Matches a row's state against a filter ("TX", "Texas", "Calif.")
+// Uses the parsed USPS state code when the row has one, otherwise the parts of the free-text location
+function matchesState(row, state) {
+  const code = toStateCode(state);
+  if (row.state && code) {
+    return row.state === code;
+  }
+
+  const wanted = state.toLowerCase().replace(/\./g, '').trim();
+  if (row.state) {
+    return row.state.toLowerCase() === wanted;
+  }
+
+  const parts = String(row['Location'] || '').split(',').map(p => p.toLowerCase().replace(/[.*†‡]/g, '').trim());
+  return parts.slice(1).includes(wanted);
+}
+
+// Orders rows by a column; numbers compare numerically and empty values always sort last
+function sortRows(rows, key, order) {
+  const direction = order === 'desc' ? -1 : 1;
+
+  return rows.slice().sort((a, b) => {
+    const x = a[key];
+    const y = b[key];
+    const xEmpty = x === null || x === undefined || x === '';
+    const yEmpty = y === null || y === undefined || y === '';
+
+    if (xEmpty || yEmpty) return xEmpty === yEmpty ? 0 : xEmpty ? 1 : -1;
+    if (typeof x === 'number' && typeof y === 'number') return (x - y) * direction;
+    return String(x).localeCompare(String(y)) * direction;
+  });
+}
+
+// Express router serving the crawled dataset plus crawl control
+// options.outputDir is the data folder, options.jobs the crawl job registry, options.overridesPath the firm overrides
+function createApiRouter(options = {}) {
+  const outputDir = options.outputDir || './enr-data';
+  const router = express.Router();
+
+  const findList = slug => {
+    const summary = loadSummary(outputDir);
+    const wanted = String(slug).toLowerCase();
+    const entry = (summary.files || []).find(f => fileSlug(f.filename).toLowerCase() === wanted);
+    if (!entry) {
+      throw httpError(404, 'LIST_NOT_FOUND', `Unknown toplist: ${slug}`);
+    }
+
+    const dataset = loadDataset(outputDir).find(item => item.filename === entry.filename);
+    if (!dataset) {
+      throw httpError(404, 'LIST_NOT_FOUND', `Toplist file missing: ${entry.filename}`);
+    }
+    return dataset;
+  };
+
+  // GET /lists - every toplist from summary.json
+  router.get('/lists', (req, res) => {
+    const summary = loadSummary(outputDir);
+    res.json({
+      crawlDate: summary.crawlDate,
+      totalLists: summary.totalLists,
+      totalRows: summary.totalRows,
+      lists: (summary.files || []).map(entry => ({ slug: fileSlug(entry.filename), ...entry }))
+    });
+  });
+
+  // GET /lists/:slug - one list with filtering, sorting and pagination
+  // Query: page, pageSize, sort, order (asc|desc), rankMin, rankMax, state, q (name substring)
+  router.get('/lists/:slug', (req, res) => {
+    const { list } = findList(req.params.slug);
+    const query = req.query;
+
+    const page = numberParam(query, 'page', { min: 1, integer: true }) || 1;
+    const pageSize = Math.min(numberParam(query, 'pageSize', { min: 1, integer: true }) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const rankMin = numberParam(query, 'rankMin');
+    const rankMax = numberParam(query, 'rankMax');
+    const order = query.order === 'desc' ? 'desc' : 'asc';
+    const sort = query.sort || 'rankCurrent';
+
+    if (query.order && !['asc', 'desc'].includes(query.order)) {
+      throw httpError(400, 'INVALID_PARAMETER', 'Query parameter "order" must be "asc" or "desc"');
+    }
+
+    let rows = list.data || [];
+
+    if (rankMin !== undefined) rows = rows.filter(row => row.rankCurrent != null && row.rankCurrent >= rankMin);
+    if (rankMax !== undefined) rows = rows.filter(row => row.rankCurrent != null && row.rankCurrent <= rankMax);
+    if (query.state) rows = rows.filter(row => matchesState(row, String(query.state)));
+    if (query.q) {
+      const needle = String(query.q).toLowerCase();
+      rows = rows.filter(row => String(row['Company Name'] || '').toLowerCase().includes(needle));
+    }
+
+    rows = sortRows(rows, sort, order);
+
+    const { data, ...meta } = list;
+    res.json({
+      ...meta,
+      slug: req.params.slug,
+      page,
+      pageSize,
+      total: rows.length,
+      totalPages: Math.ceil(rows.length / pageSize),
+      data: rows.slice((page - 1) * pageSize, page * pageSize)
+    });
+  });
+
+  // Firm profiles with the details of the firm pages visited so far (see controllers/enrich.js)
+  const firmProfiles = () => buildFirmProfiles(loadDataset(outputDir), {
+    overrides: loadOverrides(options.overridesPath),
+    firmPages: loadFirmCache(outputDir).pages
+  });
+
+  // GET /firms?q=name - firms across all lists whose name or aliases contain q
+  router.get('/firms', (req, res) => {
+    if (!req.query.q) {
+      throw httpError(400, 'INVALID_PARAMETER', 'Query parameter "q" (firm name) is required');
+    }
+
+    const needle = normalizeFirmName(String(req.query.q));
+    const profiles = firmProfiles();
+    const firms = profiles.filter(profile =>
+      profile.aliases.some(alias => normalizeFirmName(alias).includes(needle))
+    );
+
+    res.json({ total: firms.length, firms });
+  });
+
+  // GET /firms/:id - one firm profile by stable ID
+  router.get('/firms/:id', (req, res) => {
+    const profiles = firmProfiles();
+    const firm = profiles.find(profile => profile.id === req.params.id);
+    if (!firm) {
+      throw httpError(404, 'FIRM_NOT_FOUND', `Unknown firm: ${req.params.id}`);
+    }
+    res.json(firm);
+  });
+
+  // POST /crawls - start a crawl ({ only, resume }); GET /crawls[/:id] - poll status
+  router.post('/crawls', (req, res) => {
+    const body = req.body || {};
+    const job = options.jobs.start({
+      only: body.only ? String(body.only) : undefined,
+      resume: Boolean(body.resume)
+    });
+    res.status(202).location(`${req.baseUrl}/crawls/${job.id}`).json(job);
+  });
+
+  router.get('/crawls', (req, res) => {
+    res.json({ crawls: options.jobs.list() });
+  });
+
+  router.get('/crawls/:id', (req, res) => {
+    const job = options.jobs.get(req.params.id);
+    if (!job) {
+      throw httpError(404, 'CRAWL_NOT_FOUND', `Unknown crawl: ${req.params.id}`);
+    }
+    res.json(job);
+  });
+
+  return router;
+}
+
+module.exports = {
+  createApiRouter,
+  httpError,
+  matchesState,
+  sortRows
+};
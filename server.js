@@ -0,0 +1,60 @@
+const express = require('express');
+const bodyParser = require('body-parser');
+const { createApiRouter } = require('./routes/api');
+const { createJobRegistry } = require('./controllers/jobs');
+const { crawlENRToplists } = require('./controllers/crawler');
+
+// Builds the Express app serving the crawled dataset under /api
+// options.crawl replaces the crawl function (used by tests); options.outputDir points at the data folder
+// options.config is passed on to crawls started through the API
+function createApp(options = {}) {
+  const outputDir = options.outputDir || './enr-data';
+  const crawl = options.crawl || (crawlOptions => crawlENRToplists({ ...crawlOptions, outputDir, config: options.config }));
+
+  const app = express();
+  app.use(bodyParser.json());
+
+  app.use('/api', createApiRouter({
+    outputDir,
+    overridesPath: options.overridesPath,
+    jobs: options.jobs || createJobRegistry(crawl)
+  }));
+
+  // Unknown routes and all errors come back as JSON
+  app.use((req, res) => {
+    res.status(404).json({ error: { code: 'NOT_FOUND', message: `No route for ${req.method} ${req.path}` } });
+  });
+
+  app.use((err, req, res, next) => {
+    let status = err.status || err.statusCode || 500;
+    if (err.code === 'NO_DATA') status = 503;
+
+    if (status >= 500 && err.code !== 'NO_DATA') {
+      console.error('❌ API error:', err);
+    }
+
+    res.status(status).json({
+      error: {
+        code: err.code && typeof err.code === 'string' ? err.code : status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST',
+        message: err.message
+      }
+    });
+  });
+
+  return app;
+}
+
+// Starts the API server and resolves once it is listening
+function startServer(options = {}) {
+  const port = options.port || process.env.PORT || 3000;
+  const app = createApp(options);
+
+  return new Promise(resolve => {
+    const server = app.listen(port, () => {
+      console.log(`🚀 ENR data API listening on http://localhost:${server.address().port}/api`);
+      resolve(server);
+    });
+  });
+}
+
+module.exports = { createApp, startServer };
@@ -0,0 +1,56 @@
+const { schemaForList, detectRankYears, resolveColumns } = require('../utils/columns');
+const { ensureSignedIn, findFullLists, fullListUrl, readAccessSignals } = require('../controllers/access');
+
+// enr.com: the toplists index links every ranking through a "View Rankings" arrow on its card, long lists are
+// split over pages linked from table#paginationTable, and subscribers can open the full lists behind the previews
+// Regional editions and mirrors reuse this adapter with their own name and site (see the README, Source Adapters)
+module.exports = {
+  name: 'enr',
+  label: 'ENR',
+  site: {
+    homeUrl: 'https://www.enr.com/',
+    toplistsUrl: 'https://www.enr.com/toplists'
+  },
+  discovery: {
+    // Tried in order; the first one that finds list links wins
+    linkSelectors: [
+      'div.linkArrow a',
+      '.linkArrow a',
+      'a[href*="toplists"]',
+      'a[href*="rankings"]',
+      'a.link-arrow',
+      '.link-arrow a',
+      'div[class*="arrow"] a'
+    ],
+    hrefPattern: /toplists/,
+    // The catch-all scan must not pick up the index itself
+    excludePattern: /\/toplists$/,
+    cardHeadingSelector: 'h1, h2, h3, h4, .headline, .title',
+    cardDateSelector: 'time, .date, [class*="date"]',
+    fallback: true
+  },
+  pagination: {
+    selector: 'table#paginationTable',
+    hrefPattern: /toplists/
+  },
+  tables: {
+    selector: 'table',
+    ignore: '#paginationTable'
+  },
+  // The ENR column catalog: a FIRM column marks a ranking table, RANK <year> headers are the current and prior ranks
+  columns: {
+    schemaForList,
+    detectRankYears,
+    resolveColumns
+  },
+  // The built-in rate-limit, Cloudflare, login and paywall checks cover enr.com
+  challenges: {
+    rules: []
+  },
+  access: {
+    signIn: ensureSignedIn,
+    readSignals: readAccessSignals,
+    findFullLists,
+    fullListUrl
+  }
+};
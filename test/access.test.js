@@ -0,0 +1,128 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fullListUrl } = require('../controllers/access');
+const { assessCompleteness } = require('../controllers/quality');
+const { diffLists } = require('../controllers/diff');
+const { crawlENRToplists } = require('../controllers/crawler');
+const { mockCrawlConfig, useMockServer } = require('./helpers/mock-crawl');
+
+// Lists whose full versions have exactly the rows their titles promise
+const LISTS = [
+  { slug: '2025-Top-60-Contractors-Preview', title: '2025 Top 60 Contractors', date: 'May 19, 2025', rows: 60, year: 2025 },
+  { slug: '2024-Top-30-Global-Design-Firms-preview', title: '2024 Top 30 Global Design Firms', date: 'July 22, 2024', rows: 30, year: 2024, global: true }
+];
+const ACCOUNTS = { 'team@example.com': 'hunter2' };
+
+let tmpDir;
+
+const mockServer = useMockServer({ lists: LISTS, accounts: ACCOUNTS, previewRows: 5, pageSize: 25 });
+
+// A crawl config aimed at the mock, signed in with auth when given
+const mockConfig = (auth = {}) => mockCrawlConfig(mockServer.url, tmpDir, { auth });
+
+// The saved list files, by file name
+function savedLists(outputDir) {
+  const summary = JSON.parse(fs.readFileSync(path.join(outputDir, 'summary.json'), 'utf8'));
+  return { summary, files: summary.files.map(entry => entry.filename) };
+}
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'enr-access-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  mock.restoreAll();
+});
+
+test('fullListUrl drops the preview suffix and leaves other lists alone', () => {
+  assert.equal(fullListUrl('https://www.enr.com/toplists/2025-Top-400-Contractors-1-preview'), 'https://www.enr.com/toplists/2025-Top-400-Contractors-1');
+  assert.equal(fullListUrl('https://www.enr.com/toplists/2025-Top-500-Design-Firms-Preview?page=2'), 'https://www.enr.com/toplists/2025-Top-500-Design-Firms?page=2');
+  assert.equal(fullListUrl('https://www.enr.com/toplists/2025-Top-500-Design-Firms'), null);
+});
+
+test('assessCompleteness tells complete lists from previews and partial crawls', () => {
+  const url = 'https://www.enr.com/toplists/2025-Top-400-Contractors-1-preview';
+  const rows = count => Array.from({ length: count }, (_, i) => ({ rankCurrent: i + 1, 'Company Name': `Firm ${i + 1}` }));
+
+  const preview = assessCompleteness({ url, totalRows: 3, data: rows(3), metadata: { declaredSize: 400, access: 'preview' } });
+  assert.equal(preview.status, 'preview');
+  assert.equal(preview.complete, false);
+  assert.equal(preview.reason, 'preview: 3 of 400 rows');
+
+  // Previews sometimes carry the whole table; ties can end the list with fewer rows than its size
+  const tied = rows(400).slice(0, 399);
+  tied[398].rankCurrent = 400;
+  assert.equal(assessCompleteness({ url, rowCount: 399, data: tied }).status, 'complete');
+
+  assert.equal(assessCompleteness({ url: url.replace('-preview', ''), rowCount: 380, data: rows(380) }).status, 'partial');
+  assert.equal(assessCompleteness({ url, rowCount: 400, data: rows(400), failedPages: ['p3'] }).status, 'partial');
+  assert.equal(assessCompleteness({ url: 'https://www.enr.com/toplists/special', rowCount: 12, data: rows(12) }).status, 'unknown');
+  assert.equal(assessCompleteness({ url: 'https://www.enr.com/toplists/special', rowCount: 12, previewNotice: true }).status, 'preview');
+});
+
+test('diffLists only reports entries and exits within the ranks a preview shows', () => {
+  const row = (rank, name) => ({ rankCurrent: rank, 'Company Name': name });
+  const preview = { url: 'https://www.enr.com/toplists/2025-Top-10-Contractors-Preview', data: [row(1, 'A'), row(2, 'B'), row(3, 'C')] };
+  const full = {
+    url: 'https://www.enr.com/toplists/2025-Top-10-Contractors',
+    data: ['A', 'D', 'B', 'E', 'F', 'G', 'H', 'I', 'J', 'K'].map((name, i) => row(i + 1, name))
+  };
+
+  const diff = diffLists(preview, full);
+  assert.equal(diff.coveredRank, 3);
+  assert.deepEqual([diff.from.completeness, diff.to.completeness], ['preview', 'complete']);
+  assert.deepEqual(diff.entered.map(firm => firm.name), ['D']);
+  assert.deepEqual(diff.left.map(firm => firm.name), ['C']);
+});
+
+test('an anonymous crawl keeps the previews and flags them as truncated', async () => {
+  const config = mockConfig();
+  const results = await crawlENRToplists({ config, archive: false });
+
+  assert.deepEqual(results.map(r => [r.rowCount, r.completeness.status, r.completeness.previewNotice]), [
+    [5, 'preview', true],
+    [5, 'preview', true]
+  ]);
+
+  const { summary } = savedLists(config.paths.outputDir);
+  assert.equal(summary.files[0].completeness.reason, 'preview: 5 of 60 rows');
+  const saved = JSON.parse(fs.readFileSync(path.join(config.paths.outputDir, '2025-Top-60-Contractors-Preview.json'), 'utf8'));
+  assert.equal(saved.completeness.complete, false);
+});
+
+test('a subscriber signs in, crawls the full lists and stays signed in for the next run', async () => {
+  const config = mockConfig({ email: 'team@example.com', password: 'hunter2' });
+  const results = await crawlENRToplists({ config, archive: false });
+
+  assert.deepEqual(results.map(r => [r.url.replace(mockServer.url, ''), r.rowCount, r.paginatedPages, r.completeness.status]), [
+    ['/toplists/2025-Top-60-Contractors', 60, 3, 'complete'],
+    ['/toplists/2024-Top-30-Global-Design-Firms', 30, 2, 'complete']
+  ]);
+  assert.equal(results[0].previewUrl, `${mockServer.url}/toplists/2025-Top-60-Contractors-Preview`);
+
+  const { summary, files } = savedLists(config.paths.outputDir);
+  assert.deepEqual(files, ['2025-Top-60-Contractors.json', '2024-Top-30-Global-Design-Firms.json']);
+  assert.ok(summary.files.every(entry => entry.completeness.complete));
+
+  const cookies = JSON.parse(fs.readFileSync(config.paths.cookiesPath, 'utf8'));
+  assert.ok(cookies.some(cookie => cookie.name === 'enr_session'));
+
+  // The saved session is still signed in, so no credentials are needed; --only takes the full slug
+  const again = await crawlENRToplists({ config: mockConfig(), only: '2024-Top-30-Global-Design-Firms', archive: false });
+  assert.deepEqual(again.map(r => [r.rowCount, r.completeness.status]), [[30, 'complete']]);
+});
+
+test('a wrong password stops the crawl with LOGIN_FAILED', async () => {
+  const config = mockConfig({ email: 'team@example.com', password: 'wrong' });
+
+  await assert.rejects(
+    crawlENRToplists({ config, archive: false }),
+    error => error.code === 'LOGIN_FAILED' && /Invalid email or password/.test(error.message)
+  );
+});
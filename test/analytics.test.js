@@ -0,0 +1,113 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseSnapshots } = require('../controllers/crawler');
+const { analyzeList, buildAnalytics, writeAnalyticsReport } = require('../controllers/analytics');
+
+const SNAPSHOT_DIR = path.join(__dirname, 'fixtures', 'snapshots');
+
+const row = (rankCurrent, rankPrevious, name, city, state, country = 'United States') => ({
+  rankCurrent,
+  rankPrevious,
+  'Company Name': name,
+  Location: `${city}, ${state}`,
+  city,
+  state,
+  country
+});
+
+const list = (slug, rows, headers = ['rankCurrent', 'rankPrevious', 'Company Name']) => ({
+  filename: `${slug}.json`,
+  list: {
+    listName: slug.replace(/-/g, ' '),
+    url: `https://www.enr.com/toplists/${slug}`,
+    rankYears: { current: 2025, previous: 2024 },
+    headers: headers.map(key => ({ key })),
+    data: rows
+  }
+});
+
+const contractors = list('2025-Top-5-Contractors', [
+  row(1, 3, 'Bechtel', 'Reston', 'VA'),
+  row(2, 1, 'Turner Construction Co.', 'New York', 'NY'),
+  { ...row(3, null, 'Kiewit Corp.', 'Omaha', 'NE'), footnotes: { rankPrevious: ['**'] } },
+  row(4, 9, 'Skanska USA', 'New York', 'NY'),
+  row(5, null, 'Walsh Group', 'Chicago', 'IL')
+]);
+const designFirms = list('2025-Top-3-Design-Firms', [
+  row(1, 1, 'AECOM', 'Dallas', 'TX'),
+  row(2, 2, 'Kiewit Corporation', 'Omaha', 'NE'),
+  row(3, 5, 'Hochtief', 'Essen', null, 'Germany')
+]);
+
+let tmpDir;
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'enr-analytics-'));
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  mock.restoreAll();
+});
+
+test('analyzeList ranks risers and fallers, finds new entrants and counts firms by place', () => {
+  const analysis = analyzeList(contractors.list);
+
+  assert.deepEqual(analysis.risers.map(move => [move.name, move.change]), [['Skanska USA', 5], ['Bechtel', 2]]);
+  assert.deepEqual(analysis.fallers.map(move => [move.name, move.change]), [['Turner Construction Co.', -1]]);
+  assert.deepEqual(analysis.newEntrants.map(firm => [firm.rankCurrent, firm.name, firm.marker]), [
+    [3, 'Kiewit Corp.', '**'],
+    [5, 'Walsh Group', null]
+  ]);
+  assert.deepEqual(analysis.geography.states.slice(0, 2), [{ state: 'NY', count: 2 }, { state: 'IL', count: 1 }]);
+  assert.deepEqual(analysis.geography.cities[0], { city: 'New York', state: 'NY', country: 'United States', count: 2 });
+  assert.equal(analyzeList(contractors.list, { top: 1 }).risers.length, 1);
+
+  // Without a prior rank column nobody is new
+  const unranked = list('2025-Top-2-Owners', [row(1, null, 'Owner A', 'Austin', 'TX')], ['rankCurrent', 'Company Name']);
+  assert.deepEqual(analyzeList(unranked.list).newEntrants, []);
+});
+
+test('buildAnalytics combines the lists, counting each firm once', () => {
+  const report = buildAnalytics([contractors, designFirms], { top: 2 });
+
+  assert.deepEqual(report.totals, { lists: 2, rows: 8, firms: 7, multiListFirms: 1, newEntrants: 2, incompleteLists: 0 });
+  assert.deepEqual(report.acrossLists.risers.map(move => [move.name, move.list, move.change]), [
+    ['Skanska USA', '2025-Top-5-Contractors', 5],
+    ['Bechtel', '2025-Top-5-Contractors', 2]
+  ]);
+  assert.deepEqual(report.acrossLists.multiListFirms.map(firm => [firm.name, firm.lists.map(entry => entry.rankCurrent)]), [
+    ['Kiewit Corp.', [3, 2]]
+  ]);
+  // Kiewit is on both lists but counts once for Nebraska
+  assert.deepEqual(report.acrossLists.geography.states.find(entry => entry.state === 'NE'), { state: 'NE', count: 1 });
+  assert.deepEqual(report.acrossLists.geography.countries, [
+    { country: 'United States', count: 6 },
+    { country: 'Germany', count: 1 }
+  ]);
+  assert.equal(report.lists[1].risers.length, 1);
+});
+
+test('writeAnalyticsReport writes a self-contained HTML page and the same data as JSON', async () => {
+  const dataDir = path.join(tmpDir, 'data');
+  const reportsDir = path.join(tmpDir, 'reports');
+  await parseSnapshots(SNAPSHOT_DIR, { outputDir: dataDir });
+
+  const { report, jsonPath, htmlPath } = writeAnalyticsReport(dataDir, { reportsDir, overridesPath: null });
+  assert.deepEqual(JSON.parse(fs.readFileSync(jsonPath, 'utf8')), report);
+  assert.deepEqual(report.acrossLists.newEntrants.map(firm => [firm.name, firm.marker]), [['Kiewit Corp.', '**']]);
+  assert.deepEqual(report.acrossLists.multiListFirms.map(firm => firm.name), ['Jacobs Solutions Inc.']);
+  assert.equal(report.totals.incompleteLists, 2);
+
+  const html = fs.readFileSync(htmlPath, 'utf8');
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.match(html, /<svg class="chart"/);
+  assert.match(html, /Kiewit Corp\./);
+  assert.match(html, /Not the whole ranking \(preview\)/);
+  // Nothing is loaded from elsewhere
+  assert.doesNotMatch(html, /<script|<link|src=/);
+});
@@ -0,0 +1,124 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createApp } = require('../server');
+const { parseSnapshots } = require('../controllers/crawler');
+
+const SNAPSHOT_DIR = path.join(__dirname, 'fixtures', 'snapshots');
+
+let tmpDir;
+let server;
+let baseUrl;
+let crawlCalls;
+let finishCrawl;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'enr-api-'));
+  await parseSnapshots(SNAPSHOT_DIR, { outputDir: tmpDir });
+
+  crawlCalls = [];
+  const app = createApp({
+    outputDir: tmpDir,
+    crawl: options => {
+      crawlCalls.push(options);
+      return new Promise(resolve => {
+        finishCrawl = () => resolve([{ listName: 'Top 500', url: 'https://www.enr.com/toplists/x', rowCount: 5 }]);
+      });
+    }
+  });
+
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  mock.restoreAll();
+});
+
+const get = async pathname => {
+  const res = await fetch(`${baseUrl}${pathname}`);
+  return { status: res.status, body: await res.json() };
+};
+
+test('GET /lists returns the toplists from summary.json', async () => {
+  const { status, body } = await get('/lists');
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.lists.map(l => l.slug), [
+    '2025-Top-500-Design-Firms-Preview',
+    '2024-Top-150-Global-Design-Firms-Preview'
+  ]);
+});
+
+test('GET /lists/:slug paginates, sorts and filters', async () => {
+  let { body } = await get('/lists/2025-top-500-design-firms-preview?pageSize=2&page=2');
+  assert.equal(body.total, 5);
+  assert.equal(body.totalPages, 3);
+  assert.deepEqual(body.data.map(r => r.rankCurrent), [3, 4]);
+
+  ({ body } = await get('/lists/2025-Top-500-Design-Firms-Preview?sort=totalRevenue&order=desc&rankMin=2&rankMax=4'));
+  assert.deepEqual(body.data.map(r => r['Company Name']), ['Jacobs Solutions Inc.', 'Tetra Tech', 'Kiewit Corp.']);
+
+  ({ body } = await get('/lists/2025-Top-500-Design-Firms-Preview?state=Texas'));
+  assert.deepEqual(body.data.map(r => r['Company Name']), ['AECOM', 'Jacobs Solutions Inc.']);
+
+  ({ body } = await get('/lists/2025-Top-500-Design-Firms-Preview?q=tetra'));
+  assert.deepEqual(body.data.map(r => r.rankCurrent), [4]);
+});
+
+test('unknown lists and bad parameters return JSON errors', async () => {
+  let { status, body } = await get('/lists/2030-Top-1-Nothing');
+  assert.equal(status, 404);
+  assert.equal(body.error.code, 'LIST_NOT_FOUND');
+
+  ({ status, body } = await get('/lists/2025-Top-500-Design-Firms-Preview?page=zero'));
+  assert.equal(status, 400);
+  assert.equal(body.error.code, 'INVALID_PARAMETER');
+
+  ({ status, body } = await get('/nowhere'));
+  assert.equal(status, 404);
+  assert.equal(body.error.code, 'NOT_FOUND');
+});
+
+test('GET /firms looks a firm up across all lists', async () => {
+  const { body } = await get('/firms?q=jacobs solutions');
+
+  assert.equal(body.total, 1);
+  assert.equal(body.firms[0].listCount, 2);
+
+  const profile = await get(`/firms/${body.firms[0].id}`);
+  assert.equal(profile.body.name, 'Jacobs Solutions Inc.');
+
+  assert.equal((await get('/firms/firm-unknown')).status, 404);
+});
+
+test('POST /crawls starts a crawl that can be polled, one at a time', async () => {
+  const res = await fetch(`${baseUrl}/crawls`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ only: '2025-Top-400-Contractors-1-preview' })
+  });
+  const job = await res.json();
+
+  assert.equal(res.status, 202);
+  assert.equal(job.status, 'running');
+  assert.deepEqual(crawlCalls, [{ only: '2025-Top-400-Contractors-1-preview', resume: false }]);
+
+  const second = await fetch(`${baseUrl}/crawls`, { method: 'POST' });
+  assert.equal(second.status, 409);
+  assert.equal((await second.json()).error.code, 'CRAWL_RUNNING');
+
+  finishCrawl();
+  await new Promise(resolve => setImmediate(resolve));
+
+  const { body } = await get(`/crawls/${job.id}`);
+  assert.equal(body.status, 'done');
+  assert.equal(body.lists[0].rowCount, 5);
+});
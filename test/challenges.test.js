@@ -0,0 +1,171 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { classifyChallenge, detectChallenge, waitForChallenge } = require('../controllers/challenges');
+const { createNotifier } = require('../controllers/notifiers');
+const { crawlENRToplists } = require('../controllers/crawler');
+const { createDomPage } = require('../utils/dom-page');
+const { DEFAULT_CONFIG } = require('../utils/config');
+const { GATE_PAGES, createMockEnrServer } = require('../mock/enr-server');
+
+const TOP_500 = '/toplists/2025-Top-500-Design-Firms-Preview';
+const LIST_PAGE = `<html><head><title>2025 Top 500 Design Firms | ENR</title></head><body>
+  <header><a href="/login">Sign in</a> <div class="paywall-teaser">Subscribe now to continue reading the full list</div></header>
+  <table><thead><tr><th>RANK 2025</th><th>FIRM</th></tr></thead><tbody><tr><td>1</td><td>AECOM, Dallas, Texas</td></tr></tbody></table>
+</body></html>`;
+
+let tmpDir;
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'enr-challenges-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  mock.restoreAll();
+});
+
+// A jsdom page serving fixed HTML per URL
+function htmlPage(pages, options) {
+  return createDomPage(async url => ({ html: pages[url], url }), options);
+}
+
+// A config with short challenge waits
+function fastConfig(challengeTimeout) {
+  const config = JSON.parse(JSON.stringify(DEFAULT_CONFIG));
+  config.timeouts.challenge = challengeTimeout;
+  config.delays.challengePoll = 5;
+  return config;
+}
+
+test('classifyChallenge tells the kinds of challenge apart', () => {
+  assert.equal(classifyChallenge({ title: 'Just a moment...', text: '' }).type, 'cloudflare');
+  assert.equal(classifyChallenge({ title: 'enr.com', text: 'Error 1015 You are being rate limited', rayId: true }).type, 'rate-limit');
+  assert.equal(classifyChallenge({ title: 'Sign In', text: 'Please sign in to continue' }).type, 'login');
+  assert.equal(classifyChallenge({ title: 'ENR', text: 'This content is available only to subscribers' }).type, 'paywall');
+  assert.equal(classifyChallenge({ title: 'ENR', text: 'Welcome', password: true }).type, 'login');
+  assert.equal(classifyChallenge({ title: 'ENR', text: 'Welcome' }), null);
+});
+
+test('login links and subscribe banners on a list page are not challenges', async () => {
+  const page = htmlPage({ 'https://www.enr.com/list': LIST_PAGE });
+  await page.goto('https://www.enr.com/list');
+  assert.equal(await detectChallenge(page), null);
+});
+
+test('detectChallenge recognizes every gate page the mock serves', async () => {
+  const pages = {};
+  Object.entries(GATE_PAGES).forEach(([type, gate]) => { pages[`https://www.enr.com/${type}`] = gate.html(); });
+  const page = htmlPage(pages);
+
+  for (const type of Object.keys(GATE_PAGES)) {
+    await page.goto(`https://www.enr.com/${type}`);
+    assert.equal((await detectChallenge(page)).type, type);
+  }
+});
+
+test('waitForChallenge notifies once and resumes when someone solves the challenge', async () => {
+  const page = htmlPage({
+    'https://www.enr.com/': GATE_PAGES.cloudflare.html(),
+    'https://www.enr.com/solved': LIST_PAGE
+  });
+  page.interactive = true;
+  await page.goto('https://www.enr.com/');
+
+  const events = [];
+  const notifier = createNotifier({}, {
+    hooks: [event => {
+      events.push(event);
+      setTimeout(() => page.goto('https://www.enr.com/solved'), 20);
+    }]
+  });
+
+  const onSolved = mock.fn();
+  const check = await waitForChallenge(page, { config: fastConfig(2000), notifier, onSolved });
+  assert.equal(check.passed, true);
+  assert.equal(onSolved.mock.callCount(), 1);
+  assert.equal(check.challenge.type, 'cloudflare');
+  assert.equal(events.length, 1);
+  assert.equal(events[0].event, 'challenge');
+  assert.equal(events[0].url, 'https://www.enr.com/');
+  assert.match(events[0].message, /Cloudflare challenge/);
+});
+
+test('waitForChallenge gives up after the configured timeout', async () => {
+  const page = htmlPage({ 'https://www.enr.com/': GATE_PAGES.login.html() });
+  page.interactive = true;
+  await page.goto('https://www.enr.com/');
+
+  const started = Date.now();
+  const check = await waitForChallenge(page, { config: fastConfig(60) });
+  assert.equal(check.passed, false);
+  assert.equal(check.challenge.type, 'login');
+  assert.ok(Date.now() - started >= 55);
+});
+
+test('pages nobody can click through fail without waiting', async () => {
+  const page = htmlPage({ 'https://www.enr.com/': GATE_PAGES.cloudflare.html() }, { offline: false });
+  await page.goto('https://www.enr.com/');
+
+  const hook = mock.fn();
+  const check = await waitForChallenge(page, { config: fastConfig(60000), notifier: createNotifier({}, { hooks: [hook] }) });
+  assert.equal(check.passed, false);
+  assert.equal(hook.mock.callCount(), 0);
+});
+
+test('the notifier posts webhooks, keeps quiet for repeats and survives failing channels', async () => {
+  const posted = [];
+  const notifier = createNotifier({ webhookUrl: 'https://hooks.example.com/enr' }, {
+    quietPeriod: 60000,
+    fetch: async (url, init) => {
+      posted.push([url, JSON.parse(init.body)]);
+      return new Response('ok');
+    },
+    hooks: [() => { throw new Error('hook broke'); }]
+  });
+
+  assert.equal(await notifier.notify({ event: 'challenge', type: 'cloudflare', message: 'solve it' }), true);
+  assert.equal(await notifier.notify({ event: 'challenge', type: 'cloudflare', message: 'solve it again' }), false);
+  assert.equal(await notifier.notify({ event: 'challenge', type: 'login', message: 'log in' }), true);
+
+  assert.deepEqual(posted.map(([url, body]) => [url, body.type, body.text]), [
+    ['https://hooks.example.com/enr', 'cloudflare', 'solve it'],
+    ['https://hooks.example.com/enr', 'login', 'log in']
+  ]);
+});
+
+test('challenge pages inside a list are reported as challenge failures, not empty tables', async () => {
+  const app = createMockEnrServer({
+    gates: { [`${TOP_500}?page=2`]: 'paywall', [`${TOP_500}?page=3`]: 'rate-limit' }
+  });
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://localhost:${server.address().port}`;
+
+  const config = JSON.parse(JSON.stringify(DEFAULT_CONFIG));
+  config.fetcher.backend = 'http';
+  config.site = { homeUrl: `${baseUrl}/`, toplistsUrl: `${baseUrl}/toplists` };
+  config.paths.outputDir = path.join(tmpDir, 'out');
+  config.paths.cookiesPath = path.join(tmpDir, 'cookies.json');
+  config.paths.debugDir = path.join(tmpDir, 'debug');
+  Object.keys(config.delays).forEach(key => { config.delays[key] = 0; });
+  Object.assign(config.crawl, { requestInterval: 0, retryDelay: 1, retries: 2 });
+
+  try {
+    const results = await crawlENRToplists({ config, only: '2025-Top-500-Design-Firms-Preview', archive: false });
+    assert.equal(results[0].rowCount, 50);
+
+    const summary = JSON.parse(fs.readFileSync(path.join(config.paths.outputDir, 'summary.json'), 'utf8'));
+    assert.deepEqual(summary.failures.map(f => [f.page, f.reason, f.challengeType, f.attempts]), [
+      [2, 'challenge', 'paywall', 1],
+      [3, 'challenge', 'rate-limit', 3]
+    ]);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
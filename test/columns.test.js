@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { schemaForList, detectRankYears, resolveColumns, headerToKey } = require('../utils/columns');
+const {
+  slugFromUrl,
+  listYear,
+  listCategory,
+  parsePublicationDate,
+  resolveListMetadata
+} = require('../utils/lists');
+
+test('schemaForList picks the most specific schema for a slug', () => {
+  assert.equal(schemaForList('https://www.enr.com/toplists/2025-Top-225-International-Design-Firms-Preview').name, 'international-design-firms');
+  assert.equal(schemaForList('2025-top-500-design-firms-preview').name, 'design-firms');
+  assert.equal(schemaForList('2025-Top-100-Green-Buildings-Design-Firms-Preview').name, 'green-building-design-firms');
+  assert.equal(schemaForList('2025-Top-400-Contractors-1-preview').name, 'contractors');
+  assert.equal(schemaForList('something-else').name, 'generic');
+});
+
+test('slug helpers read the slug and its year', () => {
+  assert.equal(slugFromUrl('https://www.enr.com/toplists/2024-Top-150-Global-Design-Firms-Preview?x=1'), '2024-Top-150-Global-Design-Firms-Preview');
+  assert.equal(slugFromUrl('https://www.enr.com/toplists'), '');
+  assert.equal(listYear('2024-Top-150-Global-Design-Firms-Preview'), 2024);
+  assert.equal(listYear('Top-400-Contractors'), null);
+});
+
+test('list metadata helpers read category and publication date', () => {
+  assert.equal(listCategory('2025 Top 100 Green Buildings Design Firms'), 'green');
+  assert.equal(listCategory('2024-Top-250-Global-Contractors-Preview'), 'international');
+  assert.equal(listCategory('2025 Top 100 Design-Build Firms'), 'design-build');
+  assert.equal(listCategory('2025 Top 600 Specialty Contractors'), 'specialty');
+  assert.equal(listCategory('2025 Top 400 Contractors'), 'contractors');
+  assert.equal(listCategory('Sourcebook'), 'other');
+
+  assert.equal(parsePublicationDate('Sept. 3, 2024'), '2024-09-03');
+  assert.equal(parsePublicationDate('2025-06-10T09:00:00Z'), '2025-06-10');
+  assert.equal(parsePublicationDate('Updated recently'), null);
+});
+
+test('resolveListMetadata never uses the "View Rankings" link text as the title', () => {
+  const metadata = resolveListMetadata({
+    url: 'https://www.enr.com/toplists/2025-Top-400-Contractors-1-preview',
+    cardTitle: 'View Rankings',
+    documentTitle: 'The 2025 ENR Top 400 Contractors | ENR'
+  });
+
+  assert.equal(metadata.title, 'The 2025 ENR Top 400 Contractors');
+  assert.equal(metadata.year, 2025);
+  assert.equal(metadata.declaredSize, 400);
+  assert.equal(metadata.access, 'preview');
+
+  assert.equal(resolveListMetadata({ url: 'https://www.enr.com/toplists/2025-Top-400-Contractors-1' }).title, '2025 Top 400 Contractors');
+});
+
+test('detectRankYears reads years from headers, then from the slug', () => {
+  assert.deepEqual(detectRankYears(['RANK 2024', 'RANK 2023', 'FIRM']), { current: 2024, previous: 2023 });
+  assert.deepEqual(detectRankYears(['RANK', 'RANK', 'FIRM'], '2026-Top-400-Contractors'), { current: 2026, previous: 2025 });
+  assert.deepEqual(detectRankYears(['FIRM']), { current: null, previous: null });
+});
+
+test('resolveColumns maps rank headers to rankCurrent/rankPrevious regardless of year', () => {
+  const keys = headers => resolveColumns(headers).map(column => column.key);
+
+  assert.deepEqual(keys(['RANK 2025', 'RANK 2024', 'FIRM']), ['rankCurrent', 'rankPrevious', 'firm']);
+  assert.deepEqual(keys(['RANK 2024', 'RANK 2023', 'FIRM']), ['rankCurrent', 'rankPrevious', 'firm']);
+  assert.deepEqual(keys(['Rank RANK 2025', 'FIRMS']), ['rankCurrent', 'firm']);
+});
+
+test('resolveColumns types revenue, percent and unknown columns', () => {
+  const columns = resolveColumns(
+    ['FIRM', '2024 REVENUE $ MIL. TOTAL', "2024 REVENUE $ MIL. INT'L", "% INT'L", '% OF REVENUE POWER', 'NO. OF OFFICES', 'NOTES'],
+    schemaForList('2025-Top-500-Design-Firms')
+  );
+
+  assert.deepEqual(columns.map(c => [c.key, c.type]), [
+    ['firm', 'firm'],
+    ['totalRevenue', 'currency'],
+    ['intlRevenue', 'currency'],
+    ['intlPct', 'percent'],
+    ['pctPower', 'percent'],
+    ['noOfOffices', 'number'],
+    ['notes', 'text']
+  ]);
+  assert.equal(columns[1].label, '2024 REVENUE $ MIL. TOTAL');
+});
+
+test('headerToKey camel-cases arbitrary headers', () => {
+  assert.equal(headerToKey('NO. OF OFFICES'), 'noOfOffices');
+  assert.equal(headerToKey('% GREEN'), 'pctGreen');
+});
@@ -0,0 +1,66 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_CONFIG, envName, loadConfig } = require('../utils/config');
+const { configFromArgs, getOptions } = require('../index');
+
+let tmpDir;
+let configPath;
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'enr-config-'));
+  configPath = path.join(tmpDir, 'enr.config.json');
+  fs.writeFileSync(configPath, JSON.stringify({
+    browser: { executablePath: '/opt/chrome/chrome', headless: true },
+    delays: { betweenPages: 500 }
+  }));
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('loadConfig returns the defaults when there is no config file', () => {
+  const config = loadConfig({ configPath: undefined, env: {} });
+  assert.equal(config.paths.outputDir, DEFAULT_CONFIG.paths.outputDir);
+  assert.equal(config.browser.headless, false);
+});
+
+test('config file < environment < overrides', () => {
+  const config = loadConfig({
+    configPath,
+    env: { ENR_BROWSER_HEADLESS: 'false', ENR_DELAYS_BETWEEN_PAGES: '250', ENR_PATHS_OUTPUT_DIR: '/data/enr' },
+    overrides: { 'delays.betweenPages': '0' }
+  });
+
+  assert.equal(config.browser.executablePath, '/opt/chrome/chrome');
+  assert.equal(config.browser.headless, false);
+  assert.equal(config.paths.outputDir, '/data/enr');
+  assert.equal(config.delays.betweenPages, 0);
+  assert.equal(config.delays.betweenLists, DEFAULT_CONFIG.delays.betweenLists);
+});
+
+test('loadConfig rejects unknown settings, bad values and missing files', () => {
+  assert.throws(() => loadConfig({ env: {}, overrides: { 'browser.headles': 'true' } }), /Unknown config setting: browser.headles/);
+  assert.throws(() => loadConfig({ env: { ENR_TIMEOUTS_NAVIGATION: 'soon' } }), /non-negative number/);
+  assert.throws(() => loadConfig({ configPath: path.join(tmpDir, 'missing.json'), env: {} }), /Config file not found/);
+});
+
+test('envName maps settings to ENR_ variables', () => {
+  assert.equal(envName('browser', 'userDataDir'), 'ENR_BROWSER_USER_DATA_DIR');
+  assert.equal(envName('timeouts', 'navigation'), 'ENR_TIMEOUTS_NAVIGATION');
+});
+
+test('the CLI turns shortcuts and --set into config overrides', () => {
+  assert.deepEqual(getOptions(['--set', 'a.b=1', '--set=c.d=2'], 'set'), ['a.b=1', 'c.d=2']);
+
+  const config = configFromArgs([
+    'crawl', '--config', configPath, '--output-dir', './ci-data', '--headless', '--set', 'timeouts.navigation=30000'
+  ]);
+  assert.equal(config.paths.outputDir, './ci-data');
+  assert.equal(config.browser.headless, true);
+  assert.equal(config.timeouts.navigation, 30000);
+  assert.equal(config.delays.betweenPages, 500);
+});
@@ -0,0 +1,109 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { diffLists, formatDiffReport, diffCrawls } = require('../controllers/diff');
+const { archiveCrawl, listArchives, resolveCrawlPair } = require('../controllers/archive');
+
+const row = (rankCurrent, rankPrevious, name, location) => ({
+  rankCurrent,
+  rankPrevious,
+  'Company Name': name,
+  Location: location
+});
+
+const list2024 = {
+  crawlDate: '2024-08-01T00:00:00.000Z',
+  url: 'https://www.enr.com/toplists/2024-Top-150-Global-Design-Firms-Preview',
+  rankYears: { current: 2024, previous: 2023 },
+  data: [
+    row(1, 1, 'Power Construction Corp. of China', 'Beijing, China'),
+    row(2, 3, 'Jacobs Solutions Inc.', 'Dallas, Texas, U.S.A.'),
+    row(3, 2, 'Worley Ltd.', 'Sydney, Australia'),
+    row(4, 5, 'SNC-Lavalin Group', 'Montreal, Quebec, Canada'),
+    row(5, null, 'Old Firm Co.', 'Denver, Colo., U.S.A.')
+  ]
+};
+
+const list2025 = {
+  crawlDate: '2025-08-01T00:00:00.000Z',
+  url: 'https://www.enr.com/toplists/2025-Top-150-Global-Design-Firms-Preview',
+  rankYears: { current: 2025, previous: 2024 },
+  data: [
+    row(1, 2, 'Jacobs Solutions Incorporated', 'Dallas, Texas, U.S.A.'),
+    row(2, 1, 'Power Construction Corp. of China', 'Beijing, China'),
+    row(3, 4, 'AtkinsRéalis', 'Montreal, Quebec, Canada'),
+    row(4, 2, 'Worley Ltd.', 'Houston, Texas, U.S.A.'),
+    row(5, null, 'New Firm LLC', 'Austin, Texas, U.S.A.')
+  ]
+};
+
+test('diffLists reports entries, exits, moves, renames and relocations year over year', () => {
+  const diff = diffLists(list2024, list2025);
+
+  assert.equal(diff.mode, 'year-over-year');
+  assert.equal(diff.list, 'top-150-global-design-firms');
+  assert.deepEqual(diff.entered, [{ name: 'New Firm LLC', location: 'Austin, Texas, U.S.A.', rank: 5 }]);
+  assert.deepEqual(diff.left, [{ name: 'Old Firm Co.', location: 'Denver, Colo., U.S.A.', rank: 5 }]);
+  assert.deepEqual(diff.renamed.map(r => [r.from, r.to, r.matchedBy]), [
+    ['Jacobs Solutions Inc.', 'Jacobs Solutions Incorporated', 'name'],
+    ['SNC-Lavalin Group', 'AtkinsRéalis', 'rank']
+  ]);
+  assert.deepEqual(diff.relocated, [{ name: 'Worley Ltd.', from: 'Sydney, Australia', to: 'Houston, Texas, U.S.A.' }]);
+  assert.deepEqual(diff.moved.map(m => [m.name, m.from, m.to]), [
+    ['Jacobs Solutions Incorporated', 2, 1],
+    ['Power Construction Corp. of China', 1, 2],
+    ['AtkinsRéalis', 4, 3],
+    ['Worley Ltd.', 3, 4]
+  ]);
+});
+
+test('diffLists flags prior ranks that disagree with the archived edition', () => {
+  const diff = diffLists(list2024, list2025);
+
+  assert.deepEqual(diff.priorRankMismatches, [
+    { name: 'Worley Ltd.', archivedRank: 3, reportedPriorRank: 2 }
+  ]);
+  assert.match(formatDiffReport(diff), /Worley Ltd\.: site says #2, archive has #3/);
+});
+
+test('diffLists treats two crawls of the same edition as a recrawl', () => {
+  const diff = diffLists(list2025, { ...list2025, crawlDate: '2025-09-01T00:00:00.000Z' });
+
+  assert.equal(diff.mode, 'recrawl');
+  assert.deepEqual(diff.counts, { entered: 0, left: 0, moved: 0, renamed: 0, relocated: 0, priorRankMismatches: 0 });
+});
+
+test('archived crawls are diffed by year-agnostic list key and written as JSON and text', t => {
+  t.mock.method(console, 'log', () => {});
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'enr-archive-'));
+  const outputDir = path.join(tmpDir, 'enr-data');
+  const archiveDir = path.join(tmpDir, 'enr-archive');
+
+  try {
+    fs.mkdirSync(outputDir);
+    fs.writeFileSync(path.join(outputDir, '2024-Top-150-Global-Design-Firms-Preview.json'), JSON.stringify(list2024));
+    fs.writeFileSync(path.join(outputDir, 'summary.json'), '{}');
+    archiveCrawl(outputDir, archiveDir, new Date('2024-08-01'));
+
+    fs.unlinkSync(path.join(outputDir, '2024-Top-150-Global-Design-Firms-Preview.json'));
+    fs.writeFileSync(path.join(outputDir, '2025-Top-150-Global-Design-Firms-Preview.json'), JSON.stringify(list2025));
+    archiveCrawl(outputDir, archiveDir, new Date('2025-08-01'));
+
+    assert.deepEqual(listArchives(archiveDir), ['2024-08-01', '2025-08-01']);
+    assert.deepEqual(resolveCrawlPair('2025-Top-150-Global-Design-Firms-Preview', { archiveDir }), {
+      from: '2024-08-01',
+      to: '2025-08-01'
+    });
+
+    const { diff, jsonPath, textPath } = diffCrawls('top-150-global-design-firms', { archiveDir });
+    assert.equal(diff.from.crawl, '2024-08-01');
+    assert.equal(JSON.parse(fs.readFileSync(jsonPath, 'utf8')).counts.entered, 1);
+    assert.match(fs.readFileSync(textPath, 'utf8'), /Entered the list \(1\)/);
+
+    assert.throws(() => diffCrawls('top-400-contractors', { archiveDir }), /No archived crawl/);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
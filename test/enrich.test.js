@@ -0,0 +1,125 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { crawlENRToplists, enrichOutputDir } = require('../controllers/crawler');
+const { FIRM_CACHE_FILE, readFirmProfile } = require('../controllers/enrich');
+const { listFileProblems } = require('../controllers/output');
+const { createDomPage } = require('../utils/dom-page');
+const { firmPath, firmDetails } = require('../mock/enr-server');
+const { mockCrawlConfig, useMockServer } = require('./helpers/mock-crawl');
+
+// Two lists naming the same firms: the first 8 of the 12 firms are on both
+const LISTS = [
+  { slug: '2025-Top-12-Contractors-Preview', title: '2025 Top 12 Contractors', date: 'May 19, 2025', rows: 12, year: 2025 },
+  { slug: '2025-Top-8-Design-Firms-Preview', title: '2025 Top 8 Design Firms', date: 'June 10, 2025', rows: 8, year: 2025 }
+];
+
+let tmpDir;
+
+const mockServer = useMockServer({ lists: LISTS, firmPages: true });
+
+const mockConfig = () => mockCrawlConfig(mockServer.url, tmpDir, { paths: { overridesPath: path.join(tmpDir, 'no-overrides.json') } });
+
+// The firm page requests the mock has served
+const firmRequests = () => mockServer.app.locals.requests.map(request => request.url).filter(url => url.startsWith('/firms/'));
+
+const readJson = file => JSON.parse(fs.readFileSync(path.join(tmpDir, 'out', file), 'utf8'));
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'enr-enrich-'));
+  mockServer.app.locals.requests = [];
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  mock.restoreAll();
+});
+
+test('a crawl keeps the firm links and visits each firm page once across lists', async () => {
+  await crawlENRToplists({ config: mockConfig(), archive: false, enrich: true });
+
+  const list = readJson('2025-Top-12-Contractors-Preview.json');
+  const keys = list.headers.map(header => header.key);
+  assert.equal(keys[keys.indexOf('locationConfidence') + 1], 'firmUrl');
+  assert.equal(list.data[0].firmUrl, `${mockServer.url}${firmPath(list.data[0]['Company Name'])}`);
+  assert.deepEqual(listFileProblems(list), []);
+
+  // 12 firms, 8 of them on both lists: 12 pages, none fetched twice
+  const requested = firmRequests();
+  assert.equal(requested.length, 12);
+  assert.equal(new Set(requested).size, 12);
+
+  const firms = readJson('firms.json');
+  assert.equal(firms.enrichedFirms, 12);
+  const atlas = firms.firms.find(firm => firm.name === 'Atlas Engineering Inc.');
+  const expected = firmDetails('Atlas Engineering Inc.');
+  assert.equal(atlas.listCount, 2);
+  assert.equal(atlas.detailUrl, `${mockServer.url}/firms/atlas-engineering-inc`);
+  assert.deepEqual({ ...atlas.details, fetchedAt: undefined }, {
+    name: 'Atlas Engineering Inc.',
+    website: expected.website,
+    parentCompany: expected.parent,
+    firmType: expected.type,
+    revenueHistory: expected.revenue.map(entry => ({ year: entry.year, revenue: Number(entry.total.replace(/,/g, '')) })),
+    specialties: expected.specialties,
+    fetchedAt: undefined
+  });
+});
+
+test('firm pages come from the cache until they are refreshed or stale', async () => {
+  const config = mockConfig();
+  await crawlENRToplists({ config, archive: false, enrich: true });
+  assert.equal(firmRequests().length, 12);
+
+  // A second crawl finds the same links and fetches none of them
+  mockServer.app.locals.requests = [];
+  await crawlENRToplists({ config, archive: false, enrich: true });
+  assert.deepEqual(firmRequests(), []);
+  assert.equal(readJson('firms.json').enrichedFirms, 12);
+
+  // A page older than enrich.maxAge is fetched again; the rest stay cached
+  const cachePath = path.join(config.paths.outputDir, FIRM_CACHE_FILE);
+  const cache = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+  const staleUrl = `${mockServer.url}/firms/beacon-engineering-inc`;
+  cache.pages[staleUrl].fetchedAt = new Date(Date.now() - config.enrich.maxAge - 1000).toISOString();
+  fs.writeFileSync(cachePath, JSON.stringify(cache));
+
+  const report = await enrichOutputDir({ config });
+  assert.deepEqual([report.links, report.fetched, report.cached, report.failures.length], [12, 1, 11, 0]);
+  assert.deepEqual(firmRequests(), ['/firms/beacon-engineering-inc']);
+
+  mockServer.app.locals.requests = [];
+  assert.equal((await enrichOutputDir({ config, refresh: true })).fetched, 12);
+  assert.equal(firmRequests().length, 12);
+});
+
+test('readFirmProfile reads "Label: value" lines and th/td rows, and rejects pages without a profile', async () => {
+  const pages = {
+    'https://example.com/firms/kiewit': `<html><body><h1>Kiewit Corp.</h1>
+      <p><strong>Parent company:</strong> Peter Kiewit Sons' Inc.</p>
+      <p><b>Web site:</b> <a href="https://www.kiewit.com">kiewit.com</a></p>
+      <table><tr><th>Firm Type</th><td>Contractor</td></tr><tr><th>Markets</th><td>Power; Transportation, Water</td></tr></table>
+      <table><caption>Revenue ($ mil.)</caption><tr><th>Year</th><th>Amount</th></tr>
+        <tr><td>2023</td><td>$16,842.5</td></tr><tr><td>2024</td><td>$17,100.0</td></tr></table>
+    </body></html>`,
+    'https://example.com/firms/missing': '<html><body><h1>Page not found</h1></body></html>'
+  };
+  const page = createDomPage(async url => ({ html: pages[url], url }));
+
+  await page.goto('https://example.com/firms/kiewit');
+  assert.deepEqual(await readFirmProfile(page, 'https://example.com/firms/kiewit'), {
+    name: 'Kiewit Corp.',
+    website: 'https://www.kiewit.com/',
+    parentCompany: "Peter Kiewit Sons' Inc.",
+    firmType: 'Contractor',
+    revenueHistory: [{ year: 2024, revenue: 17100 }, { year: 2023, revenue: 16842.5 }],
+    specialties: ['Power', 'Transportation', 'Water']
+  });
+
+  await page.goto('https://example.com/firms/missing');
+  await assert.rejects(readFirmProfile(page, 'https://example.com/firms/missing'), error => error.code === 'EMPTY_PROFILE');
+});
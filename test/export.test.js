@@ -0,0 +1,122 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const initSqlJs = require('sql.js');
+const { parseSnapshots } = require('../controllers/crawler');
+const { exportDataset, listToCsv, parseFormats } = require('../controllers/export');
+const { createLogger } = require('../utils/logger');
+
+const SNAPSHOT_DIR = path.join(__dirname, 'fixtures', 'snapshots');
+
+let tmpDir;
+let dataDir;
+let exportDir;
+let written;
+const messages = [];
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'enr-export-'));
+  dataDir = path.join(tmpDir, 'data');
+  exportDir = path.join(tmpDir, 'export');
+
+  await parseSnapshots(SNAPSHOT_DIR, { outputDir: dataDir });
+  written = await exportDataset(dataDir, { exportDir, logger: createLogger({ sink: (level, message) => messages.push(message) }) });
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  mock.restoreAll();
+});
+
+test('parseFormats accepts lists and "all", and rejects unknown formats', () => {
+  assert.deepEqual(parseFormats('csv, SQLite'), ['csv', 'sqlite']);
+  assert.deepEqual(parseFormats('all'), ['csv', 'xlsx', 'ndjson', 'sqlite']);
+  assert.throws(() => parseFormats('csv,pdf'), /Unknown export format: pdf/);
+});
+
+test('listToCsv quotes values and flattens footnotes', () => {
+  const csv = listToCsv({
+    headers: [{ key: 'rankCurrent' }, { key: 'Company Name' }, { key: 'Location' }],
+    data: [
+      { rankCurrent: 1, 'Company Name': 'Say "Hi", Inc.', Location: 'Omaha, Neb.', footnotes: { firm: ['1'] } },
+      { rankCurrent: 2, 'Company Name': 'Plain', Location: null }
+    ]
+  });
+
+  assert.equal(csv, [
+    'rankCurrent,Company Name,Location,footnotes',
+    '1,"Say ""Hi"", Inc.","Omaha, Neb.",firm: 1',
+    '2,Plain,,',
+    ''
+  ].join('\r\n'));
+});
+
+test('export progress goes to options.logger', () => {
+  assert.match(messages[0], /^📦 Exporting \d+ lists from /);
+  assert.deepEqual(messages.slice(1).map(message => message.split(':')[0]), ['✅ CSV', '✅ XLSX', '✅ NDJSON', '✅ SQLite']);
+});
+
+test('CSV and NDJSON exports cover every list and row', () => {
+  assert.deepEqual(written.csv.map(p => path.basename(p)), [
+    '2025-Top-500-Design-Firms-Preview.csv',
+    '2024-Top-150-Global-Design-Firms-Preview.csv'
+  ]);
+
+  const lines = fs.readFileSync(written.ndjson, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.equal(lines.length, 7);
+  assert.equal(lines[0].list, '2025-Top-500-Design-Firms-Preview');
+  assert.equal(lines[0].year, 2025);
+  assert.equal(lines[0]['Company Name'], 'AECOM');
+});
+
+test('XLSX export has a summary sheet and one sheet per list', async () => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(written.xlsx);
+
+  assert.deepEqual(workbook.worksheets.map(s => s.name), [
+    'Summary',
+    '2025-Top-500-Design-Firms-Previ',
+    '2024-Top-150-Global-Design-Firm'
+  ]);
+
+  const summary = workbook.getWorksheet('Summary');
+  assert.equal(summary.getRow(2).getCell(2).value, '2025-Top-500-Design-Firms-Preview.json');
+  assert.equal(summary.getRow(2).getCell(3).value, '2025 Top 500 Design Firms');
+  assert.equal(summary.getRow(2).getCell(4).value, 'design');
+  assert.equal(summary.getRow(2).getCell(10).value, 5);
+
+  const list = workbook.worksheets[1];
+  assert.equal(list.getRow(1).getCell(1).value, 'rankCurrent');
+  assert.equal(list.getRow(2).getCell(1).value, 1);
+  assert.equal(list.rowCount, 6);
+});
+
+test('SQLite export normalizes lists, firms and rankings', async () => {
+  const SQL = await initSqlJs();
+  const db = new SQL.Database(fs.readFileSync(written.sqlite));
+  const query = sql => db.exec(sql)[0].values;
+
+  assert.deepEqual(query('SELECT slug, list_key, category, year, declared_size, row_count FROM lists ORDER BY id'), [
+    ['2025-Top-500-Design-Firms-Preview', 'top-500-design-firms', 'design', 2025, 500, 5],
+    ['2024-Top-150-Global-Design-Firms-Preview', 'top-150-global-design-firms', 'international', 2024, 150, 2]
+  ]);
+  assert.equal(query('SELECT COUNT(*) FROM rankings')[0][0], 7);
+
+  // Jacobs is on both lists and resolves to one firm
+  const jacobs = query(`
+    SELECT f.list_count, COUNT(*) FROM rankings r JOIN firms f ON f.id = r.firm_id
+    WHERE r.company_name LIKE 'Jacobs%' GROUP BY f.id
+  `);
+  assert.deepEqual(jacobs, [[2, 2]]);
+
+  const [row] = query("SELECT rank_current, state, data FROM rankings WHERE company_name = 'AECOM'");
+  assert.equal(row[0], 1);
+  assert.equal(row[1], 'TX');
+  assert.equal(JSON.parse(row[2]).totalRevenue, 6081.6);
+
+  db.close();
+});
@@ -0,0 +1,132 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { crawlENRToplists } = require('../controllers/crawler');
+const { loadDataset } = require('../controllers/dataset');
+const { createFetcher, createHttpFetcher, createCookieJar } = require('../controllers/fetchers');
+const { createMockEnrServer } = require('../mock/enr-server');
+const { mockCrawlConfig, useMockServer } = require('./helpers/mock-crawl');
+
+let tmpDir;
+
+const openMock = useMockServer({ pageSize: 50 });
+const challengeMock = useMockServer({ challenge: 'once' });
+
+const mockConfig = baseUrl => mockCrawlConfig(baseUrl, tmpDir);
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'enr-fetchers-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  mock.restoreAll();
+});
+
+test('the http backend crawls the mock site end to end, following pagination', async () => {
+  const config = mockConfig(openMock.url);
+  const results = await crawlENRToplists({ config });
+
+  assert.deepEqual(results.map(r => [r.listName, r.rowCount, r.paginatedPages]), [
+    ['2025 Top 500 Design Firms', 120, 3],
+    ['2025 Top 400 Contractors', 60, 2],
+    ['2024 Top 150 Global Design Firms', 30, 1]
+  ]);
+
+  const saved = JSON.parse(fs.readFileSync(path.join(config.paths.outputDir, '2025-Top-500-Design-Firms-Preview.json'), 'utf8'));
+  assert.equal(saved.metadata.publishedAt, '2025-06-10');
+  assert.equal(saved.metadata.access, 'preview');
+  assert.equal(saved.quality.status, 'ok');
+  assert.deepEqual(saved.data.slice(0, 2).map(row => row.rankCurrent), [1, 2]);
+  assert.equal(saved.data[119].rankCurrent, 120);
+  assert.equal(saved.data[0].state, 'TX');
+
+  // Page 1 of each list is fetched once, even though the pagination table links back to it
+  const listPages = openMock.app.locals.requests
+    .map(request => request.url)
+    .filter(url => url.startsWith('/toplists/2025-Top-500'));
+  assert.deepEqual(listPages, [
+    '/toplists/2025-Top-500-Design-Firms-Preview',
+    '/toplists/2025-Top-500-Design-Firms-Preview?page=2',
+    '/toplists/2025-Top-500-Design-Firms-Preview?page=3'
+  ]);
+
+  assert.ok(fs.existsSync(config.paths.cookiesPath));
+});
+
+test('a resumed crawl saves the lists it takes from the journal along with the ones it crawls', async () => {
+  const config = mockConfig(openMock.url);
+  config.crawl.concurrency = 1;
+
+  // The run dies once its first list is saved and journaled, before anything is moved into the output folder
+  const events = new EventEmitter();
+  events.once('list:done', () => {
+    throw new Error('killed');
+  });
+  await assert.rejects(crawlENRToplists({ config, archive: false, events }), /killed/);
+  assert.equal(fs.existsSync(path.join(config.paths.outputDir, 'summary.json')), false);
+
+  openMock.app.locals.requests = [];
+  const results = await crawlENRToplists({ config, archive: false, resume: true });
+  assert.equal(results.length, 3);
+  assert.equal(openMock.app.locals.requests.some(request => request.url.startsWith('/toplists/2025-Top-500')), false);
+  assert.deepEqual(loadDataset(config.paths.outputDir).map(({ list }) => list.totalRows), [120, 60, 30]);
+});
+
+test('the http backend fails fast on a Cloudflare interstitial', async () => {
+  const config = mockConfig(challengeMock.url);
+  await assert.rejects(crawlENRToplists({ config, archive: false }), /Failed to pass Cloudflare challenge/);
+});
+
+test('saved cf_clearance cookies get the http backend past the interstitial', async () => {
+  const config = mockConfig(challengeMock.url);
+  fs.writeFileSync(config.paths.cookiesPath, JSON.stringify([
+    { name: 'cf_clearance', value: 'solved-in-a-browser', domain: 'localhost', path: '/' }
+  ]));
+
+  const results = await crawlENRToplists({ config, only: '2024-Top-150-Global-Design-Firms-Preview', archive: false });
+  assert.equal(results.length, 1);
+  assert.equal(results[0].rowCount, 30);
+});
+
+test('the http fetcher keeps Set-Cookie values and sends them back', async () => {
+  const config = mockConfig('https://www.enr.com');
+  const sent = [];
+  const fakeFetch = async (url, init) => {
+    sent.push(init.headers.Cookie);
+    return new Response('<html><body>ok</body></html>', {
+      headers: { 'Set-Cookie': 'session=abc; Path=/; HttpOnly' }
+    });
+  };
+
+  const fetcher = createHttpFetcher(config, { fetch: fakeFetch });
+  const page = await fetcher.open();
+  await page.goto('https://www.enr.com/');
+  await page.goto('https://www.enr.com/toplists');
+  assert.deepEqual(sent, [undefined, 'session=abc']);
+
+  await fetcher.close({ saveSession: true });
+  const saved = JSON.parse(fs.readFileSync(config.paths.cookiesPath, 'utf8'));
+  assert.deepEqual(saved.map(cookie => cookie.name), ['session']);
+});
+
+test('the cookie jar matches cookies by domain and path', () => {
+  const jar = createCookieJar([
+    { name: 'a', value: '1', domain: '.enr.com', path: '/' },
+    { name: 'b', value: '2', domain: 'www.enr.com', path: '/toplists' },
+    { name: 'c', value: '3', domain: 'example.com', path: '/' }
+  ]);
+
+  assert.equal(jar.header('https://www.enr.com/toplists/x'), 'a=1; b=2');
+  assert.equal(jar.header('https://www.enr.com/'), 'a=1');
+  assert.throws(() => createFetcher('curl'), /Unknown fetcher backend: curl/);
+});
+
+test('the mock rejects unknown challenge modes', () => {
+  assert.throws(() => createMockEnrServer({ challenge: 'sometimes' }), /Unknown challenge mode/);
+});
@@ -0,0 +1,113 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeFirmName, normalizeLocation } = require('../utils/names');
+const { firmId, createResolver, buildFirmProfiles } = require('../controllers/firms');
+
+const list = (filename, url, rows) => ({
+  filename,
+  list: {
+    listName: filename,
+    url,
+    rankYears: { current: 2025, previous: 2024 },
+    data: rows.map(([rankCurrent, name, location]) => ({ rankCurrent, 'Company Name': name, Location: location }))
+  }
+});
+
+const lists = [
+  list('2025-top-500-design-firms-preview.json', 'https://www.enr.com/toplists/2025-top-500-design-firms-preview', [
+    [1, 'AECOM', 'Dallas, Texas'],
+    [2, 'Jacobs Solutions Inc.', 'Dallas, Texas'],
+    [3, 'Burns & McDonnell', 'Kansas City, Mo.'],
+    [4, 'The Walsh Group', 'Chicago, Ill.']
+  ]),
+  list('2025-Top-225-International-Design-Firms-Preview.json', 'https://www.enr.com/toplists/2025-Top-225-International-Design-Firms-Preview', [
+    [5, 'AECOM', 'Dallas, Texas, U.S.A.†'],
+    [9, 'Jacobs Solutions', 'Dallas, Texas, U.S.A.'],
+    [40, 'Burns and McDonnell Co.', 'Kansas City, Mo., U.S.A.'],
+    [60, 'Walsh Group', 'Toronto, Ontario, Canada']
+  ])
+];
+
+test('normalizeFirmName ignores suffixes, punctuation and "&"', () => {
+  assert.equal(normalizeFirmName('Burns & McDonnell'), normalizeFirmName('Burns and McDonnell Co.'));
+  assert.equal(normalizeFirmName('Kiewit Corp.'), normalizeFirmName('Kiewit Corporation'));
+  assert.equal(normalizeFirmName('The Company'), 'the company');
+  assert.equal(normalizeLocation('Dallas, Texas, U.S.A.†'), normalizeLocation('Dallas, Texas'));
+});
+
+test('buildFirmProfiles clusters name variants across lists with stable IDs', () => {
+  const profiles = buildFirmProfiles(lists);
+  const burns = profiles.find(p => p.aliases.includes('Burns & McDonnell'));
+
+  assert.equal(burns.id, firmId('burns and mcdonnell'));
+  assert.deepEqual(burns.aliases, ['Burns & McDonnell', 'Burns and McDonnell Co.']);
+  assert.equal(burns.listCount, 2);
+  assert.deepEqual(burns.appearances.map(a => [a.list, a.year, a.rankCurrent]), [
+    ['top-500-design-firms', 2025, 3],
+    ['top-225-international-design-firms', 2025, 40]
+  ]);
+
+  // The Walsh Group in Chicago and in Toronto are two firms
+  const walsh = profiles.filter(p => p.name.includes('Walsh'));
+  assert.deepEqual(walsh.map(p => [p.location, p.splitByLocation]), [['Chicago, Ill.', true], ['Toronto, Ontario, Canada', true]]);
+  assert.notEqual(walsh[0].id, walsh[1].id);
+
+  assert.equal(profiles.length, 5);
+  assert.deepEqual(buildFirmProfiles(lists).map(p => p.id), profiles.map(p => p.id));
+});
+
+test('overrides merge firms the matcher misses and split ones it wrongly joins', () => {
+  const overrides = {
+    merge: [{ id: 'firm-jacobs', names: ['Jacobs Solutions Inc.', 'Jacobs Engineering Group'] }],
+    split: [{ id: 'firm-walsh-canada', name: 'Walsh Group', location: 'Toronto, Ontario, Canada' }]
+  };
+  const resolve = createResolver(overrides);
+
+  assert.equal(resolve('Jacobs Engineering Group', 'Dallas, Texas'), 'firm-jacobs');
+  assert.equal(resolve('Jacobs Solutions', 'Dallas, Texas'), 'firm-jacobs');
+
+  const profiles = buildFirmProfiles(lists, { overrides });
+  const walsh = profiles.filter(p => p.name.includes('Walsh'));
+  assert.deepEqual(walsh.map(p => p.id).sort(), [firmId('walsh group'), 'firm-walsh-canada'].sort());
+  assert.equal(profiles.find(p => p.id === 'firm-jacobs').listCount, 2);
+});
+
+test('same-name firms in different states get their own IDs unless a merge rule joins them', () => {
+  const located = [
+    list('2025-Top-600-Specialty-Contractors-Preview.json', 'https://www.enr.com/toplists/2025-Top-600-Specialty-Contractors-Preview', [
+      [10, 'Miller Electric Co.', 'Jacksonville, Fla.'],
+      [11, 'Kiewit Corp.', 'Omaha, Neb.']
+    ]),
+    list('2025-Top-400-Contractors-Preview.json', 'https://www.enr.com/toplists/2025-Top-400-Contractors-Preview', [
+      [3, 'Kiewit Corporation', 'Omaha, Neb., U.S.A.'],
+      [80, 'Miller Electric Co.', 'Omaha, Neb.'],
+      [81, 'Miller Electric Company', 'Jacksonville, Florida']
+    ])
+  ];
+  const millers = overrides => buildFirmProfiles(located, { overrides }).filter(p => p.name.startsWith('Miller Electric'));
+
+  const kiewit = buildFirmProfiles(located).find(p => p.name.startsWith('Kiewit'));
+  assert.deepEqual([kiewit.id, kiewit.listCount, kiewit.splitByLocation], [firmId('kiewit'), 2, false]);
+
+  // Jacksonville and Omaha are two firms; each keeps its own history
+  const [jacksonville, omaha] = millers();
+  assert.deepEqual(jacksonville.locations, ['Jacksonville, Fla.', 'Jacksonville, Florida']);
+  assert.deepEqual(omaha.locations, ['Omaha, Neb.']);
+  assert.notEqual(jacksonville.id, omaha.id);
+  assert.ok(jacksonville.splitByLocation && omaha.splitByLocation);
+  assert.deepEqual(omaha.appearances.map(a => a.rankCurrent), [80]);
+
+  // The resolver used by the exports gives the rows the same IDs
+  const resolve = createResolver({ merge: [], split: [] }, located);
+  assert.equal(resolve('Miller Electric Co.', 'Omaha, Neb.'), omaha.id);
+  assert.equal(resolve('Miller Electric', 'Jacksonville, Fla.'), jacksonville.id);
+  assert.equal(createResolver()('Miller Electric Co.', 'Omaha, Neb.'), firmId('miller electric'));
+
+  // A merge rule naming the firm says it is one firm after all
+  const merged = millers({ merge: [{ names: ['Miller Electric Co.'] }], split: [] });
+  assert.deepEqual(merged.map(p => [p.id, p.listCount, p.splitByLocation]), [[firmId('miller electric'), 2, false]]);
+
+  // A split rule takes one of them out, which leaves the other one alone under the name's ID
+  const split = millers({ merge: [], split: [{ id: 'firm-miller-omaha', name: 'Miller Electric', location: 'Omaha, Neb.' }] });
+  assert.deepEqual(split.map(p => [p.id, p.splitByLocation]), [[firmId('miller electric'), false], ['firm-miller-omaha', false]]);
+});
@@ -0,0 +1,53 @@
+const { before, after } = require('node:test');
+const path = require('path');
+const { DEFAULT_CONFIG } = require('../../utils/config');
+const { createMockEnrServer } = require('../../mock/enr-server');
+
+// A crawl config on the http backend with no waits, for a site whose home page is <baseUrl>/ and index
+// <baseUrl>/toplists (null: the source adapter's own), with every file it writes under dir
+// settings ({ section: { key: value } }) are applied last, e.g. { crawl: { retries: 0 } }
+function mockCrawlConfig(baseUrl, dir, settings = {}) {
+  const config = JSON.parse(JSON.stringify(DEFAULT_CONFIG));
+  config.fetcher.backend = 'http';
+  if (baseUrl) {
+    config.site = { homeUrl: `${baseUrl}/`, toplistsUrl: `${baseUrl}/toplists` };
+  }
+  config.paths.outputDir = path.join(dir, 'out');
+  config.paths.archiveDir = path.join(dir, 'archive');
+  config.paths.cookiesPath = path.join(dir, 'cookies.json');
+  config.paths.debugDir = path.join(dir, 'debug');
+  Object.keys(config.delays).forEach(key => { config.delays[key] = 0; });
+  Object.assign(config.crawl, { requestInterval: 0, retryDelay: 1 });
+
+  Object.entries(settings).forEach(([section, values]) => Object.assign(config[section], values));
+  return config;
+}
+
+// Serves an Express app, or a mock enr.com built from these createMockEnrServer options, on a free port while the
+// calling test file runs: it starts before the file's tests and is closed after them
+// ready(site) runs once it listens (Node 20 starts a file's before hooks without waiting for the previous one)
+// Returns { app, url }, filled in once the server is up
+function useMockServer(appOrOptions = {}, ready) {
+  const site = { app: null, url: null };
+  let server;
+
+  before(async () => {
+    site.app = typeof appOrOptions === 'function' ? appOrOptions : createMockEnrServer(appOrOptions);
+    await new Promise(resolve => {
+      server = site.app.listen(0, resolve);
+    });
+    site.url = `http://localhost:${server.address().port}`;
+    if (ready) {
+      await ready(site);
+    }
+  });
+
+  after(() => new Promise(done => server.close(done)));
+
+  return site;
+}
+
+module.exports = {
+  mockCrawlConfig,
+  useMockServer
+};
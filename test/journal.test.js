@@ -0,0 +1,88 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { journalPath, openJournal } = require('../controllers/journal');
+const { crawlToplistPage, saveSummary, parseSnapshots } = require('../controllers/crawler');
+const { createSnapshotPage } = require('../controllers/snapshots');
+
+const SNAPSHOT_DIR = path.join(__dirname, 'fixtures', 'snapshots');
+const TOP_500_URL = 'https://www.enr.com/toplists/2025-Top-500-Design-Firms-Preview';
+
+let tmpDir;
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'enr-journal-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  mock.restoreAll();
+});
+
+test('journalPath keeps --only runs separate from full runs', () => {
+  assert.equal(journalPath('out'), path.join('out', '.crawl-journal.ndjson'));
+  assert.equal(journalPath('out', '2025-Top-400'), path.join('out', '.crawl-journal-2025-Top-400.ndjson'));
+});
+
+test('a resumed journal replays pages and lists and ignores a torn last line', () => {
+  const file = journalPath(tmpDir);
+  const journal = openJournal(file);
+  journal.recordPage(TOP_500_URL, TOP_500_URL, { data: [{ rankCurrent: 1 }], paginationLinks: [] });
+  journal.recordList({ url: TOP_500_URL, listName: 'Top 500', rowCount: 1 });
+  fs.appendFileSync(file, '{"type":"page","pageUrl":');
+
+  const resumed = openJournal(file, { resume: true });
+  assert.equal(resumed.resumed, true);
+  assert.deepEqual(resumed.getPage(TOP_500_URL).data, [{ rankCurrent: 1 }]);
+  assert.equal(resumed.getList(TOP_500_URL).listName, 'Top 500');
+
+  const fresh = openJournal(file);
+  assert.equal(fresh.getPage(TOP_500_URL), null);
+  assert.equal(fs.existsSync(file), false);
+});
+
+test('crawlToplistPage journals each page and skips journaled pages on resume', async () => {
+  const file = journalPath(tmpDir);
+  const page = createSnapshotPage(SNAPSHOT_DIR);
+
+  const first = await crawlToplistPage(page, TOP_500_URL, 'Top 500', { journal: openJournal(file) });
+  assert.equal(first.rowCount, 5);
+
+  // Every page is journaled, so a resumed run needs no navigation at all
+  const offlinePage = { offline: true, goto: async url => { throw new Error(`unexpected navigation to ${url}`); } };
+  const resumed = await crawlToplistPage(offlinePage, TOP_500_URL, 'Top 500', {
+    journal: openJournal(file, { resume: true })
+  });
+
+  assert.deepEqual(resumed.data, first.data);
+  assert.equal(resumed.paginatedPages, 2);
+  await page.close();
+});
+
+test('--only runs merge a single list into the existing summary', async () => {
+  await parseSnapshots(SNAPSHOT_DIR, { outputDir: tmpDir });
+  const before = JSON.parse(fs.readFileSync(path.join(tmpDir, 'summary.json'), 'utf8'));
+
+  const results = await parseSnapshots(SNAPSHOT_DIR, {
+    outputDir: tmpDir,
+    only: '2024-top-150-global-design-firms-preview'
+  });
+  assert.equal(results.length, 1);
+
+  const after = JSON.parse(fs.readFileSync(path.join(tmpDir, 'summary.json'), 'utf8'));
+  assert.deepEqual(after.files.map(f => f.filename), before.files.map(f => f.filename));
+  assert.equal(after.totalRows, before.totalRows);
+
+  await assert.rejects(parseSnapshots(SNAPSHOT_DIR, { outputDir: tmpDir, only: 'nope' }), /Toplist not found/);
+});
+
+test('saveSummary without merge replaces the index', () => {
+  saveSummary([{ url: 'https://www.enr.com/toplists/a', listName: 'A', rowCount: 2, paginatedPages: 1 }], tmpDir);
+  saveSummary([{ url: 'https://www.enr.com/toplists/b', listName: 'B', rowCount: 3, paginatedPages: 1 }], tmpDir);
+
+  const summary = JSON.parse(fs.readFileSync(path.join(tmpDir, 'summary.json'), 'utf8'));
+  assert.deepEqual(summary.files.map(f => f.filename), ['b.json']);
+});
@@ -0,0 +1,147 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { compareLayouts, expectedPageRows, loadLayout } = require('../controllers/layout');
+const { crawlENRToplists } = require('../controllers/crawler');
+const { mockCrawlConfig, useMockServer } = require('./helpers/mock-crawl');
+
+// The mock serves these as they are at each request, so tests can change the site between crawls
+const lists = [];
+const gates = {};
+const INITIAL_LISTS = [
+  { slug: '2025-Top-60-Contractors-Preview', title: '2025 Top 60 Contractors', date: 'May 19, 2025', rows: 60, year: 2025 },
+  { slug: '2025-Top-30-Design-Firms-Preview', title: '2025 Top 30 Design Firms', date: 'April 14, 2025', rows: 30, year: 2025 }
+];
+
+let tmpDir;
+
+const mockServer = useMockServer({ lists, gates, pageSize: 25 });
+
+// A config aimed at the mock, without retries
+const mockConfig = () => mockCrawlConfig(mockServer.url, tmpDir, { crawl: { retries: 0 } });
+
+// A list's entry in a layout snapshot
+function layoutList(rowCount, pages) {
+  return { url: 'https://www.enr.com/toplists/x', rowCount, pages };
+}
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'enr-layout-'));
+  lists.splice(0, lists.length, ...INITIAL_LISTS.map(list => ({ ...list })));
+  Object.keys(gates).forEach(key => delete gates[key]);
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  mock.restoreAll();
+});
+
+test('expectedPageRows reads pagination ranges, then the previous run, then the size in the slug', () => {
+  const paginationLinks = [{ text: '101-200' }, { text: '201-250' }];
+  assert.equal(expectedPageRows(1, { paginationLinks }), 100);
+  assert.equal(expectedPageRows(2, { paginationLinks }), 100);
+  assert.equal(expectedPageRows(3, { paginationLinks }), 50);
+
+  const previous = layoutList(40, [{ page: 1, rows: 40, tables: [] }]);
+  assert.equal(expectedPageRows(1, { previous, listUrl: 'https://www.enr.com/toplists/2025-Top-50-Contractors' }), 40);
+  assert.equal(expectedPageRows(1, { listUrl: 'https://www.enr.com/toplists/2025-Top-50-Contractors' }), 50);
+  assert.equal(expectedPageRows(1, { listUrl: 'https://www.enr.com/toplists/2025-Top-50-Contractors-Preview', preview: true }), null);
+  assert.equal(expectedPageRows(2, {}), null);
+});
+
+test('compareLayouts reports selector, header, table and row count drift', () => {
+  const ranking = headers => ({ headers, rows: 25, ranking: true });
+  const previous = {
+    crawlDate: '2025-06-01T00:00:00.000Z',
+    index: { strategy: 'div.linkArrow a', linkCount: 40 },
+    lists: {
+      a: layoutList(100, [{ page: 1, rows: 100, tables: [ranking(['RANK 2025', 'FIRM', 'REVENUE'])] }]),
+      b: layoutList(50, [{ page: 1, rows: 50, tables: [ranking(['RANK 2025', 'FIRM'])] }])
+    }
+  };
+  const current = {
+    crawlDate: '2025-07-01T00:00:00.000Z',
+    index: { strategy: 'fallback', linkCount: 12 },
+    lists: {
+      a: layoutList(100, [{ page: 1, rows: 100, tables: [ranking(['RANK 2025', 'FIRM', 'REVENUE $ MIL'])] }]),
+      b: layoutList(10, [{ page: 1, rows: 10, tables: [ranking(['RANK 2025', 'FIRM']), { headers: ['COMPANY', 'CITY'], rows: 40, ranking: false }] }]),
+      c: layoutList(0, [])
+    }
+  };
+
+  const drift = compareLayouts(previous, current);
+  assert.deepEqual(drift.map(entry => [entry.type, entry.severity, entry.slug]), [
+    ['index-strategy', 'error', undefined],
+    ['index-links', 'error', undefined],
+    ['headers', 'warning', 'a'],
+    ['unmatched-tables', 'warning', 'b'],
+    ['rows', 'error', 'b']
+  ]);
+  assert.equal(drift[2].message, 'a: columns changed (+REVENUE $ MIL, -REVENUE)');
+  assert.deepEqual(drift[3].to, ['COMPANY | CITY']);
+
+  assert.deepEqual(compareLayouts(previous, current, { minRowRatio: 0.1 }).map(entry => entry.type), [
+    'index-strategy', 'headers', 'unmatched-tables'
+  ]);
+  assert.deepEqual(compareLayouts(null, current), []);
+});
+
+test('a crawl keeps the layout, then reports drift and saves debug bundles for short and failed pages', async () => {
+  const config = mockConfig();
+  const outputDir = config.paths.outputDir;
+
+  await crawlENRToplists({ config, archive: false });
+  const baseline = loadLayout(outputDir);
+  assert.deepEqual(baseline.index.strategy, 'div.linkArrow a');
+  assert.equal(baseline.index.linkCount, 2);
+  const contractors = baseline.lists['2025-Top-60-Contractors-Preview'];
+  assert.equal(contractors.rowCount, 60);
+  assert.deepEqual(contractors.pages.map(page => page.rows), [25, 25, 10]);
+  assert.ok(contractors.pages[0].tables[0].headers.includes('FIRM'));
+  assert.equal(fs.existsSync(config.paths.debugDir), false);
+
+  // The contractors list shrinks, the design firms get new columns and their second page goes behind a paywall
+  lists[0].rows = 5;
+  lists[1].global = true;
+  gates['/toplists/2025-Top-30-Design-Firms-Preview?page=2'] = 'paywall';
+
+  const events = new EventEmitter();
+  const reports = [];
+  events.on('layout:drift', report => reports.push(report));
+  events.on('error', () => {});
+  await crawlENRToplists({ config, archive: false, events });
+
+  assert.equal(reports.length, 1);
+  assert.equal(reports[0].previousCrawlDate, baseline.crawlDate);
+  assert.deepEqual(reports[0].drift.map(entry => [entry.type, entry.slug]).sort(), [
+    ['headers', '2025-Top-30-Design-Firms-Preview'],
+    ['rows', '2025-Top-60-Contractors-Preview']
+  ]);
+
+  const [runDir] = fs.readdirSync(config.paths.debugDir).map(name => path.join(config.paths.debugDir, name));
+  const report = JSON.parse(fs.readFileSync(path.join(runDir, 'layout-drift.json'), 'utf8'));
+  assert.equal(report.drift.length, 2);
+
+  // Page 1 of the contractors came back with 5 of the 25 rows it had last time
+  const shortBundle = path.join(runDir, '2025-Top-60-Contractors-Preview', 'page-1');
+  const shortInfo = JSON.parse(fs.readFileSync(path.join(shortBundle, 'info.json'), 'utf8'));
+  assert.deepEqual([shortInfo.reason, shortInfo.rows, shortInfo.expected], ['short', 5, 25]);
+  assert.match(fs.readFileSync(path.join(shortBundle, 'page.html'), 'utf8'), /2025 Top 60 Contractors/);
+  assert.ok(JSON.parse(fs.readFileSync(path.join(shortBundle, 'headers.json'), 'utf8'))[0].headers.includes('FIRM'));
+  assert.match(fs.readFileSync(path.join(shortBundle, 'console.log'), 'utf8'), /Crawling: 2025 Top 60 Contractors/);
+
+  // The paywalled page failed, so its bundle holds the paywall
+  const failedBundle = path.join(runDir, '2025-Top-30-Design-Firms-Preview', 'page-2');
+  const failedInfo = JSON.parse(fs.readFileSync(path.join(failedBundle, 'info.json'), 'utf8'));
+  assert.deepEqual([failedInfo.reason, failedInfo.rows, failedInfo.expected], ['challenge', 0, 5]);
+  assert.match(fs.readFileSync(path.join(failedBundle, 'console.log'), 'utf8'), /Giving up on pagination page/);
+
+  assert.deepEqual(fs.readdirSync(runDir).sort(), [
+    '2025-Top-30-Design-Firms-Preview', '2025-Top-60-Contractors-Preview', 'layout-drift.json'
+  ]);
+});
@@ -0,0 +1,122 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCrawler, createMemorySink, crawlAll } = require('../controllers/library');
+const { createHttpFetcher } = require('../controllers/fetchers');
+const { createLogger } = require('../utils/logger');
+const { mockCrawlConfig, useMockServer } = require('./helpers/mock-crawl');
+
+const LISTS = [
+  { slug: '2025-Top-60-Contractors-Preview', title: '2025 Top 60 Contractors', date: 'May 19, 2025', rows: 60, year: 2025 },
+  { slug: '2025-Top-30-Design-Firms-Preview', title: '2025 Top 30 Design Firms', date: 'April 14, 2025', rows: 30, year: 2025 }
+];
+const GATED_PAGE = '/toplists/2025-Top-60-Contractors-Preview?page=3';
+
+let tmpDir;
+
+const mockServer = useMockServer({ lists: LISTS, pageSize: 25, gates: { [GATED_PAGE]: 'paywall' } });
+
+// A config aimed at the mock, without retries; the output folder is never created unless something writes files
+const mockConfig = () => mockCrawlConfig(mockServer.url, tmpDir, { crawl: { retries: 0 } });
+
+// A logger that keeps what it is given
+function memoryLogger(level) {
+  const messages = [];
+  const logger = createLogger({ level, sink: (messageLevel, message) => messages.push([messageLevel, message]) });
+  return { logger, messages };
+}
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'enr-library-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  mock.restoreAll();
+});
+
+test('the logger passes on what its level allows and rejects unknown levels', () => {
+  const { logger, messages } = memoryLogger('warn');
+  logger.error('broken');
+  logger.warn('careful');
+  logger.info('progress');
+  logger.debug('detail');
+  assert.deepEqual(messages, [['error', 'broken'], ['warn', 'careful']]);
+
+  const silent = memoryLogger('silent');
+  silent.logger.error('broken');
+  assert.deepEqual(silent.messages, []);
+
+  assert.throws(() => createLogger({ level: 'verbose' }), /Unknown log level: verbose/);
+});
+
+test('a crawler discovers lists and crawls one into a memory sink, reporting events instead of printing', async () => {
+  const sink = createMemorySink();
+  const { logger, messages } = memoryLogger('info');
+  const crawler = createCrawler({ config: mockConfig(), sink, logger });
+
+  const events = [];
+  ['list:start', 'page:done', 'list:done', 'challenge', 'error'].forEach(name => {
+    crawler.on(name, payload => events.push([name, payload]));
+  });
+
+  const lists = await crawler.discoverLists();
+  assert.deepEqual(lists.map(list => [list.slug, list.title, list.date]), [
+    ['2025-Top-60-Contractors-Preview', '2025 Top 60 Contractors', 'May 19, 2025'],
+    ['2025-Top-30-Design-Firms-Preview', '2025 Top 30 Design Firms', 'April 14, 2025']
+  ]);
+
+  const result = await crawler.crawlList('2025-Top-30-Design-Firms-Preview');
+  assert.equal(result.rowCount, 30);
+  assert.deepEqual(sink.lists.map(list => list.rowCount), [30]);
+  assert.deepEqual([sink.summary.totalLists, sink.summary.totalRows], [1, 30]);
+
+  assert.deepEqual(events.map(([name, payload]) => [name, payload.page || payload.slug || payload.listName]), [
+    ['list:start', '2025-Top-30-Design-Firms-Preview'],
+    ['page:done', 1],
+    ['page:done', 2],
+    ['list:done', '2025 Top 30 Design Firms']
+  ]);
+  assert.deepEqual(events.filter(([name]) => name === 'page:done').map(([, payload]) => payload.rows), [25, 5]);
+
+  // Progress went to the logger, and nothing was written to disk
+  assert.ok(messages.some(([, message]) => message.includes('Crawling: 2025 Top 30 Design Firms')));
+  assert.equal(console.log.mock.callCount(), 0);
+  assert.equal(fs.existsSync(path.join(tmpDir, 'out')), false);
+});
+
+test('a crawl on a page the caller holds reports failed pages as error events and leaves the page open', async () => {
+  const config = mockConfig();
+  const fetcher = createHttpFetcher(config);
+  const page = await fetcher.open();
+  const sink = createMemorySink();
+  const events = new EventEmitter();
+  const errors = [];
+  const challenges = [];
+  events.on('error', payload => errors.push(payload));
+  events.on('challenge', payload => challenges.push(payload));
+
+  try {
+    const results = await crawlAll({ config, page, sink, events, logger: createLogger({ level: 'silent' }) });
+    assert.deepEqual(results.map(result => result.rowCount), [50, 30]);
+    assert.deepEqual(results[0].failedPages, [`${mockServer.url}${GATED_PAGE}`]);
+
+    assert.deepEqual(challenges.map(challenge => [challenge.url, challenge.type, challenge.passed]), [
+      [`${mockServer.url}${GATED_PAGE}`, 'paywall', false]
+    ]);
+    assert.deepEqual(errors.map(error => [error.page, error.reason, error.challengeType]), [[3, 'challenge', 'paywall']]);
+    assert.equal(errors[0].error.code, 'CHALLENGE');
+    assert.deepEqual(sink.summary.failures.map(failure => failure.page), [3]);
+
+    // The caller's page is still usable
+    await page.goto(`${mockServer.url}/toplists`);
+    assert.match(await page.content(), /2025 Top 60 Contractors/);
+  } finally {
+    await fetcher.close();
+  }
+});
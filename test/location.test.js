@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFirmCell, toStateCode } = require('../utils/location');
+
+test('parseFirmCell splits US firms into city and USPS state code', () => {
+  assert.deepEqual(parseFirmCell('Kiewit Corp., Omaha, Neb.'), {
+    name: 'Kiewit Corp.',
+    location: 'Omaha, Neb.',
+    city: 'Omaha',
+    state: 'NE',
+    country: 'United States',
+    confidence: 'high'
+  });
+
+  const dc = parseFirmCell('Clark Construction Group, Washington, D.C.');
+  assert.equal(dc.city, 'Washington');
+  assert.equal(dc.state, 'DC');
+
+  assert.equal(parseFirmCell('Turner Corp., Charleston, W. Va.').state, 'WV');
+});
+
+test('parseFirmCell keeps commas that belong to the firm name', () => {
+  const firm = parseFirmCell('Skanska USA, Inc., New York, N.Y.');
+  assert.equal(firm.name, 'Skanska USA, Inc.');
+  assert.equal(firm.city, 'New York');
+  assert.equal(firm.state, 'NY');
+});
+
+test('parseFirmCell reads countries and Canadian provinces', () => {
+  const wsp = parseFirmCell('WSP Global Inc., Montreal, Quebec, Canada');
+  assert.equal(wsp.name, 'WSP Global Inc.');
+  assert.equal(wsp.city, 'Montreal');
+  assert.equal(wsp.state, 'QC');
+  assert.equal(wsp.country, 'Canada');
+
+  const jacobs = parseFirmCell('Jacobs Solutions Inc., Dallas, Texas, U.S.A.');
+  assert.equal(jacobs.location, 'Dallas, Texas, U.S.A.');
+  assert.equal(jacobs.state, 'TX');
+  assert.equal(jacobs.country, 'United States');
+
+  const power = parseFirmCell('Power Construction Corp. of China, Beijing, China');
+  assert.deepEqual([power.city, power.state, power.country], ['Beijing', null, 'China']);
+});
+
+test('parseFirmCell reports how sure it is', () => {
+  assert.equal(parseFirmCell('AECOM').confidence, 'none');
+  assert.equal(parseFirmCell('Bechtel, Texas').confidence, 'medium');
+
+  const guess = parseFirmCell('Gensler, San Francisco');
+  assert.equal(guess.confidence, 'low');
+  assert.equal(guess.city, 'San Francisco');
+  assert.equal(guess.state, null);
+});
+
+test('toStateCode accepts AP abbreviations, full names and USPS codes', () => {
+  assert.equal(toStateCode('Calif.'), 'CA');
+  assert.equal(toStateCode('texas'), 'TX');
+  assert.equal(toStateCode('NY'), 'NY');
+  assert.equal(toStateCode('Quebec'), null);
+});
@@ -0,0 +1,173 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { saveListFile, saveSummary } = require('../controllers/crawler');
+const { loadDataset } = require('../controllers/dataset');
+const { migrateListFile, checkDataDir, migrateDataDir, BACKUP_DIR } = require('../controllers/migrate');
+const { SCHEMA_VERSION, listFileData, listFileProblems, summaryProblems } = require('../controllers/output');
+const { validateSchema } = require('../utils/json-schema');
+
+// A list file as the first crawler wrote it: string headers, rows keyed by header text in cell order,
+// the current rank under whichever year the page printed and a file name taken from the list title
+const legacyList = () => ({
+  crawlDate: '2025-12-15T20:47:05.745Z',
+  listName: 'View Rankings',
+  url: 'https://www.enr.com/toplists/2025-Top-100-CM-at-Risk-Firms-Preview',
+  totalRows: 3,
+  paginatedPages: 1,
+  headers: ['RANK 2025', 'RANK 2024', 'Company Name', 'Location'],
+  data: [
+    { 'Company Name': 'Turner Construction Co.', Location: 'New York, N.Y.', 'RANK 2025': '1', 'RANK 2024': '1' },
+    { 'Company Name': 'Power Construction Corp. of China', Location: 'Beijing, China†', 'RANK 2025': '2', 'RANK 2024': '**' },
+    { 'Company Name': 'Gilbane Building Co.', Location: 'Providence, R.I.', 'RANK 2025': '3', 'RANK 2024': '4' }
+  ]
+});
+
+const legacySummary = () => ({
+  crawlDate: '2025-12-15T20:47:05.748Z',
+  totalLists: 1,
+  totalRows: 3,
+  files: [{
+    filename: 'View-Rankings.json',
+    listName: 'View Rankings',
+    url: 'https://www.enr.com/toplists/2025-Top-100-CM-at-Risk-Firms-Preview',
+    rowCount: 3,
+    paginatedPages: 1
+  }]
+});
+
+// A crawl result as saveListFile receives it
+const crawled = () => ({
+  listName: '2025 Top 100 CM At Risk Firms',
+  url: 'https://www.enr.com/toplists/2025-Top-100-CM-at-Risk-Firms-Preview',
+  source: 'enr',
+  rankYears: { current: 2025, previous: 2024 },
+  headers: [
+    { key: 'rankCurrent', label: 'RANK 2025', type: 'rank' },
+    { key: 'Company Name', label: 'FIRM', type: 'text' },
+    { key: 'totalRevenue', label: 'TOTAL REVENUE', type: 'currency' }
+  ],
+  data: [{ totalRevenue: 16500.1, 'Company Name': 'Turner Construction Co.', rankCurrent: 1 }],
+  rowCount: 1,
+  paginatedPages: 1
+});
+
+let tmpDir;
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'enr-migrate-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  mock.restoreAll();
+});
+
+const writeJson = (name, data) => fs.writeFileSync(path.join(tmpDir, name), JSON.stringify(data, null, 2));
+const readJson = name => JSON.parse(fs.readFileSync(path.join(tmpDir, name), 'utf8'));
+
+test('validateSchema reports each problem with the JSON pointer of the value', () => {
+  const schema = {
+    type: 'object',
+    required: ['name'],
+    additionalProperties: false,
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      ranks: { type: 'array', items: { $ref: '#/$defs/rank' } }
+    },
+    $defs: { rank: { type: ['integer', 'null'], minimum: 1 } }
+  };
+
+  assert.deepEqual(validateSchema(schema, { name: 'Top 400', ranks: [1, null], skipped: undefined }), []);
+  assert.deepEqual(validateSchema(schema, { ranks: [1, 0, 2.5], extra: true }), [
+    { path: '/', message: 'is missing "name"' },
+    { path: '/ranks/1', message: 'must be at least 1' },
+    { path: '/ranks/2', message: 'must be integer or null, got number' },
+    { path: '/extra', message: 'is not allowed' }
+  ]);
+});
+
+test('list files get a schema version and header-ordered rows, and invalid ones are never written', () => {
+  const filepath = saveListFile(crawled(), tmpDir);
+  const saved = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  assert.equal(saved.schemaVersion, SCHEMA_VERSION);
+  assert.deepEqual(Object.keys(saved.data[0]), ['rankCurrent', 'Company Name', 'totalRevenue']);
+  assert.deepEqual(listFileProblems(saved), []);
+
+  const broken = { ...crawled(), url: 'https://www.enr.com/toplists/broken', data: [{ 'Company Name': 'X', rankCurrent: '1' }] };
+  assert.throws(() => saveListFile(broken, tmpDir), error =>
+    error.code === 'INVALID_OUTPUT' && error.problems.some(problem => problem.path === '/data/0/rankCurrent'));
+  assert.equal(fs.existsSync(path.join(tmpDir, 'broken.json')), false);
+
+  const summary = saveSummary([crawled()], tmpDir);
+  assert.equal(summary.schemaVersion, SCHEMA_VERSION);
+  assert.deepEqual(summaryProblems(summary), []);
+});
+
+test('listFileProblems catches what the schema alone cannot', () => {
+  const data = listFileData(crawled(), '2025-12-15T20:47:05.745Z');
+  data.totalRows = 2;
+  data.data.push({ 'Company Name': 'Gilbane Building Co.', rankCurrent: 2, employees: 3000 });
+  data.data.push({ totalRevenue: 1, 'Company Name': 'Skanska USA', rankCurrent: 3 });
+
+  assert.deepEqual(listFileProblems(data).map(problem => `${problem.path} ${problem.message}`), [
+    '/totalRows is 2 but there are 3 rows',
+    '/data/1 has keys missing from headers: employees',
+    '/data/2 has its keys out of header order'
+  ]);
+});
+
+test('migrateListFile rebuilds legacy rows the way a crawl writes them today', () => {
+  const migrated = migrateListFile(legacyList());
+
+  assert.equal(migrated.schemaVersion, SCHEMA_VERSION);
+  assert.equal(migrated.listName, '2025 Top 100 CM At Risk Firms');
+  assert.equal(migrated.crawlDate, '2025-12-15T20:47:05.745Z');
+  assert.deepEqual(migrated.rankYears, { current: 2025, previous: 2024 });
+  assert.deepEqual(migrated.data.map(row => [row.rankCurrent, row.rankPrevious, row['Company Name'], row.country]), [
+    [1, 1, 'Turner Construction Co.', 'United States'],
+    [2, null, 'Power Construction Corp. of China', 'China'],
+    [3, 4, 'Gilbane Building Co.', 'United States']
+  ]);
+  assert.deepEqual(migrated.data[1].footnotes, { rankPrevious: ['**'], firm: ['†'] });
+  assert.deepEqual(listFileProblems(migrated), []);
+  assert.equal(migrateListFile(migrated), migrated);
+
+  assert.throws(() => migrateListFile({ ...migrated, schemaVersion: SCHEMA_VERSION + 1 }), error => error.code === 'SCHEMA_TOO_NEW');
+});
+
+test('migrateDataDir upgrades a folder in place, renames files to their slug and keeps the originals', () => {
+  writeJson('View-Rankings.json', legacyList());
+  writeJson('summary.json', legacySummary());
+  writeJson('firms.json', { firms: [] });
+
+  assert.deepEqual(checkDataDir(tmpDir).map(check => [check.file, check.version]), [
+    ['View-Rankings.json', 0],
+    ['summary.json', 0]
+  ]);
+  // Old folders stay readable before they are migrated
+  assert.equal(loadDataset(tmpDir)[0].list.data[0].rankCurrent, 1);
+
+  const dryRun = migrateDataDir(tmpDir, { dryRun: true });
+  assert.deepEqual(dryRun.migrated.map(entry => entry.to), ['2025-Top-100-CM-at-Risk-Firms-Preview.json']);
+  assert.equal(fs.existsSync(path.join(tmpDir, BACKUP_DIR)), false);
+
+  const report = migrateDataDir(tmpDir);
+  assert.equal(report.summary, true);
+  assert.deepEqual(fs.readdirSync(report.backupDir).sort(), ['View-Rankings.json', 'summary.json']);
+  assert.equal(fs.existsSync(path.join(tmpDir, 'View-Rankings.json')), false);
+  assert.deepEqual(readJson('firms.json'), { firms: [] });
+
+  const summary = readJson('summary.json');
+  assert.equal(summary.schemaVersion, SCHEMA_VERSION);
+  assert.deepEqual(summary.files.map(entry => [entry.filename, entry.listName, entry.rowCount]), [
+    ['2025-Top-100-CM-at-Risk-Firms-Preview.json', '2025 Top 100 CM At Risk Firms', 3]
+  ]);
+  assert.deepEqual(checkDataDir(tmpDir), []);
+
+  const again = migrateDataDir(tmpDir);
+  assert.deepEqual([again.migrated.length, again.current, again.summary], [0, 1, false]);
+});
@@ -0,0 +1,155 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { parseSnapshots, STAGING_DIR } = require('../controllers/crawler');
+const { loadDataset } = require('../controllers/dataset');
+const { CRAWLER_VERSION, contentHash, listFileProblems } = require('../controllers/output');
+const { writeFileAtomic, TMP_DIR } = require('../utils/files');
+
+const SNAPSHOT_DIR = path.join(__dirname, 'fixtures', 'snapshots');
+const TOP_500 = '2025-Top-500-Design-Firms-Preview.json';
+
+let tmpDir;
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'enr-output-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  mock.restoreAll();
+});
+
+const readJson = name => JSON.parse(fs.readFileSync(path.join(tmpDir, name), 'utf8'));
+
+test('writeFileAtomic replaces the file whole and leaves no temp files, even when the rename fails', () => {
+  const target = path.join(tmpDir, 'list.json');
+  fs.writeFileSync(target, 'old');
+  writeFileAtomic(target, 'new');
+  assert.equal(fs.readFileSync(target, 'utf8'), 'new');
+  assert.equal(fs.existsSync(path.join(tmpDir, TMP_DIR)), false);
+
+  // A folder in the way makes the rename fail after the temp file was written
+  fs.mkdirSync(path.join(tmpDir, 'taken.json', 'inside'), { recursive: true });
+  assert.throws(() => writeFileAtomic(path.join(tmpDir, 'taken.json'), 'data'));
+  assert.equal(fs.existsSync(path.join(tmpDir, TMP_DIR)), false);
+});
+
+test('list files record where their rows came from and a hash of their contents', async () => {
+  await parseSnapshots(SNAPSHOT_DIR, { outputDir: tmpDir });
+
+  const list = readJson(TOP_500);
+  assert.deepEqual(list.provenance, {
+    crawlerVersion: CRAWLER_VERSION,
+    backend: 'snapshot',
+    pages: [
+      { page: 1, url: 'https://www.enr.com/toplists/2025-Top-500-Design-Firms-Preview', fetchedAt: '2025-12-15T20:40:00.000Z' },
+      { page: 2, url: 'https://www.enr.com/toplists/2025-Top-500-Design-Firms-Preview2', fetchedAt: '2025-12-15T20:40:00.000Z' }
+    ]
+  });
+  assert.equal(list.contentHash, contentHash(list));
+  assert.deepEqual(listFileProblems(list), []);
+
+  const entry = readJson('summary.json').files.find(file => file.filename === TOP_500);
+  assert.equal(entry.contentHash, list.contentHash);
+
+  // When and how a list was crawled is not part of its contents
+  const recrawled = { ...list, crawlDate: new Date().toISOString(), provenance: { ...list.provenance, backend: 'http' } };
+  recrawled.quality = { ...list.quality, checkedAt: new Date().toISOString() };
+  assert.equal(contentHash(recrawled), list.contentHash);
+  assert.notEqual(contentHash({ ...list, data: list.data.slice(1) }), list.contentHash);
+});
+
+test('a re-run only rewrites the files whose data changed', async () => {
+  await parseSnapshots(SNAPSHOT_DIR, { outputDir: tmpDir });
+  const before = {
+    list: fs.readFileSync(path.join(tmpDir, TOP_500), 'utf8'),
+    summary: fs.readFileSync(path.join(tmpDir, 'summary.json'), 'utf8')
+  };
+
+  // Same snapshots, same data: nothing is rewritten, so the crawlDates stay those of the first run
+  await parseSnapshots(SNAPSHOT_DIR, { outputDir: tmpDir });
+  assert.equal(fs.readFileSync(path.join(tmpDir, TOP_500), 'utf8'), before.list);
+  assert.equal(fs.readFileSync(path.join(tmpDir, 'summary.json'), 'utf8'), before.summary);
+  const logged = console.log.mock.calls.map(call => call.arguments.join(' '));
+  assert.ok(logged.some(line => line.includes(`Unchanged: ${tmpDir}/${TOP_500}`)));
+
+  // A file whose data differs from what the crawl finds is replaced
+  const stale = JSON.parse(before.list);
+  stale.data = stale.data.slice(1);
+  stale.contentHash = contentHash(stale);
+  fs.writeFileSync(path.join(tmpDir, TOP_500), JSON.stringify(stale));
+
+  await parseSnapshots(SNAPSHOT_DIR, { outputDir: tmpDir, only: '2025-Top-500-Design-Firms-Preview' });
+  const rewritten = readJson(TOP_500);
+  assert.equal(rewritten.contentHash, JSON.parse(before.list).contentHash);
+  assert.equal(rewritten.data.length, JSON.parse(before.list).data.length);
+  assert.equal(fs.existsSync(path.join(tmpDir, TMP_DIR)), false);
+});
+
+// Turns the saved folder into an older run of the same lists: one row fewer in each, summary.json to match
+function makePreviousRun() {
+  const summary = readJson('summary.json');
+  summary.files.forEach(entry => {
+    const list = readJson(entry.filename);
+    list.data = list.data.slice(1);
+    list.totalRows = list.data.length;
+    list.contentHash = contentHash(list);
+    fs.writeFileSync(path.join(tmpDir, entry.filename), JSON.stringify(list));
+    Object.assign(entry, { contentHash: list.contentHash, rowCount: list.totalRows });
+  });
+  fs.writeFileSync(path.join(tmpDir, 'summary.json'), JSON.stringify(summary));
+  return summary.files.map(entry => entry.rowCount);
+}
+
+const savedRowCounts = () => loadDataset(tmpDir).map(({ list }) => list.data.length);
+
+test('a run that stops before its summary is saved leaves the previous run in place', async () => {
+  await parseSnapshots(SNAPSHOT_DIR, { outputDir: tmpDir });
+  const previous = makePreviousRun();
+  const fresh = previous.map(rows => rows + 1);
+
+  // Both lists are saved, then the run dies before it gets to summary.json
+  const events = new EventEmitter();
+  let done = 0;
+  events.on('list:done', () => {
+    if (++done === 2) throw new Error('killed');
+  });
+  await assert.rejects(parseSnapshots(SNAPSHOT_DIR, { outputDir: tmpDir, events }), /killed/);
+
+  assert.equal(fs.readdirSync(path.join(tmpDir, STAGING_DIR)).length, 2);
+  assert.deepEqual(savedRowCounts(), previous);
+
+  // The next run drops what was left staged and saves the whole run
+  await parseSnapshots(SNAPSHOT_DIR, { outputDir: tmpDir });
+  assert.deepEqual(savedRowCounts(), fresh);
+  assert.equal(fs.existsSync(path.join(tmpDir, STAGING_DIR)), false);
+});
+
+test('readers refuse a folder whose run died while its files were being moved in', async () => {
+  await parseSnapshots(SNAPSHOT_DIR, { outputDir: tmpDir });
+  const previous = makePreviousRun();
+
+  // The first staged list is moved in, then the second move fails: summary.json is still the previous run's
+  const renameSync = fs.renameSync;
+  let moves = 0;
+  mock.method(fs, 'renameSync', (from, to) => {
+    if (path.basename(path.dirname(from)) === STAGING_DIR && ++moves === 2) {
+      throw new Error('killed');
+    }
+    return renameSync(from, to);
+  });
+  await assert.rejects(parseSnapshots(SNAPSHOT_DIR, { outputDir: tmpDir }), /killed/);
+  fs.renameSync.mock.restore();
+
+  assert.equal(readJson('summary.json').files[0].rowCount, previous[0]);
+  assert.throws(() => loadDataset(tmpDir), error => error.code === 'INCOMPLETE_SAVE' && error.files.length === 1);
+
+  // Saving the run again puts the folder back together
+  await parseSnapshots(SNAPSHOT_DIR, { outputDir: tmpDir });
+  assert.deepEqual(savedRowCounts(), previous.map(rows => rows + 1));
+});
@@ -0,0 +1,110 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const {
+  getToplistLinks,
+  getPaginationLinks,
+  extractTableData
+} = require('../controllers/crawler');
+const { createSnapshotPage } = require('../controllers/snapshots');
+
+const SNAPSHOT_DIR = path.join(__dirname, 'fixtures', 'snapshots');
+const TOP_500_URL = 'https://www.enr.com/toplists/2025-Top-500-Design-Firms-Preview';
+const GLOBAL_150_URL = 'https://www.enr.com/toplists/2024-Top-150-Global-Design-Firms-Preview';
+
+let page;
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  page = createSnapshotPage(SNAPSHOT_DIR);
+});
+
+afterEach(async () => {
+  await page.close();
+  mock.restoreAll();
+});
+
+test('getToplistLinks finds each list once from the toplists index', async () => {
+  await page.goto('https://www.enr.com/toplists');
+  const links = await getToplistLinks(page);
+
+  assert.deepEqual(links.map(link => link.href), [TOP_500_URL, GLOBAL_150_URL]);
+});
+
+test('getToplistLinks reads the title and date from each index card', async () => {
+  await page.goto('https://www.enr.com/toplists');
+  const [first] = await getToplistLinks(page);
+
+  assert.equal(first.text, 'View Rankings');
+  assert.equal(first.title, '2025 Top 500 Design Firms');
+  assert.equal(first.date, 'June 10, 2025');
+});
+
+test('getPaginationLinks reads the pagination table', async () => {
+  await page.goto(TOP_500_URL);
+  const links = await getPaginationLinks(page);
+
+  assert.deepEqual(links, [{ href: `${TOP_500_URL}2`, text: '4-5' }]);
+});
+
+test('getPaginationLinks returns nothing for single-page lists', async () => {
+  await page.goto(GLOBAL_150_URL);
+  assert.deepEqual(await getPaginationLinks(page), []);
+});
+
+test('extractTableData flattens grouped headers and types every column', async () => {
+  await page.goto(TOP_500_URL);
+  const result = await extractTableData(page, TOP_500_URL);
+
+  assert.equal(result.tablesFound, 1);
+  assert.deepEqual(result.rankYears, { current: 2025, previous: 2024 });
+  assert.deepEqual(result.headers.map(h => h.key), [
+    'rankCurrent', 'rankPrevious', 'Company Name', 'Location', 'city', 'state', 'country', 'locationConfidence',
+    'totalRevenue', 'intlRevenue', 'pctGeneralBuilding', 'pctTransportation', 'pctPower'
+  ]);
+  assert.equal(result.headers[8].label, '2024 REVENUE $ MIL. TOTAL');
+
+  assert.deepEqual(result.data[0], {
+    rankCurrent: 1,
+    rankPrevious: 1,
+    'Company Name': 'AECOM',
+    Location: 'Dallas, Texas',
+    city: 'Dallas',
+    state: 'TX',
+    country: 'United States',
+    locationConfidence: 'high',
+    totalRevenue: 6081.6,
+    intlRevenue: 2120.3,
+    pctGeneralBuilding: 37,
+    pctTransportation: 32,
+    pctPower: 4
+  });
+});
+
+test('extractTableData records footnotes and "**" ranks as flags', async () => {
+  await page.goto(TOP_500_URL);
+  const { data } = await extractTableData(page, TOP_500_URL);
+
+  assert.deepEqual(data[1].footnotes, { firm: ['1'] });
+  assert.equal(data[1].Location, 'Dallas, Texas');
+  assert.equal(data[1].pctPower, null);
+
+  assert.equal(data[2].rankPrevious, null);
+  assert.deepEqual(data[2].footnotes, { rankPrevious: ['**'] });
+});
+
+test('extractTableData uses the years printed in the headers for 2024 lists', async () => {
+  await page.goto(GLOBAL_150_URL);
+  const result = await extractTableData(page, GLOBAL_150_URL);
+
+  assert.deepEqual(result.rankYears, { current: 2024, previous: 2023 });
+  assert.equal(result.data[1].rankCurrent, 2);
+  assert.equal(result.data[1].rankPrevious, 3);
+  assert.equal(result.data[1].intlPct, 30);
+  assert.deepEqual(result.data[0].footnotes, { firm: ['†'] });
+  assert.equal(result.data[0].city, 'Beijing');
+  assert.equal(result.data[0].country, 'China');
+  assert.equal(result.data[1]['Company Name'], 'Jacobs Solutions Inc.');
+  assert.equal(result.data[1].state, 'TX');
+  assert.equal(result.data[1].country, 'United States');
+});
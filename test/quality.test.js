@@ -0,0 +1,88 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkList, declaredListSize, validateResult, qualityFailures } = require('../controllers/quality');
+const { extractTableData } = require('../controllers/crawler');
+const { createDomPage } = require('../utils/dom-page');
+
+const row = (rankCurrent, name, location = 'Dallas, Texas') => ({ rankCurrent, 'Company Name': name, Location: location });
+
+test('declaredListSize reads the size from the title or slug', () => {
+  assert.equal(declaredListSize('View Rankings', 'https://www.enr.com/toplists/2025-Top-500-Design-Firms-Preview'), 500);
+  assert.equal(declaredListSize('ENR Top 400 Contractors'), 400);
+  assert.equal(declaredListSize('Sourcebook'), null);
+});
+
+test('checkList drops exact repeats and empty rows but only reports other duplicates', () => {
+  const rows = [
+    row(1, 'AECOM'),
+    row(2, 'Jacobs'),
+    row(1, 'AECOM'),
+    { rankCurrent: null, 'Company Name': '', Location: '' },
+    row(3, 'Jacobs Inc.')
+  ];
+  const { data, report } = checkList(rows);
+
+  assert.deepEqual(data.map(r => r['Company Name']), ['AECOM', 'Jacobs', 'Jacobs Inc.']);
+  assert.deepEqual(report.removed, { duplicateRows: 1, emptyRows: 1 });
+  assert.equal(report.status, 'error');
+
+  const duplicate = report.issues.find(issue => issue.type === 'duplicate-firm');
+  assert.deepEqual(duplicate.rows, [2, 3]);
+});
+
+test('checkList finds rank gaps, ties and ranks going backwards', () => {
+  const { report } = checkList([
+    row(1, 'A'), row(2, 'B'), row(2, 'C'), row(4, 'D'), row(7, 'E'), row(5, 'F')
+  ]);
+  const byType = type => report.issues.filter(issue => issue.type === type);
+
+  // 2, 2 is followed by 4 (no gap); 4 -> 7 skips 5-6
+  assert.deepEqual(byType('rank-gap').map(i => i.ranks), [[5, 6]]);
+  assert.deepEqual(byType('tied-rank').map(i => i.ranks), [[2]]);
+  assert.deepEqual(byType('non-monotonic-rank').map(i => i.rows), [[6]]);
+});
+
+test('checkList compares the row count with the declared size', () => {
+  const rows = [row(1, 'A'), row(2, 'B'), row(3, 'C')];
+
+  assert.equal(checkList(rows, { declaredSize: 2 }).report.status, 'error');
+  assert.equal(checkList(rows, { declaredSize: 5 }).report.status, 'warning');
+  assert.equal(checkList(rows, { declaredSize: 5, preview: true }).report.status, 'ok');
+  assert.equal(checkList(rows, { declaredSize: 3 }).report.issues.length, 0);
+});
+
+test('validateResult updates the row count and flags failing lists for --strict', () => {
+  const result = validateResult({
+    listName: 'View Rankings',
+    url: 'https://www.enr.com/toplists/2025-Top-2-Contractors',
+    data: [row(1, 'A'), row(2, 'B'), row(2, 'B'), row(3, 'C')],
+    rowCount: 4
+  });
+
+  assert.equal(result.rowCount, 3);
+  assert.equal(result.quality.declaredSize, 2);
+  assert.deepEqual(qualityFailures([result]).map(r => r.url), ['https://www.enr.com/toplists/2025-Top-2-Contractors']);
+});
+
+test('a crawled row with an empty FIRM cell is kept and fails the checks', async () => {
+  mock.method(console, 'log', () => {});
+  const url = 'https://www.enr.com/toplists/2024-Top-150-Global-Design-Firms-Preview';
+  const page = createDomPage(async () => ({ url, html: `<html><body><table>
+    <thead><tr><th data-label="RANK 2024">RANK</th><th data-label="RANK 2023">RANK</th><th>FIRM</th><th>2023 TOTAL REVENUE ($ MIL)</th></tr></thead>
+    <tbody>
+      <tr><td>1</td><td>1</td><td>Power Construction Corp. of China, Beijing, China</td><td>7,812.4</td></tr>
+      <tr><td>2</td><td>3</td><td></td><td>7,100.0</td></tr>
+      <tr><td></td><td></td><td></td><td></td></tr>
+    </tbody>
+  </table></body></html>` }));
+
+  await page.goto(url);
+  const { data } = await extractTableData(page, url);
+  assert.equal(data.length, 3);
+
+  const { quality } = validateResult({ listName: '2024 Top 150 Global Design Firms', url, data });
+  assert.deepEqual(quality.removed, { duplicateRows: 0, emptyRows: 1 });
+  assert.deepEqual(quality.issues.filter(issue => issue.type === 'empty-name').map(issue => issue.rows), [[2]]);
+  assert.equal(quality.status, 'error');
+  mock.restoreAll();
+});
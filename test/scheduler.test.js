@@ -0,0 +1,171 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { crawlENRToplists } = require('../controllers/crawler');
+const {
+  parseCrawlDelay,
+  createRateLimiter,
+  backoffDelay,
+  withRetry,
+  runPool
+} = require('../controllers/scheduler');
+const { DEFAULT_CONFIG } = require('../utils/config');
+const { createMockEnrServer } = require('../mock/enr-server');
+
+const TOP_500 = '/toplists/2025-Top-500-Design-Firms-Preview';
+
+let tmpDir;
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'enr-scheduler-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  mock.restoreAll();
+});
+
+// Runs a crawl of the Top 500 list against a fresh mock server; resolves to { results, requests, summary }
+async function crawlMock(mockOptions, crawlSettings = {}) {
+  const app = createMockEnrServer(mockOptions);
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://localhost:${server.address().port}`;
+
+  const config = JSON.parse(JSON.stringify(DEFAULT_CONFIG));
+  config.fetcher.backend = 'http';
+  config.site = { homeUrl: `${baseUrl}/`, toplistsUrl: `${baseUrl}/toplists` };
+  config.paths.outputDir = path.join(tmpDir, 'out');
+  config.paths.cookiesPath = path.join(tmpDir, 'cookies.json');
+  config.paths.debugDir = path.join(tmpDir, 'debug');
+  Object.keys(config.delays).forEach(key => { config.delays[key] = 0; });
+  Object.assign(config.crawl, { requestInterval: 0, retryDelay: 1 }, crawlSettings);
+
+  try {
+    const results = await crawlENRToplists({ config, only: '2025-Top-500-Design-Firms-Preview', archive: false });
+    const summary = JSON.parse(fs.readFileSync(path.join(config.paths.outputDir, 'summary.json'), 'utf8'));
+    return { results, requests: app.locals.requests, summary };
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test('parseCrawlDelay prefers a group naming the user agent over "*"', () => {
+  const robots = [
+    'User-agent: Googlebot',
+    'Crawl-delay: 1',
+    '',
+    'User-agent: EnrBot',
+    'User-agent: OtherBot',
+    'Crawl-delay: 5 # be gentle',
+    '',
+    'User-agent: *',
+    'Disallow: /admin',
+    'Crawl-delay: 2.5'
+  ].join('\n');
+
+  assert.equal(parseCrawlDelay(robots, 'Mozilla/5.0 Chrome/120'), 2.5);
+  assert.equal(parseCrawlDelay(robots, 'Mozilla/5.0 (compatible; EnrBot/1.0)'), 5);
+  assert.equal(parseCrawlDelay('User-agent: *\nDisallow:', 'x'), null);
+  assert.equal(parseCrawlDelay('', 'x'), null);
+});
+
+test('the rate limiter spaces requests to one host but not across hosts', async () => {
+  const limiter = createRateLimiter({ interval: 60 });
+  const started = Date.now();
+  const times = [];
+
+  await Promise.all([
+    limiter.wait('https://www.enr.com/a').then(() => times.push(['enr', Date.now() - started])),
+    limiter.wait('https://www.enr.com/b').then(() => times.push(['enr', Date.now() - started])),
+    limiter.wait('https://example.com/').then(() => times.push(['other', Date.now() - started]))
+  ]);
+
+  const enr = times.filter(([host]) => host === 'enr').map(([, at]) => at);
+  const other = times.find(([host]) => host === 'other')[1];
+  assert.ok(enr[1] - enr[0] >= 55, `expected a gap, got ${enr}`);
+  assert.ok(other < 50, `other host should not wait, waited ${other}ms`);
+});
+
+test('the rate limiter raises the interval to the robots.txt crawl delay', async () => {
+  const loadRobots = mock.fn(async () => 0.08);
+  const limiter = createRateLimiter({ interval: 10, loadRobots });
+  const started = Date.now();
+
+  await limiter.wait('https://www.enr.com/');
+  await limiter.wait('https://www.enr.com/toplists');
+
+  assert.ok(Date.now() - started >= 75);
+  assert.equal(loadRobots.mock.callCount(), 1);
+});
+
+test('withRetry backs off exponentially and only retries retryable errors', async () => {
+  assert.deepEqual([0, 1, 2, 3, 4].map(attempt => backoffDelay(attempt, 1000, 5000)), [1000, 2000, 4000, 5000, 5000]);
+
+  const delays = [];
+  let calls = 0;
+  const value = await withRetry(async () => {
+    calls++;
+    if (calls < 3) {
+      const error = new Error('Navigation timeout of 60000 ms exceeded');
+      error.name = 'TimeoutError';
+      throw error;
+    }
+    return 'loaded';
+  }, { retries: 3, baseDelay: 1, onRetry: (error, retry, delay) => delays.push(delay) });
+
+  assert.equal(value, 'loaded');
+  assert.deepEqual(delays, [1, 2]);
+
+  calls = 0;
+  await assert.rejects(withRetry(async () => {
+    calls++;
+    throw new Error('Toplist markup changed');
+  }, { retries: 3, baseDelay: 1 }), error => error.attempts === 1);
+  assert.equal(calls, 1);
+});
+
+test('runPool keeps item order while workers share the queue', async () => {
+  const seen = [];
+  const results = await runPool([30, 5, 10, 1], ['tab-a', 'tab-b'], async (ms, tab, index) => {
+    await new Promise(resolve => setTimeout(resolve, ms));
+    seen.push(tab);
+    return index * 10;
+  });
+
+  assert.deepEqual(results, [0, 10, 20, 30]);
+  assert.ok(seen.includes('tab-a') && seen.includes('tab-b'));
+});
+
+test('pages that fail transiently are retried until they load', async () => {
+  const { results, requests, summary } = await crawlMock({ faults: { [`${TOP_500}?page=2`]: 2 } }, { retries: 3 });
+
+  assert.equal(results[0].rowCount, 120);
+  assert.equal(results[0].failedPages, undefined);
+  assert.equal(requests.filter(request => request.url === `${TOP_500}?page=2`).length, 3);
+  assert.equal(summary.failures, undefined);
+});
+
+test('pages that keep failing are reported and the rest of the list is kept', async () => {
+  const { results, summary } = await crawlMock({ faults: { [`${TOP_500}?page=3`]: 10 } }, { retries: 1 });
+
+  assert.equal(results[0].rowCount, 100);
+  assert.deepEqual(results[0].failedPages, [`${summary.files[0].url}?page=3`]);
+  assert.deepEqual(summary.failures.map(f => [f.page, f.reason, f.attempts]), [[3, 'empty-table', 2]]);
+  assert.deepEqual(summary.files[0].failedPages, results[0].failedPages);
+});
+
+test('a live crawl honours the crawl delay from robots.txt', async () => {
+  const { requests } = await crawlMock({ crawlDelay: 0.1 });
+
+  const pages = requests.filter(request => request.url !== '/robots.txt').map(request => request.at);
+  assert.equal(pages.length, 5);
+  for (let i = 1; i < pages.length; i++) {
+    assert.ok(pages[i] - pages[i - 1] >= 90, `requests ${i - 1} and ${i} were ${pages[i] - pages[i - 1]}ms apart`);
+  }
+});
@@ -0,0 +1,136 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { cookieStatus, openSession, listProfiles } = require('../controllers/sessions');
+const { createHttpFetcher } = require('../controllers/fetchers');
+const { crawlENRToplists } = require('../controllers/crawler');
+const { createMemorySink } = require('../controllers/library');
+const { DEFAULT_CONFIG } = require('../utils/config');
+const { createLogger } = require('../utils/logger');
+const { configFromArgs } = require('../index');
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const inSeconds = ms => (NOW + ms) / 1000;
+
+let tmpDir;
+let config;
+
+// Sessions that ignore any ./enr-cookies.json in the working copy
+const isolated = profile => openSession(config, { profile, legacyCookiesPath: path.join(tmpDir, 'none.json') });
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'enr-sessions-'));
+  config = JSON.parse(JSON.stringify(DEFAULT_CONFIG));
+  config.paths.sessionDir = path.join(tmpDir, 'sessions');
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  mock.restoreAll();
+});
+
+test('cookieStatus counts cookies and reports the cf_clearance state', () => {
+  const cookies = [
+    { name: 'cf_clearance', value: 'x', expires: inSeconds(3 * 3600 * 1000) },
+    { name: '_enr_session', value: 'y', expires: -1, session: true },
+    { name: 'old', value: 'z', expires: inSeconds(-1000) },
+    { name: 'user_id', value: '1', expires: inSeconds(30 * 86400 * 1000) }
+  ];
+
+  const status = cookieStatus(cookies, NOW);
+  assert.deepEqual([status.total, status.valid, status.sessionOnly, status.expired], [4, 2, 1, 1]);
+  assert.equal(status.clearance.state, 'expiring');
+
+  assert.equal(cookieStatus([{ ...cookies[0], expires: inSeconds(-1) }], NOW).clearance.state, 'expired');
+  assert.equal(cookieStatus([{ ...cookies[0], expires: inSeconds(7 * 86400 * 1000) }], NOW).clearance.state, 'valid');
+  assert.equal(cookieStatus(cookies.slice(1), NOW).clearance.state, 'missing');
+});
+
+test('named profiles keep their cookies and Chromium profile apart, outside the data folder', () => {
+  const anonymous = isolated();
+  const subscriber = isolated('subscriber');
+
+  assert.equal(anonymous.cookiesPath, path.join(config.paths.sessionDir, 'default', 'cookies.json'));
+  assert.equal(subscriber.userDataDir, path.join(config.paths.sessionDir, 'subscriber', 'chrome-profile'));
+
+  subscriber.save([{ name: 'user_id', value: '42', domain: '.enr.com', path: '/', expires: -1 }]);
+  assert.deepEqual(anonymous.load(), []);
+  assert.equal(subscriber.load().length, 1);
+  assert.equal(fs.statSync(subscriber.cookiesPath).mode & 0o777, 0o600);
+  assert.deepEqual(fs.readdirSync(path.dirname(subscriber.cookiesPath)), ['cookies.json']);
+  assert.deepEqual(listProfiles(config.paths.sessionDir), ['subscriber']);
+
+  assert.throws(() => openSession(config, { profile: '../escape' }), /Invalid session profile name/);
+});
+
+test('load drops expired cookies and explicit paths win over the profile folder', () => {
+  config.paths.cookiesPath = path.join(tmpDir, 'cookies.json');
+  config.browser.userDataDir = path.join(tmpDir, 'chrome');
+  fs.writeFileSync(config.paths.cookiesPath, JSON.stringify([
+    { name: 'fresh', value: '1', expires: Date.now() / 1000 + 3600 },
+    { name: 'stale', value: '2', expires: Date.now() / 1000 - 3600 }
+  ]));
+
+  const session = openSession(config, { profile: 'subscriber' });
+  assert.equal(session.userDataDir, config.browser.userDataDir);
+  assert.deepEqual(session.load().map(cookie => cookie.name), ['fresh']);
+});
+
+test('the old project-folder cookie file is imported into the default profile once', () => {
+  const legacyCookiesPath = path.join(tmpDir, 'enr-cookies.json');
+  fs.writeFileSync(legacyCookiesPath, JSON.stringify([{ name: 'cf_clearance', value: 'old', expires: -1 }]));
+
+  const messages = [];
+  const logger = createLogger({ sink: (level, message) => messages.push([level, message]) });
+  const session = openSession(config, { legacyCookiesPath, logger });
+  assert.equal(session.status().pendingImport, legacyCookiesPath);
+  assert.equal(session.load().length, 1);
+  assert.ok(fs.existsSync(session.cookiesPath));
+  assert.equal(session.status().pendingImport, null);
+  assert.deepEqual(messages.map(([level]) => level), ['info']);
+  assert.match(messages[0][1], /Imported .*enr-cookies\.json into session profile "default"/);
+
+  const other = openSession(config, { profile: 'subscriber', legacyCookiesPath });
+  assert.deepEqual(other.load(), []);
+});
+
+test('the http fetcher saves cookies, with their expiry, to the session profile', async () => {
+  const fetcher = createHttpFetcher(config, {
+    session: isolated(),
+    fetch: async () => new Response('<html><body>ok</body></html>', {
+      headers: { 'Set-Cookie': 'cf_clearance=abc; Max-Age=86400; Path=/; Domain=.enr.com' }
+    })
+  });
+
+  const page = await fetcher.open();
+  await page.goto('https://www.enr.com/');
+  await fetcher.saveSession();
+
+  const status = fetcher.session.status();
+  assert.equal(status.clearance.state, 'expiring');
+  assert.equal(status.valid, 1);
+  await fetcher.close();
+});
+
+test('--profile selects the session profile', () => {
+  const selected = configFromArgs(['session', 'status', '--profile', 'subscriber']);
+  assert.equal(selected.session.profile, 'subscriber');
+  assert.equal(selected.paths.cookiesPath, '');
+});
+
+test('a crawl closes its fetcher when the session check fails', async () => {
+  mock.method(console, 'error', () => {});
+  const close = mock.fn(async () => {});
+  const fetcher = {
+    name: 'fake',
+    session: { status: () => { throw new SyntaxError('Unexpected token } in JSON'); } },
+    open: async () => ({ url: () => 'about:blank' }),
+    close
+  };
+
+  await assert.rejects(crawlENRToplists({ config, fetcher, sink: createMemorySink() }), SyntaxError);
+  assert.equal(close.mock.callCount(), 1);
+});
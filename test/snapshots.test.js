@@ -0,0 +1,68 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseSnapshots } = require('../controllers/crawler');
+const { saveSnapshot, loadManifest, createSnapshotPage } = require('../controllers/snapshots');
+
+const SNAPSHOT_DIR = path.join(__dirname, 'fixtures', 'snapshots');
+
+let tmpDir;
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'enr-snapshots-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  mock.restoreAll();
+});
+
+test('saveSnapshot writes the page and indexes it in the manifest', async () => {
+  saveSnapshot(tmpDir, 'https://www.enr.com/toplists', '<html><body>index</body></html>', 'toplists');
+  saveSnapshot(tmpDir, 'https://www.enr.com/toplists/2025-Top-400-Contractors', '<table></table>');
+
+  const manifest = loadManifest(tmpDir);
+  assert.equal(manifest.toplistsUrl, 'https://www.enr.com/toplists');
+  assert.equal(Object.keys(manifest.pages).length, 2);
+
+  const page = createSnapshotPage(tmpDir);
+  await page.goto('https://www.enr.com/toplists/');
+  assert.match(await page.content(), /index/);
+  await assert.rejects(page.goto('https://www.enr.com/toplists/missing'), /No snapshot saved/);
+  await page.close();
+});
+
+test('parseSnapshots rebuilds every list, including pagination, offline', async () => {
+  const outputDir = path.join(tmpDir, 'out');
+  const results = await parseSnapshots(SNAPSHOT_DIR, { outputDir });
+
+  assert.deepEqual(results.map(r => [r.url.split('/').pop(), r.rowCount, r.paginatedPages]), [
+    ['2025-Top-500-Design-Firms-Preview', 5, 2],
+    ['2024-Top-150-Global-Design-Firms-Preview', 2, 1]
+  ]);
+
+  const saved = JSON.parse(fs.readFileSync(path.join(outputDir, '2025-Top-500-Design-Firms-Preview.json'), 'utf8'));
+  assert.equal(saved.schema, 'design-firms');
+  assert.equal(saved.listName, '2025 Top 500 Design Firms');
+  assert.deepEqual(saved.metadata, {
+    title: '2025 Top 500 Design Firms',
+    category: 'design',
+    year: 2025,
+    declaredSize: 500,
+    access: 'preview',
+    publishedAt: '2025-06-10'
+  });
+  assert.deepEqual(saved.data.map(row => row.rankCurrent), [1, 2, 3, 4, 5]);
+  assert.equal(saved.quality.status, 'ok');
+  assert.equal(saved.quality.declaredSize, 500);
+
+  const summary = JSON.parse(fs.readFileSync(path.join(outputDir, 'summary.json'), 'utf8'));
+  assert.equal(summary.totalRows, 7);
+  assert.equal(summary.files[0].quality.status, 'ok');
+  assert.equal(summary.files[1].listName, '2024 Top 150 Global Design Firms');
+  assert.equal(summary.files[1].metadata.category, 'international');
+  assert.equal(summary.files[1].metadata.publishedAt, '2024-07-22');
+});
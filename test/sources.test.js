@@ -0,0 +1,161 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { crawlENRToplists } = require('../controllers/crawler');
+const { classifyChallenge } = require('../controllers/challenges');
+const { defineSource, registerSource, getSource, listSources, resolveSource, siteFor } = require('../controllers/sources');
+const { mockCrawlConfig, useMockServer } = require('./helpers/mock-crawl');
+
+// A trade publication laid out nothing like enr.com: a bulleted index, a ".pager" under the table,
+// CONTRACTOR instead of FIRM and a members-only page that none of the built-in challenge checks know
+const BUILDERS = [
+  ['Summit Builders', 'Denver, Colo.', 1, 2, '1,200.5'],
+  ['Harbor Construction', 'Seattle, Wash.', 2, 1, '980.0'],
+  ['Prairie Works', 'Omaha, Neb.', 3, 5, '640.2'],
+  ['Gulf Coast Contractors', 'Houston, Texas', 4, null, '511.9']
+];
+
+function buildersPage(title, rows, pager) {
+  const body = rows.map(([name, place, rank, prior, sales]) =>
+    `<tr><td>${rank}</td><td>${prior || '**'}</td><td>${name}, ${place}</td><td>${sales}</td></tr>`).join('');
+  return `<html><head><title>${title}</title></head><body>
+    <table class="layout"><tbody><tr><td>Menu</td><td>Search</td></tr></tbody></table>
+    <h1>${title}</h1>
+    <table class="board"><thead><tr><th>RANK</th><th>LAST YEAR RANK</th><th>CONTRACTOR</th><th>SALES $M</th></tr></thead>
+    <tbody>${body}</tbody></table>
+    <div class="pager">${pager}</div>
+  </body></html>`;
+}
+
+function createBuildersSite() {
+  const app = express();
+  app.get('/', (req, res) => res.send('<html><body><a href="/rankings">Rankings</a></body></html>'));
+  app.get('/rankings', (req, res) => res.send(`<html><body><ul class="boards">
+    <li><h3>2025 Top 4 Builders</h3><span class="when">June 2, 2025</span><a href="/rankings/2025-top-4-builders">Open</a></li>
+    <li><h3>2025 Top Specialty Builders</h3><a href="/rankings/2025-top-specialty-builders">Open</a></li>
+  </ul><a href="/about">About</a></body></html>`));
+  app.get('/rankings/2025-top-4-builders', (req, res) => {
+    const page = Number(req.query.page || 1);
+    const pager = '<a href="/rankings/2025-top-4-builders">1</a> <a href="/rankings/2025-top-4-builders?page=2">2</a>';
+    res.send(buildersPage('2025 Top 4 Builders', BUILDERS.slice((page - 1) * 2, page * 2), pager));
+  });
+  app.get('/rankings/2025-top-specialty-builders', (req, res) => {
+    res.send('<html><head><title>Members</title></head><body><p>This ranking is for members only.</p></body></html>');
+  });
+  return app;
+}
+
+const BUILDER_CATALOG = {
+  firm: { match: /^CONTRACTOR$/, type: 'firm' },
+  totalRevenue: { match: /^SALES/, type: 'currency' }
+};
+
+// The adapter the tests register, aimed at the site once it listens
+function buildersSource(baseUrl) {
+  return {
+    name: 'builders',
+    label: 'Builders Weekly',
+    site: { homeUrl: `${baseUrl}/`, toplistsUrl: `${baseUrl}/rankings` },
+    discovery: {
+      linkSelectors: ['ul.boards li a'],
+      hrefPattern: /\/rankings\/./,
+      cardHeadingSelector: 'h3',
+      cardDateSelector: '.when'
+    },
+    pagination: { selector: 'div.pager' },
+    tables: { selector: 'table', ignore: '.layout' },
+    columns: {
+      schemaForList: () => ({ name: 'builders', columns: ['firm', 'totalRevenue'], catalog: BUILDER_CATALOG })
+    },
+    challenges: {
+      rules: [{ type: 'paywall', text: /members only/i, withoutTable: true }]
+    }
+  };
+}
+
+let tmpDir;
+
+const site = useMockServer(createBuildersSite(), ({ url }) => registerSource(buildersSource(url)));
+
+// A crawl config for the builders site, with no retries
+const mockConfig = () => mockCrawlConfig(null, tmpDir, { source: { name: 'builders' }, crawl: { retries: 0 } });
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'enr-sources-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  mock.restoreAll();
+});
+
+test('defineSource fills in the defaults and rejects adapters the engine cannot use', () => {
+  const source = defineSource({ name: 'plain', discovery: { hrefPattern: 'ranking' } });
+  assert.deepEqual(source.discovery.hrefPattern, { source: 'ranking', flags: 'i' });
+  assert.deepEqual(source.pagination, { selector: null, hrefPattern: { source: 'ranking', flags: 'i' } });
+  assert.equal(typeof source.columns.resolveColumns, 'function');
+  assert.equal(source.access, null);
+  assert.equal(defineSource(source), source);
+
+  const bad = spec => assert.throws(() => defineSource(spec), error => error.code === 'BAD_SOURCE');
+  bad({ name: 'Has Spaces', discovery: { hrefPattern: 'x' } });
+  bad({ name: 'no-links' });
+  bad({ name: 'bad-url', site: { toplistsUrl: 'ftp://example.com' }, discovery: { hrefPattern: 'x' } });
+  bad({ name: 'bad-rule', discovery: { hrefPattern: 'x' }, challenges: { rules: [{ type: 'captcha', text: 'x' }] } });
+  bad({ name: 'bad-access', discovery: { hrefPattern: 'x' }, access: { signIn: () => {} } });
+});
+
+test('resolveSource picks the adapter from the options or the config, and siteFor lets the config move it', () => {
+  assert.deepEqual(listSources().slice(0, 2), ['enr', 'builders']);
+  assert.equal(resolveSource().name, 'enr');
+  assert.equal(resolveSource({ source: 'builders' }).label, 'Builders Weekly');
+  assert.equal(resolveSource({}, mockConfig()).name, 'builders');
+  assert.throws(() => resolveSource({ source: 'nope' }), error => error.code === 'UNKNOWN_SOURCE');
+
+  const enr = getSource('enr');
+  assert.deepEqual(siteFor(enr), { homeUrl: 'https://www.enr.com/', toplistsUrl: 'https://www.enr.com/toplists' });
+  const mirrored = siteFor(enr, { site: { homeUrl: '', toplistsUrl: 'http://localhost:4000/toplists' } });
+  assert.deepEqual(mirrored, { homeUrl: 'https://www.enr.com/', toplistsUrl: 'http://localhost:4000/toplists' });
+});
+
+test('a source\'s own challenge rules come before the built-in checks', () => {
+  const { challenges } = getSource('builders');
+  const membersPage = { title: 'Members', text: 'This ranking is for Members Only.', hasTable: false };
+  assert.deepEqual(classifyChallenge(membersPage, challenges.rules), { type: 'paywall', reason: 'Members Only' });
+  assert.equal(classifyChallenge({ ...membersPage, hasTable: true }, challenges.rules), null);
+  assert.equal(classifyChallenge(membersPage), null);
+});
+
+test('a custom adapter crawls a site with its own index, pagination, headers and challenges', async () => {
+  const config = mockConfig();
+  const results = await crawlENRToplists({ config, archive: false });
+
+  assert.equal(results.length, 1);
+  const [list] = results;
+  assert.equal(list.source, 'builders');
+  assert.equal(list.listName, '2025 Top 4 Builders');
+  assert.equal(list.paginatedPages, 2);
+  assert.deepEqual(list.headers.map(column => column.key).filter(key => !/^(Location|city|state|country|locationConfidence)$/.test(key)), [
+    'rankCurrent', 'rankPrevious', 'Company Name', 'totalRevenue'
+  ]);
+  assert.deepEqual(list.data.map(row => [row.rankCurrent, row['Company Name'], row.state, row.totalRevenue]), [
+    [1, 'Summit Builders', 'CO', 1200.5],
+    [2, 'Harbor Construction', 'WA', 980],
+    [3, 'Prairie Works', 'NE', 640.2],
+    [4, 'Gulf Coast Contractors', 'TX', 511.9]
+  ]);
+
+  const saved = JSON.parse(fs.readFileSync(path.join(config.paths.outputDir, '2025-top-4-builders.json'), 'utf8'));
+  assert.equal(saved.source, 'builders');
+
+  // The members-only list is stopped by the adapter's rule, not mistaken for an empty table
+  const summary = JSON.parse(fs.readFileSync(path.join(config.paths.outputDir, 'summary.json'), 'utf8'));
+  assert.deepEqual(summary.failures.map(failure => [failure.reason, failure.challengeType, failure.page]), [
+    ['challenge', 'paywall', 1]
+  ]);
+});
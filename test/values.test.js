@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractFootnotes, parseNumber, parseCell } = require('../utils/values');
+
+test('parseNumber handles currency, thousands separators and percentages', () => {
+  assert.equal(parseNumber('$6,081.6'), 6081.6);
+  assert.equal(parseNumber('45%'), 45);
+  assert.equal(parseNumber('(12.5)'), -12.5);
+  assert.equal(parseNumber('-3'), -3);
+  assert.equal(parseNumber('.5'), 0.5);
+});
+
+test('parseNumber returns null for placeholders and text', () => {
+  assert.equal(parseNumber('—'), null);
+  assert.equal(parseNumber('N/A'), null);
+  assert.equal(parseNumber(''), null);
+  assert.equal(parseNumber('Dallas'), null);
+});
+
+test('extractFootnotes strips markers and reports them', () => {
+  assert.deepEqual(extractFootnotes('Beijing, China†'), { text: 'Beijing, China', footnotes: ['†'] });
+  assert.deepEqual(extractFootnotes('**'), { text: '', footnotes: ['**'] });
+  assert.deepEqual(extractFootnotes('12.3'), { text: '12.3', footnotes: [] });
+});
+
+test('parseCell types values and flags "**" ranks', () => {
+  assert.deepEqual(parseCell('**', 'rank'), { value: null, footnotes: ['**'] });
+  assert.deepEqual(parseCell('12', 'rank'), { value: 12, footnotes: [] });
+  assert.deepEqual(parseCell('1,204.7*', 'currency'), { value: 1204.7, footnotes: ['*'] });
+  assert.deepEqual(parseCell('37', 'percent', ['1']), { value: 37, footnotes: ['1'] });
+  assert.deepEqual(parseCell('Electrical', 'text'), { value: 'Electrical', footnotes: [] });
+});
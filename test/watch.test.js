@@ -0,0 +1,203 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { compareToplists, runWatchCheck, loadWatchState } = require('../controllers/watch');
+const { createNotifier } = require('../controllers/notifiers');
+const { mockCrawlConfig, useMockServer } = require('./helpers/mock-crawl');
+
+// The mock serves this array as it is at each request, so tests can add, edit and drop lists
+const lists = [];
+const INITIAL_LISTS = [
+  { slug: '2025-Top-60-Contractors-Preview', title: '2025 Top 60 Contractors', date: 'May 19, 2025', rows: 60, year: 2025 },
+  { slug: '2025-Top-30-Design-Firms-Preview', title: '2025 Top 30 Design Firms', date: 'April 14, 2025', rows: 30, year: 2025 },
+  { slug: '2024-Top-20-Green-Contractors-Preview', title: '2024 Top 20 Green Contractors', date: 'Sept. 9, 2024', rows: 20, year: 2024 }
+];
+
+let tmpDir;
+
+const mockServer = useMockServer({ lists, pageSize: 25 });
+
+// A watch config aimed at the mock, with alerts appended to a file
+const mockConfig = () => mockCrawlConfig(mockServer.url, tmpDir, { notify: { file: path.join(tmpDir, 'alerts.ndjson') } });
+
+// Alerts written by the file channel
+function readAlerts(config) {
+  return fs.existsSync(config.notify.file)
+    ? fs.readFileSync(config.notify.file, 'utf8').trim().split('\n').map(line => JSON.parse(line))
+    : [];
+}
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'enr-watch-'));
+  lists.splice(0, lists.length, ...INITIAL_LISTS.map(list => ({ ...list })));
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  mock.restoreAll();
+});
+
+test('compareToplists sorts lists into added, changed, removed and unchecked', () => {
+  const known = {
+    'https://www.enr.com/toplists/a': { slug: 'a', date: 'May 1, 2025', hash: '111' },
+    'https://www.enr.com/toplists/b': { slug: 'b', date: 'May 1, 2025', hash: '222' },
+    'https://www.enr.com/toplists/c': { slug: 'c', date: 'May 1, 2025', hash: '333' },
+    'https://www.enr.com/toplists/d': { slug: 'd', date: null, hash: '444' }
+  };
+  const changes = compareToplists(known, [
+    { url: 'https://www.enr.com/toplists/a', slug: 'a', date: 'May 1, 2025', hash: '111' },
+    { url: 'https://www.enr.com/toplists/b', slug: 'b', date: 'June 2, 2025', hash: '999' },
+    { url: 'https://www.enr.com/toplists/d', slug: 'd', date: null, error: 'HTTP 503' },
+    { url: 'https://www.enr.com/toplists/e', slug: 'e', date: null, hash: '555' }
+  ]);
+
+  assert.deepEqual(changes.added.map(list => list.slug), ['e']);
+  assert.deepEqual(changes.changed.map(list => [list.slug, list.reasons]), [['b', ['content', 'date']]]);
+  assert.deepEqual(changes.removed.map(list => list.slug), ['c']);
+  assert.deepEqual(changes.unchecked.map(list => list.slug), ['d']);
+});
+
+test('watch records a baseline, then crawls only new and changed lists and alerts about them', async () => {
+  const config = mockConfig();
+  const outputDir = config.paths.outputDir;
+
+  // First check: nothing to compare with, so nothing is crawled or reported
+  const baseline = await runWatchCheck({ config, archive: false });
+  assert.equal(baseline.baseline, true);
+  assert.equal(Object.keys(loadWatchState(outputDir).lists).length, 3);
+  assert.equal(fs.existsSync(path.join(outputDir, 'summary.json')), false);
+  assert.deepEqual(readAlerts(config), []);
+
+  const quiet = await runWatchCheck({ config, archive: false });
+  assert.deepEqual([quiet.baseline, quiet.crawled], [false, []]);
+  assert.deepEqual(readAlerts(config), []);
+
+  // The contractors list grows, the design firms get a new date, the green list goes and a new one appears
+  lists[0].rows = 65;
+  lists[1].date = 'Aug. 4, 2025';
+  lists.splice(2, 1, { slug: '2025-Top-40-Owners-Preview', title: '2025 Top 40 Owners', date: 'Oct. 6, 2025', rows: 40, year: 2025 });
+
+  const check = await runWatchCheck({ config, archive: false });
+  assert.deepEqual(check.changes.added.map(list => list.slug), ['2025-Top-40-Owners-Preview']);
+  assert.deepEqual(check.changes.changed.map(list => [list.slug, list.reasons]), [
+    ['2025-Top-60-Contractors-Preview', ['content']],
+    ['2025-Top-30-Design-Firms-Preview', ['date']]
+  ]);
+  assert.deepEqual(check.changes.removed.map(list => list.slug), ['2024-Top-20-Green-Contractors-Preview']);
+  assert.deepEqual(check.results.map(result => result.rowCount), [65, 30, 40]);
+
+  const summary = JSON.parse(fs.readFileSync(path.join(outputDir, 'summary.json'), 'utf8'));
+  assert.deepEqual(summary.files.map(entry => entry.filename), [
+    '2025-Top-60-Contractors-Preview.json',
+    '2025-Top-30-Design-Firms-Preview.json',
+    '2025-Top-40-Owners-Preview.json'
+  ]);
+
+  const alerts = readAlerts(config);
+  assert.equal(alerts.length, 1);
+  assert.equal(alerts[0].event, 'toplists-changed');
+  assert.equal(alerts[0].message, 'ENR toplists changed: 1 new, 2 updated, 1 removed, 3 crawled');
+  assert.match(alerts[0].report, /\+ New: 2025 Top 40 Owners \(Oct\. 6, 2025\)/);
+  assert.match(alerts[0].report, /~ Updated: 2025 Top 30 Design Firms \(date April 14, 2025 -> Aug\. 4, 2025\)/);
+  assert.match(alerts[0].report, /- Removed from the index: 2024 Top 20 Green Contractors/);
+  assert.equal(alerts[0].crawled.length, 3);
+
+  // The state now holds the new hashes, so the next check is quiet again
+  const state = loadWatchState(outputDir);
+  assert.equal(Object.keys(state.lists).length, 3);
+  assert.ok(Object.values(state.lists).every(entry => entry.lastCrawled));
+  const settled = await runWatchCheck({ config, archive: false });
+  assert.deepEqual(settled.crawled, []);
+  assert.equal(readAlerts(config).length, 1);
+});
+
+test('lists that fail to crawl stay pending for the next check', async () => {
+  const config = mockConfig();
+  await runWatchCheck({ config, archive: false });
+  lists[0].rows = 61;
+
+  const failing = await runWatchCheck({ config, archive: false, crawlFetcher: { open: async () => { throw new Error('browser crashed'); } } });
+  assert.deepEqual(failing.crawled, []);
+  assert.match(readAlerts(config)[0].report, /Updated: 2025 Top 60 Contractors \(table changed\) \(not crawled\)/);
+
+  const retried = await runWatchCheck({ config, archive: false });
+  assert.deepEqual(retried.crawled, [`${mockServer.url}/toplists/2025-Top-60-Contractors-Preview`]);
+});
+
+test('email alerts go out over SMTP with the report as the body', async () => {
+  const received = { commands: [], message: '' };
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    socket.write('220 mail.example.com ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) return;
+        received.message = buffer.slice(0, end);
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        socket.write('250 queued\r\n');
+      }
+      let newline;
+      while (!inData && (newline = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+        received.commands.push(line);
+        if (line.startsWith('EHLO')) socket.write('250-mail.example.com\r\n250 AUTH PLAIN\r\n');
+        else if (line.startsWith('AUTH')) socket.write('235 ok\r\n');
+        else if (line === 'DATA') { inData = true; socket.write('354 go ahead\r\n'); }
+        else if (line === 'QUIT') socket.end('221 bye\r\n');
+        else socket.write('250 ok\r\n');
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const notifier = createNotifier({
+      smtpHost: '127.0.0.1',
+      smtpPort: server.address().port,
+      smtpUser: 'alerts@example.com',
+      smtpPassword: 's3cret',
+      emailFrom: 'alerts@example.com',
+      emailTo: ['team@example.com', 'ops@example.com']
+    });
+    assert.equal(await notifier.notify({
+      event: 'toplists-changed',
+      message: 'ENR toplists changed: 1 new',
+      report: '+ New: 2025 Top 40 Owners\n.hidden line'
+    }), true);
+
+    const auth = received.commands.find(line => line.startsWith('AUTH PLAIN '));
+    assert.equal(Buffer.from(auth.slice(11), 'base64').toString('utf8'), '\u0000alerts@example.com\u0000s3cret');
+    assert.deepEqual(received.commands.filter(line => line.startsWith('RCPT')), ['RCPT TO:<team@example.com>', 'RCPT TO:<ops@example.com>']);
+    assert.match(received.message, /^Subject: ENR crawler: ENR toplists changed: 1 new$/m);
+    assert.match(received.message, /\r\n\r\nENR toplists changed: 1 new\r\n\r\n\+ New: 2025 Top 40 Owners\r\n\.\.hidden line$/);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('custom channels plug into the notifier next to the built-in ones', async () => {
+  const sent = [];
+  const file = path.join(tmpDir, 'alerts', 'events.ndjson');
+  const notifier = createNotifier({ file, chat: 'room-1' }, {
+    channels: {
+      chat: {
+        enabled: settings => Boolean(settings.chat),
+        send: (event, settings) => { sent.push([settings.chat, event.message]); }
+      }
+    }
+  });
+
+  await notifier.notify({ event: 'watch-failed', message: 'ENR watch check failed: offline' });
+  assert.deepEqual(sent, [['room-1', 'ENR watch check failed: offline']]);
+  assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).event, 'watch-failed');
+});
@@ -0,0 +1,301 @@
+const { slugFromUrl, listYear } = require('./lists');
+
+// Column catalog shared by all ENR toplists
+// Each entry maps a normalized header (uppercase, single-spaced) to a stable key and a value type
+const COLUMN_CATALOG = {
+  firm: { match: /^FIRMS?$|^COMPANY$/, type: 'firm' },
+
+  // Revenue / contract columns ($ millions)
+  intlRevenue: { match: /INT.?L.*REV|REV.*INT.?L$|^INT.?L$/, type: 'currency' },
+  domesticRevenue: { match: /DOMESTIC.*REV|REV.*DOMESTIC|^DOMESTIC$/, type: 'currency' },
+  totalRevenue: { match: /TOTAL.*REV|REV.*TOTAL|^\d{4} REVENUE|^REVENUE/, type: 'currency' },
+  greenRevenue: { match: /GREEN.*REV/, type: 'currency' },
+  cmAtRiskRevenue: { match: /CM.?AT.?RISK.*REV/, type: 'currency' },
+  designBuildRevenue: { match: /DESIGN.?BUILD.*REV/, type: 'currency' },
+  pmRevenue: { match: /(PROGRAM|PM).*(REV|FEES)/, type: 'currency' },
+  newContracts: { match: /NEW.*CONTRACTS/, type: 'currency' },
+
+  // Share of revenue (%)
+  intlPct: { match: /^% ?INT.?L|INT.?L.*%/, type: 'percent' },
+  domesticPct: { match: /^% ?DOMESTIC|DOMESTIC.*%/, type: 'percent' },
+  greenPct: { match: /^% ?GREEN|GREEN.*%/, type: 'percent' },
+
+  // Market segments (% of revenue)
+  pctGeneralBuilding: { match: /GEN(ERAL|\.)? ?B(UI)?LD/, type: 'percent' },
+  pctManufacturing: { match: /MANUF/, type: 'percent' },
+  pctPower: { match: /\bPOWER\b/, type: 'percent' },
+  pctWaterSupply: { match: /WATER ?SUPPLY|\bWATER$/, type: 'percent' },
+  pctSewerWaste: { match: /SEWER/, type: 'percent' },
+  pctIndustrialPetroleum: { match: /INDUST|PETRO/, type: 'percent' },
+  pctTransportation: { match: /TRANSP/, type: 'percent' },
+  pctHazardousWaste: { match: /HAZ/, type: 'percent' },
+  pctTelecom: { match: /TELECOM/, type: 'percent' },
+
+  // International regions (% of international revenue)
+  pctMiddleEast: { match: /MIDDLE ?EAST/, type: 'percent' },
+  pctAsiaAustralia: { match: /ASIA|AUSTRALIA/, type: 'percent' },
+  pctAfrica: { match: /AFRICA/, type: 'percent' },
+  pctEurope: { match: /EUROPE/, type: 'percent' },
+  pctUnitedStates: { match: /(^|\s)U\.?S\.?A?\.?$/, type: 'percent' },
+  pctCanada: { match: /CANADA/, type: 'percent' },
+  pctLatinAmerica: { match: /LATIN|CARIBBEAN/, type: 'percent' },
+
+  // Specialty contractors
+  specialty: { match: /SPECIALTY|TYPE OF WORK|PRIMARY/, type: 'text' },
+  firmType: { match: /TYPE OF FIRM|FIRM TYPE/, type: 'text' },
+
+  // Misc counts
+  employees: { match: /EMPLOYEES|STAFF/, type: 'number' },
+  projects: { match: /NO\.? OF PROJECTS|PROJECTS$/, type: 'number' }
+};
+
+const MARKET_COLUMNS = [
+  'pctGeneralBuilding', 'pctManufacturing', 'pctPower', 'pctWaterSupply', 'pctSewerWaste',
+  'pctIndustrialPetroleum', 'pctTransportation', 'pctHazardousWaste', 'pctTelecom'
+];
+
+const REGION_COLUMNS = [
+  'pctMiddleEast', 'pctAsiaAustralia', 'pctAfrica', 'pctEurope',
+  'pctUnitedStates', 'pctCanada', 'pctLatinAmerica'
+];
+
+// Typed schema per list family, matched against the list slug in order (most specific first)
+// The column keys listed here are tried before the rest of the catalog when mapping headers
+const LIST_SCHEMAS = [
+  {
+    name: 'international-design-firms',
+    slug: /international-design-firms/i,
+    columns: ['firm', 'intlRevenue', 'totalRevenue', 'newContracts', ...REGION_COLUMNS, ...MARKET_COLUMNS]
+  },
+  {
+    name: 'international-contractors',
+    slug: /international-contractors/i,
+    columns: ['firm', 'intlRevenue', 'totalRevenue', 'newContracts', ...REGION_COLUMNS, ...MARKET_COLUMNS]
+  },
+  {
+    name: 'global-design-firms',
+    slug: /global-design-firms/i,
+    columns: ['firm', 'totalRevenue', 'intlRevenue', 'domesticRevenue', 'intlPct', 'newContracts', ...MARKET_COLUMNS]
+  },
+  {
+    name: 'global-contractors',
+    slug: /global-contractors/i,
+    columns: ['firm', 'totalRevenue', 'intlRevenue', 'domesticRevenue', 'intlPct', 'newContracts', ...MARKET_COLUMNS]
+  },
+  {
+    name: 'green-building-design-firms',
+    slug: /green-buildings?-design-firms/i,
+    columns: ['firm', 'greenRevenue', 'greenPct', 'totalRevenue', 'projects', ...MARKET_COLUMNS]
+  },
+  {
+    name: 'green-building-contractors',
+    slug: /green-buildings?-contractors/i,
+    columns: ['firm', 'greenRevenue', 'greenPct', 'totalRevenue', 'projects', ...MARKET_COLUMNS]
+  },
+  {
+    name: 'design-build-firms',
+    slug: /design-build/i,
+    columns: ['firm', 'designBuildRevenue', 'totalRevenue', 'newContracts', ...MARKET_COLUMNS]
+  },
+  {
+    name: 'cm-at-risk-firms',
+    slug: /cm-at-risk/i,
+    columns: ['firm', 'cmAtRiskRevenue', 'totalRevenue', 'newContracts', ...MARKET_COLUMNS]
+  },
+  {
+    name: 'program-management-firms',
+    slug: /program-management/i,
+    columns: ['firm', 'pmRevenue', 'totalRevenue', 'domesticRevenue', 'intlRevenue', ...MARKET_COLUMNS]
+  },
+  {
+    name: 'professional-services-firms',
+    slug: /professional-services/i,
+    columns: ['firm', 'totalRevenue', 'intlRevenue', 'firmType', 'newContracts', ...MARKET_COLUMNS]
+  },
+  {
+    name: 'specialty-contractors',
+    slug: /specialty-contractors/i,
+    columns: ['firm', 'totalRevenue', 'intlRevenue', 'domesticRevenue', 'newContracts', 'specialty', ...MARKET_COLUMNS]
+  },
+  {
+    name: 'design-firms',
+    slug: /design-firms/i,
+    columns: ['firm', 'totalRevenue', 'intlRevenue', 'domesticRevenue', 'intlPct', 'newContracts', 'firmType', ...MARKET_COLUMNS]
+  },
+  {
+    name: 'contractors',
+    slug: /contractors/i,
+    columns: ['firm', 'totalRevenue', 'intlRevenue', 'domesticRevenue', 'intlPct', 'newContracts', ...MARKET_COLUMNS]
+  }
+];
+
+const GENERIC_SCHEMA = {
+  name: 'generic',
+  slug: /.*/,
+  columns: ['firm', 'totalRevenue', 'intlRevenue', 'newContracts', ...MARKET_COLUMNS]
+};
+
+// Uppercases and collapses whitespace so header variants ("Rank\n 2025", "RANK  2025") compare equal
+function normalizeHeader(header) {
+  return String(header || '').toUpperCase().replace(/\s+/g, ' ').trim();
+}
+
+// Picks the typed schema for a list from its URL or slug
+function schemaForList(urlOrSlug) {
+  const slug = String(urlOrSlug || '').split('?')[0].split('/').filter(Boolean).pop() || '';
+  return LIST_SCHEMAS.find(schema => schema.slug.test(slug)) || GENERIC_SCHEMA;
+}
+
+// Turns an unrecognized header into a camelCase key ("NO. OF OFFICES" -> "noOfOffices")
+function headerToKey(header) {
+  const words = normalizeHeader(header)
+    .replace(/%/g, ' PCT ')
+    .replace(/\$/g, ' ')
+    .replace(/[^A-Z0-9 ]/g, ' ')
+    .split(' ')
+    .filter(Boolean)
+    .map(word => word.toLowerCase());
+
+  if (words.length === 0) return 'column';
+
+  return words
+    .map((word, i) => (i === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1)))
+    .join('');
+}
+
+// Guesses a value type for a header that is not in the catalog
+function inferType(header) {
+  const normalized = normalizeHeader(header);
+  if (normalized.includes('%')) return 'percent';
+  if (normalized.includes('$') || /REV|CONTRACTS|MIL\b/.test(normalized)) return 'currency';
+  if (/^NO\.? |NUMBER|COUNT/.test(normalized)) return 'number';
+  return 'text';
+}
+
+// Pulls four-digit years out of a normalized header ("RANK 2025" -> [2025])
+function yearsInHeader(normalized) {
+  return (normalized.match(/(?:19|20)\d{2}/g) || []).map(year => parseInt(year, 10));
+}
+
+// Detects which years the current and prior rank columns refer to
+// Uses the years printed in the RANK headers; falls back to the year in the list slug
+function detectRankYears(headers, urlOrSlug) {
+  const years = new Set();
+  headers.forEach(header => {
+    const normalized = normalizeHeader(header);
+    if (/RANK/.test(normalized)) {
+      yearsInHeader(normalized).forEach(year => years.add(year));
+    }
+  });
+
+  const sorted = Array.from(years).sort((a, b) => b - a);
+  if (sorted.length > 0) {
+    return {
+      current: sorted[0],
+      previous: sorted.length > 1 ? sorted[1] : sorted[0] - 1
+    };
+  }
+
+  const slugYear = listYear(slugFromUrl(urlOrSlug) || urlOrSlug);
+  return {
+    current: slugYear,
+    previous: slugYear ? slugYear - 1 : null
+  };
+}
+
+// Maps a rank header to rankCurrent / rankPrevious using the detected years
+// Headers without a year are assigned in table order (first = current, second = previous)
+function rankKeyFor(normalized, rankYears, usedKeys) {
+  if (!/RANK/.test(normalized)) return null;
+
+  const years = yearsInHeader(normalized);
+  if (years.length > 0) {
+    if (years.includes(rankYears.current) && !usedKeys.has('rankCurrent')) return 'rankCurrent';
+    if (years.includes(rankYears.previous) && !usedKeys.has('rankPrevious')) return 'rankPrevious';
+    return `rank${years[0]}`;
+  }
+
+  if (!usedKeys.has('rankCurrent')) return 'rankCurrent';
+  if (!usedKeys.has('rankPrevious')) return 'rankPrevious';
+  return null;
+}
+
+// Resolves raw table headers into typed column definitions using the list's schema
+// schema.catalog replaces COLUMN_CATALOG for sources whose headers read differently (it needs a "firm" type entry)
+// Returns one { key, label, type } per header, in table order (label keeps the raw header text)
+function resolveColumns(headers, schema = GENERIC_SCHEMA, rankYears = detectRankYears(headers)) {
+  const catalog = schema.catalog || COLUMN_CATALOG;
+  const usedKeys = new Set();
+  const catalogKeys = Object.keys(catalog);
+  const candidateKeys = schema.columns.concat(catalogKeys.filter(key => !schema.columns.includes(key)));
+
+  return headers.map(label => {
+    const normalized = normalizeHeader(label);
+    let key = null;
+    let type = null;
+
+    const rankKey = rankKeyFor(normalized, rankYears, usedKeys);
+    if (rankKey) {
+      key = rankKey;
+      type = 'rank';
+    } else if (/\bRANK\b/.test(normalized)) {
+      key = headerToKey(normalized);
+      type = 'rank';
+    } else {
+      // Headers like "% INT'L" must land on a percent column, never on the matching revenue column
+      const wantsPercent = normalized.includes('%');
+      const catalogKey = candidateKeys.find(k =>
+        !usedKeys.has(k) &&
+        (!wantsPercent || catalog[k].type === 'percent') &&
+        catalog[k].match.test(normalized)
+      );
+      if (catalogKey) {
+        key = catalogKey;
+        type = catalog[catalogKey].type;
+      } else {
+        key = headerToKey(normalized);
+        type = inferType(normalized);
+      }
+    }
+
+    // Keep keys unique when a table repeats a header
+    let uniqueKey = key;
+    let suffix = 2;
+    while (usedKeys.has(uniqueKey)) {
+      uniqueKey = `${key}_${suffix++}`;
+    }
+    usedKeys.add(uniqueKey);
+
+    return { key: uniqueKey, label, type };
+  });
+}
+
+// Unions column definitions from several tables/pages, keeping first-seen order and labels
+function mergeColumns(...columnSets) {
+  const merged = [];
+  const seen = new Set();
+
+  columnSets.forEach(columns => {
+    (columns || []).forEach(column => {
+      if (!seen.has(column.key)) {
+        seen.add(column.key);
+        merged.push(column);
+      }
+    });
+  });
+
+  return merged;
+}
+
+module.exports = {
+  COLUMN_CATALOG,
+  LIST_SCHEMAS,
+  GENERIC_SCHEMA,
+  normalizeHeader,
+  schemaForList,
+  headerToKey,
+  inferType,
+  detectRankYears,
+  resolveColumns,
+  mergeColumns
+};
@@ -0,0 +1,219 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = './enr.config.json';
+
+// Every setting the crawler reads, with its default
+// Each one can be overridden by the config file, then an ENR_<SECTION>_<KEY> environment variable, then the CLI
+const DEFAULT_CONFIG = {
+  // "puppeteer" (Chromium) or "http" (plain requests parsed with jsdom, no browser)
+  fetcher: {
+    backend: 'puppeteer'
+  },
+  // Politeness and resilience for live crawls
+  crawl: {
+    // Tabs crawling lists in parallel
+    concurrency: 4,
+    // Minimum milliseconds between requests to one host, across all tabs (raised by robots.txt Crawl-delay)
+    requestInterval: 1000,
+    respectRobots: true,
+    // Extra attempts for a page after a navigation timeout or an empty table, waiting retryDelay, 2x, 4x, ...
+    retries: 3,
+    retryDelay: 2000,
+    retryMaxDelay: 30000
+  },
+  browser: {
+    executablePath: '/usr/bin/chromium-browser',
+    headless: false,
+    // Empty: the session profile's own Chromium profile (<paths.sessionDir>/<profile>/chrome-profile)
+    userDataDir: '',
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-blink-features=AutomationControlled']
+  },
+  paths: {
+    outputDir: './enr-data',
+    // Empty: <sessionDir>/<profile>/cookies.json
+    cookiesPath: '',
+    // Session profiles (cookies, Chromium profile), kept away from the code and the data
+    sessionDir: path.join(os.homedir(), '.enr-scraper', 'sessions'),
+    archiveDir: './enr-archive',
+    exportDir: './enr-export',
+    // Analytics reports (node index.js report): analytics.html and analytics.json
+    reportsDir: './enr-reports',
+    snapshotRoot: './enr-snapshots',
+    // Debug bundles (HTML, screenshot, headers, console log) of pages that came back empty or short, one folder per run
+    debugDir: './enr-debug',
+    overridesPath: './firm-overrides.json'
+  },
+  // Named session profile, e.g. "subscriber" for a logged-in account next to the anonymous "default"
+  session: {
+    profile: 'default'
+  },
+  // ENR subscriber account; subscribers get the full lists instead of the public previews (empty = anonymous)
+  // Prefer the ENR_AUTH_EMAIL and ENR_AUTH_PASSWORD environment variables to writing the password into a file
+  auth: {
+    email: '',
+    password: '',
+    // Empty: the sign-in link on the home page
+    loginUrl: ''
+  },
+  // The site to crawl: a built-in adapter by name ("enr"), or module, a JavaScript file exporting an adapter
+  // (see the README, Source Adapters); module wins when both are set
+  source: {
+    name: 'enr',
+    module: ''
+  },
+  // Empty: the source adapter's own URLs; set them to crawl a mirror, a regional edition or the mock site
+  site: {
+    homeUrl: '',
+    toplistsUrl: ''
+  },
+  // Where to send alerts: the crawl pausing for a challenge, watch mode finding changes (empty = off)
+  notify: {
+    // POSTed a JSON event
+    webhookUrl: '',
+    // notify-send (Linux) / osascript (macOS)
+    desktop: false,
+    // Shell command run with ENR_EVENT, ENR_MESSAGE, ENR_URL and ENR_EVENT_JSON set
+    command: '',
+    // Each event appended as a JSON line
+    file: '',
+    // Email over SMTP, on when smtpHost and emailTo are set; smtpSecure is TLS from the start (port 465),
+    // otherwise STARTTLS is used when the server offers it
+    smtpHost: '',
+    smtpPort: 587,
+    smtpSecure: false,
+    smtpUser: '',
+    smtpPassword: '',
+    emailFrom: '',
+    emailTo: []
+  },
+  // Watch mode (node index.js watch): milliseconds between checks for new and changed toplists
+  watch: {
+    interval: 6 * 60 * 60 * 1000
+  },
+  // Firm enrichment: after a crawl (or with node index.js enrich), visit the detail page each firm row links to,
+  // once per page across lists, and add the website, parent company, firm type, revenue history and specialties to
+  // firms.json; pages are cached in <outputDir>/.firm-pages.json and fetched again after maxAge ms (0 = never)
+  enrich: {
+    enabled: false,
+    maxAge: 30 * 24 * 60 * 60 * 1000
+  },
+  // How much the crawler prints: "silent", "error", "warn", "info" or "debug" (every page step and challenge check)
+  log: {
+    level: 'info'
+  },
+  // Layout drift: each run is compared with the last one (<outputDir>/.layout.json); a page or list is short
+  // when it yields fewer than minRowRatio of the rows expected, and bundles saves a debug bundle for each short page
+  diagnostics: {
+    bundles: true,
+    minRowRatio: 0.5
+  },
+  // Milliseconds; challenge is how long to wait for a person to solve one (0 = no limit)
+  timeouts: {
+    homepage: 90000,
+    navigation: 60000,
+    selector: 10000,
+    challenge: 120000
+  },
+  // Milliseconds; betweenPages and betweenLists are extra per-tab pauses on top of crawl.requestInterval
+  delays: {
+    afterHomepage: 2000,
+    afterChallenge: 3000,
+    pageLoad: 2000,
+    betweenPages: 0,
+    betweenLists: 0,
+    challengePoll: 2000
+  }
+};
+
+// Environment variable for a setting: browser.userDataDir -> ENR_BROWSER_USER_DATA_DIR
+function envName(section, key) {
+  return `ENR_${section}_${key.replace(/([a-z])([A-Z])/g, '$1_$2')}`.toUpperCase();
+}
+
+// Converts a string from the environment or command line to the type of the setting's default
+function coerceValue(raw, defaultValue, name) {
+  if (typeof raw !== 'string') {
+    const expected = Array.isArray(defaultValue) ? 'array' : typeof defaultValue;
+    const actual = Array.isArray(raw) ? 'array' : typeof raw;
+    if (expected !== actual) {
+      throw new Error(`Config ${name} must be a ${expected}, got ${JSON.stringify(raw)}`);
+    }
+    return raw;
+  }
+
+  if (typeof defaultValue === 'boolean') {
+    if (/^(true|1|yes|on)$/i.test(raw)) return true;
+    if (/^(false|0|no|off)$/i.test(raw)) return false;
+    throw new Error(`Config ${name} must be true or false, got "${raw}"`);
+  }
+  if (typeof defaultValue === 'number') {
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`Config ${name} must be a non-negative number, got "${raw}"`);
+    }
+    return value;
+  }
+  if (Array.isArray(defaultValue)) {
+    return raw.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  return raw;
+}
+
+// Sets one "section.key" setting, rejecting keys that don't exist (usually typos)
+function setConfigValue(config, name, raw) {
+  const [section, key, ...rest] = String(name).split('.');
+  if (rest.length > 0 || !DEFAULT_CONFIG[section] || !(key in DEFAULT_CONFIG[section])) {
+    throw new Error(`Unknown config setting: ${name}`);
+  }
+  config[section][key] = coerceValue(raw, DEFAULT_CONFIG[section][key], name);
+}
+
+// Copies a { section: { key: value } } object onto the config, checking every key
+function applyConfigObject(config, values, source) {
+  Object.entries(values || {}).forEach(([section, settings]) => {
+    if (!DEFAULT_CONFIG[section] || typeof settings !== 'object' || settings === null) {
+      throw new Error(`Unknown config section "${section}" in ${source}`);
+    }
+    Object.entries(settings).forEach(([key, value]) => setConfigValue(config, `${section}.${key}`, value));
+  });
+}
+
+// Builds the effective config: defaults < config file < environment < overrides (CLI)
+// options.configPath (or ENR_CONFIG) names the config file; ./enr.config.json is used when present
+// options.overrides is a { "section.key": value } map, as collected from the command line
+function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const config = JSON.parse(JSON.stringify(DEFAULT_CONFIG));
+
+  const explicitPath = options.configPath || env.ENR_CONFIG;
+  const configPath = explicitPath || DEFAULT_CONFIG_PATH;
+  if (fs.existsSync(configPath)) {
+    applyConfigObject(config, JSON.parse(fs.readFileSync(configPath, 'utf8')), configPath);
+    config.configPath = configPath;
+  } else if (explicitPath) {
+    throw new Error(`Config file not found: ${explicitPath}`);
+  }
+
+  Object.entries(DEFAULT_CONFIG).forEach(([section, settings]) => {
+    Object.keys(settings).forEach(key => {
+      const name = envName(section, key);
+      if (env[name] !== undefined && env[name] !== '') {
+        setConfigValue(config, `${section}.${key}`, env[name]);
+      }
+    });
+  });
+
+  Object.entries(options.overrides || {}).forEach(([name, value]) => setConfigValue(config, name, value));
+
+  return config;
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  DEFAULT_CONFIG_PATH,
+  envName,
+  loadConfig
+};
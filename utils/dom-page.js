@@ -0,0 +1,125 @@
+const { JSDOM } = require('jsdom');
+
+// Builds a minimal stand-in for a Puppeteer page backed by jsdom
+// loadHtml(url, request?) must resolve to { html, url, status? } for the requested address; page scripts never run
+// request is only set for form submissions (see submitForm)
+// options.offline (default true) marks pages read from disk, which never need to wait between requests
+// options.cookies / options.setCookie connect the page to a cookie jar (no-ops otherwise)
+function createDomPage(loadHtml, options = {}) {
+  let dom = null;
+  let currentUrl = 'about:blank';
+
+  const requireDocument = () => {
+    if (!dom) {
+      throw new Error('No document loaded (call goto first)');
+    }
+    return dom.window.document;
+  };
+
+  // request ({ method, body, headers }) is passed on to loadHtml for form submissions
+  const load = async (url, request) => {
+    const loaded = await loadHtml(url, request);
+
+    if (dom) {
+      dom.window.close();
+    }
+
+    currentUrl = loaded.url || url;
+    dom = new JSDOM(loaded.html, { url: currentUrl, runScripts: 'outside-only' });
+
+    return {
+      ok: () => (loaded.status || 200) < 400,
+      status: () => loaded.status || 200,
+      url: () => currentUrl
+    };
+  };
+
+  return {
+    offline: options.offline !== false,
+    // Without a browser nobody can click through a challenge page
+    interactive: false,
+
+    async goto(url) {
+      return load(url);
+    },
+
+    // Submits a form the way a browser does: its own fields (hidden tokens included) with values
+    // filled in by name, sent to its action; the response becomes the current document
+    async submitForm(selector, values = {}) {
+      const form = requireDocument().querySelector(selector);
+      if (!form) {
+        throw new Error(`No form matches \`${selector}\``);
+      }
+
+      const fields = new dom.window.FormData(form);
+      Object.entries(values).forEach(([name, value]) => fields.set(name, value));
+      const body = new URLSearchParams(Array.from(fields.entries())).toString();
+      const action = new URL(form.getAttribute('action') || currentUrl, currentUrl);
+
+      if ((form.getAttribute('method') || 'get').toLowerCase() !== 'post') {
+        action.search = body;
+        return load(action.href);
+      }
+      return load(action.href, {
+        method: 'POST',
+        body,
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      });
+    },
+
+    // Runs the function inside the document's window, like page.evaluate does in the browser
+    // Results go through JSON so they look the same as values serialized out of Chromium
+    async evaluate(fn, ...args) {
+      requireDocument();
+      const source = typeof fn === 'function'
+        ? `(${fn.toString()})(...${JSON.stringify(args)})`
+        : String(fn);
+
+      const result = await dom.window.eval(source);
+      return result === undefined ? undefined : JSON.parse(JSON.stringify(result));
+    },
+
+    async waitForSelector(selector) {
+      const element = requireDocument().querySelector(selector);
+      if (!element) {
+        throw new Error(`Waiting for selector \`${selector}\` failed`);
+      }
+      return element;
+    },
+
+    async content() {
+      requireDocument();
+      return dom.serialize();
+    },
+
+    url() {
+      return currentUrl;
+    },
+
+    async title() {
+      return requireDocument().title;
+    },
+
+    // Browser-only features are no-ops without a browser
+    async screenshot() {},
+    async cookies() {
+      return options.cookies ? options.cookies() : [];
+    },
+    async setCookie(...cookies) {
+      if (options.setCookie) {
+        options.setCookie(...cookies);
+      }
+    },
+    async setUserAgent() {},
+    async evaluateOnNewDocument() {},
+
+    async close() {
+      if (dom) {
+        dom.window.close();
+        dom = null;
+      }
+    }
+  };
+}
+
+module.exports = { createDomPage };
@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Folder next to the target where writeFileAtomic stages its temp files
+const TMP_DIR = '.tmp';
+
+// Writes a file so readers only ever see the old or the new contents, never a half-written file: the data is
+// written and flushed to a temp file in <dir>/.tmp/ (same disk, so the rename is atomic) and renamed over the target
+// options.mode sets the file's permissions (e.g. 0o600 for cookies), whatever the umask
+function writeFileAtomic(filePath, content, options = {}) {
+  const tmpDir = path.join(path.dirname(filePath), TMP_DIR);
+  fs.mkdirSync(tmpDir, { recursive: true });
+  const tmpPath = path.join(tmpDir, `${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}`);
+
+  try {
+    const fd = fs.openSync(tmpPath, 'w', options.mode);
+    try {
+      if (options.mode !== undefined) {
+        fs.fchmodSync(fd, options.mode);
+      }
+      fs.writeSync(fd, content);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, filePath);
+  } catch (error) {
+    fs.rmSync(tmpPath, { force: true });
+    throw error;
+  } finally {
+    // Another write may still be staging there; the folder goes once it is empty
+    try {
+      fs.rmdirSync(tmpDir);
+    } catch (error) {
+      // Not empty
+    }
+  }
+}
+
+// writeFileAtomic for a JSON value, pretty-printed like every output file
+function writeJsonAtomic(filePath, value, options = {}) {
+  writeFileAtomic(filePath, JSON.stringify(value, null, 2), options);
+}
+
+module.exports = {
+  TMP_DIR,
+  writeFileAtomic,
+  writeJsonAtomic
+};
@@ -0,0 +1,88 @@
+// A small JSON Schema validator for the schemas in schemas/, which use only this part of draft 2020-12:
+// type (one or several, "integer" included), const, enum, minimum, minLength, pattern, required, properties,
+// additionalProperties (false or a schema), items and $ref to the schema's own $defs
+// Properties set to undefined count as absent, as they do once the value is written as JSON
+
+// The JSON type of a value, with integers told apart from other numbers
+function jsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = jsonType(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Follows a "#/$defs/name" reference inside root
+function resolveRef(root, ref) {
+  const match = /^#\/\$defs\/(.+)$/.exec(ref);
+  if (!match || !root.$defs || !root.$defs[match[1]]) {
+    throw new Error(`Unsupported or unknown schema reference: ${ref}`);
+  }
+  return root.$defs[match[1]];
+}
+
+// Checks value against schema
+// Returns the problems found as [{ path, message }], path being a JSON pointer ("/data/3/rankCurrent"); [] when valid
+function validateSchema(schema, value, root = schema, pointer = '') {
+  if (schema.$ref) {
+    return validateSchema(resolveRef(root, schema.$ref), value, root, pointer);
+  }
+
+  const problems = [];
+  const problem = message => problems.push({ path: pointer || '/', message });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      problem(`must be ${types.join(' or ')}, got ${jsonType(value)}`);
+      return problems;
+    }
+  }
+  if ('const' in schema && value !== schema.const) {
+    problem(`must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    problem(`must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+  }
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    problem(`must be at least ${schema.minimum}`);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      problem(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      problem(`must match ${schema.pattern}`);
+    }
+  }
+
+  if (jsonType(value) === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined);
+    (schema.required || []).filter(key => value[key] === undefined).forEach(key => problem(`is missing "${key}"`));
+
+    keys.forEach(key => {
+      const childPointer = `${pointer}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+      if (schema.properties && schema.properties[key]) {
+        problems.push(...validateSchema(schema.properties[key], value[key], root, childPointer));
+      } else if (schema.additionalProperties === false) {
+        problems.push({ path: childPointer, message: 'is not allowed' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        problems.push(...validateSchema(schema.additionalProperties, value[key], root, childPointer));
+      }
+    });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => problems.push(...validateSchema(schema.items, item, root, `${pointer}/${i}`)));
+  }
+
+  return problems;
+}
+
+module.exports = {
+  validateSchema
+};
@@ -0,0 +1,128 @@
+// Returns the last path segment of a toplist URL, e.g. "2025-Top-500-Design-Firms-Preview"
+function slugFromUrl(url) {
+  const path = String(url || '').split(/[?#]/)[0];
+  const parts = path.split('/').filter(Boolean);
+  const last = parts[parts.length - 1];
+  return last && last !== 'toplists' ? last : '';
+}
+
+// Reads the publication year from a list slug ("2024-Top-150-Global-Design-Firms-Preview" -> 2024)
+// Returns null when the slug does not carry a year
+function listYear(slug) {
+  const match = String(slug || '').match(/(?:^|[^0-9])((?:19|20)\d{2})(?=[^0-9]|$)/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// Year-agnostic identity of a list, so different editions can be compared
+// "2025-Top-400-Contractors-1-preview" -> "top-400-contractors"
+function listKey(slugOrUrl) {
+  const slug = slugFromUrl(slugOrUrl) || String(slugOrUrl || '');
+  return slug
+    .toLowerCase()
+    .replace(/\.json$/, '')
+    .replace(/^(19|20)\d{2}-/, '')
+    .replace(/-preview$/, '')
+    .replace(/-\d+$/, '');
+}
+
+// List categories, most specific first; the first whose pattern matches the title or slug wins
+const LIST_CATEGORIES = [
+  ['green', /green/i],
+  ['international', /international|global/i],
+  ['design-build', /design[-\s]*build/i],
+  ['cm-at-risk', /cm[-\s]*at[-\s]*risk|construction[-\s]*management/i],
+  ['program-management', /program[-\s]*management/i],
+  ['professional-services', /professional[-\s]*services/i],
+  ['specialty', /specialty/i],
+  ['design', /design/i],
+  ['contractors', /contractor/i]
+];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Size printed in a list title or slug ("2025-Top-500-Design-Firms-Preview" -> 500)
+// Returns null when there is none
+function listSize(titleOrSlug) {
+  const match = String(titleOrSlug || '').match(/\btop[-\s]+(\d+)\b/i);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// Category of a list from its title or slug ("2024 Top 150 Global Design Firms" -> "international")
+// Returns "other" for lists that fit none of the known categories
+function listCategory(titleOrSlug) {
+  const text = String(titleOrSlug || '');
+  const match = LIST_CATEGORIES.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : 'other';
+}
+
+// Readable title from a slug when the page gives none ("2025-Top-400-Contractors-1-preview" -> "2025 Top 400 Contractors")
+function titleFromSlug(slug) {
+  return String(slug || '')
+    .replace(/-preview$/i, '')
+    .replace(/-\d+$/, '')
+    .split('-')
+    .filter(Boolean)
+    .map(word => (/^[a-z]/.test(word) ? word[0].toUpperCase() + word.slice(1) : word))
+    .join(' ');
+}
+
+// Parses a publication date ("June 10, 2025", "Sept. 3, 2024", "2025-06-10T09:00:00Z") to YYYY-MM-DD
+// Returns null when the text holds no recognizable date
+function parsePublicationDate(text) {
+  const value = String(text || '').trim();
+
+  const iso = value.match(/\b((?:19|20)\d{2})-(\d{2})-(\d{2})/);
+  if (iso) {
+    return `${iso[1]}-${iso[2]}-${iso[3]}`;
+  }
+
+  const written = value.match(/\b([A-Za-z]{3,9})\.?\s+(\d{1,2}),?\s+((?:19|20)\d{2})\b/);
+  if (written) {
+    const month = MONTHS.indexOf(written[1].slice(0, 3).toLowerCase());
+    if (month !== -1) {
+      return `${written[3]}-${String(month + 1).padStart(2, '0')}-${written[2].padStart(2, '0')}`;
+    }
+  }
+
+  return null;
+}
+
+// Strips the site name from a document title ("2025 Top 500 Design Firms | ENR" -> "2025 Top 500 Design Firms")
+function cleanTitle(title) {
+  return String(title || '').split(/\s+[|–-]\s+(?:ENR|Engineering News-Record)\b/)[0].replace(/\s+/g, ' ').trim();
+}
+
+// Builds a list's metadata from everything known about it
+// sources: { url, cardTitle, cardDate (toplists index card), heading, documentTitle, published (list page), rankYears }
+// A generic link text such as "View Rankings" is never used as the title
+function resolveListMetadata(sources = {}) {
+  const slug = slugFromUrl(sources.url);
+  const candidates = [sources.cardTitle, sources.heading, cleanTitle(sources.documentTitle)]
+    .map(title => String(title || '').replace(/\s+/g, ' ').trim())
+    .filter(title => title && !/^(view|see)\s+(the\s+)?(rankings?|list)$/i.test(title));
+  const title = candidates[0] || titleFromSlug(slug);
+
+  const titleYear = listYear(title);
+  const rankYears = sources.rankYears || {};
+
+  return {
+    title,
+    category: listCategory(`${title} ${slug}`),
+    year: titleYear || listYear(slug) || rankYears.current || null,
+    declaredSize: listSize(title) || listSize(slug),
+    access: /preview/i.test(`${slug} ${title}`) ? 'preview' : 'full',
+    publishedAt: parsePublicationDate(sources.published) || parsePublicationDate(sources.cardDate)
+  };
+}
+
+module.exports = {
+  LIST_CATEGORIES,
+  slugFromUrl,
+  listYear,
+  listKey,
+  listSize,
+  listCategory,
+  titleFromSlug,
+  parsePublicationDate,
+  resolveListMetadata
+};
@@ -0,0 +1,165 @@
+// AP-style state abbreviations (and full names) used by ENR, mapped to USPS codes
+const US_STATES = {
+  'ala.': 'AL', alabama: 'AL', alaska: 'AK', 'ariz.': 'AZ', arizona: 'AZ', 'ark.': 'AR', arkansas: 'AR',
+  'calif.': 'CA', california: 'CA', 'colo.': 'CO', colorado: 'CO', 'conn.': 'CT', connecticut: 'CT',
+  'del.': 'DE', delaware: 'DE', 'd.c.': 'DC', 'district of columbia': 'DC', 'fla.': 'FL', florida: 'FL',
+  'ga.': 'GA', georgia: 'GA', hawaii: 'HI', idaho: 'ID', 'ill.': 'IL', illinois: 'IL', 'ind.': 'IN',
+  indiana: 'IN', iowa: 'IA', 'kan.': 'KS', 'kans.': 'KS', kansas: 'KS', 'ky.': 'KY', kentucky: 'KY',
+  'la.': 'LA', louisiana: 'LA', maine: 'ME', 'md.': 'MD', maryland: 'MD', 'mass.': 'MA',
+  massachusetts: 'MA', 'mich.': 'MI', michigan: 'MI', 'minn.': 'MN', minnesota: 'MN', 'miss.': 'MS',
+  mississippi: 'MS', 'mo.': 'MO', missouri: 'MO', 'mont.': 'MT', montana: 'MT', 'neb.': 'NE',
+  'nebr.': 'NE', nebraska: 'NE', 'nev.': 'NV', nevada: 'NV', 'n.h.': 'NH', 'new hampshire': 'NH',
+  'n.j.': 'NJ', 'new jersey': 'NJ', 'n.m.': 'NM', 'n.mex.': 'NM', 'new mexico': 'NM', 'n.y.': 'NY',
+  'new york': 'NY', 'n.c.': 'NC', 'north carolina': 'NC', 'n.d.': 'ND', 'north dakota': 'ND',
+  ohio: 'OH', 'okla.': 'OK', oklahoma: 'OK', 'ore.': 'OR', 'oreg.': 'OR', oregon: 'OR', 'pa.': 'PA',
+  pennsylvania: 'PA', 'r.i.': 'RI', 'rhode island': 'RI', 's.c.': 'SC', 'south carolina': 'SC',
+  's.d.': 'SD', 'south dakota': 'SD', 'tenn.': 'TN', tennessee: 'TN', texas: 'TX', utah: 'UT',
+  'vt.': 'VT', vermont: 'VT', 'va.': 'VA', virginia: 'VA', 'wash.': 'WA', washington: 'WA',
+  'w.va.': 'WV', 'west virginia': 'WV', 'wis.': 'WI', wisconsin: 'WI', 'wyo.': 'WY', wyoming: 'WY',
+  'p.r.': 'PR', 'puerto rico': 'PR', guam: 'GU'
+};
+
+// Canadian provinces, mapped to their postal codes
+const CANADIAN_PROVINCES = {
+  alberta: 'AB', 'alta.': 'AB', 'british columbia': 'BC', 'b.c.': 'BC', manitoba: 'MB', 'man.': 'MB',
+  'new brunswick': 'NB', 'n.b.': 'NB', newfoundland: 'NL', 'newfoundland and labrador': 'NL',
+  'nova scotia': 'NS', 'n.s.': 'NS', ontario: 'ON', 'ont.': 'ON', 'prince edward island': 'PE',
+  'p.e.i.': 'PE', quebec: 'QC', 'que.': 'QC', saskatchewan: 'SK', 'sask.': 'SK'
+};
+
+// Countries as ENR prints them on the international and global lists, mapped to a canonical name
+const COUNTRIES = {
+  'u.s.a.': 'United States', 'u.s.': 'United States', usa: 'United States', 'united states': 'United States',
+  canada: 'Canada', mexico: 'Mexico', brazil: 'Brazil', chile: 'Chile', argentina: 'Argentina',
+  colombia: 'Colombia', peru: 'Peru', panama: 'Panama',
+  'u.k.': 'United Kingdom', uk: 'United Kingdom', 'united kingdom': 'United Kingdom', england: 'United Kingdom',
+  scotland: 'United Kingdom', ireland: 'Ireland', france: 'France', spain: 'Spain', portugal: 'Portugal',
+  germany: 'Germany', italy: 'Italy', netherlands: 'Netherlands', 'the netherlands': 'Netherlands',
+  belgium: 'Belgium', luxembourg: 'Luxembourg', switzerland: 'Switzerland', austria: 'Austria',
+  denmark: 'Denmark', sweden: 'Sweden', norway: 'Norway', finland: 'Finland', poland: 'Poland',
+  'czech republic': 'Czech Republic', czechia: 'Czech Republic', hungary: 'Hungary', romania: 'Romania',
+  greece: 'Greece', cyprus: 'Cyprus', turkey: 'Turkey', 'türkiye': 'Turkey', turkiye: 'Turkey',
+  russia: 'Russia', slovenia: 'Slovenia', croatia: 'Croatia', serbia: 'Serbia',
+  china: 'China', 'hong kong': 'Hong Kong', taiwan: 'Taiwan', japan: 'Japan', 'south korea': 'South Korea',
+  korea: 'South Korea', india: 'India', pakistan: 'Pakistan', singapore: 'Singapore', malaysia: 'Malaysia',
+  thailand: 'Thailand', indonesia: 'Indonesia', philippines: 'Philippines', vietnam: 'Vietnam',
+  australia: 'Australia', 'new zealand': 'New Zealand',
+  israel: 'Israel', lebanon: 'Lebanon', jordan: 'Jordan', egypt: 'Egypt', 'saudi arabia': 'Saudi Arabia',
+  'u.a.e.': 'United Arab Emirates', uae: 'United Arab Emirates', 'united arab emirates': 'United Arab Emirates',
+  qatar: 'Qatar', kuwait: 'Kuwait', bahrain: 'Bahrain', oman: 'Oman', iran: 'Iran', azerbaijan: 'Azerbaijan',
+  kazakhstan: 'Kazakhstan', 'south africa': 'South Africa', nigeria: 'Nigeria', morocco: 'Morocco'
+};
+
+// Corporate suffixes that follow a comma inside a firm name ("Skanska USA, Inc.")
+const NAME_SUFFIX_PATTERN = /^(inc|incorporated|corp|corporation|co|company|llc|llp|lp|ltd|limited|plc|pc|pllc|p\.?a|p\.?c|s\.?a|a\.?g|n\.?v|gmbh|the)\.?$/i;
+
+// Lookup key for the tables above: lowercase, footnote markers stripped, single spaces
+function lookupKey(part) {
+  return String(part || '')
+    .replace(/[*†‡]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Lookup key with spacing inside abbreviations removed ("W. Va." -> "w.va.")
+function compactKey(part) {
+  return lookupKey(part).replace(/\.\s+/g, '.');
+}
+
+const lookup = (table, part) => table[lookupKey(part)] || table[compactKey(part)] || null;
+
+// Converts an AP-style abbreviation, full state name or USPS code to the USPS code ("Calif." -> "CA")
+function toStateCode(value) {
+  const code = lookup(US_STATES, value);
+  if (code) return code;
+
+  const upper = String(value || '').replace(/\./g, '').trim().toUpperCase();
+  return Object.values(US_STATES).includes(upper) ? upper : null;
+}
+
+// Parses the FIRM cell into the firm name and a structured location
+// "Kiewit Corp., Omaha, Neb." -> { name: "Kiewit Corp.", city: "Omaha", state: "NE", country: "United States" }
+// Parsing runs from the right so commas inside the firm name ("Skanska USA, Inc.") are kept
+// confidence: "high" (region and city recognized), "medium" (region only), "low" (positional guess), "none"
+function parseFirmCell(text) {
+  const parts = String(text || '').split(',').map(p => p.trim()).filter(Boolean);
+
+  const result = {
+    name: parts[0] || '',
+    location: '',
+    city: null,
+    state: null,
+    country: null,
+    confidence: 'none'
+  };
+
+  if (parts.length < 2) {
+    return result;
+  }
+
+  let end = parts.length;
+
+  const country = lookup(COUNTRIES, parts[end - 1]);
+  if (country && end > 1) {
+    result.country = country;
+    end--;
+  }
+
+  if (end > 1) {
+    const state = lookup(US_STATES, parts[end - 1]);
+    const province = lookup(CANADIAN_PROVINCES, parts[end - 1]);
+
+    if (state) {
+      result.state = state;
+      result.country = result.country || 'United States';
+      end--;
+    } else if (province && (!result.country || result.country === 'Canada')) {
+      result.state = province;
+      result.country = 'Canada';
+      end--;
+    }
+  }
+
+  const stripMarkers = part => part.replace(/[*†‡]/g, '').trim();
+
+  if (!result.state && !result.country) {
+    // Nothing recognized: keep the old "name, location" split, but don't cut "Inc."-style suffixes off the name
+    let nameEnd = 1;
+    while (nameEnd < parts.length && NAME_SUFFIX_PATTERN.test(parts[nameEnd])) nameEnd++;
+
+    result.name = parts.slice(0, nameEnd).join(', ');
+    result.location = parts.slice(nameEnd).join(', ');
+    result.city = nameEnd < parts.length ? stripMarkers(parts[nameEnd]) : null;
+    result.confidence = result.city ? 'low' : 'none';
+    return result;
+  }
+
+  // The part before the region is the city, unless it is the firm name itself or one of its suffixes
+  if (end > 1 && !NAME_SUFFIX_PATTERN.test(parts[end - 1])) {
+    result.city = stripMarkers(parts[end - 1]);
+    end--;
+  }
+  result.confidence = result.city ? 'high' : 'medium';
+
+  result.name = parts.slice(0, end).join(', ');
+  result.location = parts.slice(end).join(', ');
+
+  return result;
+}
+
+// Parses a location printed without the firm name ("Kansas City, Mo.") the way parseFirmCell reads the FIRM cell
+// Returns { city, state, country, confidence }
+function parseLocation(location) {
+  const { city, state, country, confidence } = parseFirmCell(`-, ${location || ''}`);
+  return { city, state, country, confidence };
+}
+
+module.exports = {
+  US_STATES,
+  CANADIAN_PROVINCES,
+  COUNTRIES,
+  toStateCode,
+  parseFirmCell,
+  parseLocation
+};
@@ -0,0 +1,52 @@
+// Log levels from quietest to chattiest; a logger prints its own level and everything before it
+const LOG_LEVELS = ['silent', 'error', 'warn', 'info', 'debug'];
+
+// Writes to the console: errors to stderr, everything else to stdout (the crawler's usual output)
+function consoleSink(level, message) {
+  if (level === 'error') {
+    console.error(message);
+  } else {
+    console.log(message);
+  }
+}
+
+// Leveled logger with error, warn, info and debug methods
+// options.level is one of LOG_LEVELS (default "info"); options.sink(level, message) receives every
+// message the level lets through (default: the console)
+function createLogger(options = {}) {
+  const level = options.level || 'info';
+  const threshold = LOG_LEVELS.indexOf(level);
+  if (threshold === -1) {
+    throw new Error(`Unknown log level: ${level} (expected ${LOG_LEVELS.join(', ')})`);
+  }
+  const sink = options.sink || consoleSink;
+
+  const logger = { level };
+  LOG_LEVELS.slice(1).forEach((name, i) => {
+    logger[name] = message => {
+      if (i + 1 <= threshold) {
+        sink(name, message);
+      }
+    };
+  });
+  return logger;
+}
+
+// Passes every message on to logger and also to record(level, message), whatever logger's level lets through
+// (debug bundles keep the full log of a list even when the console only shows warnings)
+function teeLogger(logger, record) {
+  const tee = { level: logger.level };
+  LOG_LEVELS.slice(1).forEach(name => {
+    tee[name] = message => {
+      record(name, message);
+      logger[name](message);
+    };
+  });
+  return tee;
+}
+
+module.exports = {
+  LOG_LEVELS,
+  createLogger,
+  teeLogger
+};
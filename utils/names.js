@@ -0,0 +1,40 @@
+// Corporate suffixes and filler words that don't distinguish one firm from another
+const NOISE_WORDS = new Set([
+  'the', 'inc', 'incorporated', 'corp', 'corporation', 'co', 'company', 'cos', 'companies',
+  'llc', 'llp', 'lp', 'ltd', 'limited', 'plc', 'pc', 'pllc', 'sa', 'ag', 'nv', 'bv', 'gmbh', 'spa'
+]);
+
+// Normalizes a firm name for matching ("Kiewit Corp." and "Kiewit Corporation" -> "kiewit")
+// Lowercases, strips accents and punctuation, spells out "&" and drops corporate suffixes
+function normalizeFirmName(name) {
+  const words = String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9 ]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  const meaningful = words.filter(word => !NOISE_WORDS.has(word));
+  return (meaningful.length > 0 ? meaningful : words).join(' ');
+}
+
+// Normalizes a location for comparison ("Dallas, Texas, U.S.A.†" -> "dallas texas")
+// The trailing U.S.A. that international lists append is dropped so domestic and global lists agree
+function normalizeLocation(location) {
+  return String(location || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[*†‡]/g, '')
+    .toLowerCase()
+    .replace(/,\s*u\.?\s?s\.?\s?a?\.?$/, '')
+    .replace(/[^a-z0-9 ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+module.exports = {
+  normalizeFirmName,
+  normalizeLocation
+};
@@ -0,0 +1,166 @@
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+
+// Collects SMTP replies from a socket; read() resolves to the next complete reply { code, text }
+// (a multi-line reply ends with a "250 " line after any number of "250-" lines)
+function createReplyReader(socket) {
+  let buffer = '';
+  const lines = [];
+  const waiting = [];
+  let failure = null;
+
+  const flush = () => {
+    while (waiting.length > 0) {
+      if (failure) {
+        waiting.shift().reject(failure);
+        continue;
+      }
+      const end = lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+      if (end === -1) return;
+
+      const reply = lines.splice(0, end + 1);
+      waiting.shift().resolve({
+        code: Number(reply[end].slice(0, 3)),
+        text: reply.map(line => line.slice(4)).join('\n')
+      });
+    }
+  };
+
+  const onData = chunk => {
+    buffer += chunk.toString('utf8');
+    const parts = buffer.split(/\r?\n/);
+    buffer = parts.pop();
+    lines.push(...parts);
+    flush();
+  };
+  const onEnd = error => {
+    failure = failure || error || new Error('SMTP connection closed');
+    flush();
+  };
+
+  socket.on('data', onData);
+  socket.on('error', onEnd);
+  socket.on('close', () => onEnd());
+
+  return {
+    read() {
+      return new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject });
+        flush();
+      });
+    },
+
+    // Stops listening (before the socket is handed to TLS)
+    detach() {
+      socket.removeListener('data', onData);
+      socket.removeAllListeners('error');
+      socket.removeAllListeners('close');
+    }
+  };
+}
+
+// Encodes a header value that isn't plain ASCII (RFC 2047)
+function encodeHeader(value) {
+  const text = String(value);
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+// Builds the message: headers, then the body with CRLF line endings and dot-stuffing
+function buildMessage(options, recipients) {
+  const domain = String(options.from).split('@')[1] || os.hostname();
+  const headers = [
+    `From: ${options.from}`,
+    `To: ${recipients.join(', ')}`,
+    `Subject: ${encodeHeader(options.subject || '')}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${Date.now()}.${Math.random().toString(36).slice(2)}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit'
+  ];
+
+  const body = String(options.text || '')
+    .split(/\r?\n/)
+    .map(line => (line.startsWith('.') ? `.${line}` : line))
+    .join('\r\n');
+
+  return `${headers.join('\r\n')}\r\n\r\n${body}\r\n.`;
+}
+
+// Opens a plain or TLS connection; resolves once it is established
+function connect(options) {
+  return new Promise((resolve, reject) => {
+    const connectOptions = { host: options.host, port: options.port, servername: options.host };
+    const socket = options.secure
+      ? tls.connect({ ...connectOptions, rejectUnauthorized: options.rejectUnauthorized !== false }, () => resolve(socket))
+      : net.connect(connectOptions, () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+// Sends one plain-text email over SMTP
+// Connects with TLS from the start when options.secure (port 465), otherwise upgrades with STARTTLS
+// when the server offers it; authenticates with AUTH PLAIN when options.user is set
+// options: { host, port, secure, user, password, from, to (address or array), subject, text, timeout }
+async function sendMail(options) {
+  const recipients = [].concat(options.to || []).filter(Boolean);
+  if (!options.host || !options.from || recipients.length === 0) {
+    throw new Error('SMTP needs a host, a from address and at least one recipient');
+  }
+
+  const port = options.port || (options.secure ? 465 : 587);
+  let socket = await connect({ ...options, port });
+  socket.setTimeout(options.timeout || 30000, () => socket.destroy(new Error('SMTP server timed out')));
+  let reader = createReplyReader(socket);
+
+  // Sends a command (null just reads) and checks the reply code
+  const command = async (line, expected, label) => {
+    if (line !== null) {
+      socket.write(`${line}\r\n`);
+    }
+    const reply = await reader.read();
+    if (!expected.includes(reply.code)) {
+      throw new Error(`SMTP ${label} failed: ${reply.code} ${reply.text}`);
+    }
+    return reply;
+  };
+
+  try {
+    await command(null, [220], 'greeting');
+    const helo = `EHLO ${os.hostname()}`;
+    const features = await command(helo, [250], 'EHLO');
+
+    if (!options.secure && /^STARTTLS$/im.test(features.text)) {
+      await command('STARTTLS', [220], 'STARTTLS');
+      reader.detach();
+      socket = await new Promise((resolve, reject) => {
+        const upgraded = tls.connect({
+          socket,
+          servername: options.host,
+          rejectUnauthorized: options.rejectUnauthorized !== false
+        }, () => resolve(upgraded));
+        upgraded.once('error', reject);
+      });
+      reader = createReplyReader(socket);
+      await command(helo, [250], 'EHLO');
+    }
+
+    if (options.user) {
+      const credentials = Buffer.from(`\u0000${options.user}\u0000${options.password || ''}`, 'utf8').toString('base64');
+      await command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+    }
+
+    await command(`MAIL FROM:<${options.from}>`, [250], 'MAIL FROM');
+    for (const recipient of recipients) {
+      await command(`RCPT TO:<${recipient}>`, [250, 251], 'RCPT TO');
+    }
+    await command('DATA', [354], 'DATA');
+    await command(buildMessage(options, recipients), [250], 'message');
+    await command('QUIT', [221], 'QUIT').catch(() => {});
+  } finally {
+    socket.destroy();
+  }
+}
+
+module.exports = { sendMail };
@@ -0,0 +1,87 @@
+const { extractFootnotes, parseCell } = require('./values');
+const { parseFirmCell } = require('./location');
+
+// Output fields derived from the FIRM cell
+const FIRM_FIELDS = ['Company Name', 'Location', 'city', 'state', 'country', 'locationConfidence'];
+
+// Output field for the firm's detail page, when the FIRM cell links to one
+const FIRM_URL_FIELD = 'firmUrl';
+
+// Converts one raw table (header labels + cell texts) into typed rows using the list schema and the source's
+// header mapping; returns null when the table has no FIRM column (navigation, ads, pagination, etc.)
+// table is { headers: [label], rows: [[{ text, notes, href }]] }, notes being the cell's superscript footnote markers
+// and href the cell's link; a linked FIRM cell adds a firmUrl column after the firm fields
+function tableToRows(table, schema, rankYears, source) {
+  const columns = source.columns.resolveColumns(table.headers, schema, rankYears);
+  const firmIndex = columns.findIndex(column => column.type === 'firm');
+
+  if (firmIndex === -1) {
+    return null;
+  }
+
+  // The FIRM column is stored as name + location fields, so describe it that way in the output headers
+  const outputColumns = [];
+  columns.forEach(column => {
+    if (column.type === 'firm') {
+      FIRM_FIELDS.forEach(key => outputColumns.push({ key, label: column.label, type: 'text' }));
+    } else {
+      outputColumns.push(column);
+    }
+  });
+
+  const rows = [];
+  table.rows.forEach(cells => {
+    if (cells.length === 0 || !cells[firmIndex]) {
+      return;
+    }
+
+    const rowData = {};
+    const footnotes = {};
+
+    columns.forEach((column, idx) => {
+      const cell = cells[idx];
+      if (!cell) return;
+
+      if (column.type === 'firm') {
+        const { text, footnotes: notes } = extractFootnotes(cell.text);
+        const firm = parseFirmCell(text);
+        rowData['Company Name'] = firm.name;
+        rowData['Location'] = firm.location;
+        rowData.city = firm.city;
+        rowData.state = firm.state;
+        rowData.country = firm.country;
+        rowData.locationConfidence = firm.confidence;
+        if (cell.href) rowData[FIRM_URL_FIELD] = cell.href;
+
+        const firmNotes = notes.concat(cell.notes);
+        if (firmNotes.length > 0) footnotes.firm = firmNotes;
+        return;
+      }
+
+      const { value, footnotes: notes } = parseCell(cell.text, column.type, cell.notes);
+      rowData[column.key] = value;
+      if (notes.length > 0) footnotes[column.key] = notes;
+    });
+
+    if (Object.keys(footnotes).length > 0) {
+      rowData.footnotes = footnotes;
+    }
+
+    rows.push(rowData);
+  });
+
+  // Lists whose FIRM cells hold no links keep the columns they always had
+  if (rows.some(row => row[FIRM_URL_FIELD])) {
+    const firmLabel = columns[firmIndex].label;
+    const lastFirmField = outputColumns.findIndex(column => column.key === FIRM_FIELDS[FIRM_FIELDS.length - 1]);
+    outputColumns.splice(lastFirmField + 1, 0, { key: FIRM_URL_FIELD, label: firmLabel, type: 'text' });
+  }
+
+  return { columns: outputColumns, rows, rankYears };
+}
+
+module.exports = {
+  FIRM_FIELDS,
+  FIRM_URL_FIELD,
+  tableToRows
+};
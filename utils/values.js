@@ -0,0 +1,81 @@
+// Footnote markers ENR appends to cell values: "**" (not ranked last year), "*", "†", "‡"
+const FOOTNOTE_PATTERN = /(\*+|†+|‡+)/g;
+
+// Placeholders ENR uses for "no value" in numeric columns
+const EMPTY_VALUES = new Set(['', '-', '--', '—', '–', 'N/A', 'NA', 'n/a', 'NM', 'nm']);
+
+// Separates footnote markers from a raw cell string
+// Returns the cleaned text and the list of markers that were found (in order of appearance)
+function extractFootnotes(raw) {
+  const text = String(raw == null ? '' : raw);
+  const footnotes = text.match(FOOTNOTE_PATTERN) || [];
+
+  return {
+    text: text.replace(FOOTNOTE_PATTERN, '').replace(/\s+/g, ' ').trim(),
+    footnotes
+  };
+}
+
+// Parses a numeric cell such as "$1,234.5", "(12.3)", "45%" or "1.2 mil" into a number
+// Returns null for empty placeholders and anything that is not a number
+function parseNumber(text) {
+  if (text == null) return null;
+
+  let cleaned = String(text).trim();
+  if (EMPTY_VALUES.has(cleaned)) return null;
+
+  // Accounting-style negatives: "(12.3)"
+  let negative = false;
+  if (/^\(.*\)$/.test(cleaned)) {
+    negative = true;
+    cleaned = cleaned.slice(1, -1);
+  }
+
+  cleaned = cleaned
+    .replace(/[$€£%]/g, '')
+    .replace(/,/g, '')
+    .replace(/\b(mil|million|m)\.?$/i, '')
+    .trim();
+
+  if (cleaned.startsWith('-')) {
+    negative = !negative;
+    cleaned = cleaned.slice(1);
+  }
+
+  if (!/^\d*\.?\d+$/.test(cleaned)) return null;
+
+  const value = parseFloat(cleaned);
+  return negative ? -value : value;
+}
+
+// Parses one raw table cell according to its column type (rank, currency, percent, number, text)
+// Returns { value, footnotes } where footnotes are the markers stripped from the cell
+function parseCell(raw, type, extraFootnotes = []) {
+  const { text, footnotes } = extractFootnotes(raw);
+  const allFootnotes = footnotes.concat(extraFootnotes.filter(Boolean));
+
+  let value;
+  switch (type) {
+    case 'rank': {
+      const rank = parseNumber(text);
+      value = rank !== null && Number.isInteger(rank) ? rank : null;
+      break;
+    }
+    case 'currency':
+    case 'percent':
+    case 'number':
+      value = parseNumber(text);
+      break;
+    default:
+      value = text;
+  }
+
+  return { value, footnotes: allFootnotes };
+}
+
+module.exports = {
+  FOOTNOTE_PATTERN,
+  extractFootnotes,
+  parseNumber,
+  parseCell
+};